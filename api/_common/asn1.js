@@ -0,0 +1,151 @@
+/**
+ * ASN.1 DER Helpers
+ * Just enough DER reading and writing for the certificate checks: walking
+ * certificates, CRLs and OCSP responses, and building OCSP requests
+ */
+
+export const TAGS = {
+  BOOLEAN: 0x01,
+  INTEGER: 0x02,
+  BIT_STRING: 0x03,
+  OCTET_STRING: 0x04,
+  NULL: 0x05,
+  OID: 0x06,
+  ENUMERATED: 0x0a,
+  UTC_TIME: 0x17,
+  GENERALIZED_TIME: 0x18,
+  SEQUENCE: 0x30,
+  SET: 0x31,
+};
+
+/**
+ * Read one element
+ * @param {Buffer} buf - DER data
+ * @param {number} [offset=0] - Where the element starts
+ * @returns {{tag: number, constructed: boolean, start: number, end: number, value: Buffer, raw: Buffer}}
+ *   start and end are the value's offsets in buf, raw is the whole element
+ */
+export const readElement = (buf, offset = 0) => {
+  if (offset + 2 > buf.length) throw new Error('Truncated DER element');
+  const tag = buf[offset];
+  let length = buf[offset + 1];
+  let start = offset + 2;
+
+  if (length & 0x80) {
+    const lengthBytes = length & 0x7f;
+    if (lengthBytes === 0 || lengthBytes > 4) throw new Error('Unsupported DER length');
+    length = 0;
+    for (let i = 0; i < lengthBytes; i += 1) length = (length * 256) + buf[start + i];
+    start += lengthBytes;
+  }
+
+  const end = start + length;
+  if (end > buf.length) throw new Error('Truncated DER element');
+  return {
+    tag,
+    constructed: !!(tag & 0x20),
+    start,
+    end,
+    value: buf.subarray(start, end),
+    raw: buf.subarray(offset, end),
+  };
+};
+
+/**
+ * Read the elements inside a constructed element (e.g. a SEQUENCE)
+ */
+export const readChildren = (element) => {
+  const children = [];
+  let offset = 0;
+  while (offset < element.value.length) {
+    const child = readElement(element.value, offset);
+    children.push(child);
+    offset = child.end;
+  }
+  return children;
+};
+
+export const decodeOid = (value) => {
+  const parts = [Math.floor(value[0] / 40), value[0] % 40];
+  let current = 0;
+  for (let i = 1; i < value.length; i += 1) {
+    current = (current * 128) + (value[i] & 0x7f);
+    if (!(value[i] & 0x80)) {
+      parts.push(current);
+      current = 0;
+    }
+  }
+  return parts.join('.');
+};
+
+export const decodeTime = ({ tag, value }) => {
+  const text = value.toString('ascii');
+  const match = tag === TAGS.UTC_TIME
+    ? text.match(/^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?Z$/)
+    : text.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?(?:\.\d+)?Z$/);
+  if (!match) return null;
+  let year = parseInt(match[1], 10);
+  if (tag === TAGS.UTC_TIME) year += year < 50 ? 2000 : 1900;
+  return new Date(Date.UTC(year, match[2] - 1, match[3], match[4], match[5], match[6] || 0));
+};
+
+/**
+ * Find every element with a tag, anywhere under an element
+ */
+export const findAll = (element, tag) => {
+  const found = [];
+  const walk = (node) => {
+    if (node.tag === tag) found.push(node);
+    if (!node.constructed) return;
+    try {
+      readChildren(node).forEach(walk);
+    } catch {
+      // Not valid DER inside, e.g. a primitive wrapped as constructed
+    }
+  };
+  walk(element);
+  return found;
+};
+
+const encodeLength = (length) => {
+  if (length < 0x80) return Buffer.from([length]);
+  const bytes = [];
+  for (let remaining = length; remaining > 0; remaining = Math.floor(remaining / 256)) {
+    bytes.unshift(remaining & 0xff);
+  }
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+};
+
+/**
+ * Build an element from a tag and its contents
+ * @param {number} tag
+ * @param {...Buffer} contents - Already-encoded children, or the raw value
+ */
+export const encode = (tag, ...contents) => {
+  const value = Buffer.concat(contents);
+  return Buffer.concat([Buffer.from([tag]), encodeLength(value.length), value]);
+};
+
+export const encodeOid = (oid) => {
+  const [first, second, ...rest] = oid.split('.').map(Number);
+  const bytes = [first * 40 + second];
+  rest.forEach((part) => {
+    const chunk = [part & 0x7f];
+    for (let remaining = Math.floor(part / 128); remaining > 0; remaining = Math.floor(remaining / 128)) {
+      chunk.unshift((remaining & 0x7f) | 0x80);
+    }
+    bytes.push(...chunk);
+  });
+  return encode(TAGS.OID, Buffer.from(bytes));
+};
+
+export default {
+  TAGS,
+  readElement,
+  readChildren,
+  decodeOid,
+  decodeTime,
+  findAll,
+  encode,
+  encodeOid,
+};
@@ -0,0 +1,176 @@
+/**
+ * Headless Browser Pool
+ * Shares a small number of Puppeteer browsers between the headless checks
+ * (screenshots, cookies, etc), instead of launching a new one for each request.
+ * Browsers are recycled after a number of pages, or if they crash
+ */
+
+import puppeteer from 'puppeteer';
+
+// Pool limits, all configurable by env vars
+const POOL_SIZE = parseInt(process.env.BROWSER_POOL_SIZE, 10) || 2;
+const MAX_PAGES_PER_BROWSER = parseInt(process.env.BROWSER_MAX_PAGES, 10) || 4;
+const RECYCLE_AFTER = parseInt(process.env.BROWSER_RECYCLE_AFTER, 10) || 50;
+const IDLE_TIMEOUT = 60000;
+const ACQUIRE_TIMEOUT = 30000;
+
+const LAUNCH_OPTIONS = {
+  headless: 'new',
+  executablePath: process.env.CHROME_PATH || undefined,
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--no-first-run',
+    '--no-zygote',
+    '--disable-gpu'
+  ],
+};
+
+const pool = [];
+const waiting = [];
+let launching = 0;
+
+// Let the next queued request have a go, now that a page slot has freed up
+const wakeNext = () => {
+  const next = waiting.shift();
+  if (next) next();
+};
+
+const removeFromPool = (entry) => {
+  const index = pool.indexOf(entry);
+  if (index !== -1) pool.splice(index, 1);
+  clearTimeout(entry.idleTimer);
+};
+
+const retireBrowser = async (entry) => {
+  removeFromPool(entry);
+  try {
+    await entry.browser.close();
+  } catch {
+    // Already gone, nothing to clean up
+  }
+};
+
+/**
+ * Launch a new browser, with one page slot already reserved for the caller
+ */
+const launchBrowser = async () => {
+  launching += 1;
+  try {
+    const browser = await puppeteer.launch(LAUNCH_OPTIONS);
+    const entry = { browser, activePages: 1, totalPages: 1, retiring: false, idleTimer: null };
+
+    browser.on('disconnected', () => {
+      if (!pool.includes(entry)) return;
+      console.warn('⚠️ Browser disconnected unexpectedly, removing it from the pool');
+      removeFromPool(entry);
+      wakeNext();
+    });
+
+    pool.push(entry);
+    console.log(`🌐 Launched browser (${pool.length}/${POOL_SIZE} in pool)`);
+    return entry;
+  } catch (error) {
+    // The slot we were going to use is free again, so a queued request can try
+    wakeNext();
+    throw error;
+  } finally {
+    launching -= 1;
+  }
+};
+
+/**
+ * Reserve a page slot, on an existing browser if one has room,
+ * else on a new browser, else wait for one to free up
+ */
+const acquireBrowser = async () => {
+  const available = pool.find((entry) => !entry.retiring && entry.activePages < MAX_PAGES_PER_BROWSER);
+  if (available) {
+    clearTimeout(available.idleTimer);
+    available.activePages += 1;
+    available.totalPages += 1;
+    return available;
+  }
+
+  if (pool.length + launching < POOL_SIZE) {
+    return launchBrowser();
+  }
+
+  await new Promise((resolve, reject) => {
+    const onReady = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      waiting.splice(waiting.indexOf(onReady), 1);
+      reject(new Error(`Timed out after ${ACQUIRE_TIMEOUT}ms waiting for a free browser`));
+    }, ACQUIRE_TIMEOUT);
+    waiting.push(onReady);
+  });
+  return acquireBrowser();
+};
+
+const releaseBrowser = async (entry) => {
+  entry.activePages -= 1;
+  if (entry.totalPages >= RECYCLE_AFTER) entry.retiring = true;
+
+  if (entry.activePages === 0) {
+    if (entry.retiring) {
+      await retireBrowser(entry);
+    } else {
+      // Close browsers nobody has used for a while, to give the memory back
+      entry.idleTimer = setTimeout(() => retireBrowser(entry), IDLE_TIMEOUT);
+      entry.idleTimer.unref();
+    }
+  }
+  wakeNext();
+};
+
+/**
+ * Run a function with a fresh page from the pool. The page is always
+ * closed afterwards, and its browser is retired if it crashed
+ * @param {Function} callback - Async function, given the Puppeteer page
+ * @returns {Promise<any>} Whatever the callback returns
+ */
+export const withPage = async (callback) => {
+  const entry = await acquireBrowser();
+  let page;
+  try {
+    page = await entry.browser.newPage();
+    return await callback(page);
+  } catch (error) {
+    if (!entry.browser.isConnected()) entry.retiring = true;
+    throw error;
+  } finally {
+    if (page && !page.isClosed()) {
+      await page.close().catch(() => {});
+    }
+    await releaseBrowser(entry);
+  }
+};
+
+/**
+ * Current pool usage, for monitoring and debugging
+ */
+export const getPoolStats = () => ({
+  browsers: pool.length,
+  launching,
+  activePages: pool.reduce((total, entry) => total + entry.activePages, 0),
+  waiting: waiting.length,
+  limits: { poolSize: POOL_SIZE, maxPagesPerBrowser: MAX_PAGES_PER_BROWSER, recycleAfter: RECYCLE_AFTER },
+});
+
+/**
+ * Close every browser, when the server shuts down
+ */
+export const closeBrowserPool = async () => {
+  await Promise.all([...pool].map(retireBrowser));
+};
+
+export default {
+  withPage,
+  getPoolStats,
+  closeBrowserPool
+};
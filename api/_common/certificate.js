@@ -0,0 +1,190 @@
+/**
+ * Certificate Inspection
+ * Does a TLS handshake with a host and reports on the certificate it presents:
+ * expiry, issuer, whether it covers the hostname, whether the chain verifies,
+ * and the key type. Used by the SSL check and the monitoring service
+ */
+
+import tls from 'tls';
+import { X509Certificate } from 'crypto';
+import {
+  TAGS, readElement, readChildren, decodeOid,
+} from './asn1.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HANDSHAKE_TIMEOUT = 10000;
+
+// Signature algorithm OIDs, and the hash each uses
+export const SIGNATURE_ALGORITHMS = {
+  '1.2.840.113549.1.1.4': { name: 'md5WithRSAEncryption', hash: 'MD5' },
+  '1.2.840.113549.1.1.5': { name: 'sha1WithRSAEncryption', hash: 'SHA-1' },
+  '1.2.840.113549.1.1.10': { name: 'RSASSA-PSS', hash: null },
+  '1.2.840.113549.1.1.11': { name: 'sha256WithRSAEncryption', hash: 'SHA-256' },
+  '1.2.840.113549.1.1.12': { name: 'sha384WithRSAEncryption', hash: 'SHA-384' },
+  '1.2.840.113549.1.1.13': { name: 'sha512WithRSAEncryption', hash: 'SHA-512' },
+  '1.2.840.10045.4.1': { name: 'ecdsa-with-SHA1', hash: 'SHA-1' },
+  '1.2.840.10045.4.3.2': { name: 'ecdsa-with-SHA256', hash: 'SHA-256' },
+  '1.2.840.10045.4.3.3': { name: 'ecdsa-with-SHA384', hash: 'SHA-384' },
+  '1.2.840.10045.4.3.4': { name: 'ecdsa-with-SHA512', hash: 'SHA-512' },
+  '1.3.101.112': { name: 'Ed25519', hash: null },
+  '1.3.101.113': { name: 'Ed448', hash: null },
+};
+
+/**
+ * Pull the fields out of a DER certificate that Node doesn't give us
+ * @param {Buffer} raw - DER encoded certificate
+ * @returns {{serial: Object, issuer: Object, subject: Object, publicKey: Object,
+ *   signatureAlgorithm: string, extensions: Object<string, {critical: boolean, value: Buffer}>}}
+ *   serial, issuer, subject and publicKey are DER elements (see asn1.js), publicKey being the BIT STRING
+ */
+export const parseCertificateDer = (raw) => {
+  const [tbs, signatureAlgorithm] = readChildren(readElement(raw));
+  const fields = readChildren(tbs);
+  // The version is an optional [0] tagged field, shifting the rest along
+  const offset = fields[0].tag === 0xa0 ? 1 : 0;
+  const [serial, , issuer, , subject, spki] = fields.slice(offset);
+
+  const extensions = {};
+  const extensionsField = fields.find(({ tag }) => tag === 0xa3);
+  if (extensionsField) {
+    readChildren(readChildren(extensionsField)[0]).forEach((extension) => {
+      const parts = readChildren(extension);
+      const critical = parts.length === 3 && parts[1].tag === TAGS.BOOLEAN && parts[1].value[0] !== 0;
+      extensions[decodeOid(parts[0].value)] = { critical, value: parts[parts.length - 1].value };
+    });
+  }
+
+  return {
+    serial,
+    issuer,
+    subject,
+    publicKey: readChildren(spki)[1],
+    signatureAlgorithm: decodeOid(readChildren(signatureAlgorithm)[0].value),
+    extensions,
+  };
+};
+
+/**
+ * Describe a certificate's public key, e.g. RSA 2048 or EC prime256v1
+ * @returns {{algorithm: string|null, size: number|null, curve: string|null}}
+ */
+export const getKeyInfo = (raw) => {
+  try {
+    const { publicKey } = new X509Certificate(raw);
+    const details = publicKey.asymmetricKeyDetails || {};
+    return {
+      algorithm: (publicKey.asymmetricKeyType || '').toUpperCase() || null,
+      size: details.modulusLength || null,
+      curve: details.namedCurve || null,
+    };
+  } catch {
+    return { algorithm: null, size: null, curve: null };
+  }
+};
+
+/**
+ * Follow a peer certificate's issuerCertificate links up to the root. Roots link to themselves
+ * @returns {Object[]} Certificates, leaf first
+ */
+export const walkChain = (cert) => {
+  const chain = [];
+  let current = cert;
+  while (current && Object.keys(current).length > 0 && !chain.includes(current)) {
+    chain.push(current);
+    if (current.issuerCertificate === current) break;
+    current = current.issuerCertificate;
+  }
+  return chain;
+};
+
+const parseSubjectAltNames = (subjectaltname = '') => subjectaltname
+  .split(', ')
+  .filter((name) => name.startsWith('DNS:'))
+  .map((name) => name.slice(4));
+
+/**
+ * Connect to a host and inspect its certificate
+ * @param {string} hostname - Host to connect to, also sent as SNI and checked against the cert
+ * @param {Object} [options]
+ * @param {number} [options.port=443]
+ * @param {number} [options.timeout=10000] - Handshake timeout, in ms
+ * @returns {Promise<Object>} The peer certificate (as Node gives it, with the chain),
+ *   any stapled OCSP response, and a summary of the certificate, see below
+ */
+export const inspectCertificate = (hostname, { port = 443, timeout = HANDSHAKE_TIMEOUT } = {}) => (
+  new Promise((resolve, reject) => {
+    let ocspResponse = null;
+    const socket = tls.connect({
+      host: hostname,
+      port,
+      servername: hostname,
+      rejectUnauthorized: false,
+      requestOCSP: true,
+    }, () => {
+      const cert = socket.getPeerCertificate(true);
+      if (!cert || Object.keys(cert).length === 0) {
+        socket.destroy();
+        reject(new Error('No certificate presented by the server'));
+        return;
+      }
+
+      // authorizationError covers the hostname too, so check the two separately
+      const hostnameError = tls.checkServerIdentity(hostname, cert);
+      const chainError = socket.authorized || socket.authorizationError === 'ERR_TLS_CERT_ALTNAME_INVALID'
+        ? null
+        : String(socket.authorizationError);
+
+      const validFrom = new Date(cert.valid_from);
+      const validTo = new Date(cert.valid_to);
+      const now = Date.now();
+
+      resolve({
+        certificate: cert,
+        ocspResponse,
+        summary: {
+          subject: cert.subject?.CN || null,
+          issuer: cert.issuer?.O || cert.issuer?.CN || null,
+          subjectAltNames: parseSubjectAltNames(cert.subjectaltname),
+          validFrom: validFrom.toISOString(),
+          validTo: validTo.toISOString(),
+          daysRemaining: Math.floor((validTo - now) / DAY_MS),
+          expired: validTo < now,
+          notYetValid: validFrom > now,
+          hostnameCovered: !hostnameError,
+          hostnameError: hostnameError ? hostnameError.message : null,
+          chainValid: !chainError,
+          chainError,
+          chain: walkChain(cert).map((link) => ({
+            subject: link.subject?.CN || link.subject?.O || null,
+            issuer: link.issuer?.CN || link.issuer?.O || null,
+            validTo: link.valid_to,
+            fingerprint256: link.fingerprint256,
+          })),
+          key: getKeyInfo(cert.raw),
+          fingerprint256: cert.fingerprint256,
+          serialNumber: cert.serialNumber,
+          protocol: socket.getProtocol(),
+          cipher: socket.getCipher()?.name || null,
+        },
+      });
+      socket.end();
+    });
+
+    // Stapled OCSP response, if the server sends one. Arrives before the handshake completes
+    socket.on('OCSPResponse', (response) => {
+      ocspResponse = response;
+    });
+    socket.setTimeout(timeout, () => {
+      socket.destroy(new Error(`TLS handshake timed out after ${timeout}ms`));
+    });
+    socket.on('error', (error) => reject(error));
+  })
+);
+
+export default {
+  inspectCertificate,
+  getKeyInfo,
+  walkChain,
+  parseCertificateDer,
+  SIGNATURE_ALGORITHMS,
+};
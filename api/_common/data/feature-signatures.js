@@ -0,0 +1,340 @@
+/**
+ * Site Feature Signatures
+ * Third-party services the features check looks for in a page. Extra
+ * signatures (in the same format, as a JSON array) can be loaded from the
+ * file at FEATURE_SIGNATURES_FILE, without editing this one.
+ *
+ * Each signature has:
+ *  - name: Name of the service
+ *  - group: Top-level grouping, shown as a heading on the card
+ *  - category: What kind of service it is, within the group
+ *  - description, link: Optional, shown alongside the result
+ *  - patterns: One or more of the following. All patterns are regex strings,
+ *    matched case-insensitively, and any single match counts as detected
+ *     - scripts: Matched against each <script src>
+ *     - links: Matched against each <link href> (stylesheets, preconnects, etc)
+ *     - html: Matched against the whole page source (including inline scripts)
+ *     - headers: Object of response header name to pattern for its value
+ *     - cookies: Matched against the names of cookies the page sets
+ *     - meta: Object of <meta name> to pattern for its content
+ */
+
+export default [
+  // Analytics and tracking
+  {
+    name: 'Google Analytics', group: 'Analytics and Tracking', category: 'Analytics',
+    link: 'https://marketingplatform.google.com/about/analytics/',
+    patterns: { scripts: ['google-analytics\\.com/(?:analytics|ga)\\.js', 'googletagmanager\\.com/gtag/js'], html: ["gtag\\('config',\\s*'(?:G|UA)-"], cookies: ['^_ga$', '^_gid$'] },
+  },
+  {
+    name: 'Google Tag Manager', group: 'Analytics and Tracking', category: 'Tag Manager',
+    link: 'https://tagmanager.google.com/',
+    patterns: { scripts: ['googletagmanager\\.com/gtm\\.js'], html: ['googletagmanager\\.com/ns\\.html\\?id=GTM-'] },
+  },
+  {
+    name: 'Adobe Analytics', group: 'Analytics and Tracking', category: 'Analytics',
+    patterns: { scripts: ['assets\\.adobedtm\\.com', '/s_code\\.js', 'omtrdc\\.net'], cookies: ['^s_vi$', '^AMCV_'] },
+  },
+  {
+    name: 'Matomo', group: 'Analytics and Tracking', category: 'Analytics',
+    link: 'https://matomo.org/',
+    patterns: { scripts: ['/matomo\\.js', '/piwik\\.js', 'cdn\\.matomo\\.cloud'], cookies: ['^_pk_id'] },
+  },
+  {
+    name: 'Plausible', group: 'Analytics and Tracking', category: 'Analytics',
+    link: 'https://plausible.io/',
+    patterns: { scripts: ['plausible\\.io/js/'] },
+  },
+  {
+    name: 'Fathom', group: 'Analytics and Tracking', category: 'Analytics',
+    patterns: { scripts: ['cdn\\.usefathom\\.com'] },
+  },
+  {
+    name: 'Umami', group: 'Analytics and Tracking', category: 'Analytics',
+    patterns: { html: ['data-website-id=[^>]+umami', 'umami\\.is/script\\.js'] },
+  },
+  {
+    name: 'Cloudflare Web Analytics', group: 'Analytics and Tracking', category: 'Analytics',
+    patterns: { scripts: ['static\\.cloudflareinsights\\.com/beacon'] },
+  },
+  {
+    name: 'Mixpanel', group: 'Analytics and Tracking', category: 'Product Analytics',
+    patterns: { scripts: ['cdn\\.mxpnl\\.com', 'cdn\\.mixpanel\\.com'], html: ['mixpanel\\.init\\('] },
+  },
+  {
+    name: 'Amplitude', group: 'Analytics and Tracking', category: 'Product Analytics',
+    patterns: { scripts: ['cdn\\.amplitude\\.com'] },
+  },
+  {
+    name: 'Heap', group: 'Analytics and Tracking', category: 'Product Analytics',
+    patterns: { scripts: ['cdn\\.heapanalytics\\.com'] },
+  },
+  {
+    name: 'Segment', group: 'Analytics and Tracking', category: 'Customer Data Platform',
+    patterns: { scripts: ['cdn\\.segment\\.com/analytics\\.js'], html: ['analytics\\.load\\(["\']'] },
+  },
+  {
+    name: 'Hotjar', group: 'Analytics and Tracking', category: 'Heatmaps and Session Recording',
+    link: 'https://www.hotjar.com/',
+    patterns: { scripts: ['static\\.hotjar\\.com'], html: ['hotjar\\.com/c/hotjar-'], cookies: ['^_hj'] },
+  },
+  {
+    name: 'Microsoft Clarity', group: 'Analytics and Tracking', category: 'Heatmaps and Session Recording',
+    patterns: { scripts: ['clarity\\.ms/tag/'], html: ['clarity\\.ms/tag/'] },
+  },
+  {
+    name: 'FullStory', group: 'Analytics and Tracking', category: 'Heatmaps and Session Recording',
+    patterns: { scripts: ['fullstory\\.com/s/fs\\.js', 'edge\\.fullstory\\.com'] },
+  },
+  {
+    name: 'Meta Pixel', group: 'Analytics and Tracking', category: 'Conversion Tracking',
+    patterns: { scripts: ['connect\\.facebook\\.net/[^/]+/fbevents\\.js'], html: ["fbq\\('init'"] },
+  },
+  {
+    name: 'LinkedIn Insight Tag', group: 'Analytics and Tracking', category: 'Conversion Tracking',
+    patterns: { scripts: ['snap\\.licdn\\.com/li\\.lms-analytics'] },
+  },
+  {
+    name: 'TikTok Pixel', group: 'Analytics and Tracking', category: 'Conversion Tracking',
+    patterns: { scripts: ['analytics\\.tiktok\\.com'] },
+  },
+
+  // Payments
+  {
+    name: 'Stripe', group: 'Payments', category: 'Payment Processor',
+    link: 'https://stripe.com/',
+    patterns: { scripts: ['js\\.stripe\\.com'], cookies: ['^__stripe_mid$'] },
+  },
+  {
+    name: 'PayPal', group: 'Payments', category: 'Payment Processor',
+    patterns: { scripts: ['paypal\\.com/sdk/js', 'paypalobjects\\.com'] },
+  },
+  {
+    name: 'Braintree', group: 'Payments', category: 'Payment Processor',
+    patterns: { scripts: ['js\\.braintreegateway\\.com'] },
+  },
+  {
+    name: 'Adyen', group: 'Payments', category: 'Payment Processor',
+    patterns: { scripts: ['checkoutshopper-[a-z]+\\.adyen\\.com'] },
+  },
+  {
+    name: 'Square', group: 'Payments', category: 'Payment Processor',
+    patterns: { scripts: ['web\\.squarecdn\\.com', 'js\\.squareup\\.com'] },
+  },
+  {
+    name: 'Klarna', group: 'Payments', category: 'Buy Now Pay Later',
+    patterns: { scripts: ['klarnaservices\\.com', 'x\\.klarnacdn\\.net'] },
+  },
+  {
+    name: 'Afterpay', group: 'Payments', category: 'Buy Now Pay Later',
+    patterns: { scripts: ['js\\.afterpay\\.com', 'static\\.afterpay\\.com'] },
+  },
+  {
+    name: 'Apple Pay', group: 'Payments', category: 'Wallet',
+    patterns: { html: ['apple-pay-button', 'ApplePaySession'] },
+  },
+  {
+    name: 'Google Pay', group: 'Payments', category: 'Wallet',
+    patterns: { scripts: ['pay\\.google\\.com/gp/p/js/pay\\.js'] },
+  },
+
+  // CDNs and hosting
+  {
+    name: 'Cloudflare', group: 'CDN and Hosting', category: 'CDN',
+    link: 'https://www.cloudflare.com/',
+    patterns: { headers: { server: '^cloudflare$', 'cf-ray': '.' }, cookies: ['^__cf_bm$', '^__cfduid$'] },
+  },
+  {
+    name: 'Fastly', group: 'CDN and Hosting', category: 'CDN',
+    patterns: { headers: { 'x-served-by': 'cache-', 'fastly-debug-digest': '.', via: 'varnish' } },
+  },
+  {
+    name: 'Akamai', group: 'CDN and Hosting', category: 'CDN',
+    patterns: { headers: { 'x-akamai-transformed': '.', server: 'AkamaiGHost', 'akamai-grn': '.' } },
+  },
+  {
+    name: 'Amazon CloudFront', group: 'CDN and Hosting', category: 'CDN',
+    patterns: { headers: { 'x-amz-cf-id': '.', via: 'cloudfront' } },
+  },
+  {
+    name: 'Vercel', group: 'CDN and Hosting', category: 'Hosting',
+    patterns: { headers: { server: '^Vercel$', 'x-vercel-id': '.' } },
+  },
+  {
+    name: 'Netlify', group: 'CDN and Hosting', category: 'Hosting',
+    patterns: { headers: { server: '^Netlify$', 'x-nf-request-id': '.' } },
+  },
+  {
+    name: 'GitHub Pages', group: 'CDN and Hosting', category: 'Hosting',
+    patterns: { headers: { server: '^GitHub\\.com$' } },
+  },
+  {
+    name: 'jsDelivr', group: 'CDN and Hosting', category: 'Public CDN',
+    patterns: { scripts: ['cdn\\.jsdelivr\\.net'], links: ['cdn\\.jsdelivr\\.net'] },
+  },
+  {
+    name: 'cdnjs', group: 'CDN and Hosting', category: 'Public CDN',
+    patterns: { scripts: ['cdnjs\\.cloudflare\\.com'], links: ['cdnjs\\.cloudflare\\.com'] },
+  },
+  {
+    name: 'unpkg', group: 'CDN and Hosting', category: 'Public CDN',
+    patterns: { scripts: ['unpkg\\.com/'], links: ['unpkg\\.com/'] },
+  },
+  {
+    name: 'Google Fonts', group: 'CDN and Hosting', category: 'Fonts',
+    patterns: { links: ['fonts\\.googleapis\\.com', 'fonts\\.gstatic\\.com'] },
+  },
+  {
+    name: 'Adobe Fonts', group: 'CDN and Hosting', category: 'Fonts',
+    patterns: { links: ['use\\.typekit\\.net'], scripts: ['use\\.typekit\\.net'] },
+  },
+
+  // A/B testing and personalisation
+  {
+    name: 'Optimizely', group: 'A/B Testing', category: 'Experimentation',
+    patterns: { scripts: ['cdn\\.optimizely\\.com'] },
+  },
+  {
+    name: 'VWO', group: 'A/B Testing', category: 'Experimentation',
+    patterns: { scripts: ['dev\\.visualwebsiteoptimizer\\.com'], cookies: ['^_vwo_uuid'] },
+  },
+  {
+    name: 'AB Tasty', group: 'A/B Testing', category: 'Experimentation',
+    patterns: { scripts: ['try\\.abtasty\\.com'] },
+  },
+  {
+    name: 'LaunchDarkly', group: 'A/B Testing', category: 'Feature Flags',
+    patterns: { scripts: ['launchdarkly'], html: ['clientsdk\\.launchdarkly\\.com'] },
+  },
+  {
+    name: 'Google Optimize', group: 'A/B Testing', category: 'Experimentation',
+    patterns: { scripts: ['googleoptimize\\.com/optimize\\.js'] },
+  },
+
+  // Chat and support
+  {
+    name: 'Intercom', group: 'Chat and Support', category: 'Live Chat',
+    link: 'https://www.intercom.com/',
+    patterns: { scripts: ['widget\\.intercom\\.io', 'js\\.intercomcdn\\.com'], cookies: ['^intercom-'] },
+  },
+  {
+    name: 'Zendesk', group: 'Chat and Support', category: 'Live Chat',
+    patterns: { scripts: ['static\\.zdassets\\.com', 'zopim\\.com'] },
+  },
+  {
+    name: 'Drift', group: 'Chat and Support', category: 'Live Chat',
+    patterns: { scripts: ['js\\.driftt\\.com'] },
+  },
+  {
+    name: 'HubSpot Chat', group: 'Chat and Support', category: 'Live Chat',
+    patterns: { scripts: ['js\\.usemessages\\.com'] },
+  },
+  {
+    name: 'LiveChat', group: 'Chat and Support', category: 'Live Chat',
+    patterns: { scripts: ['cdn\\.livechatinc\\.com'] },
+  },
+  {
+    name: 'Tawk.to', group: 'Chat and Support', category: 'Live Chat',
+    patterns: { scripts: ['embed\\.tawk\\.to'], html: ['embed\\.tawk\\.to'] },
+  },
+  {
+    name: 'Crisp', group: 'Chat and Support', category: 'Live Chat',
+    patterns: { scripts: ['client\\.crisp\\.chat'], html: ['client\\.crisp\\.chat'] },
+  },
+  {
+    name: 'Freshchat', group: 'Chat and Support', category: 'Live Chat',
+    patterns: { scripts: ['wchat\\.freshchat\\.com'] },
+  },
+
+  // Advertising
+  {
+    name: 'Google AdSense', group: 'Advertising', category: 'Ad Network',
+    patterns: { scripts: ['pagead2\\.googlesyndication\\.com'] },
+  },
+  {
+    name: 'Google Ad Manager', group: 'Advertising', category: 'Ad Server',
+    patterns: { scripts: ['securepubads\\.g\\.doubleclick\\.net', 'www\\.googletagservices\\.com/tag/js/gpt\\.js'] },
+  },
+  {
+    name: 'Amazon Publisher Services', group: 'Advertising', category: 'Header Bidding',
+    patterns: { scripts: ['c\\.amazon-adsystem\\.com'] },
+  },
+  {
+    name: 'Prebid.js', group: 'Advertising', category: 'Header Bidding',
+    patterns: { scripts: ['prebid[\\w.-]*\\.js'], html: ['pbjs\\.que'] },
+  },
+  {
+    name: 'Taboola', group: 'Advertising', category: 'Content Recommendation',
+    patterns: { scripts: ['cdn\\.taboola\\.com'] },
+  },
+  {
+    name: 'Outbrain', group: 'Advertising', category: 'Content Recommendation',
+    patterns: { scripts: ['widgets\\.outbrain\\.com'] },
+  },
+  {
+    name: 'Criteo', group: 'Advertising', category: 'Retargeting',
+    patterns: { scripts: ['static\\.criteo\\.net'] },
+  },
+
+  // Consent, security and widgets
+  {
+    name: 'OneTrust', group: 'Consent and Security', category: 'Cookie Consent',
+    patterns: { scripts: ['cdn\\.cookielaw\\.org', 'optanon'], cookies: ['^OptanonConsent$'] },
+  },
+  {
+    name: 'Cookiebot', group: 'Consent and Security', category: 'Cookie Consent',
+    patterns: { scripts: ['consent\\.cookiebot\\.com'] },
+  },
+  {
+    name: 'Osano', group: 'Consent and Security', category: 'Cookie Consent',
+    patterns: { scripts: ['cmp\\.osano\\.com'] },
+  },
+  {
+    name: 'reCAPTCHA', group: 'Consent and Security', category: 'CAPTCHA',
+    patterns: { scripts: ['google\\.com/recaptcha/', 'recaptcha\\.net/recaptcha/'] },
+  },
+  {
+    name: 'hCaptcha', group: 'Consent and Security', category: 'CAPTCHA',
+    patterns: { scripts: ['hcaptcha\\.com/1/api\\.js', 'js\\.hcaptcha\\.com'] },
+  },
+  {
+    name: 'Cloudflare Turnstile', group: 'Consent and Security', category: 'CAPTCHA',
+    patterns: { scripts: ['challenges\\.cloudflare\\.com/turnstile'] },
+  },
+  {
+    name: 'Sentry', group: 'Consent and Security', category: 'Error Monitoring',
+    patterns: { scripts: ['browser\\.sentry-cdn\\.com', 'js\\.sentry-cdn\\.com'], html: ['Sentry\\.init\\('] },
+  },
+  {
+    name: 'YouTube Embed', group: 'Widgets', category: 'Video',
+    patterns: { html: ['youtube(?:-nocookie)?\\.com/embed/'] },
+  },
+  {
+    name: 'Vimeo Embed', group: 'Widgets', category: 'Video',
+    patterns: { html: ['player\\.vimeo\\.com/video/'] },
+  },
+  {
+    name: 'Google Maps', group: 'Widgets', category: 'Maps',
+    patterns: { scripts: ['maps\\.googleapis\\.com/maps/api/js'], html: ['google\\.com/maps/embed'] },
+  },
+  {
+    name: 'Mapbox', group: 'Widgets', category: 'Maps',
+    patterns: { scripts: ['api\\.mapbox\\.com/mapbox-gl-js'], links: ['api\\.mapbox\\.com'] },
+  },
+  {
+    name: 'AddThis', group: 'Widgets', category: 'Social Sharing',
+    patterns: { scripts: ['s7\\.addthis\\.com'] },
+  },
+  {
+    name: 'Disqus', group: 'Widgets', category: 'Comments',
+    patterns: { html: ['\\.disqus\\.com/embed\\.js'] },
+  },
+  {
+    name: 'Mailchimp Forms', group: 'Widgets', category: 'Email Signup',
+    patterns: { scripts: ['chimpstatic\\.com'], html: ['list-manage\\.com/subscribe'] },
+  },
+  {
+    name: 'Calendly', group: 'Widgets', category: 'Scheduling',
+    patterns: { scripts: ['assets\\.calendly\\.com'] },
+  },
+];
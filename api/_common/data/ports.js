@@ -0,0 +1,117 @@
+/**
+ * Port Scanner Data
+ * Named presets of ports the ports check can scan, and the service usually
+ * found on each well-known port. The service is only a guess until a banner
+ * or probe response confirms it.
+ */
+
+// The original list the ports check scanned, still the default
+const common = [
+  20, 21, 22, 23, 25, 53, 80, 67, 68, 69,
+  110, 119, 123, 143, 156, 161, 162, 179, 194,
+  389, 443, 587, 993, 995,
+  3000, 3306, 3389, 5060, 5900, 8000, 8080, 8888,
+];
+
+// Nmap's 100 most frequently open TCP ports
+const top100 = [
+  7, 9, 13, 21, 22, 23, 25, 26, 37, 53, 79, 80, 81, 88, 106, 110, 111, 113, 119, 135,
+  139, 143, 144, 179, 199, 389, 427, 443, 444, 445, 465, 513, 514, 515, 543, 544, 548, 554, 587, 631,
+  646, 873, 990, 993, 995, 1025, 1026, 1027, 1028, 1029, 1110, 1433, 1720, 1723, 1755, 1900, 2000, 2001, 2049, 2121,
+  2717, 3000, 3128, 3306, 3389, 3986, 4899, 5000, 5009, 5051, 5060, 5101, 5190, 5357, 5432, 5631, 5666, 5800, 5900, 6000,
+  6001, 6646, 7070, 8000, 8008, 8009, 8080, 8081, 8443, 8888, 9100, 9999, 10000, 32768, 49152, 49153, 49154, 49155, 49156, 49157,
+];
+
+export const PRESETS = {
+  common,
+  'top-100': top100,
+  web: [80, 81, 443, 3000, 5000, 8000, 8008, 8080, 8081, 8443, 8888, 9000, 9443],
+  databases: [1433, 1521, 2483, 3306, 5432, 5984, 6379, 7000, 7001, 8086, 9042, 9200, 9300, 11211, 27017, 27018, 28015],
+  mail: [25, 110, 143, 465, 587, 993, 995, 2525],
+  remote: [22, 23, 3389, 5800, 5900, 5901, 5985, 5986],
+};
+
+// Ports where the service is usually wrapped in TLS from the start
+export const TLS_PORTS = [443, 465, 563, 636, 853, 990, 992, 993, 994, 995, 5986, 8443, 9443];
+
+export const SERVICES = {
+  7: 'echo',
+  20: 'ftp-data',
+  21: 'ftp',
+  22: 'ssh',
+  23: 'telnet',
+  25: 'smtp',
+  53: 'dns',
+  67: 'dhcp',
+  68: 'dhcp',
+  69: 'tftp',
+  79: 'finger',
+  80: 'http',
+  81: 'http',
+  88: 'kerberos',
+  110: 'pop3',
+  111: 'rpcbind',
+  119: 'nntp',
+  123: 'ntp',
+  135: 'msrpc',
+  139: 'netbios-ssn',
+  143: 'imap',
+  161: 'snmp',
+  179: 'bgp',
+  194: 'irc',
+  389: 'ldap',
+  443: 'https',
+  445: 'smb',
+  465: 'smtps',
+  514: 'syslog',
+  548: 'afp',
+  554: 'rtsp',
+  587: 'submission',
+  631: 'ipp',
+  636: 'ldaps',
+  853: 'dns-over-tls',
+  873: 'rsync',
+  990: 'ftps',
+  993: 'imaps',
+  995: 'pop3s',
+  1433: 'mssql',
+  1521: 'oracle',
+  1723: 'pptp',
+  2049: 'nfs',
+  2525: 'smtp',
+  3000: 'http',
+  3128: 'http-proxy',
+  3306: 'mysql',
+  3389: 'rdp',
+  5000: 'http',
+  5060: 'sip',
+  5432: 'postgresql',
+  5800: 'vnc-http',
+  5900: 'vnc',
+  5901: 'vnc',
+  5984: 'couchdb',
+  5985: 'winrm',
+  5986: 'winrm',
+  6379: 'redis',
+  7000: 'cassandra',
+  7001: 'cassandra',
+  8000: 'http',
+  8008: 'http',
+  8080: 'http-proxy',
+  8081: 'http',
+  8086: 'influxdb',
+  8443: 'https',
+  8888: 'http',
+  9000: 'http',
+  9042: 'cassandra',
+  9100: 'jetdirect',
+  9200: 'elasticsearch',
+  9300: 'elasticsearch',
+  9443: 'https',
+  11211: 'memcached',
+  27017: 'mongodb',
+  27018: 'mongodb',
+  28015: 'rethinkdb',
+};
+
+export default { PRESETS, TLS_PORTS, SERVICES };
@@ -0,0 +1,136 @@
+/**
+ * TLS Cipher Suites
+ * The cipher suites the TLS check offers servers, by OpenSSL name, with the
+ * IANA name and what each is made of. Suites this build of Node can't offer
+ * (e.g. RC4, 3DES and export suites, which OpenSSL 3 drops) are skipped when
+ * scanning and listed as untested. PSK and SRP suites are left out, as they
+ * need a shared secret to negotiate.
+ *
+ * Each entry is [openssl, iana, keyExchange, authentication, encryption, bits, mac]
+ *  - keyExchange: ECDHE, DHE, RSA, or anonymous DH / ECDH (ADH, AECDH).
+ *    TLS 1.3 suites don't fix one, so are listed as ECDHE
+ *  - mac: AEAD for GCM, CCM and ChaCha20-Poly1305 suites
+ */
+
+const suites = [
+  // TLS 1.3
+  ['TLS_AES_128_GCM_SHA256', 'TLS_AES_128_GCM_SHA256', 'ECDHE', 'any', 'AES-128-GCM', 128, 'AEAD'],
+  ['TLS_AES_256_GCM_SHA384', 'TLS_AES_256_GCM_SHA384', 'ECDHE', 'any', 'AES-256-GCM', 256, 'AEAD'],
+  ['TLS_CHACHA20_POLY1305_SHA256', 'TLS_CHACHA20_POLY1305_SHA256', 'ECDHE', 'any', 'CHACHA20-POLY1305', 256, 'AEAD'],
+  ['TLS_AES_128_CCM_SHA256', 'TLS_AES_128_CCM_SHA256', 'ECDHE', 'any', 'AES-128-CCM', 128, 'AEAD'],
+  ['TLS_AES_128_CCM_8_SHA256', 'TLS_AES_128_CCM_8_SHA256', 'ECDHE', 'any', 'AES-128-CCM8', 128, 'AEAD'],
+
+  // ECDHE with ECDSA certificates
+  ['ECDHE-ECDSA-AES128-GCM-SHA256', 'TLS_ECDHE_ECDSA_WITH_AES_128_GCM_SHA256', 'ECDHE', 'ECDSA', 'AES-128-GCM', 128, 'AEAD'],
+  ['ECDHE-ECDSA-AES256-GCM-SHA384', 'TLS_ECDHE_ECDSA_WITH_AES_256_GCM_SHA384', 'ECDHE', 'ECDSA', 'AES-256-GCM', 256, 'AEAD'],
+  ['ECDHE-ECDSA-CHACHA20-POLY1305', 'TLS_ECDHE_ECDSA_WITH_CHACHA20_POLY1305_SHA256', 'ECDHE', 'ECDSA', 'CHACHA20-POLY1305', 256, 'AEAD'],
+  ['ECDHE-ECDSA-AES128-CCM', 'TLS_ECDHE_ECDSA_WITH_AES_128_CCM', 'ECDHE', 'ECDSA', 'AES-128-CCM', 128, 'AEAD'],
+  ['ECDHE-ECDSA-AES256-CCM', 'TLS_ECDHE_ECDSA_WITH_AES_256_CCM', 'ECDHE', 'ECDSA', 'AES-256-CCM', 256, 'AEAD'],
+  ['ECDHE-ECDSA-AES128-SHA256', 'TLS_ECDHE_ECDSA_WITH_AES_128_CBC_SHA256', 'ECDHE', 'ECDSA', 'AES-128-CBC', 128, 'SHA256'],
+  ['ECDHE-ECDSA-AES256-SHA384', 'TLS_ECDHE_ECDSA_WITH_AES_256_CBC_SHA384', 'ECDHE', 'ECDSA', 'AES-256-CBC', 256, 'SHA384'],
+  ['ECDHE-ECDSA-AES128-SHA', 'TLS_ECDHE_ECDSA_WITH_AES_128_CBC_SHA', 'ECDHE', 'ECDSA', 'AES-128-CBC', 128, 'SHA1'],
+  ['ECDHE-ECDSA-AES256-SHA', 'TLS_ECDHE_ECDSA_WITH_AES_256_CBC_SHA', 'ECDHE', 'ECDSA', 'AES-256-CBC', 256, 'SHA1'],
+  ['ECDHE-ECDSA-ARIA128-GCM-SHA256', 'TLS_ECDHE_ECDSA_WITH_ARIA_128_GCM_SHA256', 'ECDHE', 'ECDSA', 'ARIA-128-GCM', 128, 'AEAD'],
+  ['ECDHE-ECDSA-ARIA256-GCM-SHA384', 'TLS_ECDHE_ECDSA_WITH_ARIA_256_GCM_SHA384', 'ECDHE', 'ECDSA', 'ARIA-256-GCM', 256, 'AEAD'],
+  ['ECDHE-ECDSA-CAMELLIA128-SHA256', 'TLS_ECDHE_ECDSA_WITH_CAMELLIA_128_CBC_SHA256', 'ECDHE', 'ECDSA', 'CAMELLIA-128-CBC', 128, 'SHA256'],
+  ['ECDHE-ECDSA-CAMELLIA256-SHA384', 'TLS_ECDHE_ECDSA_WITH_CAMELLIA_256_CBC_SHA384', 'ECDHE', 'ECDSA', 'CAMELLIA-256-CBC', 256, 'SHA384'],
+  ['ECDHE-ECDSA-DES-CBC3-SHA', 'TLS_ECDHE_ECDSA_WITH_3DES_EDE_CBC_SHA', 'ECDHE', 'ECDSA', '3DES-CBC', 112, 'SHA1'],
+  ['ECDHE-ECDSA-RC4-SHA', 'TLS_ECDHE_ECDSA_WITH_RC4_128_SHA', 'ECDHE', 'ECDSA', 'RC4', 128, 'SHA1'],
+  ['ECDHE-ECDSA-NULL-SHA', 'TLS_ECDHE_ECDSA_WITH_NULL_SHA', 'ECDHE', 'ECDSA', 'NULL', 0, 'SHA1'],
+
+  // ECDHE with RSA certificates
+  ['ECDHE-RSA-AES128-GCM-SHA256', 'TLS_ECDHE_RSA_WITH_AES_128_GCM_SHA256', 'ECDHE', 'RSA', 'AES-128-GCM', 128, 'AEAD'],
+  ['ECDHE-RSA-AES256-GCM-SHA384', 'TLS_ECDHE_RSA_WITH_AES_256_GCM_SHA384', 'ECDHE', 'RSA', 'AES-256-GCM', 256, 'AEAD'],
+  ['ECDHE-RSA-CHACHA20-POLY1305', 'TLS_ECDHE_RSA_WITH_CHACHA20_POLY1305_SHA256', 'ECDHE', 'RSA', 'CHACHA20-POLY1305', 256, 'AEAD'],
+  ['ECDHE-RSA-AES128-SHA256', 'TLS_ECDHE_RSA_WITH_AES_128_CBC_SHA256', 'ECDHE', 'RSA', 'AES-128-CBC', 128, 'SHA256'],
+  ['ECDHE-RSA-AES256-SHA384', 'TLS_ECDHE_RSA_WITH_AES_256_CBC_SHA384', 'ECDHE', 'RSA', 'AES-256-CBC', 256, 'SHA384'],
+  ['ECDHE-RSA-AES128-SHA', 'TLS_ECDHE_RSA_WITH_AES_128_CBC_SHA', 'ECDHE', 'RSA', 'AES-128-CBC', 128, 'SHA1'],
+  ['ECDHE-RSA-AES256-SHA', 'TLS_ECDHE_RSA_WITH_AES_256_CBC_SHA', 'ECDHE', 'RSA', 'AES-256-CBC', 256, 'SHA1'],
+  ['ECDHE-ARIA128-GCM-SHA256', 'TLS_ECDHE_RSA_WITH_ARIA_128_GCM_SHA256', 'ECDHE', 'RSA', 'ARIA-128-GCM', 128, 'AEAD'],
+  ['ECDHE-ARIA256-GCM-SHA384', 'TLS_ECDHE_RSA_WITH_ARIA_256_GCM_SHA384', 'ECDHE', 'RSA', 'ARIA-256-GCM', 256, 'AEAD'],
+  ['ECDHE-RSA-CAMELLIA128-SHA256', 'TLS_ECDHE_RSA_WITH_CAMELLIA_128_CBC_SHA256', 'ECDHE', 'RSA', 'CAMELLIA-128-CBC', 128, 'SHA256'],
+  ['ECDHE-RSA-CAMELLIA256-SHA384', 'TLS_ECDHE_RSA_WITH_CAMELLIA_256_CBC_SHA384', 'ECDHE', 'RSA', 'CAMELLIA-256-CBC', 256, 'SHA384'],
+  ['ECDHE-RSA-DES-CBC3-SHA', 'TLS_ECDHE_RSA_WITH_3DES_EDE_CBC_SHA', 'ECDHE', 'RSA', '3DES-CBC', 112, 'SHA1'],
+  ['ECDHE-RSA-RC4-SHA', 'TLS_ECDHE_RSA_WITH_RC4_128_SHA', 'ECDHE', 'RSA', 'RC4', 128, 'SHA1'],
+  ['ECDHE-RSA-NULL-SHA', 'TLS_ECDHE_RSA_WITH_NULL_SHA', 'ECDHE', 'RSA', 'NULL', 0, 'SHA1'],
+
+  // Finite field DHE
+  ['DHE-RSA-AES128-GCM-SHA256', 'TLS_DHE_RSA_WITH_AES_128_GCM_SHA256', 'DHE', 'RSA', 'AES-128-GCM', 128, 'AEAD'],
+  ['DHE-RSA-AES256-GCM-SHA384', 'TLS_DHE_RSA_WITH_AES_256_GCM_SHA384', 'DHE', 'RSA', 'AES-256-GCM', 256, 'AEAD'],
+  ['DHE-RSA-CHACHA20-POLY1305', 'TLS_DHE_RSA_WITH_CHACHA20_POLY1305_SHA256', 'DHE', 'RSA', 'CHACHA20-POLY1305', 256, 'AEAD'],
+  ['DHE-RSA-AES128-CCM', 'TLS_DHE_RSA_WITH_AES_128_CCM', 'DHE', 'RSA', 'AES-128-CCM', 128, 'AEAD'],
+  ['DHE-RSA-AES256-CCM', 'TLS_DHE_RSA_WITH_AES_256_CCM', 'DHE', 'RSA', 'AES-256-CCM', 256, 'AEAD'],
+  ['DHE-RSA-AES128-SHA256', 'TLS_DHE_RSA_WITH_AES_128_CBC_SHA256', 'DHE', 'RSA', 'AES-128-CBC', 128, 'SHA256'],
+  ['DHE-RSA-AES256-SHA256', 'TLS_DHE_RSA_WITH_AES_256_CBC_SHA256', 'DHE', 'RSA', 'AES-256-CBC', 256, 'SHA256'],
+  ['DHE-RSA-AES128-SHA', 'TLS_DHE_RSA_WITH_AES_128_CBC_SHA', 'DHE', 'RSA', 'AES-128-CBC', 128, 'SHA1'],
+  ['DHE-RSA-AES256-SHA', 'TLS_DHE_RSA_WITH_AES_256_CBC_SHA', 'DHE', 'RSA', 'AES-256-CBC', 256, 'SHA1'],
+  ['DHE-RSA-ARIA128-GCM-SHA256', 'TLS_DHE_RSA_WITH_ARIA_128_GCM_SHA256', 'DHE', 'RSA', 'ARIA-128-GCM', 128, 'AEAD'],
+  ['DHE-RSA-ARIA256-GCM-SHA384', 'TLS_DHE_RSA_WITH_ARIA_256_GCM_SHA384', 'DHE', 'RSA', 'ARIA-256-GCM', 256, 'AEAD'],
+  ['DHE-RSA-CAMELLIA128-SHA256', 'TLS_DHE_RSA_WITH_CAMELLIA_128_CBC_SHA256', 'DHE', 'RSA', 'CAMELLIA-128-CBC', 128, 'SHA256'],
+  ['DHE-RSA-CAMELLIA256-SHA256', 'TLS_DHE_RSA_WITH_CAMELLIA_256_CBC_SHA256', 'DHE', 'RSA', 'CAMELLIA-256-CBC', 256, 'SHA256'],
+  ['DHE-RSA-CAMELLIA128-SHA', 'TLS_DHE_RSA_WITH_CAMELLIA_128_CBC_SHA', 'DHE', 'RSA', 'CAMELLIA-128-CBC', 128, 'SHA1'],
+  ['DHE-RSA-CAMELLIA256-SHA', 'TLS_DHE_RSA_WITH_CAMELLIA_256_CBC_SHA', 'DHE', 'RSA', 'CAMELLIA-256-CBC', 256, 'SHA1'],
+  ['DHE-RSA-SEED-SHA', 'TLS_DHE_RSA_WITH_SEED_CBC_SHA', 'DHE', 'RSA', 'SEED-CBC', 128, 'SHA1'],
+  ['DHE-DSS-AES128-GCM-SHA256', 'TLS_DHE_DSS_WITH_AES_128_GCM_SHA256', 'DHE', 'DSS', 'AES-128-GCM', 128, 'AEAD'],
+  ['DHE-DSS-AES256-GCM-SHA384', 'TLS_DHE_DSS_WITH_AES_256_GCM_SHA384', 'DHE', 'DSS', 'AES-256-GCM', 256, 'AEAD'],
+  ['DHE-DSS-AES128-SHA256', 'TLS_DHE_DSS_WITH_AES_128_CBC_SHA256', 'DHE', 'DSS', 'AES-128-CBC', 128, 'SHA256'],
+  ['DHE-DSS-AES256-SHA256', 'TLS_DHE_DSS_WITH_AES_256_CBC_SHA256', 'DHE', 'DSS', 'AES-256-CBC', 256, 'SHA256'],
+  ['DHE-DSS-AES128-SHA', 'TLS_DHE_DSS_WITH_AES_128_CBC_SHA', 'DHE', 'DSS', 'AES-128-CBC', 128, 'SHA1'],
+  ['DHE-DSS-AES256-SHA', 'TLS_DHE_DSS_WITH_AES_256_CBC_SHA', 'DHE', 'DSS', 'AES-256-CBC', 256, 'SHA1'],
+  ['EDH-RSA-DES-CBC3-SHA', 'TLS_DHE_RSA_WITH_3DES_EDE_CBC_SHA', 'DHE', 'RSA', '3DES-CBC', 112, 'SHA1'],
+  ['EDH-DSS-DES-CBC3-SHA', 'TLS_DHE_DSS_WITH_3DES_EDE_CBC_SHA', 'DHE', 'DSS', '3DES-CBC', 112, 'SHA1'],
+  ['EDH-RSA-DES-CBC-SHA', 'TLS_DHE_RSA_WITH_DES_CBC_SHA', 'DHE', 'RSA', 'DES-CBC', 56, 'SHA1'],
+  ['EXP-EDH-RSA-DES-CBC-SHA', 'TLS_DHE_RSA_EXPORT_WITH_DES40_CBC_SHA', 'DHE', 'RSA', 'DES40-CBC', 40, 'SHA1'],
+
+  // Static RSA key exchange, no forward secrecy
+  ['AES128-GCM-SHA256', 'TLS_RSA_WITH_AES_128_GCM_SHA256', 'RSA', 'RSA', 'AES-128-GCM', 128, 'AEAD'],
+  ['AES256-GCM-SHA384', 'TLS_RSA_WITH_AES_256_GCM_SHA384', 'RSA', 'RSA', 'AES-256-GCM', 256, 'AEAD'],
+  ['AES128-CCM', 'TLS_RSA_WITH_AES_128_CCM', 'RSA', 'RSA', 'AES-128-CCM', 128, 'AEAD'],
+  ['AES256-CCM', 'TLS_RSA_WITH_AES_256_CCM', 'RSA', 'RSA', 'AES-256-CCM', 256, 'AEAD'],
+  ['AES128-SHA256', 'TLS_RSA_WITH_AES_128_CBC_SHA256', 'RSA', 'RSA', 'AES-128-CBC', 128, 'SHA256'],
+  ['AES256-SHA256', 'TLS_RSA_WITH_AES_256_CBC_SHA256', 'RSA', 'RSA', 'AES-256-CBC', 256, 'SHA256'],
+  ['AES128-SHA', 'TLS_RSA_WITH_AES_128_CBC_SHA', 'RSA', 'RSA', 'AES-128-CBC', 128, 'SHA1'],
+  ['AES256-SHA', 'TLS_RSA_WITH_AES_256_CBC_SHA', 'RSA', 'RSA', 'AES-256-CBC', 256, 'SHA1'],
+  ['ARIA128-GCM-SHA256', 'TLS_RSA_WITH_ARIA_128_GCM_SHA256', 'RSA', 'RSA', 'ARIA-128-GCM', 128, 'AEAD'],
+  ['ARIA256-GCM-SHA384', 'TLS_RSA_WITH_ARIA_256_GCM_SHA384', 'RSA', 'RSA', 'ARIA-256-GCM', 256, 'AEAD'],
+  ['CAMELLIA128-SHA256', 'TLS_RSA_WITH_CAMELLIA_128_CBC_SHA256', 'RSA', 'RSA', 'CAMELLIA-128-CBC', 128, 'SHA256'],
+  ['CAMELLIA256-SHA256', 'TLS_RSA_WITH_CAMELLIA_256_CBC_SHA256', 'RSA', 'RSA', 'CAMELLIA-256-CBC', 256, 'SHA256'],
+  ['CAMELLIA128-SHA', 'TLS_RSA_WITH_CAMELLIA_128_CBC_SHA', 'RSA', 'RSA', 'CAMELLIA-128-CBC', 128, 'SHA1'],
+  ['CAMELLIA256-SHA', 'TLS_RSA_WITH_CAMELLIA_256_CBC_SHA', 'RSA', 'RSA', 'CAMELLIA-256-CBC', 256, 'SHA1'],
+  ['SEED-SHA', 'TLS_RSA_WITH_SEED_CBC_SHA', 'RSA', 'RSA', 'SEED-CBC', 128, 'SHA1'],
+  ['IDEA-CBC-SHA', 'TLS_RSA_WITH_IDEA_CBC_SHA', 'RSA', 'RSA', 'IDEA-CBC', 128, 'SHA1'],
+  ['DES-CBC3-SHA', 'TLS_RSA_WITH_3DES_EDE_CBC_SHA', 'RSA', 'RSA', '3DES-CBC', 112, 'SHA1'],
+  ['DES-CBC-SHA', 'TLS_RSA_WITH_DES_CBC_SHA', 'RSA', 'RSA', 'DES-CBC', 56, 'SHA1'],
+  ['RC4-SHA', 'TLS_RSA_WITH_RC4_128_SHA', 'RSA', 'RSA', 'RC4', 128, 'SHA1'],
+  ['RC4-MD5', 'TLS_RSA_WITH_RC4_128_MD5', 'RSA', 'RSA', 'RC4', 128, 'MD5'],
+  ['EXP-DES-CBC-SHA', 'TLS_RSA_EXPORT_WITH_DES40_CBC_SHA', 'RSA', 'RSA', 'DES40-CBC', 40, 'SHA1'],
+  ['EXP-RC4-MD5', 'TLS_RSA_EXPORT_WITH_RC4_40_MD5', 'RSA', 'RSA', 'RC4-40', 40, 'MD5'],
+  ['NULL-SHA256', 'TLS_RSA_WITH_NULL_SHA256', 'RSA', 'RSA', 'NULL', 0, 'SHA256'],
+  ['NULL-SHA', 'TLS_RSA_WITH_NULL_SHA', 'RSA', 'RSA', 'NULL', 0, 'SHA1'],
+  ['NULL-MD5', 'TLS_RSA_WITH_NULL_MD5', 'RSA', 'RSA', 'NULL', 0, 'MD5'],
+
+  // Anonymous, with no authentication at all
+  ['ADH-AES128-GCM-SHA256', 'TLS_DH_anon_WITH_AES_128_GCM_SHA256', 'ADH', 'none', 'AES-128-GCM', 128, 'AEAD'],
+  ['ADH-AES256-GCM-SHA384', 'TLS_DH_anon_WITH_AES_256_GCM_SHA384', 'ADH', 'none', 'AES-256-GCM', 256, 'AEAD'],
+  ['ADH-AES128-SHA256', 'TLS_DH_anon_WITH_AES_128_CBC_SHA256', 'ADH', 'none', 'AES-128-CBC', 128, 'SHA256'],
+  ['ADH-AES256-SHA256', 'TLS_DH_anon_WITH_AES_256_CBC_SHA256', 'ADH', 'none', 'AES-256-CBC', 256, 'SHA256'],
+  ['ADH-AES128-SHA', 'TLS_DH_anon_WITH_AES_128_CBC_SHA', 'ADH', 'none', 'AES-128-CBC', 128, 'SHA1'],
+  ['ADH-AES256-SHA', 'TLS_DH_anon_WITH_AES_256_CBC_SHA', 'ADH', 'none', 'AES-256-CBC', 256, 'SHA1'],
+  ['ADH-DES-CBC3-SHA', 'TLS_DH_anon_WITH_3DES_EDE_CBC_SHA', 'ADH', 'none', '3DES-CBC', 112, 'SHA1'],
+  ['ADH-RC4-MD5', 'TLS_DH_anon_WITH_RC4_128_MD5', 'ADH', 'none', 'RC4', 128, 'MD5'],
+  ['AECDH-AES128-SHA', 'TLS_ECDH_anon_WITH_AES_128_CBC_SHA', 'AECDH', 'none', 'AES-128-CBC', 128, 'SHA1'],
+  ['AECDH-AES256-SHA', 'TLS_ECDH_anon_WITH_AES_256_CBC_SHA', 'AECDH', 'none', 'AES-256-CBC', 256, 'SHA1'],
+  ['AECDH-DES-CBC3-SHA', 'TLS_ECDH_anon_WITH_3DES_EDE_CBC_SHA', 'AECDH', 'none', '3DES-CBC', 112, 'SHA1'],
+  ['AECDH-NULL-SHA', 'TLS_ECDH_anon_WITH_NULL_SHA', 'AECDH', 'none', 'NULL', 0, 'SHA1'],
+];
+
+export default suites.map(([openssl, iana, keyExchange, authentication, encryption, bits, mac]) => ({
+  openssl,
+  iana,
+  keyExchange,
+  authentication,
+  encryption,
+  bits,
+  mac,
+  tls13: openssl.startsWith('TLS_'),
+}));
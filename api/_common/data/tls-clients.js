@@ -0,0 +1,182 @@
+/**
+ * TLS Client Profiles
+ * Well-known clients the TLS check simulates a handshake for, to show which
+ * would be able to connect, and what they'd negotiate. Each is replayed with
+ * Node's TLS stack, so only the protocol range, cipher suite order and groups
+ * are copied, not the full ClientHello (extensions, signature algorithms etc).
+ * Suites this build of Node can't offer are dropped from a profile.
+ *
+ * Each profile has:
+ *  - name, version, platform: Shown on the card
+ *  - minVersion, maxVersion: Protocol range, as Node names it (TLSv1 to TLSv1.3)
+ *  - ciphers: OpenSSL suite names, in the client's order of preference
+ *  - groups: Key exchange groups offered, in order
+ */
+
+const MODERN_TLS13 = ['TLS_AES_128_GCM_SHA256', 'TLS_AES_256_GCM_SHA384', 'TLS_CHACHA20_POLY1305_SHA256'];
+
+export default [
+  {
+    name: 'Chrome',
+    version: '120',
+    platform: 'Windows 10',
+    minVersion: 'TLSv1.2',
+    maxVersion: 'TLSv1.3',
+    ciphers: [
+      ...MODERN_TLS13,
+      'ECDHE-ECDSA-AES128-GCM-SHA256', 'ECDHE-RSA-AES128-GCM-SHA256', 'ECDHE-ECDSA-AES256-GCM-SHA384',
+      'ECDHE-RSA-AES256-GCM-SHA384', 'ECDHE-ECDSA-CHACHA20-POLY1305', 'ECDHE-RSA-CHACHA20-POLY1305',
+      'ECDHE-RSA-AES128-SHA', 'ECDHE-RSA-AES256-SHA', 'AES128-GCM-SHA256', 'AES256-GCM-SHA384',
+      'AES128-SHA', 'AES256-SHA',
+    ],
+    groups: ['X25519', 'P-256', 'P-384'],
+  },
+  {
+    name: 'Firefox',
+    version: '121',
+    platform: 'Windows 10',
+    minVersion: 'TLSv1.2',
+    maxVersion: 'TLSv1.3',
+    ciphers: [
+      'TLS_AES_128_GCM_SHA256', 'TLS_CHACHA20_POLY1305_SHA256', 'TLS_AES_256_GCM_SHA384',
+      'ECDHE-ECDSA-AES128-GCM-SHA256', 'ECDHE-RSA-AES128-GCM-SHA256', 'ECDHE-ECDSA-CHACHA20-POLY1305',
+      'ECDHE-RSA-CHACHA20-POLY1305', 'ECDHE-ECDSA-AES256-GCM-SHA384', 'ECDHE-RSA-AES256-GCM-SHA384',
+      'ECDHE-ECDSA-AES256-SHA', 'ECDHE-ECDSA-AES128-SHA', 'ECDHE-RSA-AES128-SHA', 'ECDHE-RSA-AES256-SHA',
+      'AES128-GCM-SHA256', 'AES256-GCM-SHA384', 'AES128-SHA', 'AES256-SHA',
+    ],
+    groups: ['X25519', 'P-256', 'P-384', 'P-521', 'ffdhe2048', 'ffdhe3072'],
+  },
+  {
+    name: 'Safari',
+    version: '17',
+    platform: 'macOS 14',
+    minVersion: 'TLSv1.2',
+    maxVersion: 'TLSv1.3',
+    ciphers: [
+      ...MODERN_TLS13,
+      'ECDHE-ECDSA-AES256-GCM-SHA384', 'ECDHE-ECDSA-AES128-GCM-SHA256', 'ECDHE-ECDSA-CHACHA20-POLY1305',
+      'ECDHE-RSA-AES256-GCM-SHA384', 'ECDHE-RSA-AES128-GCM-SHA256', 'ECDHE-RSA-CHACHA20-POLY1305',
+      'ECDHE-ECDSA-AES256-SHA', 'ECDHE-ECDSA-AES128-SHA', 'ECDHE-RSA-AES256-SHA', 'ECDHE-RSA-AES128-SHA',
+      'AES256-GCM-SHA384', 'AES128-GCM-SHA256', 'AES256-SHA', 'AES128-SHA',
+    ],
+    groups: ['X25519', 'P-256', 'P-384', 'P-521'],
+  },
+  {
+    name: 'Android',
+    version: '7.0',
+    platform: 'Nougat',
+    minVersion: 'TLSv1',
+    maxVersion: 'TLSv1.2',
+    ciphers: [
+      'ECDHE-ECDSA-CHACHA20-POLY1305', 'ECDHE-RSA-CHACHA20-POLY1305', 'ECDHE-ECDSA-AES128-GCM-SHA256',
+      'ECDHE-RSA-AES128-GCM-SHA256', 'ECDHE-ECDSA-AES256-GCM-SHA384', 'ECDHE-RSA-AES256-GCM-SHA384',
+      'ECDHE-ECDSA-AES128-SHA', 'ECDHE-RSA-AES128-SHA', 'ECDHE-ECDSA-AES256-SHA', 'ECDHE-RSA-AES256-SHA',
+      'AES128-GCM-SHA256', 'AES256-GCM-SHA384', 'AES128-SHA', 'AES256-SHA',
+    ],
+    groups: ['X25519', 'P-256', 'P-384'],
+  },
+  {
+    name: 'Android',
+    version: '4.4.2',
+    platform: 'KitKat',
+    minVersion: 'TLSv1',
+    maxVersion: 'TLSv1.2',
+    ciphers: [
+      'ECDHE-ECDSA-AES128-GCM-SHA256', 'ECDHE-RSA-AES128-GCM-SHA256', 'DHE-RSA-AES128-GCM-SHA256',
+      'ECDHE-ECDSA-AES256-SHA', 'ECDHE-RSA-AES256-SHA', 'ECDHE-ECDSA-AES128-SHA', 'ECDHE-RSA-AES128-SHA',
+      'DHE-RSA-AES128-SHA', 'DHE-RSA-AES256-SHA', 'AES128-GCM-SHA256', 'AES128-SHA', 'AES256-SHA',
+      'ECDHE-ECDSA-RC4-SHA', 'ECDHE-RSA-RC4-SHA', 'RC4-SHA', 'DES-CBC3-SHA',
+    ],
+    groups: ['P-256', 'P-384', 'P-521'],
+  },
+  {
+    name: 'Internet Explorer',
+    version: '11',
+    platform: 'Windows 7',
+    minVersion: 'TLSv1',
+    maxVersion: 'TLSv1.2',
+    ciphers: [
+      'ECDHE-RSA-AES256-SHA384', 'ECDHE-RSA-AES128-SHA256', 'ECDHE-RSA-AES256-SHA', 'ECDHE-RSA-AES128-SHA',
+      'DHE-RSA-AES256-GCM-SHA384', 'DHE-RSA-AES128-GCM-SHA256', 'DHE-RSA-AES256-SHA', 'DHE-RSA-AES128-SHA',
+      'AES256-GCM-SHA384', 'AES128-GCM-SHA256', 'AES256-SHA256', 'AES128-SHA256', 'AES256-SHA', 'AES128-SHA',
+      'ECDHE-ECDSA-AES256-GCM-SHA384', 'ECDHE-ECDSA-AES128-GCM-SHA256', 'ECDHE-ECDSA-AES256-SHA384',
+      'ECDHE-ECDSA-AES128-SHA256', 'ECDHE-ECDSA-AES256-SHA', 'ECDHE-ECDSA-AES128-SHA', 'DES-CBC3-SHA',
+    ],
+    groups: ['P-256', 'P-384'],
+  },
+  {
+    name: 'Internet Explorer',
+    version: '8',
+    platform: 'Windows XP',
+    minVersion: 'TLSv1',
+    maxVersion: 'TLSv1',
+    ciphers: ['RC4-MD5', 'RC4-SHA', 'DES-CBC3-SHA', 'DES-CBC-SHA', 'EXP-RC4-MD5'],
+    groups: [],
+  },
+  {
+    name: 'Java',
+    version: '8u161',
+    platform: 'JDK',
+    minVersion: 'TLSv1',
+    maxVersion: 'TLSv1.2',
+    ciphers: [
+      'ECDHE-ECDSA-AES256-SHA384', 'ECDHE-RSA-AES256-SHA384', 'AES256-SHA256', 'DHE-RSA-AES256-SHA256',
+      'DHE-DSS-AES256-SHA256', 'ECDHE-ECDSA-AES256-SHA', 'ECDHE-RSA-AES256-SHA', 'AES256-SHA',
+      'DHE-RSA-AES256-SHA', 'DHE-DSS-AES256-SHA', 'ECDHE-ECDSA-AES128-SHA256', 'ECDHE-RSA-AES128-SHA256',
+      'AES128-SHA256', 'DHE-RSA-AES128-SHA256', 'DHE-DSS-AES128-SHA256', 'ECDHE-ECDSA-AES128-SHA',
+      'ECDHE-RSA-AES128-SHA', 'AES128-SHA', 'DHE-RSA-AES128-SHA', 'DHE-DSS-AES128-SHA',
+      'ECDHE-ECDSA-AES256-GCM-SHA384', 'ECDHE-ECDSA-AES128-GCM-SHA256', 'ECDHE-RSA-AES256-GCM-SHA384',
+      'ECDHE-RSA-AES128-GCM-SHA256', 'AES256-GCM-SHA384', 'AES128-GCM-SHA256',
+    ],
+    groups: ['P-256', 'P-384', 'P-521'],
+  },
+  {
+    name: 'Java',
+    version: '17',
+    platform: 'JDK',
+    minVersion: 'TLSv1.2',
+    maxVersion: 'TLSv1.3',
+    ciphers: [
+      'TLS_AES_256_GCM_SHA384', 'TLS_AES_128_GCM_SHA256', 'TLS_CHACHA20_POLY1305_SHA256',
+      'ECDHE-ECDSA-AES256-GCM-SHA384', 'ECDHE-ECDSA-AES128-GCM-SHA256', 'ECDHE-ECDSA-CHACHA20-POLY1305',
+      'ECDHE-RSA-AES256-GCM-SHA384', 'ECDHE-RSA-CHACHA20-POLY1305', 'ECDHE-RSA-AES128-GCM-SHA256',
+      'DHE-RSA-AES256-GCM-SHA384', 'DHE-RSA-CHACHA20-POLY1305', 'DHE-RSA-AES128-GCM-SHA256',
+      'ECDHE-ECDSA-AES256-SHA384', 'ECDHE-RSA-AES256-SHA384', 'ECDHE-ECDSA-AES128-SHA256',
+      'ECDHE-RSA-AES128-SHA256', 'AES256-GCM-SHA384', 'AES128-GCM-SHA256', 'AES256-SHA256', 'AES128-SHA256',
+    ],
+    groups: ['X25519', 'P-256', 'P-384', 'P-521', 'X448', 'ffdhe2048', 'ffdhe3072'],
+  },
+  {
+    name: 'OpenSSL',
+    version: '1.0.2',
+    platform: 'Linux',
+    minVersion: 'TLSv1',
+    maxVersion: 'TLSv1.2',
+    ciphers: [
+      'ECDHE-RSA-AES256-GCM-SHA384', 'ECDHE-ECDSA-AES256-GCM-SHA384', 'ECDHE-RSA-AES256-SHA384',
+      'ECDHE-ECDSA-AES256-SHA384', 'ECDHE-RSA-AES256-SHA', 'ECDHE-ECDSA-AES256-SHA', 'DHE-RSA-AES256-GCM-SHA384',
+      'DHE-RSA-AES256-SHA256', 'DHE-RSA-AES256-SHA', 'AES256-GCM-SHA384', 'AES256-SHA256', 'AES256-SHA',
+      'ECDHE-RSA-AES128-GCM-SHA256', 'ECDHE-ECDSA-AES128-GCM-SHA256', 'ECDHE-RSA-AES128-SHA256',
+      'ECDHE-ECDSA-AES128-SHA256', 'ECDHE-RSA-AES128-SHA', 'ECDHE-ECDSA-AES128-SHA', 'DHE-RSA-AES128-GCM-SHA256',
+      'DHE-RSA-AES128-SHA256', 'DHE-RSA-AES128-SHA', 'AES128-GCM-SHA256', 'AES128-SHA256', 'AES128-SHA',
+      'DES-CBC3-SHA',
+    ],
+    groups: ['P-256', 'P-521', 'P-384'],
+  },
+  {
+    name: 'curl',
+    version: '8',
+    platform: 'OpenSSL 3',
+    minVersion: 'TLSv1.2',
+    maxVersion: 'TLSv1.3',
+    ciphers: [
+      ...MODERN_TLS13,
+      'ECDHE-ECDSA-AES256-GCM-SHA384', 'ECDHE-RSA-AES256-GCM-SHA384', 'DHE-RSA-AES256-GCM-SHA384',
+      'ECDHE-ECDSA-CHACHA20-POLY1305', 'ECDHE-RSA-CHACHA20-POLY1305', 'DHE-RSA-CHACHA20-POLY1305',
+      'ECDHE-ECDSA-AES128-GCM-SHA256', 'ECDHE-RSA-AES128-GCM-SHA256', 'DHE-RSA-AES128-GCM-SHA256',
+      'ECDHE-ECDSA-AES256-SHA384', 'ECDHE-RSA-AES256-SHA384', 'ECDHE-ECDSA-AES128-SHA256',
+      'ECDHE-RSA-AES128-SHA256', 'AES256-GCM-SHA384', 'AES128-GCM-SHA256', 'AES256-SHA256', 'AES128-SHA256',
+    ],
+    groups: ['X25519', 'P-256', 'X448', 'P-521', 'P-384'],
+  },
+];
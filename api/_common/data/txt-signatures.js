@@ -0,0 +1,72 @@
+/**
+ * TXT Record Signatures
+ * Known TXT records, and the service each one points to. Used by the
+ * txt-records check to work out what a domain's TXT records reveal.
+ *
+ * To add a service, add an entry with:
+ *  - name: Short label, shown on the card
+ *  - provider: Company or product the record belongs to
+ *  - category: 'verification' (proves domain ownership to a service),
+ *    or 'service' (configures a service, without verifying anything)
+ *  - pattern: Regex matched against the whole record (case-insensitive).
+ *    A capture group, if present, is returned as the token
+ */
+
+const signatures = [
+  // Search engines and analytics
+  { name: 'Google', provider: 'Google', category: 'verification', pattern: /^google-site-verification=(.+)$/ },
+  { name: 'Bing', provider: 'Microsoft', category: 'verification', pattern: /^msvalidate\.01=(.+)$/ },
+  { name: 'Yandex', provider: 'Yandex', category: 'verification', pattern: /^yandex-verification[:=]\s*(.+)$/ },
+  { name: 'Baidu', provider: 'Baidu', category: 'verification', pattern: /^baidu-site-verification=(.+)$/ },
+  { name: 'Naver', provider: 'Naver', category: 'verification', pattern: /^naver-site-verification=(.+)$/ },
+
+  // Productivity and identity
+  { name: 'Microsoft 365', provider: 'Microsoft', category: 'verification', pattern: /^MS=(.+)$/ },
+  { name: 'Atlassian', provider: 'Atlassian', category: 'verification', pattern: /^atlassian-domain-verification=(.+)$/ },
+  { name: 'Adobe', provider: 'Adobe', category: 'verification', pattern: /^adobe-(?:idp-site|sign)-verification=(.+)$/ },
+  { name: 'Apple', provider: 'Apple', category: 'verification', pattern: /^apple-domain-verification=(.+)$/ },
+  { name: 'Zoom', provider: 'Zoom', category: 'verification', pattern: /^ZOOM_verify_(.+)$/ },
+  { name: 'Slack', provider: 'Slack', category: 'verification', pattern: /^slack-domain-verification=(.+)$/ },
+  { name: 'Dropbox', provider: 'Dropbox', category: 'verification', pattern: /^dropbox-domain-verification=(.+)$/ },
+  { name: 'Box', provider: 'Box', category: 'verification', pattern: /^box-domain-verification=(.+)$/ },
+  { name: 'DocuSign', provider: 'DocuSign', category: 'verification', pattern: /^docusign=(.+)$/ },
+  { name: 'Okta', provider: 'Okta', category: 'verification', pattern: /^okta-domain-verification=(.+)$/ },
+  { name: 'Cisco Webex', provider: 'Cisco', category: 'verification', pattern: /^cisco-ci-domain-verification=(.+)$/ },
+  { name: 'Zoho', provider: 'Zoho', category: 'verification', pattern: /^zoho-verification=(.+)$/ },
+  { name: 'Notion', provider: 'Notion', category: 'verification', pattern: /^notion-domain-verification=(.+)$/ },
+  { name: 'Miro', provider: 'Miro', category: 'verification', pattern: /^miro-verification=(.+)$/ },
+  { name: 'Canva', provider: 'Canva', category: 'verification', pattern: /^canva-site-verification=(.+)$/ },
+  { name: 'Asana', provider: 'Asana', category: 'verification', pattern: /^asana-verification=(.+)$/ },
+  { name: 'LastPass', provider: 'LastPass', category: 'verification', pattern: /^lastpass-verification-code=(.+)$/ },
+  { name: '1Password', provider: '1Password', category: 'verification', pattern: /^1password-site-verification=(.+)$/ },
+
+  // Social and marketing
+  { name: 'Facebook', provider: 'Meta', category: 'verification', pattern: /^facebook-domain-verification=(.+)$/ },
+  { name: 'Pinterest', provider: 'Pinterest', category: 'verification', pattern: /^pinterest-site-verification=(.+)$/ },
+  { name: 'TikTok', provider: 'TikTok', category: 'verification', pattern: /^tiktok-developers-site-verification=(.+)$/ },
+  { name: 'HubSpot', provider: 'HubSpot', category: 'verification', pattern: /^hubspot-developer-verification=(.+)$/ },
+  { name: 'Mailchimp', provider: 'Intuit', category: 'verification', pattern: /^mailchimp-domain-verification=(.+)$/ },
+  { name: 'Mailru', provider: 'VK', category: 'verification', pattern: /^mailru-verification:\s*(.+)$/ },
+
+  // Developer and infrastructure
+  { name: 'Stripe', provider: 'Stripe', category: 'verification', pattern: /^stripe-verification=(.+)$/ },
+  { name: 'Amazon SES', provider: 'Amazon', category: 'verification', pattern: /^amazonses:(.+)$/ },
+  { name: 'Cloudflare', provider: 'Cloudflare', category: 'verification', pattern: /^cloudflare-verify[\w-]*=(.+)$/ },
+  { name: 'Fastly', provider: 'Fastly', category: 'verification', pattern: /^fastly-domain-delegation-(.+)$/ },
+  { name: 'GlobalSign', provider: 'GlobalSign', category: 'verification', pattern: /^(?:_)?globalsign-domain-verification=(.+)$/ },
+  { name: 'DigiCert', provider: 'DigiCert', category: 'verification', pattern: /^_?digicert-domain-verification=(.+)$/ },
+  { name: 'Sectigo', provider: 'Sectigo', category: 'verification', pattern: /^sectigo-domain-verification=(.+)$/ },
+  { name: 'Have I Been Pwned', provider: 'Have I Been Pwned', category: 'verification', pattern: /^have-i-been-pwned-verification=(.+)$/ },
+  { name: 'Keybase', provider: 'Keybase', category: 'verification', pattern: /^keybase-site-verification=(.+)$/ },
+  { name: 'Brave', provider: 'Brave', category: 'verification', pattern: /^brave-ledger-verification=(.+)$/ },
+  { name: 'Webex', provider: 'Cisco', category: 'verification', pattern: /^webexdomainverification\.\w+=(.+)$/ },
+
+  // Records which configure something, rather than verify ownership
+  { name: 'Mailru Postmaster', provider: 'VK', category: 'service', pattern: /^mailru-domain:\s*(.+)$/ },
+  { name: 'Keyoxide Proof', provider: 'Keyoxide', category: 'service', pattern: /^(?:openpgp4fpr|aspe):(.+)$/ },
+];
+
+export default signatures.map((signature) => ({
+  ...signature,
+  pattern: new RegExp(signature.pattern.source, 'i'),
+}));
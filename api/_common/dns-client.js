@@ -0,0 +1,526 @@
+/**
+ * Raw DNS Client
+ * A minimal DNS wire-format client, for lookups Node's dns module can't do
+ * (DNSSEC records, header flags, choosing the resolver and transport per query).
+ * Speaks plain DNS over UDP and TCP, DNS-over-TLS and DNS-over-HTTPS
+ */
+
+import dgram from 'dgram';
+import net from 'net';
+import tls from 'tls';
+import https from 'https';
+import dns from 'dns';
+import crypto from 'crypto';
+
+export const RECORD_TYPES = {
+  A: 1, NS: 2, CNAME: 5, SOA: 6, PTR: 12, MX: 15, TXT: 16, AAAA: 28, SRV: 33,
+  DNAME: 39, OPT: 41, DS: 43, RRSIG: 46, NSEC: 47, DNSKEY: 48, NSEC3: 50,
+  CDS: 59, CDNSKEY: 60, AXFR: 252, ANY: 255, CAA: 257,
+};
+
+const TYPE_NAMES = Object.fromEntries(Object.entries(RECORD_TYPES).map(([name, code]) => [code, name]));
+
+export const RCODES = {
+  0: 'NOERROR', 1: 'FORMERR', 2: 'SERVFAIL', 3: 'NXDOMAIN', 4: 'NOTIMP', 5: 'REFUSED', 9: 'NOTAUTH',
+};
+
+const DEFAULT_TIMEOUT = 5000;
+const EDNS_PAYLOAD_SIZE = 4096;
+
+// Port used by each transport, when the server address doesn't give one
+const DEFAULT_PORTS = { udp: 53, tcp: 53, tls: 853, https: 443 };
+const DOH_CONTENT_TYPE = 'application/dns-message';
+
+export const getTypeName = (type) => TYPE_NAMES[type] || `TYPE${type}`;
+
+/**
+ * The resolver to use when none is given, DNS_RESOLVER if set, else the system's first
+ * @returns {string} Resolver address, as 'host' or 'host:port'
+ */
+export const getDefaultResolver = () => process.env.DNS_RESOLVER || dns.getServers()[0] || '1.1.1.1';
+
+/**
+ * Split a resolver address into host and port ('1.1.1.1', '127.0.0.1:5353' or '[::1]:53')
+ * @param {string} server - Resolver address
+ * @param {number} defaultPort - Port to use if none given
+ * @returns {{host: string, port: number}}
+ */
+export const parseServerAddress = (server, defaultPort = 53) => {
+  const bracketed = server.match(/^\[(.+)\](?::(\d+))?$/);
+  if (bracketed) return { host: bracketed[1], port: bracketed[2] ? parseInt(bracketed[2], 10) : defaultPort };
+  if (net.isIPv6(server)) return { host: server, port: defaultPort };
+  const [host, port] = server.split(':');
+  return { host, port: port ? parseInt(port, 10) : defaultPort };
+};
+
+// Make a name fully-qualified, and lower-case (e.g. 'Example.com' -> 'example.com.')
+export const toFqdn = (name) => {
+  const trimmed = (name || '').replace(/\.+$/, '').toLowerCase();
+  return trimmed ? `${trimmed}.` : '.';
+};
+
+/**
+ * Encode a domain name as uncompressed wire-format labels
+ * @param {string} name - Domain name
+ * @returns {Buffer}
+ */
+export const encodeName = (name) => {
+  const labels = name.replace(/\.+$/, '').split('.').filter(Boolean);
+  const parts = labels.map((label) => {
+    const bytes = Buffer.from(label, 'utf8');
+    return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+  });
+  return Buffer.concat([...parts, Buffer.from([0])]);
+};
+
+/**
+ * Read a (possibly compressed) name from a message
+ * @param {Buffer} buf - The whole DNS message
+ * @param {number} start - Offset of the name
+ * @returns {{name: string, offset: number}} Name, and the offset after it
+ */
+const readName = (buf, start) => {
+  const labels = [];
+  let offset = start;
+  let end = null;
+  let jumps = 0;
+
+  while (offset < buf.length) {
+    const length = buf[offset];
+    if (length === 0) {
+      offset += 1;
+      break;
+    }
+    if ((length & 0xc0) === 0xc0) {
+      if (++jumps > 32) throw new Error('Malformed DNS message, too many compression pointers');
+      if (end === null) end = offset + 2;
+      offset = buf.readUInt16BE(offset) & 0x3fff;
+      continue;
+    }
+    labels.push(buf.toString('utf8', offset + 1, offset + 1 + length));
+    offset += length + 1;
+  }
+
+  return { name: labels.length ? `${labels.join('.')}.` : '.', offset: end !== null ? end : offset };
+};
+
+// Format a 16-byte buffer as a compressed IPv6 address
+const formatIPv6 = (bytes) => {
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) groups.push(bytes.readUInt16BE(i).toString(16));
+  const address = groups.join(':');
+  const runs = address.match(/(^|:)0(:0)+(:|$)/g);
+  if (!runs) return address;
+  const longest = runs.reduce((a, b) => (b.length > a.length ? b : a));
+  return address.replace(longest, '::');
+};
+
+// Decode the type bit-maps used by NSEC and NSEC3 records
+const readTypeBitmap = (buf) => {
+  const types = [];
+  let offset = 0;
+  while (offset + 2 <= buf.length) {
+    const window = buf[offset];
+    const length = buf[offset + 1];
+    for (let i = 0; i < length; i++) {
+      for (let bit = 0; bit < 8; bit++) {
+        if (buf[offset + 2 + i] & (0x80 >> bit)) types.push(getTypeName(window * 256 + i * 8 + bit));
+      }
+    }
+    offset += 2 + length;
+  }
+  return types;
+};
+
+/**
+ * Calculate the key tag of a DNSKEY (RFC 4034, Appendix B)
+ * @param {Buffer} rdata - DNSKEY record data
+ * @returns {number}
+ */
+export const getKeyTag = (rdata) => {
+  let acc = 0;
+  for (let i = 0; i < rdata.length; i++) {
+    acc += (i & 1) ? rdata[i] : rdata[i] << 8;
+  }
+  acc += (acc >> 16) & 0xffff;
+  return acc & 0xffff;
+};
+
+/**
+ * Decode the record data for the types we understand, others are returned as hex
+ * @param {number} type - Record type code
+ * @param {Buffer} buf - The whole DNS message (for name decompression)
+ * @param {number} start - Offset of the record data
+ * @param {number} length - Length of the record data
+ * @returns {Object|string}
+ */
+const readRecordData = (type, buf, start, length) => {
+  const rdata = buf.subarray(start, start + length);
+
+  switch (type) {
+    case RECORD_TYPES.A:
+      return [...rdata].join('.');
+    case RECORD_TYPES.AAAA:
+      return formatIPv6(rdata);
+    case RECORD_TYPES.NS:
+    case RECORD_TYPES.CNAME:
+    case RECORD_TYPES.PTR:
+    case RECORD_TYPES.DNAME:
+      return readName(buf, start).name;
+    case RECORD_TYPES.MX:
+      return { preference: rdata.readUInt16BE(0), exchange: readName(buf, start + 2).name };
+    case RECORD_TYPES.SRV:
+      return {
+        priority: rdata.readUInt16BE(0),
+        weight: rdata.readUInt16BE(2),
+        port: rdata.readUInt16BE(4),
+        target: readName(buf, start + 6).name,
+      };
+    case RECORD_TYPES.SOA: {
+      const mname = readName(buf, start);
+      const rname = readName(buf, mname.offset);
+      const o = rname.offset;
+      return {
+        mname: mname.name,
+        rname: rname.name,
+        serial: buf.readUInt32BE(o),
+        refresh: buf.readUInt32BE(o + 4),
+        retry: buf.readUInt32BE(o + 8),
+        expire: buf.readUInt32BE(o + 12),
+        minimum: buf.readUInt32BE(o + 16),
+      };
+    }
+    case RECORD_TYPES.TXT: {
+      const strings = [];
+      for (let o = 0; o < rdata.length; o += rdata[o] + 1) {
+        strings.push(rdata.toString('utf8', o + 1, o + 1 + rdata[o]));
+      }
+      return strings;
+    }
+    case RECORD_TYPES.CAA:
+      return {
+        flags: rdata[0],
+        tag: rdata.toString('ascii', 2, 2 + rdata[1]),
+        value: rdata.toString('utf8', 2 + rdata[1]),
+      };
+    case RECORD_TYPES.DS:
+    case RECORD_TYPES.CDS:
+      return {
+        keyTag: rdata.readUInt16BE(0),
+        algorithm: rdata[2],
+        digestType: rdata[3],
+        digest: rdata.subarray(4).toString('hex').toUpperCase(),
+      };
+    case RECORD_TYPES.DNSKEY:
+    case RECORD_TYPES.CDNSKEY:
+      return {
+        flags: rdata.readUInt16BE(0),
+        protocol: rdata[2],
+        algorithm: rdata[3],
+        publicKey: rdata.subarray(4).toString('base64'),
+        keyTag: getKeyTag(rdata),
+      };
+    case RECORD_TYPES.RRSIG: {
+      const signer = readName(buf, start + 18);
+      return {
+        typeCovered: getTypeName(rdata.readUInt16BE(0)),
+        algorithm: rdata[2],
+        labels: rdata[3],
+        originalTTL: rdata.readUInt32BE(4),
+        expiration: rdata.readUInt32BE(8),
+        inception: rdata.readUInt32BE(12),
+        keyTag: rdata.readUInt16BE(16),
+        signerName: signer.name,
+        signature: buf.subarray(signer.offset, start + length).toString('base64'),
+      };
+    }
+    case RECORD_TYPES.NSEC: {
+      const next = readName(buf, start);
+      return { nextDomain: next.name, types: readTypeBitmap(buf.subarray(next.offset, start + length)) };
+    }
+    default:
+      return rdata.toString('hex');
+  }
+};
+
+/**
+ * Build a query message
+ * @param {string} name - Name to look up
+ * @param {number} type - Record type code
+ * @param {Object} options - Query options (see query())
+ * @returns {{id: number, message: Buffer}}
+ */
+export const encodeQuery = (name, type, options = {}) => {
+  const { recursionDesired = true, dnssec = false, checkingDisabled = false, edns = true } = options;
+  const id = crypto.randomInt(0, 0x10000);
+
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(id, 0);
+  header.writeUInt16BE(
+    (recursionDesired ? 0x0100 : 0) | (dnssec ? 0x0020 : 0) | (checkingDisabled ? 0x0010 : 0),
+    2,
+  );
+  header.writeUInt16BE(1, 4); // One question
+  header.writeUInt16BE(edns ? 1 : 0, 10); // OPT record
+
+  const question = Buffer.alloc(4);
+  question.writeUInt16BE(type, 0);
+  question.writeUInt16BE(1, 2); // Class IN
+
+  const parts = [header, encodeName(name), question];
+
+  if (edns) {
+    const opt = Buffer.alloc(11);
+    opt.writeUInt8(0, 0); // Root name
+    opt.writeUInt16BE(RECORD_TYPES.OPT, 1);
+    opt.writeUInt16BE(EDNS_PAYLOAD_SIZE, 3);
+    opt.writeUInt32BE(dnssec ? 0x8000 : 0, 5); // DO bit
+    opt.writeUInt16BE(0, 9);
+    parts.push(opt);
+  }
+
+  return { id, message: Buffer.concat(parts) };
+};
+
+/**
+ * Decode a response message
+ * @param {Buffer} buf - Raw DNS message
+ * @returns {Object} Header flags, rcode and each section's records
+ */
+export const decodeMessage = (buf) => {
+  if (buf.length < 12) throw new Error('Malformed DNS message, too short');
+
+  const flags = buf.readUInt16BE(2);
+  const counts = [4, 6, 8, 10].map((o) => buf.readUInt16BE(o));
+  let offset = 12;
+
+  const questions = [];
+  for (let i = 0; i < counts[0]; i++) {
+    const { name, offset: next } = readName(buf, offset);
+    questions.push({ name, type: buf.readUInt16BE(next), typeName: getTypeName(buf.readUInt16BE(next)) });
+    offset = next + 4;
+  }
+
+  const readSection = (count) => {
+    const records = [];
+    for (let i = 0; i < count; i++) {
+      const { name, offset: next } = readName(buf, offset);
+      const type = buf.readUInt16BE(next);
+      const ttl = buf.readUInt32BE(next + 4);
+      const length = buf.readUInt16BE(next + 8);
+      const start = next + 10;
+      records.push({
+        name,
+        type,
+        typeName: getTypeName(type),
+        class: buf.readUInt16BE(next + 2),
+        ttl,
+        data: type === RECORD_TYPES.OPT ? null : readRecordData(type, buf, start, length),
+        rdata: Buffer.from(buf.subarray(start, start + length)),
+      });
+      offset = start + length;
+    }
+    return records;
+  };
+
+  const answers = readSection(counts[1]);
+  const authorities = readSection(counts[2]);
+  const additionals = readSection(counts[3]);
+  const rcode = flags & 0x000f;
+
+  return {
+    id: buf.readUInt16BE(0),
+    flags: {
+      QR: !!(flags & 0x8000),
+      AA: !!(flags & 0x0400),
+      TC: !!(flags & 0x0200),
+      RD: !!(flags & 0x0100),
+      RA: !!(flags & 0x0080),
+      AD: !!(flags & 0x0020),
+      CD: !!(flags & 0x0010),
+    },
+    rcode,
+    rcodeName: RCODES[rcode] || `RCODE${rcode}`,
+    questions,
+    answers,
+    authorities,
+    additionals: additionals.filter(({ type }) => type !== RECORD_TYPES.OPT),
+  };
+};
+
+// Send a message over UDP, and wait for the matching reply
+const sendUdp = (message, id, host, port, timeout) => new Promise((resolve, reject) => {
+  const socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+  const timer = setTimeout(() => {
+    socket.close();
+    reject(new Error(`DNS query to ${host}:${port} over UDP timed out`));
+  }, timeout);
+
+  socket.on('message', (reply) => {
+    if (reply.length < 2 || reply.readUInt16BE(0) !== id) return;
+    clearTimeout(timer);
+    socket.close();
+    resolve(reply);
+  });
+  socket.on('error', (error) => {
+    clearTimeout(timer);
+    socket.close();
+    reject(new Error(`DNS query to ${host}:${port} over UDP failed: ${error.message}`));
+  });
+  socket.send(message, port, host);
+});
+
+/**
+ * Send a message over a stream (TCP, or TLS for DNS-over-TLS), with the 2-byte length prefix
+ * @param {Buffer} message - Encoded query
+ * @param {Function} connect - Opens the socket, calling back once connected
+ * @param {string} label - Describes the connection, for error messages
+ * @param {number} timeout - Timeout in ms
+ * @returns {Promise<Buffer>} The first response message
+ */
+export const sendStream = (message, connect, label, timeout) => new Promise((resolve, reject) => {
+  let received = Buffer.alloc(0);
+  const prefix = Buffer.alloc(2);
+  prefix.writeUInt16BE(message.length, 0);
+
+  const socket = connect(() => socket.write(Buffer.concat([prefix, message])));
+  socket.setTimeout(timeout);
+
+  socket.on('data', (chunk) => {
+    received = Buffer.concat([received, chunk]);
+    if (received.length >= 2 && received.length >= received.readUInt16BE(0) + 2) {
+      socket.destroy();
+      resolve(received.subarray(2, received.readUInt16BE(0) + 2));
+    }
+  });
+  socket.on('timeout', () => {
+    socket.destroy();
+    reject(new Error(`DNS query to ${label} timed out`));
+  });
+  socket.on('error', (error) => reject(new Error(`DNS query to ${label} failed: ${error.message}`)));
+  socket.on('end', () => reject(new Error(`DNS query to ${label} failed: connection closed without a response`)));
+});
+
+/**
+ * Send a message as a DNS-over-HTTPS POST (RFC 8484)
+ * @param {Buffer} message - Encoded query
+ * @param {Object} target - host, port, path and (optionally) servername to use for SNI
+ * @param {number} timeout - Timeout in ms
+ * @returns {Promise<Buffer>} The response message
+ */
+const sendHttps = (message, { host, port, path, servername, rejectUnauthorized }, timeout) => new Promise((resolve, reject) => {
+  const label = `https://${servername || host}:${port}${path}`;
+  const request = https.request({
+    host,
+    port,
+    path,
+    method: 'POST',
+    servername: servername || (net.isIP(host) ? undefined : host),
+    rejectUnauthorized,
+    headers: {
+      Host: servername || host,
+      'Content-Type': DOH_CONTENT_TYPE,
+      Accept: DOH_CONTENT_TYPE,
+      'Content-Length': message.length,
+    },
+    timeout,
+  }, (response) => {
+    const chunks = [];
+    response.on('data', (chunk) => chunks.push(chunk));
+    response.on('end', () => {
+      if (response.statusCode !== 200) {
+        reject(new Error(`DNS query to ${label} failed: HTTP ${response.statusCode}`));
+      } else if (!(response.headers['content-type'] || '').includes(DOH_CONTENT_TYPE)) {
+        reject(new Error(`DNS query to ${label} failed: response wasn't ${DOH_CONTENT_TYPE}`));
+      } else {
+        resolve(Buffer.concat(chunks));
+      }
+    });
+  });
+  request.on('timeout', () => request.destroy(new Error(`DNS query to ${label} timed out`)));
+  request.on('error', (error) => {
+    reject(error.message.startsWith('DNS query') ? error : new Error(`DNS query to ${label} failed: ${error.message}`));
+  });
+  request.end(message);
+});
+
+/**
+ * Look up a record, against a specific resolver
+ * @param {string} name - Name to look up
+ * @param {string|number} type - Record type (e.g. 'DNSKEY' or 48)
+ * @param {Object} [options]
+ * @param {string} [options.server] - Resolver address, defaults to getDefaultResolver()
+ * @param {'udp'|'tcp'|'tls'|'https'} [options.transport] - UDP retries over TCP if the reply is truncated
+ * @param {boolean} [options.dnssec] - Set the DO bit, to get RRSIGs back
+ * @param {boolean} [options.recursionDesired] - Set the RD bit (default true)
+ * @param {boolean} [options.checkingDisabled] - Set the CD bit
+ * @param {number} [options.timeout] - Timeout in ms
+ * @param {string} [options.servername] - TLS server name (SNI) for 'tls' and 'https', if the server is an IP
+ * @param {string} [options.path] - DNS-over-HTTPS endpoint path (default /dns-query)
+ * @param {boolean} [options.rejectUnauthorized] - Fail on an invalid TLS certificate (default true)
+ * @returns {Promise<Object>} Decoded response (see decodeMessage())
+ */
+export const query = async (name, type, options = {}) => {
+  const typeCode = typeof type === 'number' ? type : RECORD_TYPES[type];
+  if (!typeCode) throw new Error(`Unsupported record type: ${type}`);
+
+  const {
+    server = getDefaultResolver(),
+    transport = 'udp',
+    timeout = DEFAULT_TIMEOUT,
+    servername,
+    path = '/dns-query',
+    rejectUnauthorized = true,
+  } = options;
+  if (!DEFAULT_PORTS[transport]) throw new Error(`Unsupported transport: ${transport}`);
+
+  const { host, port } = parseServerAddress(server, DEFAULT_PORTS[transport]);
+  const { id, message } = encodeQuery(name, typeCode, options);
+
+  if (transport === 'tcp') {
+    const reply = await sendStream(
+      message, (onConnect) => net.connect({ host, port }, onConnect), `${host}:${port} over TCP`, timeout,
+    );
+    return decodeMessage(reply);
+  }
+
+  if (transport === 'tls') {
+    const reply = await sendStream(
+      message,
+      (onConnect) => tls.connect({
+        host,
+        port,
+        servername: servername || (net.isIP(host) ? undefined : host),
+        rejectUnauthorized,
+      }, onConnect),
+      `${host}:${port} over TLS`,
+      timeout,
+    );
+    return decodeMessage(reply);
+  }
+
+  if (transport === 'https') {
+    // DoH uses an ID of 0, so responses can be cached (RFC 8484 4.1)
+    message.writeUInt16BE(0, 0);
+    const reply = await sendHttps(message, { host, port, path, servername, rejectUnauthorized }, timeout);
+    return decodeMessage(reply);
+  }
+
+  const response = decodeMessage(await sendUdp(message, id, host, port, timeout));
+  return response.flags.TC ? query(name, typeCode, { ...options, transport: 'tcp' }) : response;
+};
+
+export default {
+  RECORD_TYPES,
+  RCODES,
+  query,
+  encodeName,
+  encodeQuery,
+  decodeMessage,
+  getKeyTag,
+  getTypeName,
+  getDefaultResolver,
+  parseServerAddress,
+  sendStream,
+  toFqdn,
+};
@@ -11,7 +11,7 @@ const endpointDocs = {
   // Security endpoints
   '/api/security/ssl': {
     category: 'Security',
-    description: 'Analyzes SSL/TLS certificate information for a given domain',
+    description: 'Analyzes the SSL/TLS certificate chain for a given domain, including revocation, CT and CAA',
     parameters: {
       url: { type: 'string', required: true, description: 'Target URL or domain to analyze' }
     },
@@ -21,7 +21,15 @@ const endpointDocs = {
       issuer: 'Certificate issuer details',
       valid_from: 'Certificate validity start date',
       valid_to: 'Certificate expiration date',
-      fingerprint: 'Certificate fingerprint'
+      fingerprint: 'Certificate fingerprint',
+      validation: 'Whether the chain and hostname validate, and why not if they don\'t',
+      hostname: 'Whether the certificate covers the hostname, and the names it does cover',
+      chain: 'Each certificate in the chain, with its role, key, signature algorithm and weak key or hash flags',
+      missingIntermediates: 'True if the server doesn\'t send the intermediates needed to build the chain',
+      revocation: 'Revocation status, from a stapled OCSP response, the OCSP responder or the CRL',
+      scts: 'Certificate Transparency SCTs embedded in the certificate',
+      caa: 'The CAA records that apply, and whether they allow the certificate\'s issuer',
+      issues: 'Problems found, each with a severity of critical, warning or info'
     }
   },
 
@@ -41,14 +49,21 @@ const endpointDocs = {
 
   '/api/security/tls': {
     category: 'Security',
-    description: 'Comprehensive TLS analysis using multiple methods',
+    description: 'Enumerates supported TLS protocols, cipher suites, key exchange groups and client compatibility',
     parameters: {
       url: { type: 'string', required: true, description: 'Target URL for TLS analysis' }
     },
     example: 'https://api.web-scan.com/api/security/tls?url=example.com',
     response: {
       connection: 'Direct TLS connection analysis',
-      observatory: 'Mozilla TLS Observatory results'
+      protocols: 'Each TLS version, and whether it is supported (SSLv2 and SSLv3 can\'t be tested)',
+      suites: 'Accepted cipher suites, with key exchange, forward secrecy, strength and weaknesses',
+      cipherOrder: 'Suites per protocol in the server\'s order, and whether the server enforces it',
+      groups: 'Key exchange groups, and whether each is supported',
+      clients: 'Simulated handshakes for well-known browsers and libraries',
+      forwardSecrecy: 'Whether all, some or none of the accepted suites have forward secrecy',
+      untested: 'Protocols and suites the scanner\'s TLS library can\'t offer',
+      issues: 'Problems found, each with a severity of critical, warning or info'
     }
   },
 
@@ -66,7 +81,74 @@ const endpointDocs = {
     }
   },
 
+  '/api/security/security-txt': {
+    category: 'Security',
+    description: 'Fetches and validates a site\'s security.txt against RFC 9116',
+    parameters: {
+      url: { type: 'string', required: true, description: 'Target URL to check' }
+    },
+    example: 'https://api.web-scan.com/api/security/security-txt?url=example.com',
+    response: {
+      isPresent: 'Boolean indicating whether a security.txt was found',
+      foundIn: 'Path the file was found at',
+      isPgpSigned: 'Boolean indicating a PGP cleartext signature',
+      fields: 'First value of each field, allFields has every value',
+      isExpired: 'Boolean indicating the Expires date has passed',
+      errors: 'RFC 9116 violations',
+      warnings: 'Recommendations which aren\'t met'
+    }
+  },
+
+  '/api/security/block-lists': {
+    category: 'Security',
+    description: 'Checks if filtering DNS resolvers block the domain, and if its IP is on any DNSBLs',
+    parameters: {
+      url: { type: 'string', required: true, description: 'Domain to check' }
+    },
+    example: 'https://api.web-scan.com/api/security/block-lists?url=example.com',
+    response: {
+      blocklists: 'Each filtering resolver, with whether (and how) it blocked the domain',
+      dnsbl: 'Each DNSBL zone, with whether the server IP is listed',
+      serverIp: 'IPv4 address checked against the DNSBLs',
+      blockedBy: 'Names of the resolvers which block the domain',
+      listedIn: 'DNSBL zones the server IP is listed in'
+    }
+  },
+
+  '/api/security/http-security': {
+    category: 'Security',
+    description: 'Parses and grades HTTP security headers, including CSP, HSTS, Permissions-Policy and cross-origin isolation',
+    parameters: {
+      url: { type: 'string', required: true, description: 'Target URL to grade' }
+    },
+    example: 'https://api.web-scan.com/api/security/http-security?url=example.com',
+    response: {
+      contentSecurityPolicy: 'Boolean indicating a Content-Security-Policy header',
+      strictTransportPolicy: 'Boolean indicating a Strict-Transport-Security header',
+      xFrameOptions: 'Boolean indicating an X-Frame-Options header',
+      headers: 'Per-header results, with score, maxScore, parsed values and issues',
+      score: 'Total score across all headers',
+      grade: 'Overall letter grade, A+ to F'
+    }
+  },
+
   // Network endpoints
+  '/api/network/get-ip': {
+    category: 'Network',
+    description: 'Resolves every IPv4 and IPv6 address of a host, with reverse DNS, ASN and location from offline IP databases',
+    parameters: {
+      url: { type: 'string', required: true, description: 'Domain name or IP address to look up' }
+    },
+    example: 'https://api.web-scan.com/api/network/get-ip?url=example.com',
+    response: {
+      ip: 'First address, as the system resolver orders them',
+      ipv4: 'All IPv4 addresses',
+      ipv6: 'All IPv6 addresses',
+      addresses: 'For each address: ptr names, asn, organization, country, region, city, latitude, longitude, and anycast (CDN provider and range, if any)',
+      ipDatabase: 'Offline IP databases used for the lookups'
+    }
+  },
+
   '/api/network/dns': {
     category: 'Network',
     description: 'Comprehensive DNS record lookup for a domain',
@@ -86,26 +168,301 @@ const endpointDocs = {
 
   '/api/network/ports': {
     category: 'Network',
-    description: 'Scans common ports on a target domain',
+    description: 'Scans ports on a target domain, and identifies the service on each open port from its banner',
     parameters: {
-      url: { type: 'string', required: true, description: 'Target domain for port scanning' }
+      url: { type: 'string', required: true, description: 'Target domain for port scanning' },
+      ports: { type: 'string', required: false, description: 'Ports, ranges and presets to scan, e.g. web,22,8000-8100. Presets are common (default), top-100, web, databases, mail and remote' }
     },
-    example: 'https://api.web-scan.com/api/network/ports?url=example.com',
+    example: 'https://api.web-scan.com/api/network/ports?url=example.com&ports=top-100',
     response: {
       openPorts: 'Array of open port numbers',
-      failedPorts: 'Array of closed/filtered ports'
+      failedPorts: 'Array of closed and filtered ports',
+      closedPorts: 'Ports which refused the connection',
+      filteredPorts: 'Ports which did not answer',
+      uncheckedPorts: 'Ports not reached before the scan deadline',
+      services: 'For each open port: service, protocol, product, version, banner and TLS details',
+      partial: 'True if the scan stopped at its deadline'
     }
   },
 
   '/api/network/trace-route': {
     category: 'Network',
-    description: 'Performs network traceroute to show path to destination',
+    description: 'Traces the network path to the destination, with the reverse DNS name, ASN and country of each hop',
+    parameters: {
+      url: { type: 'string', required: true, description: 'Target domain for traceroute' },
+      method: { type: 'string', required: false, description: 'Probe protocol, udp (default), tcp (SYN, to the URL\'s port) or icmp. Falls back to udp where raw sockets aren\'t permitted' },
+      maxHops: { type: 'number', required: false, description: 'Maximum number of hops to follow, 1 to 64 (default 30)' }
+    },
+    example: 'https://api.web-scan.com/api/network/trace-route?url=example.com&method=tcp',
+    response: {
+      destination: 'IP address the route was traced to',
+      method: 'Probe protocol used, after any fallback',
+      reached: 'Whether the destination answered',
+      hops: 'Array of hops, each with ip, hostname, asn, organization, country, rtt1, rtt2, rtt3 and every probe',
+      ipDatabase: 'Offline IP databases used for ASN and country lookups',
+      notes: 'Fallbacks and anything missing from the results'
+    }
+  },
+
+  '/api/network/whois': {
+    category: 'Network',
+    description: 'Looks up domain registration data via RDAP and WHOIS, following IANA referrals',
+    parameters: {
+      url: { type: 'string', required: true, description: 'Domain name to look up' }
+    },
+    example: 'https://api.web-scan.com/api/network/whois?url=example.com',
+    response: {
+      registrar: 'Registrar name, URL, IANA ID and WHOIS server',
+      created: 'Domain creation date',
+      expires: 'Registry expiry date',
+      nameservers: 'Delegated name servers',
+      status: 'EPP status codes',
+      sources: 'Which of RDAP and WHOIS returned data'
+    }
+  },
+
+  '/api/network/dnssec': {
+    category: 'Network',
+    description: 'Validates DNSSEC for a domain, walking the chain of trust from the root zone',
     parameters: {
-      url: { type: 'string', required: true, description: 'Target domain for traceroute' }
+      url: { type: 'string', required: true, description: 'Domain name to validate' }
     },
-    example: 'https://api.web-scan.com/api/network/trace-route?url=example.com',
+    example: 'https://api.web-scan.com/api/network/dnssec?url=example.com',
     response: {
-      hops: 'Array of network hops with timing information'
+      status: 'Overall result (secure, insecure, bogus or indeterminate)',
+      DNSKEY: 'DNSKEY records for the zone',
+      DS: 'DS records for the zone, from its parent',
+      RRSIG: 'Signatures returned with the above',
+      chain: 'Validation result for each zone in the chain of trust',
+      records: 'Validation status of each record set',
+      algorithms: 'Signing algorithms of the zone\'s DNSKEYs, with their strength',
+      digestTypes: 'Digest types of the zone\'s DS records, with their strength',
+      weakAlgorithms: 'Boolean indicating a DNSKEY uses a weak or insecure algorithm',
+      weakDigestTypes: 'Boolean indicating a DS record uses a weak or insecure digest type'
+    }
+  },
+
+  '/api/network/mail-config': {
+    category: 'Network',
+    description: 'Audits email configuration: MX, SPF, DMARC, DKIM, MTA-STS, TLS-RPT and BIMI',
+    parameters: {
+      url: { type: 'string', required: true, description: 'Domain name to audit' }
+    },
+    example: 'https://api.web-scan.com/api/network/mail-config?url=example.com',
+    response: {
+      mxRecords: 'MX records, ordered by priority',
+      txtRecords: 'Mail-related TXT records found',
+      mailServices: 'Hosted mail services in use, from MX and SPF',
+      spf: 'Parsed SPF record, with the DNS lookup count across its include chain, and any permerrors (errors) or temperrors (tempErrors)',
+      dmarc: 'Parsed DMARC policy tags. Each section has an error instead, if its DNS lookups failed',
+      dkim: 'DKIM keys found on common selectors, with key sizes',
+      mtaSts: 'MTA-STS record and policy file',
+      tlsRpt: 'TLS-RPT reporting record',
+      bimi: 'BIMI record',
+      grade: 'Overall grade (A-F), with a score out of 100',
+      findings: 'Graded issues, each with a severity, score and remediation'
+    }
+  },
+
+  '/api/network/status': {
+    category: 'Network',
+    description: 'Checks if a server is up, with a timing breakdown of the request',
+    parameters: {
+      url: { type: 'string', required: true, description: 'Target URL to check' }
+    },
+    example: 'https://api.web-scan.com/api/network/status?url=example.com',
+    response: {
+      isUp: 'Boolean indicating the server responded without an error status',
+      responseCode: 'HTTP status code of the final response',
+      responseTime: 'Total time for the final response, in milliseconds',
+      timings: 'DNS lookup, TCP connect, TLS handshake, first byte and download times',
+      redirects: 'Redirects followed, each with its own timings'
+    }
+  },
+
+  '/api/network/txt-records': {
+    category: 'Network',
+    description: 'Looks up TXT records, grouped by what they reveal (verification tokens, SPF, DMARC, DKIM)',
+    parameters: {
+      url: { type: 'string', required: true, description: 'Domain name to look up' }
+    },
+    example: 'https://api.web-scan.com/api/network/txt-records?url=example.com',
+    response: {
+      records: 'Every TXT record at the domain apex',
+      verification: 'Site verification records, with the service and token',
+      spf: 'SPF records',
+      dmarc: 'DMARC records, from _dmarc',
+      dkim: 'DKIM records found on common selectors',
+      services: 'Other recognised records',
+      unknown: 'Records which didn\'t match a known signature'
+    }
+  },
+
+  '/api/network/dns-server': {
+    category: 'Network',
+    description: 'Probes each name server (and A record host) for UDP, TCP, DoT and DoH support, open recursion and AXFR',
+    parameters: {
+      url: { type: 'string', required: true, description: 'Domain name to check' }
+    },
+    example: 'https://api.web-scan.com/api/network/dns-server?url=example.com',
+    response: {
+      zone: 'DNS zone the domain is in (e.g. example.com for www.example.com), which NS, SOA and AXFR are asked about',
+      nameServers: 'Name servers listed for the zone',
+      dns: 'Results for each server: transports answered on, recursion and zone transfer checks',
+      openResolvers: 'Addresses which recursively answer for anyone',
+      zoneTransfers: 'Addresses which allowed an AXFR zone transfer'
+    }
+  },
+
+  // Analysis endpoints
+  '/api/analysis/quality': {
+    category: 'Analysis',
+    description: 'Lighthouse report, from PageSpeed Insights or a local Lighthouse run (see QUALITY_BACKEND)',
+    parameters: {
+      url: { type: 'string', required: true, description: 'Page URL to audit' },
+      strategy: { type: 'string', required: false, description: 'mobile (default) or desktop' }
+    },
+    example: 'https://api.web-scan.com/api/analysis/quality?url=example.com&strategy=desktop',
+    response: {
+      lighthouseResult: 'Lighthouse report, with categories (and their scores and audit refs) and audits'
+    }
+  },
+
+  '/api/analysis/rank': {
+    category: 'Analysis',
+    description: 'Rank history from top-sites lists imported into the local rank store (yarn rank:import) once the Tranco list is, otherwise the Tranco API',
+    parameters: {
+      url: { type: 'string', required: true, description: 'Domain or URL to look up' }
+    },
+    example: 'https://api.web-scan.com/api/analysis/rank?url=example.com',
+    response: {
+      ranks: 'Rank on each snapshot date, newest first',
+      list: 'Which list the ranks are from (e.g. tranco, umbrella, majestic)',
+      matchedDomain: 'Domain the rank is for, which may be the registrable domain of the one given',
+      matchType: 'How it was matched: exact, www (with or without the www), or registrable',
+      lists: 'Rank history from each imported list'
+    }
+  },
+
+  '/api/analysis/robots-txt': {
+    category: 'Analysis',
+    description: 'Parses robots.txt into user-agent groups, and checks if the URL may be crawled',
+    parameters: {
+      url: { type: 'string', required: true, description: 'Target URL to check' },
+      userAgent: { type: 'string', required: false, description: 'Extra crawler to check access for' }
+    },
+    example: 'https://api.web-scan.com/api/analysis/robots-txt?url=example.com',
+    response: {
+      robots: 'Each directive, in file order',
+      groups: 'User-agent groups, with their allow/disallow rules and crawl delay',
+      sitemaps: 'Sitemap URLs listed in the file',
+      access: 'Whether the URL may be crawled by common crawlers, and the rule which decided it'
+    }
+  },
+
+  '/api/analysis/sitemap': {
+    category: 'Analysis',
+    description: 'Lists the pages in a site\'s sitemap, following sitemap indexes and gzipped sitemaps',
+    parameters: {
+      url: { type: 'string', required: true, description: 'Target URL to check' }
+    },
+    example: 'https://api.web-scan.com/api/analysis/sitemap?url=example.com',
+    response: {
+      urlset: 'Pages found, up to the page cap',
+      sitemapindex: 'Sitemaps listed in the top-level index, if there is one',
+      sitemaps: 'Each sitemap fetched, with its type and entry count',
+      truncated: 'Boolean indicating the page or sitemap cap, or the time limit, was reached'
+    }
+  },
+
+  '/api/analysis/linked-pages': {
+    category: 'Analysis',
+    description: 'Extracts the internal and external links from a page, optionally crawling same-origin pages',
+    parameters: {
+      url: { type: 'string', required: true, description: 'Page to extract links from' },
+      depth: { type: 'number', required: false, description: 'How many levels of same-origin links to follow (default 0)' }
+    },
+    example: 'https://api.web-scan.com/api/analysis/linked-pages?url=example.com&depth=1',
+    response: {
+      internal: 'Unique links to the same site',
+      external: 'Unique links to other sites',
+      links: 'Every unique link, with its rel values, anchor text and the pages it was found on',
+      relCounts: 'Number of nofollow, sponsored and ugc links',
+      mixedContent: 'http:// links and resources found on https pages',
+      pages: 'Each page fetched, with its depth and status',
+      truncated: 'Boolean indicating the crawl stopped at the page cap or the time limit'
+    }
+  },
+
+  '/api/analysis/social-tags': {
+    category: 'Analysis',
+    description: 'Parses OpenGraph, Twitter Card, meta tags, icons and JSON-LD, and previews how the page looks when shared',
+    parameters: {
+      url: { type: 'string', required: true, description: 'Page to read the tags from' }
+    },
+    example: 'https://api.web-scan.com/api/analysis/social-tags?url=example.com',
+    response: {
+      preview: 'Normalised share preview (title, description, image, card type, favicon)',
+      openGraph: 'og: tags, without the prefix',
+      twitter: 'twitter: tags, without the prefix',
+      meta: 'Standard meta tags (description, keywords, theme-color, etc)',
+      icons: 'Favicons and touch icons',
+      manifest: 'Web app manifest, if linked',
+      jsonLd: 'JSON-LD structured data items',
+      validation: 'Errors and warnings for the meta, OpenGraph, Twitter and JSON-LD data'
+    }
+  },
+
+  '/api/analysis/carbon': {
+    category: 'Analysis',
+    description: 'Measures page weight, and estimates energy use and CO2 per view with the Sustainable Web Design model',
+    parameters: {
+      url: { type: 'string', required: true, description: 'Target URL to measure' }
+    },
+    example: 'https://api.web-scan.com/api/analysis/carbon?url=example.com',
+    response: {
+      bytes: 'Total bytes transferred for the page load',
+      method: 'How bytes were measured, browser or fetch (HTML plus linked assets)',
+      statistics: 'Adjusted bytes, energy (kWh) and CO2 (grams and litres) on grid and renewable power',
+      green: 'Whether the host is in the local green hosting dataset',
+      rating: 'Carbon rating, A+ to F'
+    }
+  },
+
+  '/api/analysis/archives': {
+    category: 'Analysis',
+    description: 'Snapshot history from a CDX archive index (Wayback Machine by default)',
+    parameters: {
+      url: { type: 'string', required: true, description: 'Page URL to look up' }
+    },
+    example: 'https://api.web-scan.com/api/analysis/archives?url=example.com',
+    response: {
+      firstScan: 'Date of the first snapshot',
+      lastScan: 'Date of the most recent snapshot',
+      totalScans: 'Number of snapshots, or null when there were more than ARCHIVE_MAX_SNAPSHOTS (see truncated)',
+      analysedScans: 'Number of snapshots analysed, the most recent ARCHIVE_MAX_SNAPSHOTS at most',
+      analysedFrom: 'Date of the oldest snapshot analysed, when there were too many to fetch them all',
+      truncated: 'Boolean indicating only the most recent snapshots were analysed',
+      changeCount: 'Number of times the content changed between snapshots',
+      scanFrequency: 'Average days between snapshots, and snapshots per day',
+      changeFrequency: 'Average days between changes, and changes per year',
+      sizeTrend: 'Average snapshot size for each year'
+    }
+  },
+
+  '/api/analysis/features': {
+    category: 'Analysis',
+    description: 'Third-party services used by a page (analytics, payments, CDNs, chat, ads, etc), matched against a signature file',
+    parameters: {
+      url: { type: 'string', required: true, description: 'Page URL to scan' }
+    },
+    example: 'https://api.web-scan.com/api/analysis/features?url=example.com',
+    response: {
+      features: 'Detected services, with their group, category, what matched, and when first and last seen',
+      dead: 'Services seen in earlier scans of the domain, but no longer present',
+      historyUpdated: 'Boolean indicating the scan was recorded, which only happens for a 2xx HTML page, not an error page',
+      groups: 'Live and dead counts per category, grouped',
+      last: 'Time of this scan (unix seconds)'
     }
   },
 
@@ -154,13 +511,46 @@ const endpointDocs = {
 
   '/api/utils/redirects': {
     category: 'Utilities',
-    description: 'Traces HTTP redirects for a given URL',
+    description: 'Follows a URL\'s redirects hop by hop, including Refresh headers, meta refresh and JavaScript redirects, checking for loops, downgrades and cloaking',
+    parameters: {
+      url: { type: 'string', required: true, description: 'Starting URL to trace redirects' },
+      userAgents: { type: 'string', required: false, description: 'Comma separated clients to also follow the chain as: desktop, mobile, googlebot, bingbot, curl' },
+      clientRedirects: { type: 'boolean', required: false, description: 'Follow Refresh headers, meta refresh and JavaScript redirects (default true)' }
+    },
+    example: 'https://api.web-scan.com/api/utils/redirects?url=example.com&userAgents=mobile,googlebot',
+    response: {
+      redirects: 'Array of URLs in the redirect chain, starting with the requested URL',
+      chain: 'Each hop, with its status code, redirect type and target, timings and headers (HSTS, cookie names, caching)',
+      finalUrl: 'Where the chain ends',
+      finalStatus: 'Status code of the final response',
+      totalTime: 'Time taken across every hop, in milliseconds',
+      loop: 'Boolean indicating the chain loops back on itself',
+      tooManyRedirects: 'Boolean indicating the chain was cut short',
+      downgrades: 'Hops from HTTPS to HTTP',
+      crossDomain: 'Hops from one registrable domain to another',
+      variants: 'Where the chain ends for each of the requested user agents, and whether it loops or is cut short',
+      cloaking: 'Boolean indicating a user agent ends up somewhere else, with another status, or in a loop',
+      issues: 'Problems found, each with a severity (critical, warning, info)'
+    }
+  },
+
+  '/api/utils/screenshot': {
+    category: 'Utilities',
+    description: 'Captures a screenshot of a page in a headless browser',
     parameters: {
-      url: { type: 'string', required: true, description: 'Starting URL to trace redirects' }
+      url: { type: 'string', required: true, description: 'Page to capture' },
+      viewport: { type: 'string', required: false, description: 'desktop (default), tablet or mobile' },
+      format: { type: 'string', required: false, description: 'png (default), jpeg or webp' },
+      fullPage: { type: 'boolean', required: false, description: 'Capture the whole page, not just the viewport (default true)' },
+      quality: { type: 'number', required: false, description: 'Image quality for jpeg and webp, 0-100 (default 80)' }
     },
-    example: 'https://api.web-scan.com/api/utils/redirects?url=example.com',
+    example: 'https://api.web-scan.com/api/utils/screenshot?url=example.com&viewport=mobile&format=webp',
     response: {
-      redirects: 'Array of URLs in the redirect chain'
+      image: 'Base64 PNG, when the format is png',
+      data: 'Image as a data URL',
+      width: 'Image width, in CSS pixels',
+      height: 'Image height, in CSS pixels',
+      truncated: 'Boolean indicating a very long page was cut short'
     }
   }
 };
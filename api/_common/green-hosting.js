@@ -0,0 +1,158 @@
+/**
+ * Green Hosting Lookup
+ * Checks hostnames and IPs against a local copy of a green hosting dataset
+ * (such as the Green Web Foundation's exports), instead of calling a live API.
+ *
+ * Point GREEN_HOSTING_DATASET at a CSV or JSON file. CSVs need a header row,
+ * with any of these columns (the Green Web Foundation's names in brackets):
+ *  - domain (url, hostname): a green domain, which also covers its subdomains
+ *  - ip_start and ip_end: an inclusive IPv4 or IPv6 range
+ *  - cidr (ip_range): an IP range in CIDR notation
+ *  - provider (hosted_by): name of the hosting provider
+ * JSON files are an array of objects with the same keys
+ */
+
+import fs from 'fs';
+import { ipToBigInt, parseCidr } from './ip-utils.js';
+
+const DATASET_PATH = process.env.GREEN_HOSTING_DATASET;
+
+const COLUMN_ALIASES = {
+  domain: ['domain', 'url', 'hostname'],
+  ipStart: ['ip_start', 'ipstart', 'start'],
+  ipEnd: ['ip_end', 'ipend', 'end'],
+  cidr: ['cidr', 'ip_range'],
+  provider: ['provider', 'hosted_by', 'hostingprovider'],
+};
+
+let dataset = null;
+let loadedMtime = null;
+
+// Split a CSV line, allowing for quoted fields with commas in them
+const splitCsvLine = (line) => {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (char === '"' && quoted && line[i + 1] === '"') {
+      current += '"';
+      i += 1;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current.trim());
+  return fields;
+};
+
+const parseCsv = (content) => {
+  const [headerLine, ...lines] = content.split(/\r?\n/).filter((line) => line.trim());
+  const header = splitCsvLine(headerLine || '').map((name) => name.toLowerCase());
+  const columns = Object.fromEntries(Object.entries(COLUMN_ALIASES).map(([key, aliases]) => (
+    [key, header.findIndex((name) => aliases.includes(name))]
+  )));
+  return lines.map((line) => {
+    const fields = splitCsvLine(line);
+    return Object.fromEntries(Object.entries(columns)
+      .filter(([, index]) => index !== -1 && fields[index])
+      .map(([key, index]) => [key, fields[index]]));
+  });
+};
+
+/**
+ * Turn the raw entries into domain and IP range lookups
+ */
+const buildDataset = (entries) => {
+  const domains = new Map();
+  const ranges = [];
+
+  entries.forEach((entry) => {
+    const provider = entry.provider || null;
+    if (entry.domain) {
+      const domain = entry.domain.replace(/^https?:\/\//, '').replace(/\/.*$/, '').toLowerCase();
+      domains.set(domain, provider);
+    }
+    if (entry.cidr) {
+      const range = parseCidr(entry.cidr);
+      if (range) ranges.push({ ...range, provider, source: entry.cidr });
+    } else if (entry.ipStart) {
+      const start = ipToBigInt(entry.ipStart);
+      const end = ipToBigInt(entry.ipEnd || entry.ipStart);
+      if (start && end && start.version === end.version) {
+        ranges.push({
+          version: start.version,
+          start: start.value,
+          end: end.value,
+          provider,
+          source: `${entry.ipStart}-${entry.ipEnd || entry.ipStart}`,
+        });
+      }
+    }
+  });
+
+  return { domains, ranges };
+};
+
+/**
+ * Load the dataset, re-reading it if the file has changed since last time
+ * @returns {{domains: Map, ranges: Array}|null} Null if no dataset is configured
+ */
+export const loadGreenHostingDataset = () => {
+  if (!DATASET_PATH) return null;
+
+  const { mtimeMs } = fs.statSync(DATASET_PATH);
+  if (dataset && loadedMtime === mtimeMs) return dataset;
+
+  const content = fs.readFileSync(DATASET_PATH, 'utf8');
+  const entries = DATASET_PATH.endsWith('.json') ? JSON.parse(content) : parseCsv(content);
+  dataset = buildDataset(entries);
+  loadedMtime = mtimeMs;
+  console.log(`🌱 Loaded green hosting dataset: ${dataset.domains.size} domains, ${dataset.ranges.length} IP ranges`);
+  return dataset;
+};
+
+/**
+ * Check whether a host is green, by its hostname (or a parent domain), then its IPs
+ * @param {string} hostname - Hostname to check
+ * @param {string[]} addresses - IPs the hostname resolves to
+ * @returns {{green: boolean|null, provider?: string, matchedBy?: string, reason?: string}}
+ *   green is null when there's no dataset to check against
+ */
+export const checkGreenHosting = (hostname, addresses = []) => {
+  let data;
+  try {
+    data = loadGreenHostingDataset();
+  } catch (error) {
+    return { green: null, reason: `Unable to load green hosting dataset: ${error.message}` };
+  }
+  if (!data) return { green: null, reason: 'No green hosting dataset configured (GREEN_HOSTING_DATASET)' };
+
+  const labels = hostname.toLowerCase().split('.');
+  for (let i = 0; i < labels.length - 1; i += 1) {
+    const domain = labels.slice(i).join('.');
+    if (data.domains.has(domain)) {
+      return { green: true, provider: data.domains.get(domain), matchedBy: `domain ${domain}` };
+    }
+  }
+
+  for (const address of addresses) {
+    const ip = ipToBigInt(address);
+    const range = ip && data.ranges.find(({ version, start, end }) => (
+      version === ip.version && ip.value >= start && ip.value <= end
+    ));
+    if (range) return { green: true, provider: range.provider, matchedBy: `IP ${address} in ${range.source}` };
+  }
+
+  return { green: false };
+};
+
+export default {
+  checkGreenHosting,
+  loadGreenHostingDataset,
+};
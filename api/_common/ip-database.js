@@ -0,0 +1,432 @@
+/**
+ * Offline IP Database
+ * Looks up the network (ASN and organisation) and location of an IP from locally
+ * stored databases, instead of calling a live API. Both MaxMind-format .mmdb files
+ * (such as GeoLite2 or DB-IP Lite) and IP2Location .BIN files are read.
+ *
+ * Point GEOIP_ASN_DATABASE at an ASN database, and GEOIP_CITY_DATABASE at a City
+ * or Country database. Either can be left out, and lookups just return less.
+ * Files are read once, and again only if they change on disk
+ */
+
+import fs from 'fs';
+import net from 'net';
+import dns from 'dns';
+import { ipToBigInt, parseCidr } from './ip-utils.js';
+import ANYCAST_PROVIDERS from './data/anycast-ranges.js';
+
+const ASN_DATABASE = process.env.GEOIP_ASN_DATABASE;
+const CITY_DATABASE = process.env.GEOIP_CITY_DATABASE;
+
+// Marks the start of the metadata, near the end of the file
+const METADATA_MARKER = Buffer.from('abcdef4d61784d696e642e636f6d', 'hex');
+// Zeroed bytes between the search tree and the data section
+const DATA_SECTION_SEPARATOR = 16;
+// Added to pointers of each size, so no two sizes overlap
+const POINTER_OFFSETS = [0, 2048, 526336, 0];
+
+/*
+ * The column each field is in, for each IP2Location database type (DB1 to DB26),
+ * where column 1 is the start of the range. 0 means that type doesn't have the field
+ */
+const IP2LOCATION_COLUMNS = {
+  country: [0, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2],
+  region: [0, 0, 0, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3],
+  city: [0, 0, 0, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4],
+  isp: [0, 0, 3, 0, 5, 0, 7, 5, 7, 0, 8, 0, 9, 0, 9, 0, 9, 0, 9, 7, 9, 0, 9, 7, 9, 9, 9],
+  latitude: [0, 0, 0, 0, 0, 5, 5, 0, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5],
+  longitude: [0, 0, 0, 0, 0, 6, 6, 0, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6],
+  postCode: [0, 0, 0, 0, 0, 0, 0, 0, 0, 7, 7, 7, 7, 0, 7, 7, 7, 0, 7, 0, 7, 7, 7, 0, 7, 7, 7],
+  timezone: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 8, 8, 7, 8, 8, 8, 7, 8, 0, 8, 8, 8, 0, 8, 8, 8],
+  asn: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 24],
+  as: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 25],
+};
+
+const NETWORK_FIELDS = ['asn', 'organization', 'isp'];
+const PTR_TIMEOUT = 2000;
+
+const PRIVATE_RANGES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16]].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[['::1', 128], ['fc00::', 7], ['fe80::', 10]].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const ANYCAST_RANGES = ANYCAST_PROVIDERS.flatMap(({ provider, ranges }) => (
+  ranges.map((range) => ({ provider, range, ...parseCidr(range) }))
+));
+
+const databases = new Map();
+
+/**
+ * Whether an IP is in a private, loopback, link-local or shared range, so won't be in any database
+ */
+export const isPrivateIp = (ip) => {
+  const version = net.isIP(ip);
+  return version ? PRIVATE_RANGES.check(ip, version === 4 ? 'ipv4' : 'ipv6') : false;
+};
+
+/**
+ * Unsigned ints over 32 bits are read as BigInts, and kept as numbers where that's safe
+ */
+const readBigUInt = (buffer, offset, size) => {
+  let value = 0n;
+  for (let i = 0; i < size; i += 1) value = (value << 8n) + BigInt(buffer[offset + i]);
+  return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+};
+
+/**
+ * Make a decoder for the MaxMind DB data format, where pointers are relative to base
+ * @returns {(offset: number) => [any, number]} Decodes the value at an offset, returning it and where it ends
+ */
+const createDecoder = (buffer, base) => {
+  const decode = (start) => {
+    let offset = start;
+    const control = buffer[offset++];
+    let type = control >> 5;
+
+    if (type === 1) {
+      const pointerSize = (control >> 3) & 0x3;
+      let pointer = pointerSize === 3 ? 0 : control & 0x7;
+      for (let i = 0; i <= pointerSize; i += 1) pointer = pointer * 256 + buffer[offset++];
+      const [value] = decode(base + pointer + POINTER_OFFSETS[pointerSize]);
+      return [value, offset];
+    }
+
+    if (type === 0) type = 7 + buffer[offset++];
+
+    let size = control & 0x1f;
+    if (size === 29) {
+      size = 29 + buffer[offset++];
+    } else if (size === 30) {
+      size = 285 + buffer.readUInt16BE(offset);
+      offset += 2;
+    } else if (size === 31) {
+      size = 65821 + buffer.readUIntBE(offset, 3);
+      offset += 3;
+    }
+
+    switch (type) {
+      case 2: return [buffer.toString('utf8', offset, offset + size), offset + size];
+      case 3: return [buffer.readDoubleBE(offset), offset + 8];
+      case 4: return [buffer.subarray(offset, offset + size).toString('hex'), offset + size];
+      case 5:
+      case 6: return [size ? buffer.readUIntBE(offset, size) : 0, offset + size];
+      case 8: return [size ? buffer.readUIntBE(offset, size) | 0 : 0, offset + size];
+      case 9:
+      case 10: return [readBigUInt(buffer, offset, size), offset + size];
+      case 7: {
+        const map = {};
+        for (let i = 0; i < size; i += 1) {
+          const [key, valueOffset] = decode(offset);
+          const [value, next] = decode(valueOffset);
+          map[key] = value;
+          offset = next;
+        }
+        return [map, offset];
+      }
+      case 11: {
+        const array = [];
+        for (let i = 0; i < size; i += 1) {
+          const [value, next] = decode(offset);
+          array.push(value);
+          offset = next;
+        }
+        return [array, offset];
+      }
+      case 14: return [size !== 0, offset];
+      case 15: return [buffer.readFloatBE(offset), offset + 4];
+      default: throw new Error(`Unsupported data type ${type} at offset ${start}`);
+    }
+  };
+  return decode;
+};
+
+/**
+ * Read a MaxMind DB (.mmdb) file's contents
+ * @param {Buffer} buffer - The whole file
+ * @returns {{metadata: object, lookup: (ip: string) => ({data: any, prefixLength: number}|null)}}
+ */
+export const readMmdb = (buffer) => {
+  const markerAt = buffer.lastIndexOf(METADATA_MARKER);
+  if (markerAt === -1) throw new Error('Not a MaxMind DB file, no metadata found');
+  const metadataStart = markerAt + METADATA_MARKER.length;
+  const [metadata] = createDecoder(buffer, metadataStart)(metadataStart);
+
+  const { node_count: nodeCount, record_size: recordSize, ip_version: ipVersion } = metadata;
+  if (![24, 28, 32].includes(recordSize)) throw new Error(`Unsupported record size ${recordSize}`);
+  const nodeBytes = recordSize / 4;
+  const dataSectionStart = nodeCount * nodeBytes + DATA_SECTION_SEPARATOR;
+  const decode = createDecoder(buffer, dataSectionStart);
+
+  // Each node has a left (0 bit) and right (1 bit) record, pointing to a node or to data
+  const readRecord = (node, bit) => {
+    const offset = node * nodeBytes;
+    if (recordSize === 24) return buffer.readUIntBE(offset + bit * 3, 3);
+    if (recordSize === 32) return buffer.readUInt32BE(offset + bit * 4);
+    const middle = buffer[offset + 3];
+    return bit === 0
+      ? ((middle & 0xf0) << 20) + buffer.readUIntBE(offset, 3)
+      : ((middle & 0x0f) << 24) + buffer.readUIntBE(offset + 4, 3);
+  };
+
+  // In IPv6 databases, IPv4 addresses are found under ::/96
+  let ipv4Start = null;
+  const getIpv4Start = () => {
+    if (ipv4Start !== null) return ipv4Start;
+    let node = 0;
+    for (let i = 0; i < 96 && node < nodeCount; i += 1) node = readRecord(node, 0);
+    ipv4Start = node;
+    return node;
+  };
+
+  const lookup = (ip) => {
+    const address = ipToBigInt(ip);
+    if (!address || (address.version === 6 && ipVersion === 4)) return null;
+    const bits = address.version === 4 ? 32 : 128;
+    let node = address.version === 4 && ipVersion === 6 ? getIpv4Start() : 0;
+    let depth = 0;
+    while (depth < bits && node < nodeCount) {
+      node = readRecord(node, Number((address.value >> BigInt(bits - 1 - depth)) & 1n));
+      depth += 1;
+    }
+    // Equal to the node count means no data for this address
+    if (node <= nodeCount) return null;
+    const [data] = decode(dataSectionStart + node - nodeCount - DATA_SECTION_SEPARATOR);
+    return { data, prefixLength: depth };
+  };
+
+  return { metadata, lookup };
+};
+
+/**
+ * Read an IP2Location .BIN file's contents. Ranges are sorted, and binary searched,
+ * starting from the slice of rows the index gives for the address's first 16 bits
+ * @param {Buffer} buffer - The whole file
+ * @returns {{metadata: object, lookup: (ip: string) => (object|null)}}
+ */
+export const readIp2Location = (buffer) => {
+  const dbType = buffer[0];
+  const columns = buffer[1];
+  if (!(dbType >= 1 && dbType <= 26) || !columns) throw new Error('Not an IP2Location BIN file');
+  const metadata = {
+    dbType,
+    columns,
+    date: new Date(Date.UTC(2000 + buffer[2], buffer[3] - 1, buffer[4])),
+    4: { count: buffer.readUInt32LE(5), base: buffer.readUInt32LE(9), index: buffer.readUInt32LE(21) },
+    6: { count: buffer.readUInt32LE(13), base: buffer.readUInt32LE(17), index: buffer.readUInt32LE(25) },
+  };
+
+  // Positions in the file count from 1
+  const readUInt = (position) => buffer.readUInt32LE(position - 1);
+  const readString = (position) => buffer.toString('utf8', position, position + buffer[position - 1]);
+  const readAddress = (position, version) => {
+    if (version === 4) return BigInt(readUInt(position));
+    let value = 0n;
+    for (let i = 15; i >= 0; i -= 1) value = (value << 8n) + BigInt(buffer[position - 1 + i]);
+    return value;
+  };
+
+  const readRow = (row, version) => {
+    // IPv6 rows have a 16 byte range start, 12 more than IPv4's
+    const position = (field) => {
+      const column = IP2LOCATION_COLUMNS[field][dbType];
+      return column ? row + (version === 4 ? 0 : 12) + 4 * (column - 1) : null;
+    };
+    const text = (field) => {
+      const at = position(field);
+      const value = at && readString(readUInt(at) + 1);
+      return value && value !== '-' ? value : undefined;
+    };
+    const coordinate = (field) => {
+      const at = position(field);
+      return at ? Math.round(buffer.readFloatLE(at - 1) * 1e6) / 1e6 : undefined;
+    };
+    const countryAt = position('country') && readUInt(position('country'));
+    const countryCode = countryAt ? readString(countryAt + 1) : undefined;
+    // Ranges with no known location are given 0, 0
+    const located = coordinate('latitude') || coordinate('longitude');
+    return {
+      asn: text('asn') && parseInt(text('asn'), 10),
+      organization: text('as') || text('isp'),
+      isp: text('isp'),
+      country: countryCode && countryCode !== '-' ? readString(countryAt + 4) : undefined,
+      countryCode: countryCode && countryCode !== '-' ? countryCode : undefined,
+      region: text('region'),
+      city: text('city'),
+      postCode: text('postCode'),
+      latitude: located ? coordinate('latitude') : undefined,
+      longitude: located ? coordinate('longitude') : undefined,
+      timezone: text('timezone') && `UTC${text('timezone')}`,
+    };
+  };
+
+  const lookup = (ip) => {
+    const address = ipToBigInt(ip);
+    if (!address) return null;
+    const { version } = address;
+    const { count, base, index } = metadata[version];
+    if (!count) return null;
+    const bits = version === 4 ? 32n : 128n;
+    // Each range runs up to the start of the next, so the very last address is searched as the one before
+    const value = address.value === (1n << bits) - 1n ? address.value - 1n : address.value;
+    const rowSize = columns * 4 + (version === 4 ? 0 : 12);
+
+    let low = 0;
+    let high = count;
+    if (index) {
+      const indexAt = index + Number(value >> (bits - 16n)) * 8;
+      low = readUInt(indexAt);
+      high = readUInt(indexAt + 4);
+    }
+    while (low <= high) {
+      const mid = Math.floor((low + high) / 2);
+      const row = base + mid * rowSize;
+      const from = readAddress(row, version);
+      const to = readAddress(row + rowSize, version);
+      if (value >= from && value < to) return readRow(row, version);
+      if (value < from) high = mid - 1;
+      else low = mid + 1;
+    }
+    return null;
+  };
+
+  return { metadata, lookup };
+};
+
+/**
+ * Map a MaxMind record (from an ASN, ISP, City or Country database) to the same fields as IP2Location's
+ */
+const fromMaxMind = (data) => {
+  const country = data.country || data.registered_country;
+  return {
+    asn: data.autonomous_system_number,
+    organization: data.autonomous_system_organization || data.organization,
+    isp: data.isp,
+    country: country?.names?.en,
+    countryCode: country?.iso_code,
+    region: data.subdivisions?.[0]?.names?.en,
+    city: data.city?.names?.en,
+    postCode: data.postal?.code,
+    latitude: data.location?.latitude,
+    longitude: data.location?.longitude,
+    timezone: data.location?.time_zone,
+  };
+};
+
+/**
+ * Open a database, reusing the last read unless the file has changed.
+ * Files with MaxMind metadata are read as .mmdb, anything else as IP2Location
+ * @returns {{type: string, built: string, lookup: (ip: string) => (object|null)}}
+ */
+const openDatabase = (filePath) => {
+  const { mtimeMs } = fs.statSync(filePath);
+  const cached = databases.get(filePath);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.database;
+
+  const buffer = fs.readFileSync(filePath);
+  let database;
+  if (buffer.lastIndexOf(METADATA_MARKER) !== -1) {
+    const { metadata, lookup } = readMmdb(buffer);
+    database = {
+      type: metadata.database_type,
+      built: new Date(metadata.build_epoch * 1000).toISOString(),
+      lookup: (ip) => {
+        const found = lookup(ip);
+        return found && fromMaxMind(found.data);
+      },
+    };
+  } else {
+    const { metadata, lookup } = readIp2Location(buffer);
+    database = { type: `IP2Location DB${metadata.dbType}`, built: metadata.date.toISOString(), lookup };
+  }
+  databases.set(filePath, { mtimeMs, database });
+  console.log(`🗺️ Loaded IP database ${database.type}, built ${database.built.slice(0, 10)}`);
+  return database;
+};
+
+/**
+ * Load the configured databases. Ones which fail to load are left out, with the reason in errors
+ * @returns {{asn: object|null, city: object|null, errors: string[]}}
+ */
+export const loadIpDatabases = () => {
+  const loaded = { asn: null, city: null, errors: [] };
+  Object.entries({ asn: ASN_DATABASE, city: CITY_DATABASE }).forEach(([kind, filePath]) => {
+    if (!filePath) return;
+    try {
+      loaded[kind] = openDatabase(filePath);
+    } catch (error) {
+      loaded.errors.push(`Unable to load IP database ${filePath}: ${error.message}`);
+    }
+  });
+  return loaded;
+};
+
+/**
+ * Which databases are loaded, for reporting alongside results
+ * @returns {{asn: object|null, city: object|null, errors?: string[], reason?: string}}
+ */
+export const describeIpDatabases = (loaded = loadIpDatabases()) => ({
+  asn: loaded.asn && { type: loaded.asn.type, built: loaded.asn.built },
+  city: loaded.city && { type: loaded.city.type, built: loaded.city.built },
+  ...(loaded.errors.length && { errors: loaded.errors }),
+  ...(!ASN_DATABASE && !CITY_DATABASE && {
+    reason: 'No offline IP database configured (GEOIP_ASN_DATABASE, GEOIP_CITY_DATABASE)',
+  }),
+});
+
+const withoutEmpty = (record) => Object.fromEntries(
+  Object.entries(record || {}).filter(([, value]) => value !== undefined && value !== null && value !== ''),
+);
+
+/**
+ * Find an IP's network and location in the loaded databases. Where both have a field,
+ * network fields come from the ASN database, and everything else from the City database
+ * @param {string} ip - IPv4 or IPv6 address
+ * @param {object} [loaded] - Databases from loadIpDatabases, to avoid checking the files again per IP
+ * @returns {{asn?: number, organization?: string, isp?: string, country?: string, countryCode?: string,
+ *   region?: string, city?: string, postCode?: string, latitude?: number, longitude?: number, timezone?: string}}
+ */
+export const lookupIp = (ip, loaded = loadIpDatabases()) => {
+  if (isPrivateIp(ip)) return {};
+  const network = withoutEmpty(loaded.asn?.lookup(ip));
+  const location = withoutEmpty(loaded.city?.lookup(ip));
+  const result = { ...network, ...location };
+  NETWORK_FIELDS.forEach((field) => {
+    if (network[field] !== undefined) result[field] = network[field];
+  });
+  return result;
+};
+
+/**
+ * Which CDN's anycast range an IP is in, if any
+ * @returns {{provider: string, range: string}|null}
+ */
+export const findAnycastRange = (ip) => {
+  const address = ipToBigInt(ip);
+  const match = address && ANYCAST_RANGES.find(({ version, start, end }) => (
+    version === address.version && address.value >= start && address.value <= end
+  ));
+  return match ? { provider: match.provider, range: match.range } : null;
+};
+
+/**
+ * Reverse DNS (PTR) names for an IP, or an empty list if there are none or the lookup fails
+ */
+export const lookupPtr = async (ip) => {
+  const resolver = new dns.promises.Resolver({ timeout: PTR_TIMEOUT, tries: 1 });
+  try {
+    return await resolver.reverse(ip);
+  } catch {
+    return [];
+  }
+};
+
+export default {
+  isPrivateIp,
+  readMmdb,
+  readIp2Location,
+  loadIpDatabases,
+  describeIpDatabases,
+  lookupIp,
+  findAnycastRange,
+  lookupPtr,
+};
@@ -0,0 +1,60 @@
+/**
+ * IP Address Helpers
+ * Turns IPv4 and IPv6 addresses and CIDR ranges into BigInts, so they can be
+ * compared and searched, by the green hosting dataset and the IP databases
+ */
+
+import net from 'net';
+
+/**
+ * Convert an IP to a BigInt, so ranges can be compared.
+ * IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) are treated as IPv4
+ * @returns {{version: number, value: bigint}|null}
+ */
+export const ipToBigInt = (ip) => {
+  const address = (ip || '').trim().replace(/^::ffff:(?=\d+\.)/i, '');
+  const version = net.isIP(address);
+  if (version === 4) {
+    const value = address.split('.').reduce((total, octet) => (total << 8n) + BigInt(octet), 0n);
+    return { version, value };
+  }
+  if (version === 6) {
+    let expanded = address.replace(/%.*$/, '');
+    // An embedded IPv4 suffix (e.g. 64:ff9b::1.2.3.4) takes up the last two groups
+    const ipv4Suffix = expanded.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (ipv4Suffix) {
+      const { value } = ipToBigInt(ipv4Suffix[1]);
+      expanded = expanded.replace(ipv4Suffix[1], `${(value >> 16n).toString(16)}:${(value & 0xffffn).toString(16)}`);
+    }
+    const [head, tail] = expanded.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = tail === undefined
+      ? headGroups
+      : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+    const value = groups.reduce((total, group) => (total << 16n) + BigInt(parseInt(group, 16)), 0n);
+    return { version, value };
+  }
+  return null;
+};
+
+/**
+ * Parse a CIDR (or a lone IP) into the range of addresses it covers
+ * @returns {{version: number, start: bigint, end: bigint}|null}
+ */
+export const parseCidr = (cidr) => {
+  const [address, prefix] = cidr.trim().split('/');
+  const start = ipToBigInt(address);
+  if (!start) return null;
+  const bits = start.version === 4 ? 32 : 128;
+  const prefixLength = prefix === undefined ? bits : parseInt(prefix, 10);
+  if (Number.isNaN(prefixLength) || prefixLength < 0 || prefixLength > bits) return null;
+  const hostBits = BigInt(bits - prefixLength);
+  const mask = (1n << hostBits) - 1n;
+  return { version: start.version, start: start.value & ~mask, end: start.value | mask };
+};
+
+export default {
+  ipToBigInt,
+  parseCidr,
+};
@@ -42,6 +42,14 @@ const timeoutErrorMsg = 'You can re-trigger this request, by clicking "Retry"\n'
 + 'in order to keep running costs affordable, so that Web Scan can '
 + 'remain freely available for everyone.';
 
+/**
+ * When a handler which crawls should stop, so it can return what it has found
+ * before the request times out
+ * @param {number} reserveMs - Time to leave for the request in flight, and building the response
+ * @returns {number} Deadline, as a timestamp in ms
+ */
+export const getDeadline = (reserveMs) => Date.now() + TIMEOUT - reserveMs;
+
 const disabledErrorMsg = 'Error - WebScan Temporarily Disabled.\n\n'
 + 'We\'re sorry, but due to the increased cost of running Web Scan '
 + 'we\'ve had to temporatily disable the public instand. '
@@ -52,13 +60,16 @@ const disabledErrorMsg = 'Error - WebScan Temporarily Disabled.\n\n'
 // A middleware function used by all API routes on all platforms
 const commonMiddleware = (handler) => {
 
-  // Create a timeout promise, to throw an error if a request takes too long
-  const createTimeoutPromise = (timeoutMs) => {
-    return new Promise((_, reject) => {
-      setTimeout(() => {
+  // Race the handler against a timeout, to throw an error if a request takes too long.
+  // The timer is cleared once either settles, so it doesn't hold the process open
+  const raceTimeout = (handlerPromise, timeoutMs) => {
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => {
         reject(new Error(`Request timed-out after ${timeoutMs} ms`));
       }, timeoutMs);
     });
+    return Promise.race([handlerPromise, timeoutPromise]).finally(() => clearTimeout(timer));
   };
 
   // Vercel/Node.js
@@ -80,10 +91,7 @@ const commonMiddleware = (handler) => {
 
     try {
       // Race the handler against the timeout
-      const handlerResponse = await Promise.race([
-        handler(url, request),
-        createTimeoutPromise(TIMEOUT)
-      ]);
+      const handlerResponse = await raceTimeout(handler(url, request), TIMEOUT);
 
       if (handlerResponse.body && handlerResponse.statusCode) {
         response.status(handlerResponse.statusCode).json(handlerResponse.body);
@@ -120,13 +128,14 @@ const commonMiddleware = (handler) => {
 
     try {
       // Race the handler against the timeout
-      const handlerResponse = await Promise.race([
-        handler(url, event, context),
-        createTimeoutPromise(TIMEOUT)
-      ]);
+      const handlerResponse = await raceTimeout(handler(url, event, context), TIMEOUT);
 
       if (handlerResponse.body && handlerResponse.statusCode) {
-        callback(null, handlerResponse);
+        // Lambda needs a string body, handlers may return an object (e.g. for a 400)
+        const { body } = handlerResponse;
+        callback(null, typeof body === 'object'
+          ? { headers, ...handlerResponse, body: JSON.stringify(body) }
+          : handlerResponse);
       } else {
         callback(null, {
           statusCode: 200,
@@ -0,0 +1,67 @@
+/**
+ * Rank List Importer
+ * Command line tool to import a top-sites list into the rank store (see rank-store.js).
+ * Run it on a schedule (e.g. daily, for Tranco) to build up rank history
+ */
+
+import { importRankList, listSnapshots, getStoreDir, DEFAULT_SOURCES } from './rank-store.js';
+
+const args = process.argv.slice(2);
+
+const getOption = (name) => {
+  const index = args.indexOf(name);
+  return index !== -1 && index + 1 < args.length ? args[index + 1] : undefined;
+};
+
+if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+  console.log(`
+📊 Web-Scan Rank List Importer
+
+Usage: yarn rank:import --list <name> [source] [options]
+
+Options:
+  --list <name>        Name of the list (${Object.keys(DEFAULT_SOURCES).join(', ')}, or your own)
+  --date <YYYY-MM-DD>  Date of the list, for rank history (default: today)
+  --status             Show the snapshots in the store, and exit
+  --help, -h           Show this help message
+
+The source is a path or URL to a .csv or .zip list. If left out, the list is
+downloaded from its usual location (for ${Object.keys(DEFAULT_SOURCES).join(', ')}).
+
+Environment Variables:
+  RANK_STORE_DIR              Where to keep the store (default: ./data/rank-store)
+  RANK_STORE_MAX_SNAPSHOTS    Snapshots to keep for each list (default: 30)
+
+Examples:
+  yarn rank:import --list tranco
+  yarn rank:import --list umbrella ./top-1m.csv.zip --date 2024-05-01
+  yarn rank:import --list majestic https://downloads.majestic.com/majestic_million.csv
+`);
+  process.exit(0);
+}
+
+if (args.includes('--status')) {
+  const snapshots = listSnapshots();
+  console.log(`📁 Rank store: ${getStoreDir()}`);
+  if (Object.keys(snapshots).length === 0) console.log('No lists imported yet');
+  Object.entries(snapshots).forEach(([list, dates]) => {
+    console.log(`  ${list}: ${dates.length} snapshots, newest ${dates[0].date}, oldest ${dates[dates.length - 1].date}`);
+  });
+  process.exit(0);
+}
+
+const optionValues = [getOption('--list'), getOption('--date')];
+const source = args.find((arg) => !arg.startsWith('--') && !optionValues.includes(arg));
+
+const startTime = Date.now();
+console.log(`📥 Importing ${getOption('--list')} list from ${source || 'its default source'}...`);
+
+importRankList(source, { list: getOption('--list'), date: getOption('--date') })
+  .then(({ list, date, domains, file }) => {
+    console.log(`✅ Imported ${domains.toLocaleString()} domains into the ${list} list for ${date} (${file}), in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error(`❌ Import failed: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,267 @@
+/**
+ * Rank Store
+ * Local, indexed copies of top-sites lists (Tranco, Umbrella, Majestic, or
+ * anything else with a rank and domain column), so rank lookups don't need
+ * an external API or a scan through a million-row CSV.
+ *
+ * Each import is kept as a dated snapshot, in RANK_STORE_DIR/<list>/<date>.rank,
+ * so rank history can be shown. Snapshot files hold the domains sorted, with
+ * a table of offsets in front, so a lookup is a binary search on disk.
+ * Lists are imported with `yarn rank:import`, see rank-import.js
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import axios from 'axios';
+import psl from 'psl';
+import unzipper from 'unzipper';
+
+const STORE_DIR = process.env.RANK_STORE_DIR || path.join(process.cwd(), 'data', 'rank-store');
+const MAX_SNAPSHOTS = parseInt(process.env.RANK_STORE_MAX_SNAPSHOTS, 10) || 30;
+
+// Lists checked first when a domain is in more than one
+const LIST_PRIORITY = ['tranco', 'umbrella', 'majestic'];
+
+// Where to download each list from, when no source is given
+export const DEFAULT_SOURCES = {
+  tranco: 'https://tranco-list.eu/top-1m.csv.zip',
+  umbrella: 'https://s3-us-west-1.amazonaws.com/umbrella-static/top-1m.csv.zip',
+  majestic: 'https://downloads.majestic.com/majestic_million.csv',
+};
+
+const MAGIC = Buffer.from('WSRANK01');
+const HEADER_SIZE = MAGIC.length + 4;
+const MAX_RECORD_SIZE = 512;
+
+const isValidName = (name) => /^[a-z0-9][a-z0-9_-]*$/.test(name);
+const isValidDate = (date) => /^\d{4}-\d{2}-\d{2}$/.test(date);
+
+/**
+ * Open a list as a stream of CSV text, from a local file or URL, zipped or not
+ */
+const openSource = async (source) => {
+  const stream = /^https?:\/\//.test(source)
+    ? (await axios.get(source, { responseType: 'stream', timeout: 60000 })).data
+    : fs.createReadStream(source);
+  return /\.zip($|\?)/.test(source) ? stream.pipe(unzipper.ParseOne(/\.csv$/)) : stream;
+};
+
+/**
+ * Read rank and domain pairs out of a list. Lists without a header (Tranco,
+ * Umbrella) are rank,domain. With one (Majestic), the GlobalRank or Rank
+ * column and the Domain column are used
+ * @returns {Promise<Map<string, number>>} Each domain's best rank
+ */
+const readList = async (source) => {
+  const lines = readline.createInterface({ input: await openSource(source), crlfDelay: Infinity });
+  const ranks = new Map();
+  let rankColumn = 0;
+  let domainColumn = 1;
+  let first = true;
+
+  for await (const line of lines) {
+    const fields = line.split(',').map((field) => field.trim().replace(/^"|"$/g, ''));
+    if (first) {
+      first = false;
+      if (Number.isNaN(parseInt(fields[0], 10))) {
+        const header = fields.map((field) => field.toLowerCase());
+        rankColumn = header.findIndex((field) => ['globalrank', 'rank'].includes(field));
+        domainColumn = header.indexOf('domain');
+        if (rankColumn === -1 || domainColumn === -1) {
+          throw new Error(`Unable to find rank and domain columns in header: ${line}`);
+        }
+        continue;
+      }
+    }
+    const rank = parseInt(fields[rankColumn], 10);
+    const domain = (fields[domainColumn] || '').toLowerCase().replace(/\.$/, '');
+    if (!rank || !domain) continue;
+    if (!ranks.has(domain) || rank < ranks.get(domain)) ranks.set(domain, rank);
+  }
+
+  return ranks;
+};
+
+/**
+ * Write a sorted, indexed snapshot file: magic, count, offsets, then domain\trank\n records
+ */
+const writeSnapshot = (filePath, ranks) => {
+  const domains = [...ranks.keys()].sort();
+  const records = domains.map((domain) => `${domain}\t${ranks.get(domain)}\n`);
+
+  const header = Buffer.alloc(HEADER_SIZE);
+  MAGIC.copy(header);
+  header.writeUInt32LE(domains.length, MAGIC.length);
+
+  const offsets = Buffer.alloc(domains.length * 4);
+  let offset = 0;
+  records.forEach((record, index) => {
+    offsets.writeUInt32LE(offset, index * 4);
+    offset += Buffer.byteLength(record);
+  });
+
+  // Written to a temp file first, so a lookup never sees a half-written snapshot
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, Buffer.concat([header, offsets, Buffer.from(records.join(''))]));
+  fs.renameSync(tempPath, filePath);
+};
+
+/**
+ * Snapshots for each list, newest first
+ * @returns {Object<string, Array<{date: string, file: string}>>}
+ */
+export const listSnapshots = () => {
+  if (!fs.existsSync(STORE_DIR)) return {};
+  return Object.fromEntries(fs.readdirSync(STORE_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && isValidName(entry.name))
+    .map(({ name }) => {
+      const snapshots = fs.readdirSync(path.join(STORE_DIR, name))
+        .filter((file) => file.endsWith('.rank') && isValidDate(file.replace('.rank', '')))
+        .map((file) => ({ date: file.replace('.rank', ''), file: path.join(STORE_DIR, name, file) }))
+        .sort((a, b) => b.date.localeCompare(a.date));
+      return [name, snapshots];
+    })
+    .filter(([, snapshots]) => snapshots.length > 0));
+};
+
+/**
+ * Import a list into the store, as a snapshot for the given date.
+ * Re-importing a date replaces it, and only the newest RANK_STORE_MAX_SNAPSHOTS are kept
+ * @param {string} [source] - Path or URL of the list (.csv or .zip), defaults to the list's DEFAULT_SOURCES URL
+ * @param {Object} options
+ * @param {string} options.list - Name of the list (e.g. tranco, umbrella, majestic)
+ * @param {string} [options.date] - Date of the list, YYYY-MM-DD (defaults to today)
+ * @returns {Promise<{list: string, date: string, domains: number, file: string}>}
+ */
+export const importRankList = async (source, { list, date = new Date().toISOString().slice(0, 10) } = {}) => {
+  if (!list || !isValidName(list)) throw new Error(`Invalid list name: ${list}`);
+  if (!isValidDate(date)) throw new Error(`Invalid date, expected YYYY-MM-DD: ${date}`);
+  const from = source || DEFAULT_SOURCES[list];
+  if (!from) throw new Error(`No source given, and no default source for the ${list} list`);
+
+  const ranks = await readList(from);
+  if (ranks.size === 0) throw new Error(`No ranked domains found in ${from}`);
+
+  const listDir = path.join(STORE_DIR, list);
+  fs.mkdirSync(listDir, { recursive: true });
+  const file = path.join(listDir, `${date}.rank`);
+  writeSnapshot(file, ranks);
+
+  listSnapshots()[list].slice(MAX_SNAPSHOTS).forEach((old) => fs.unlinkSync(old.file));
+
+  return { list, date, domains: ranks.size, file };
+};
+
+/**
+ * Binary search a snapshot file for a domain
+ * @returns {number|null} The domain's rank, or null if it's not in the snapshot
+ */
+const searchSnapshot = (fd, domain) => {
+  const header = Buffer.alloc(HEADER_SIZE);
+  fs.readSync(fd, header, 0, HEADER_SIZE, 0);
+  if (!header.subarray(0, MAGIC.length).equals(MAGIC)) throw new Error('Not a rank snapshot file');
+  const count = header.readUInt32LE(MAGIC.length);
+  const dataStart = HEADER_SIZE + count * 4;
+
+  const offset = Buffer.alloc(4);
+  const record = Buffer.alloc(MAX_RECORD_SIZE);
+  const readRecord = (index) => {
+    fs.readSync(fd, offset, 0, 4, HEADER_SIZE + index * 4);
+    const bytesRead = fs.readSync(fd, record, 0, MAX_RECORD_SIZE, dataStart + offset.readUInt32LE(0));
+    const [name, rank] = record.subarray(0, bytesRead).toString('utf8').split('\n')[0].split('\t');
+    return { name, rank: parseInt(rank, 10) };
+  };
+
+  let low = 0;
+  let high = count - 1;
+  while (low <= high) {
+    const middle = (low + high) >>> 1;
+    const { name, rank } = readRecord(middle);
+    if (name === domain) return rank;
+    if (name < domain) low = middle + 1;
+    else high = middle - 1;
+  }
+  return null;
+};
+
+/**
+ * Domains to try for a hostname: as given, with or without www (Umbrella lists
+ * hostnames, not domains), then the registrable domain (so blog.example.co.uk
+ * matches example.co.uk)
+ */
+const getCandidates = (hostname) => {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  const candidates = [
+    { domain: host, matchType: 'exact' },
+    { domain: host.startsWith('www.') ? host.slice(4) : `www.${host}`, matchType: 'www' },
+    { domain: psl.get(host), matchType: 'registrable' },
+  ];
+  return candidates.filter(({ domain }, index) => (
+    domain && candidates.findIndex((candidate) => candidate.domain === domain) === index
+  ));
+};
+
+/**
+ * Look up a hostname's rank history in one list
+ * @returns {{ranks: Array<{date: string, rank: number}>, matchedDomain: string|null, matchType: string|null}|null}
+ *   Ranks newest first, and how the newest match was made (exact, www, or registrable).
+ *   Null if the list has no snapshots
+ */
+export const lookupInList = (hostname, list) => {
+  const snapshots = listSnapshots()[list];
+  if (!snapshots) return null;
+
+  const candidates = getCandidates(hostname);
+  const ranks = [];
+  let match = null;
+
+  snapshots.forEach(({ date, file }) => {
+    const fd = fs.openSync(file, 'r');
+    try {
+      for (const candidate of candidates) {
+        const rank = searchSnapshot(fd, candidate.domain);
+        if (rank) {
+          ranks.push({ date, rank });
+          match = match || candidate;
+          break;
+        }
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  });
+
+  return { ranks, matchedDomain: match?.domain || null, matchType: match?.matchType || null };
+};
+
+/**
+ * Look up a hostname in every list in the store
+ * @returns {{lists: Object, best: Object|null}} Results for each list, and the
+ *   highest priority list the hostname was found in
+ */
+export const lookupRank = (hostname) => {
+  const names = Object.keys(listSnapshots()).sort((a, b) => {
+    const priority = (name) => (LIST_PRIORITY.includes(name) ? LIST_PRIORITY.indexOf(name) : LIST_PRIORITY.length);
+    return priority(a) - priority(b) || a.localeCompare(b);
+  });
+
+  const lists = {};
+  names.forEach((list) => {
+    lists[list] = lookupInList(hostname, list);
+  });
+
+  const bestList = names.find((list) => lists[list].ranks.length > 0);
+  return { lists, best: bestList ? { list: bestList, ...lists[bestList] } : null };
+};
+
+export const getStoreDir = () => STORE_DIR;
+
+export default {
+  DEFAULT_SOURCES,
+  importRankList,
+  listSnapshots,
+  lookupInList,
+  lookupRank,
+  getStoreDir,
+};
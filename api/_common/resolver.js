@@ -0,0 +1,52 @@
+/**
+ * Shared DNS Resolver
+ * Record lookups through Node's resolver, for the checks which only need answers
+ * (not flags or DNSSEC records, for those see dns-client.js).
+ * Uses DNS_RESOLVER if set, so results match the other DNS checks (and can be pointed at a stub).
+ * A name which doesn't exist, or has no records of the type, gives an empty array
+ */
+
+import dns from 'dns';
+
+export const resolver = new dns.promises.Resolver({ timeout: 3000, tries: 2 });
+if (process.env.DNS_RESOLVER) {
+  resolver.setServers([process.env.DNS_RESOLVER]);
+}
+
+const NO_RECORD_CODES = [dns.NOTFOUND, dns.NODATA];
+
+/**
+ * Fetch TXT records for a name. Records longer than 255 bytes are split
+ * into chunks, which are joined back up here
+ * @param {string} name - Name to look up
+ * @returns {Promise<string[]>}
+ */
+export const resolveTxt = async (name) => {
+  try {
+    const records = await resolver.resolveTxt(name);
+    return records.map((chunks) => chunks.join(''));
+  } catch (error) {
+    if (NO_RECORD_CODES.includes(error.code)) return [];
+    throw error;
+  }
+};
+
+/**
+ * Fetch MX records for a name
+ * @param {string} name - Name to look up
+ * @returns {Promise<Array<{exchange: string, priority: number}>>}
+ */
+export const resolveMx = async (name) => {
+  try {
+    return await resolver.resolveMx(name);
+  } catch (error) {
+    if (NO_RECORD_CODES.includes(error.code)) return [];
+    throw error;
+  }
+};
+
+export default {
+  resolver,
+  resolveTxt,
+  resolveMx,
+};
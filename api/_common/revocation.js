@@ -0,0 +1,259 @@
+/**
+ * Certificate Revocation
+ * Works out whether a certificate has been revoked, from a stapled OCSP
+ * response if the server sent one, else by asking the CA's OCSP responder,
+ * else from the CA's CRL. OCSP response signatures aren't verified, so this
+ * is informational, not a substitute for the client's own checks
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+import {
+  TAGS, readElement, readChildren, decodeOid, decodeTime, findAll, encode, encodeOid,
+} from './asn1.js';
+import { parseCertificateDer } from './certificate.js';
+
+const OCSP_TIMEOUT = 5000;
+const CRL_TIMEOUT = 10000;
+const MAX_CRL_SIZE = 10 * 1024 * 1024;
+
+const OIDS = {
+  authorityInfoAccess: '1.3.6.1.5.5.7.1.1',
+  crlDistributionPoints: '2.5.29.31',
+  ocsp: '1.3.6.1.5.5.7.48.1',
+  caIssuers: '1.3.6.1.5.5.7.48.2',
+  ocspBasic: '1.3.6.1.5.5.7.48.1.1',
+  sha1: '1.3.14.3.2.26',
+};
+
+const OCSP_RESPONSE_STATUSES = ['successful', 'malformedRequest', 'internalError', 'tryLater', null, 'sigRequired', 'unauthorized'];
+
+const REVOCATION_REASONS = {
+  0: 'unspecified',
+  1: 'keyCompromise',
+  2: 'cACompromise',
+  3: 'affiliationChanged',
+  4: 'superseded',
+  5: 'cessationOfOperation',
+  6: 'certificateHold',
+  8: 'removeFromCRL',
+  9: 'privilegeWithdrawn',
+  10: 'aACompromise',
+};
+
+// Serials are compared without any leading zero padding
+const normaliseSerial = (value) => Buffer.from(value).toString('hex').replace(/^(00)+/, '');
+
+/**
+ * Where a certificate says to check its revocation status, and fetch its issuer
+ * @param {Buffer} raw - DER encoded certificate
+ * @returns {{ocsp: string[], crl: string[], caIssuers: string[]}}
+ */
+export const getRevocationUrls = (raw) => {
+  const { extensions } = parseCertificateDer(raw);
+  const urls = { ocsp: [], crl: [], caIssuers: [] };
+
+  const aia = extensions[OIDS.authorityInfoAccess];
+  if (aia) {
+    readChildren(readElement(aia.value)).forEach((description) => {
+      const [method, location] = readChildren(description);
+      // URIs are [6] tagged IA5Strings
+      if (location.tag !== 0x86) return;
+      const url = location.value.toString('ascii');
+      const methodOid = decodeOid(method.value);
+      if (methodOid === OIDS.ocsp) urls.ocsp.push(url);
+      if (methodOid === OIDS.caIssuers) urls.caIssuers.push(url);
+    });
+  }
+
+  const distributionPoints = extensions[OIDS.crlDistributionPoints];
+  if (distributionPoints) {
+    urls.crl = findAll(readElement(distributionPoints.value), 0x86)
+      .map(({ value }) => value.toString('ascii'))
+      .filter((url) => /^https?:\/\//.test(url));
+  }
+
+  return urls;
+};
+
+/**
+ * Build an OCSP request for a certificate, identified by its issuer's name and key hashes
+ * @param {Buffer} leafRaw - DER certificate to check
+ * @param {Buffer} issuerRaw - DER certificate of its issuer
+ */
+export const buildOcspRequest = (leafRaw, issuerRaw) => {
+  const leaf = parseCertificateDer(leafRaw);
+  const issuer = parseCertificateDer(issuerRaw);
+  const sha1 = (data) => crypto.createHash('sha1').update(data).digest();
+
+  const certId = encode(
+    TAGS.SEQUENCE,
+    encode(TAGS.SEQUENCE, encodeOid(OIDS.sha1), encode(TAGS.NULL)),
+    encode(TAGS.OCTET_STRING, sha1(issuer.subject.raw)),
+    // Skip the BIT STRING's unused-bits byte
+    encode(TAGS.OCTET_STRING, sha1(issuer.publicKey.value.subarray(1))),
+    leaf.serial.raw,
+  );
+  const request = encode(TAGS.SEQUENCE, certId);
+  const requestList = encode(TAGS.SEQUENCE, request);
+  const tbsRequest = encode(TAGS.SEQUENCE, requestList);
+  return encode(TAGS.SEQUENCE, tbsRequest);
+};
+
+/**
+ * Read the status of a certificate from an OCSP response
+ * @param {Buffer} der - OCSPResponse
+ * @param {Buffer} serial - Serial number (INTEGER value) of the certificate it should be about
+ * @returns {{responseStatus: string, status: string|null, producedAt: string|null, thisUpdate: string|null,
+ *   nextUpdate: string|null, revocationTime: string|null, revocationReason: string|null}}
+ *   status is good, revoked or unknown, or null if the response doesn't cover this certificate
+ */
+export const parseOcspResponse = (der, serial) => {
+  const [statusElement, responseBytes] = readChildren(readElement(der));
+  const responseStatus = OCSP_RESPONSE_STATUSES[statusElement.value[0]] || `status ${statusElement.value[0]}`;
+  const result = {
+    responseStatus,
+    status: null,
+    producedAt: null,
+    thisUpdate: null,
+    nextUpdate: null,
+    revocationTime: null,
+    revocationReason: null,
+  };
+  if (responseStatus !== 'successful' || !responseBytes) return result;
+
+  const [responseType, response] = readChildren(readChildren(responseBytes)[0]);
+  if (decodeOid(responseType.value) !== OIDS.ocspBasic) return result;
+
+  const [tbsResponseData] = readChildren(readElement(response.value));
+  const dataFields = readChildren(tbsResponseData).filter(({ tag }) => tag !== 0xa0);
+  const [, producedAt, responses] = dataFields;
+  result.producedAt = decodeTime(producedAt)?.toISOString() || null;
+
+  const wanted = normaliseSerial(serial);
+  const single = readChildren(responses).find((item) => {
+    const certId = readChildren(item)[0];
+    return normaliseSerial(readChildren(certId)[3].value) === wanted;
+  });
+  if (!single) return result;
+
+  const [, certStatus, thisUpdate, ...rest] = readChildren(single);
+  result.thisUpdate = decodeTime(thisUpdate)?.toISOString() || null;
+  const nextUpdate = rest.find(({ tag }) => tag === 0xa0);
+  if (nextUpdate) result.nextUpdate = decodeTime(readChildren(nextUpdate)[0])?.toISOString() || null;
+
+  // good is [0] NULL, revoked is [1] RevokedInfo, unknown is [2] NULL
+  if (certStatus.tag === 0x80) {
+    result.status = 'good';
+  } else if (certStatus.tag === 0xa1) {
+    result.status = 'revoked';
+    const [revocationTime, reason] = readChildren(certStatus);
+    result.revocationTime = decodeTime(revocationTime)?.toISOString() || null;
+    if (reason) result.revocationReason = REVOCATION_REASONS[readChildren(reason)[0].value[0]] || null;
+  } else {
+    result.status = 'unknown';
+  }
+  return result;
+};
+
+const queryOcsp = async (url, leafRaw, issuerRaw) => {
+  const response = await axios.post(url, buildOcspRequest(leafRaw, issuerRaw), {
+    headers: { 'Content-Type': 'application/ocsp-request', Accept: 'application/ocsp-response' },
+    responseType: 'arraybuffer',
+    timeout: OCSP_TIMEOUT,
+  });
+  return Buffer.from(response.data);
+};
+
+/**
+ * Look for a serial number in a CRL
+ * @returns {{status: string, thisUpdate: string|null, nextUpdate: string|null, revocationTime: string|null}}
+ */
+const checkCrl = async (url, serial) => {
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: CRL_TIMEOUT,
+    maxContentLength: MAX_CRL_SIZE,
+  });
+  const [tbsCertList] = readChildren(readElement(Buffer.from(response.data)));
+  const fields = readChildren(tbsCertList);
+  // Optional version, then signature algorithm and issuer, then the update times
+  let index = fields[0].tag === TAGS.INTEGER ? 3 : 2;
+  const thisUpdate = decodeTime(fields[index]);
+  index += 1;
+  let nextUpdate = null;
+  if (fields[index] && [TAGS.UTC_TIME, TAGS.GENERALIZED_TIME].includes(fields[index].tag)) {
+    nextUpdate = decodeTime(fields[index]);
+    index += 1;
+  }
+
+  const result = {
+    status: 'good',
+    thisUpdate: thisUpdate?.toISOString() || null,
+    nextUpdate: nextUpdate?.toISOString() || null,
+    revocationTime: null,
+  };
+  const revoked = fields[index]?.tag === TAGS.SEQUENCE ? readChildren(fields[index]) : [];
+  const wanted = normaliseSerial(serial);
+  const entry = revoked.find((item) => normaliseSerial(readChildren(item)[0].value) === wanted);
+  if (entry) {
+    result.status = 'revoked';
+    result.revocationTime = decodeTime(readChildren(entry)[1])?.toISOString() || null;
+  }
+  return result;
+};
+
+/**
+ * Check whether a certificate has been revoked
+ * @param {Object} options
+ * @param {Buffer} options.leafRaw - DER certificate to check
+ * @param {Buffer} [options.issuerRaw] - DER certificate of its issuer, needed to query OCSP
+ * @param {Buffer} [options.stapled] - OCSP response stapled to the TLS handshake
+ * @returns {Promise<Object>} status (good, revoked or unknown), source (stapled-ocsp, ocsp or crl),
+ *   the URLs found, and any errors along the way
+ */
+export const checkRevocation = async ({ leafRaw, issuerRaw, stapled }) => {
+  const { serial } = parseCertificateDer(leafRaw);
+  const urls = getRevocationUrls(leafRaw);
+  const errors = [];
+  const base = { ocspUrls: urls.ocsp, crlUrls: urls.crl, stapled: !!stapled };
+
+  if (stapled) {
+    try {
+      const ocsp = parseOcspResponse(stapled, serial.value);
+      if (ocsp.status) return { ...base, ...ocsp, source: 'stapled-ocsp', errors };
+      errors.push(`Stapled OCSP response was ${ocsp.responseStatus}, or for a different certificate`);
+    } catch (error) {
+      errors.push(`Unable to read stapled OCSP response: ${error.message}`);
+    }
+  }
+
+  if (urls.ocsp.length > 0 && issuerRaw) {
+    try {
+      const ocsp = parseOcspResponse(await queryOcsp(urls.ocsp[0], leafRaw, issuerRaw), serial.value);
+      if (ocsp.status) return { ...base, ...ocsp, source: 'ocsp', errors };
+      errors.push(`OCSP responder said ${ocsp.responseStatus}`);
+    } catch (error) {
+      errors.push(`OCSP query to ${urls.ocsp[0]} failed: ${error.message}`);
+    }
+  }
+
+  if (urls.crl.length > 0) {
+    try {
+      return { ...base, ...(await checkCrl(urls.crl[0], serial.value)), source: 'crl', errors };
+    } catch (error) {
+      errors.push(`Unable to check CRL at ${urls.crl[0]}: ${error.message}`);
+    }
+  }
+
+  return {
+    ...base, status: 'unknown', source: null, errors,
+  };
+};
+
+export default {
+  checkRevocation,
+  getRevocationUrls,
+  buildOcspRequest,
+  parseOcspResponse,
+};
@@ -0,0 +1,99 @@
+/**
+ * API Route Loader
+ * Walks the api directory (including nested category folders) and builds
+ * the route table used by server.js and server-dev.js
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const API_DIR = '/api';
+
+// Files which live alongside handlers, but aren't handlers themselves.
+// Only *.config.js counts as config, so handlers like mail-config.js still get routed
+const isHandlerFile = (dirent) => dirent.isFile()
+  && dirent.name.endsWith('.js')
+  && !dirent.name.includes('webpack')
+  && !dirent.name.endsWith('.config.js');
+
+// Folders prefixed with an underscore (e.g. _common) hold shared code, not routes
+const isRouteDir = (dirent) => dirent.isDirectory() && !dirent.name.startsWith('_');
+
+/**
+ * Recursively collect handler files, top-level files first, then sub-directories
+ * @param {string} dirPath - Absolute path of the directory to walk
+ * @param {string} prefix - Route prefix for the current directory (e.g. '/security')
+ * @returns {Array<{route: string, name: string, filePath: string}>}
+ */
+const collectHandlerFiles = (dirPath, prefix = '') => {
+  const items = fs.readdirSync(dirPath, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const files = items.filter(isHandlerFile).map((item) => {
+    const name = item.name.split('.')[0];
+    return { route: `${API_DIR}${prefix}/${name}`, name, filePath: path.join(dirPath, item.name) };
+  });
+
+  const nested = items.filter(isRouteDir).flatMap((item) => (
+    collectHandlerFiles(path.join(dirPath, item.name), `${prefix}/${item.name}`)
+  ));
+
+  return [...files, ...nested];
+};
+
+/**
+ * Work out the route table for every handler in the api directory.
+ * Nested handlers (e.g. /api/security/ssl) also get a flat alias (/api/ssl),
+ * which is what the frontend calls. If two handlers share a name, the
+ * top-level one (or the first found) keeps the alias.
+ * @param {string} apiDir - Absolute path of the api directory
+ * @returns {Array<{route: string, alias: string|null, jobName: string, filePath: string}>}
+ */
+export const discoverRoutes = (apiDir) => {
+  const handlerFiles = collectHandlerFiles(apiDir);
+  const taken = new Set(handlerFiles.map(({ route }) => route));
+
+  return handlerFiles.map(({ route, name, filePath }) => {
+    const flatRoute = `${API_DIR}/${name}`;
+    let alias = null;
+
+    if (flatRoute !== route) {
+      if (taken.has(flatRoute)) {
+        console.warn(`⚠️ Skipping alias ${flatRoute} for ${route}, as it is already in use`);
+      } else {
+        alias = flatRoute;
+        taken.add(flatRoute);
+      }
+    }
+
+    const jobName = (alias || route).replace(`${API_DIR}/`, '');
+    return { route, alias, jobName, filePath };
+  });
+};
+
+/**
+ * Import each discovered handler module
+ * @param {string} apiDir - Absolute path of the api directory
+ * @returns {Promise<Array<{route: string, alias: string|null, jobName: string, handler: Function}>>}
+ */
+export const loadRoutes = async (apiDir) => {
+  const routes = [];
+
+  for (const { filePath, ...routeInfo } of discoverRoutes(apiDir)) {
+    try {
+      const handlerModule = await import(filePath);
+      const handler = handlerModule.default || handlerModule;
+      routes.push({ ...routeInfo, handler });
+    } catch (error) {
+      console.error(`❌ Failed to load route ${routeInfo.route}:`, error);
+    }
+  }
+
+  return routes;
+};
+
+export default {
+  API_DIR,
+  discoverRoutes,
+  loadRoutes
+};
@@ -0,0 +1,164 @@
+/**
+ * Request Timing
+ * Makes an HTTP(S) request on a fresh socket, and measures each phase of it
+ * (DNS lookup, TCP connect, TLS handshake, time to first byte and download)
+ * from the socket events. Used by the status check, the redirects check and
+ * the monitoring loop
+ */
+
+import http from 'http';
+import https from 'https';
+import { performance } from 'perf_hooks';
+
+const DEFAULT_TIMEOUT = 30000;
+const USER_AGENT = 'Mozilla/5.0 (compatible; WebScan-Status/1.0)';
+
+// We only need the timings, so don't hold huge bodies in memory
+const MAX_BODY_SIZE = 5 * 1024 * 1024;
+
+const round = (ms) => Math.round(ms * 100) / 100;
+
+/**
+ * Turn the raw event timestamps into phase durations, in milliseconds.
+ * Phases which didn't happen (e.g. DNS for an IP, or TLS over http) are 0
+ */
+const getPhases = (events) => {
+  const lookup = events.lookup ?? events.start;
+  const connect = events.connect ?? lookup;
+  const secureConnect = events.secureConnect ?? connect;
+  const firstByte = events.firstByte ?? secureConnect;
+  const end = events.end ?? firstByte;
+
+  return {
+    dnsLookup: round(lookup - events.start),
+    tcpConnect: round(connect - lookup),
+    tlsHandshake: round(secureConnect - connect),
+    firstByte: round(firstByte - secureConnect),
+    download: round(end - firstByte),
+    total: round(end - events.start),
+  };
+};
+
+/**
+ * Make a single request, without following redirects
+ */
+const timeRequest = (url, { method, headers, timeout, includeBody }) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  const events = { start: performance.now() };
+  let remoteAddress = null;
+  let tlsInfo = null;
+
+  const request = client.request(target, {
+    method,
+    // A new socket each time, else keep-alive would hide the connection phases
+    agent: false,
+    headers: { 'User-Agent': USER_AGENT, ...headers },
+    // Measuring the connection is the point, so a bad certificate shouldn't stop us
+    rejectUnauthorized: false,
+  });
+
+  request.setTimeout(timeout, () => {
+    request.destroy(new Error(`Request timed out after ${timeout}ms`));
+  });
+
+  request.on('socket', (socket) => {
+    socket.once('lookup', (error, address) => {
+      events.lookup = performance.now();
+      if (!error) remoteAddress = address;
+    });
+    socket.once('connect', () => {
+      events.connect = performance.now();
+      remoteAddress = socket.remoteAddress || remoteAddress;
+    });
+    socket.once('secureConnect', () => {
+      events.secureConnect = performance.now();
+      tlsInfo = {
+        protocol: socket.getProtocol(),
+        cipher: socket.getCipher()?.name,
+        authorized: socket.authorized,
+        authorizationError: socket.authorizationError || null,
+      };
+    });
+  });
+
+  request.on('response', (response) => {
+    let size = 0;
+    const chunks = [];
+    response.once('readable', () => {
+      events.firstByte = performance.now();
+    });
+    response.on('data', (chunk) => {
+      size += chunk.length;
+      if (includeBody && size <= MAX_BODY_SIZE) chunks.push(chunk);
+      if (size > MAX_BODY_SIZE) response.destroy();
+    });
+
+    const finish = () => {
+      events.end = performance.now();
+      events.firstByte = events.firstByte ?? events.end;
+      resolve({
+        url,
+        statusCode: response.statusCode,
+        statusMessage: response.statusMessage,
+        headers: response.headers,
+        contentLength: size,
+        remoteAddress,
+        tls: tlsInfo,
+        timings: getPhases(events),
+        ...(includeBody && { body: Buffer.concat(chunks).toString('utf8') }),
+      });
+    };
+    response.on('end', finish);
+    // Destroyed because the body was too large, we've still got the timings
+    response.on('close', () => {
+      if (!events.end) finish();
+    });
+  });
+
+  request.on('error', reject);
+  request.end();
+});
+
+/**
+ * Request a URL and break down how long each phase took.
+ * When redirects are followed, the timings are for the final response,
+ * and `totalTime` covers every hop
+ * @param {string} url - URL to request
+ * @param {Object} [options]
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {number} [options.timeout=30000] - Timeout per hop, in milliseconds
+ * @param {number} [options.maxRedirects=0] - Number of redirects to follow
+ * @param {boolean} [options.includeBody=false] - Keep the final response's body (up to 5 MB), as a string
+ * @returns {Promise<Object>} Status, headers, timings and the redirect chain
+ */
+export const timedRequest = async (url, options = {}) => {
+  const {
+    method = 'GET',
+    headers = {},
+    timeout = DEFAULT_TIMEOUT,
+    maxRedirects = 0,
+    includeBody = false,
+  } = options;
+
+  const redirects = [];
+  let currentUrl = url;
+  let totalTime = 0;
+
+  for (;;) {
+    const result = await timeRequest(currentUrl, { method, headers, timeout, includeBody });
+    totalTime += result.timings.total;
+
+    const { location } = result.headers;
+    const isRedirect = result.statusCode >= 300 && result.statusCode < 400 && location;
+    if (!isRedirect || redirects.length >= maxRedirects) {
+      return { ...result, redirects, totalTime: round(totalTime) };
+    }
+
+    redirects.push({ url: currentUrl, statusCode: result.statusCode, timings: result.timings });
+    currentUrl = new URL(location, currentUrl).toString();
+  }
+};
+
+export default timedRequest;
@@ -0,0 +1,407 @@
+/**
+ * TLS Scanner
+ * Enumerates what a server supports by doing lots of handshakes with it:
+ * each protocol version, each cipher suite (in the server's order of
+ * preference), each key exchange group, and a set of well-known client
+ * profiles. Everything is done with Node's own TLS stack, so anything this
+ * build of OpenSSL can't offer (SSLv2/3, RC4, 3DES, export suites) is
+ * reported as untested rather than unsupported
+ */
+
+import tls from 'tls';
+import net from 'net';
+import cipherSuites from './data/tls-ciphers.js';
+import clientProfiles from './data/tls-clients.js';
+
+const HANDSHAKE_TIMEOUT = parseInt(process.env.TLS_HANDSHAKE_TIMEOUT, 10) || 5000;
+const CONCURRENCY = 4;
+
+// Newest first, as Node names them
+const PROTOCOLS = ['TLSv1.3', 'TLSv1.2', 'TLSv1.1', 'TLSv1'];
+const UNTESTABLE_PROTOCOLS = ['SSLv3', 'SSLv2'];
+const GROUPS = ['X25519', 'X448', 'P-256', 'P-384', 'P-521', 'ffdhe2048', 'ffdhe3072', 'ffdhe4096'];
+const FORWARD_SECRET = ['ECDHE', 'DHE', 'ADH', 'AECDH'];
+const MIN_DH_BITS = 2048;
+const LOGJAM_DH_BITS = 1024;
+
+let offerable = null;
+
+/**
+ * Build an OpenSSL cipher string. Node sends TLS 1.3 suites (TLS_*) to OpenSSL
+ * separately, so the security level can only go on the end of the rest.
+ * Level 0 lets OpenSSL offer (and accept) the weak suites and keys we're testing for
+ */
+const cipherString = (names) => {
+  const legacy = names.filter((name) => !name.startsWith('TLS_'));
+  return [...names, ...(legacy.length > 0 ? ['@SECLEVEL=0'] : [])].join(':');
+};
+
+// Which suites and groups OpenSSL will let us put in a ClientHello
+const getOfferable = () => {
+  if (!offerable) {
+    const accepts = (options) => {
+      try {
+        tls.createSecureContext(options);
+        return true;
+      } catch {
+        return false;
+      }
+    };
+    offerable = {
+      suites: cipherSuites.filter(({ openssl }) => accepts({ ciphers: cipherString([openssl]) })),
+      groups: GROUPS.filter((group) => accepts({ ecdhCurve: group })),
+    };
+  }
+  return offerable;
+};
+
+/**
+ * Do a single handshake, and report what was negotiated
+ * @param {string} host
+ * @param {Object} options
+ * @param {number} options.port
+ * @param {string} options.minVersion - e.g. TLSv1.2
+ * @param {string} options.maxVersion
+ * @param {string[]} options.ciphers - OpenSSL suite names, in order of preference
+ * @param {string[]} [options.groups] - Key exchange groups to offer, or the defaults if not given
+ * @returns {Promise<{ok: boolean, protocol?: string, cipher?: string, iana?: string,
+ *   keyExchange?: {type: string, name: string|null, size: number}|null, error?: string}>}
+ */
+export const handshake = (host, {
+  port, minVersion, maxVersion, ciphers, groups, timeout = HANDSHAKE_TIMEOUT,
+}) => new Promise((resolve) => {
+  let socket;
+  let settled = false;
+  const finish = (result) => {
+    if (settled) return;
+    settled = true;
+    socket?.destroy();
+    resolve(result);
+  };
+
+  try {
+    socket = tls.connect({
+      host,
+      port,
+      servername: net.isIP(host) ? undefined : host,
+      rejectUnauthorized: false,
+      minVersion,
+      maxVersion,
+      ciphers: cipherString(ciphers),
+      ...(groups?.length ? { ecdhCurve: groups.join(':') } : {}),
+      minDHSize: 1,
+    }, () => {
+      const cipher = socket.getCipher();
+      const key = socket.getEphemeralKeyInfo();
+      finish({
+        ok: true,
+        protocol: socket.getProtocol(),
+        cipher: cipher.name,
+        iana: cipher.standardName,
+        keyExchange: key && key.type ? { type: key.type, name: key.name || null, size: key.size } : null,
+      });
+    });
+  } catch (error) {
+    // Nothing in the options OpenSSL can use, e.g. only TLS 1.2 suites offered for TLS 1.0
+    finish({ ok: false, error: error.code || error.message });
+    return;
+  }
+
+  socket.setTimeout(timeout, () => finish({ ok: false, error: 'ETIMEDOUT' }));
+  socket.on('error', (error) => finish({ ok: false, error: error.code || error.message }));
+});
+
+// Run fn over items, a few at a time
+const mapLimited = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+/**
+ * What's wrong with a suite, if anything
+ * @returns {{strength: string, forwardSecrecy: boolean, weaknesses: string[]}}
+ *   strength is insecure (shouldn't be used at all), weak, or secure
+ */
+export const classifySuite = (suite, keyExchange) => {
+  const insecure = [];
+  if (suite.encryption === 'NULL') insecure.push('No encryption');
+  if (suite.authentication === 'none') insecure.push('Anonymous, the server is not authenticated');
+  if (suite.bits > 0 && suite.bits < 112) insecure.push(`${suite.bits}-bit key, export grade or single DES`);
+  if (suite.encryption.startsWith('RC4')) insecure.push('RC4 stream cipher');
+  if (suite.mac === 'MD5') insecure.push('MD5 MAC');
+  if (keyExchange?.type === 'DH' && keyExchange.size < LOGJAM_DH_BITS) insecure.push(`${keyExchange.size}-bit DH parameters (Logjam)`);
+
+  const weak = [];
+  const forwardSecrecy = FORWARD_SECRET.includes(suite.keyExchange);
+  if (!forwardSecrecy) weak.push('No forward secrecy');
+  if (/^(3DES|IDEA)/.test(suite.encryption)) weak.push('64-bit block cipher (Sweet32)');
+  if (suite.encryption.includes('CBC')) weak.push('CBC mode');
+  if (keyExchange?.type === 'DH' && keyExchange.size >= LOGJAM_DH_BITS && keyExchange.size < MIN_DH_BITS) {
+    weak.push(`${keyExchange.size}-bit DH parameters`);
+  }
+
+  let strength = 'secure';
+  if (insecure.length > 0) strength = 'insecure';
+  else if (weak.length > 0) strength = 'weak';
+  return { strength, forwardSecrecy, weaknesses: [...insecure, ...weak] };
+};
+
+/**
+ * Find every suite a server accepts for one protocol. Offers everything,
+ * takes the one it picks out of the list, and repeats until it refuses, so
+ * the suites come out in the order the server chose them
+ */
+const enumerateProtocol = async (host, port, protocol) => {
+  const candidates = getOfferable().suites.filter(({ tls13 }) => tls13 === (protocol === 'TLSv1.3'));
+  const remaining = candidates.map(({ openssl }) => openssl);
+  const accepted = [];
+  let lastError = null;
+
+  while (remaining.length > 0) {
+    const result = await handshake(host, {
+      port, minVersion: protocol, maxVersion: protocol, ciphers: remaining,
+    });
+    if (!result.ok) {
+      lastError = result.error;
+      break;
+    }
+    const index = remaining.indexOf(result.cipher);
+    // Shouldn't happen, but don't loop forever if the server picks something we didn't offer
+    if (index === -1) break;
+    remaining.splice(index, 1);
+    accepted.push(result);
+  }
+
+  // Whether the server has its own order: offer its first two choices the other way round
+  let serverPreference = null;
+  if (accepted.length >= 2) {
+    const check = await handshake(host, {
+      port, minVersion: protocol, maxVersion: protocol, ciphers: [accepted[1].cipher, accepted[0].cipher],
+    });
+    if (check.ok) serverPreference = check.cipher === accepted[0].cipher;
+  }
+
+  return {
+    protocol, supported: accepted.length > 0, accepted, serverPreference, error: accepted.length ? null : lastError,
+  };
+};
+
+/**
+ * Try each key exchange group on its own, over the newest protocol the server supports
+ */
+const enumerateGroups = async (host, port, protocolResults) => {
+  const tls13 = protocolResults.find(({ protocol, supported }) => protocol === 'TLSv1.3' && supported);
+  const tls12 = protocolResults.find(({ protocol, supported }) => protocol === 'TLSv1.2' && supported);
+  const ecdheSuites = tls12?.accepted.filter(({ cipher }) => cipher.startsWith('ECDHE-')).map(({ cipher }) => cipher) || [];
+
+  let protocol;
+  let ciphers;
+  let groups = getOfferable().groups;
+  if (tls13) {
+    protocol = 'TLSv1.3';
+    ciphers = tls13.accepted.map(({ cipher }) => cipher);
+  } else if (ecdheSuites.length > 0) {
+    // Finite field groups only take part in TLS 1.3 key exchange here
+    protocol = 'TLSv1.2';
+    ciphers = ecdheSuites;
+    groups = groups.filter((group) => !group.startsWith('ffdhe'));
+  } else {
+    return { protocol: null, groups: [] };
+  }
+
+  const results = await mapLimited(groups, CONCURRENCY, async (group) => {
+    const result = await handshake(host, {
+      port, minVersion: protocol, maxVersion: protocol, ciphers, groups: [group],
+    });
+    return { name: group, supported: result.ok, bits: result.ok ? result.keyExchange?.size || null : null };
+  });
+  return { protocol, groups: results };
+};
+
+/**
+ * Replay each client profile's protocols, suites and groups
+ */
+const simulateClients = (host, port) => {
+  const { suites, groups } = getOfferable();
+  const offerableNames = suites.map(({ openssl }) => openssl);
+
+  return mapLimited(clientProfiles, CONCURRENCY, async (profile) => {
+    const base = { name: profile.name, version: profile.version, platform: profile.platform };
+    const ciphers = profile.ciphers.filter((name) => offerableNames.includes(name));
+    if (ciphers.length === 0) {
+      return {
+        ...base, supported: null, simulated: false, error: 'None of this client\'s cipher suites can be offered by this scanner',
+      };
+    }
+
+    const result = await handshake(host, {
+      port,
+      minVersion: profile.minVersion,
+      maxVersion: profile.maxVersion,
+      ciphers,
+      groups: profile.groups.filter((group) => groups.includes(group)),
+    });
+    if (!result.ok) {
+      return {
+        ...base, supported: false, simulated: true, error: result.error,
+      };
+    }
+    const suite = cipherSuites.find(({ openssl }) => openssl === result.cipher);
+    return {
+      ...base,
+      supported: true,
+      simulated: true,
+      protocol: result.protocol,
+      cipher: result.iana,
+      forwardSecrecy: suite ? FORWARD_SECRET.includes(suite.keyExchange) : null,
+      group: result.keyExchange?.name || (result.keyExchange ? `${result.keyExchange.type} ${result.keyExchange.size}` : null),
+    };
+  });
+};
+
+const describeKeyExchange = (keyExchange) => {
+  if (!keyExchange) return null;
+  return keyExchange.name ? `${keyExchange.name} (${keyExchange.size} bits)` : `${keyExchange.type} ${keyExchange.size} bits`;
+};
+
+/**
+ * Turn the findings into a list of problems, worst first
+ */
+const listIssues = ({
+  protocols, suites, cipherOrder, groups, clients,
+}) => {
+  const issues = [];
+  const add = (severity, message) => issues.push({ severity, message });
+  const supported = (name) => protocols.find((protocol) => protocol.name === name)?.supported;
+
+  if (!supported('TLSv1.3') && !supported('TLSv1.2')) add('critical', 'Neither TLS 1.2 nor TLS 1.3 is supported');
+  ['TLSv1', 'TLSv1.1'].filter(supported).forEach((name) => {
+    add('warning', `${name} is supported, it's deprecated (RFC 8996) and should be disabled`);
+  });
+  if (!supported('TLSv1.3')) add('warning', 'TLS 1.3 is not supported');
+
+  const withWeakness = (pattern) => suites.filter(({ weaknesses }) => weaknesses.some((weakness) => pattern.test(weakness)));
+  const insecure = suites.filter(({ strength }) => strength === 'insecure');
+  if (insecure.length > 0) add('critical', `Insecure cipher suites accepted: ${insecure.map(({ name }) => name).join(', ')}`);
+  const sweet32 = withWeakness(/Sweet32/);
+  if (sweet32.length > 0) add('warning', `64-bit block cipher suites accepted (Sweet32): ${sweet32.map(({ name }) => name).join(', ')}`);
+  const noForwardSecrecy = suites.filter(({ forwardSecrecy }) => !forwardSecrecy);
+  if (noForwardSecrecy.length > 0) add('warning', `${noForwardSecrecy.length} cipher suites without forward secrecy are accepted`);
+  const weakDh = withWeakness(/DH parameters$/);
+  if (weakDh.length > 0) add('warning', `DH parameters are under ${MIN_DH_BITS} bits`);
+  const cbc = withWeakness(/CBC mode/);
+  if (cbc.length > 0) add('info', `${cbc.length} CBC mode cipher suites are accepted, AEAD suites are preferred`);
+
+  if (cipherOrder['TLSv1.2']?.serverPreference === false) add('info', 'Server does not enforce its own cipher suite order for TLS 1.2');
+  if (groups.length > 0 && !groups.some(({ name, supported: ok }) => ok && name === 'X25519')) {
+    add('info', 'X25519 key exchange is not supported');
+  }
+
+  const failing = clients.filter(({ supported: ok }) => ok === false);
+  if (failing.length > 0) {
+    add('info', `Some clients can't connect: ${failing.map(({ name, version, platform }) => `${name} ${version} (${platform})`).join(', ')}`);
+  }
+
+  const order = { critical: 0, warning: 1, info: 2 };
+  return issues.sort((a, b) => order[a.severity] - order[b.severity]);
+};
+
+/**
+ * Enumerate a server's TLS configuration
+ * @param {string} host
+ * @param {Object} [options]
+ * @param {number} [options.port=443]
+ * @param {boolean} [options.clients=true] - Whether to simulate the client profiles too
+ * @returns {Promise<Object>} protocols, suites (with the protocols each was accepted on),
+ *   cipherOrder per protocol, groups, clients, untested, and issues
+ */
+export const scanTls = async (host, { port = 443, clients: simulate = true } = {}) => {
+  const protocolResults = await Promise.all(PROTOCOLS.map((protocol) => enumerateProtocol(host, port, protocol)));
+
+  if (!protocolResults.some(({ supported }) => supported)) {
+    const errors = [...new Set(protocolResults.map(({ error }) => error).filter(Boolean))];
+    throw new Error(`No TLS handshake succeeded with ${host}:${port} (${errors.join(', ') || 'no shared suites'})`);
+  }
+
+  // Merge each protocol's suites into one list, newest protocol first
+  const suitesByName = new Map();
+  protocolResults.forEach(({ protocol, accepted }) => {
+    accepted.forEach((result) => {
+      const existing = suitesByName.get(result.cipher);
+      if (existing) {
+        existing.protocols.push(protocol);
+        return;
+      }
+      const suite = cipherSuites.find(({ openssl }) => openssl === result.cipher);
+      suitesByName.set(result.cipher, {
+        name: result.iana || suite?.iana || result.cipher,
+        openssl: result.cipher,
+        protocols: [protocol],
+        keyExchange: suite?.keyExchange || null,
+        authentication: suite?.authentication || null,
+        encryption: suite?.encryption || null,
+        bits: suite?.bits ?? null,
+        mac: suite?.mac || null,
+        keyExchangeParams: describeKeyExchange(result.keyExchange),
+        ...(suite ? classifySuite(suite, result.keyExchange) : { strength: null, forwardSecrecy: null, weaknesses: [] }),
+      });
+    });
+  });
+  const suites = [...suitesByName.values()];
+
+  const cipherOrder = Object.fromEntries(protocolResults
+    .filter(({ supported }) => supported)
+    .map(({ protocol, accepted, serverPreference }) => [protocol, {
+      serverPreference,
+      suites: accepted.map(({ iana, cipher }) => iana || cipher),
+    }]));
+
+  const [groupResults, clients] = await Promise.all([
+    enumerateGroups(host, port, protocolResults),
+    simulate ? simulateClients(host, port) : [],
+  ]);
+
+  const protocols = [
+    ...protocolResults.map(({ protocol, supported }) => ({ name: protocol, supported, tested: true })),
+    ...UNTESTABLE_PROTOCOLS.map((name) => ({ name, supported: null, tested: false })),
+  ];
+  const offerableSuites = getOfferable().suites;
+  const untested = {
+    protocols: UNTESTABLE_PROTOCOLS,
+    suites: cipherSuites.filter((suite) => !offerableSuites.includes(suite)).map(({ iana }) => iana),
+  };
+
+  const forwardSecret = suites.filter(({ forwardSecrecy }) => forwardSecrecy).length;
+  let forwardSecrecy = 'some';
+  if (forwardSecret === suites.length) forwardSecrecy = 'all';
+  else if (forwardSecret === 0) forwardSecrecy = 'none';
+
+  return {
+    protocols,
+    suites,
+    cipherOrder,
+    groups: groupResults.groups,
+    groupsTestedOver: groupResults.protocol,
+    clients,
+    forwardSecrecy,
+    untested,
+    issues: listIssues({
+      protocols, suites, cipherOrder, groups: groupResults.groups, clients,
+    }),
+  };
+};
+
+export default {
+  scanTls,
+  handshake,
+  classifySuite,
+};
@@ -12,6 +12,7 @@ import { handler as headersHandler } from './security/headers.js';
 import { handler as threatsHandler } from './security/threats.js';
 import { handler as techStackHandler } from './analysis/tech-stack.js';
 import { handler as portsHandler } from './network/ports.js';
+import { mailConfigHandler } from './network/mail-config.js';
 
 // Initialize AI analyzer
 const vulnerabilityAnalyzer = new VulnerabilityAnalyzer({
@@ -136,6 +137,14 @@ async function gatherSecurityData(url, options = {}) {
     );
   }
 
+  // Mail Configuration (SPF, DKIM, DMARC, MTA-STS)
+  if (options.includeMail !== false) {
+    gatheringPromises.push(
+      gatherDataSafely('mail', () => mailConfigHandler(url))
+        .then(data => securityData.mail = data)
+    );
+  }
+
   // Wait for all data gathering to complete
   await Promise.allSettled(gatheringPromises);
 
@@ -168,7 +177,7 @@ async function gatherDataSafely(dataType, handler) {
  * @returns {number} Completeness percentage (0-100)
  */
 function calculateDataCompleteness(securityData) {
-  const expectedFields = ['ssl', 'headers', 'threats', 'techStack'];
+  const expectedFields = ['ssl', 'headers', 'threats', 'techStack', 'mail'];
   const availableFields = expectedFields.filter(field => securityData[field] !== null);
   return Math.round((availableFields.length / expectedFields.length) * 100);
 }
@@ -187,7 +196,8 @@ const enhancedHandler = async (url, event, context) => {
       includeHeaders: event?.queryStringParameters?.includeHeaders !== 'false',
       includeThreats: event?.queryStringParameters?.includeThreats !== 'false',
       includeTechStack: event?.queryStringParameters?.includeTechStack !== 'false',
-      includePorts: event?.queryStringParameters?.includePorts === 'true'
+      includePorts: event?.queryStringParameters?.includePorts === 'true',
+      includeMail: event?.queryStringParameters?.includeMail !== 'false'
     };
 
     const result = await aiVulnerabilityAnalysisHandler(url, options);
@@ -0,0 +1,175 @@
+/**
+ * Archives API
+ * Queries a CDX index (the Wayback Machine's by default, or a self-hosted
+ * pywb instance) for a page's snapshot history: first and last snapshot,
+ * how often it's captured and changed, and how its size has trended
+ */
+
+import axios from 'axios';
+import middleware from '../_common/middleware.js';
+
+// CDX server to query, and where snapshots can be viewed
+const CDX_URL = process.env.ARCHIVE_CDX_URL || 'https://web.archive.org/cdx/search/cdx';
+const WAYBACK_URL = (process.env.ARCHIVE_WAYBACK_URL || 'https://web.archive.org/web').replace(/\/$/, '');
+const MAX_SNAPSHOTS = parseInt(process.env.ARCHIVE_MAX_SNAPSHOTS, 10) || 10000;
+const CDX_TIMEOUT = 20000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// CDX timestamps are YYYYMMDDhhmmss, in UTC
+const parseTimestamp = (timestamp) => {
+  const [, year, month, day, hour = '00', minute = '00', second = '00'] = timestamp
+    .match(/^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?/) || [];
+  return year ? new Date(Date.UTC(year, month - 1, day, hour, minute, second)) : null;
+};
+
+/**
+ * Read a CDX response into objects. The Wayback Machine returns a JSON array
+ * with a header row, pywb returns one JSON object per line
+ * @param {string|Array} data - Response body, raw or already parsed
+ * @returns {Array<{timestamp: string, statuscode: string, digest: string, length: string}>}
+ */
+export const parseCdx = (data) => {
+  if (typeof data === 'string' && data.trim().startsWith('[')) {
+    try {
+      return parseCdx(JSON.parse(data));
+    } catch {
+      return [];
+    }
+  }
+  if (Array.isArray(data)) {
+    const [header, ...rows] = data;
+    if (!header) return [];
+    return rows
+      .map((row) => Object.fromEntries(header.map((field, index) => [field, row[index]])))
+      .filter((row) => row.timestamp);
+  }
+  return String(data || '').split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter((row) => row && row.timestamp);
+};
+
+const round = (value, places = 2) => Number(value.toFixed(places));
+
+/**
+ * Work out the snapshot stats
+ * @param {Array} snapshots - Parsed CDX rows, in any order
+ * @param {Object} [firstSnapshot] - The very first snapshot, when the rows are only the most recent
+ * (in which case the total is unknown, as CDX servers can't count them for us)
+ * @returns {Object|null} Null if no row has a usable timestamp
+ */
+export const summariseSnapshots = (snapshots, firstSnapshot) => {
+  const rows = snapshots
+    .map((row) => ({ ...row, date: parseTimestamp(row.timestamp), size: parseInt(row.length, 10) || 0 }))
+    .filter(({ date }) => date)
+    .sort((a, b) => a.date - b.date);
+  if (rows.length === 0) return null;
+
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  const firstDate = firstSnapshot && parseTimestamp(firstSnapshot.timestamp);
+  const earliest = firstDate && firstDate < first.date ? { ...firstSnapshot, date: firstDate } : first;
+  const spanDays = (last.date - first.date) / DAY_MS;
+
+  // A change is any snapshot whose content digest differs from the one before
+  const changeCount = rows.filter((row, index) => index > 0 && row.digest !== rows[index - 1].digest).length;
+
+  const sizes = rows.map(({ size }) => size).filter(Boolean);
+  const averagePageSize = sizes.length ? Math.round(sizes.reduce((total, size) => total + size, 0) / sizes.length) : 0;
+
+  // Average size each year, to show whether the page is growing
+  const byYear = {};
+  rows.filter(({ size }) => size).forEach(({ date, size }) => {
+    const year = date.getUTCFullYear();
+    byYear[year] = byYear[year] || { total: 0, snapshots: 0 };
+    byYear[year].total += size;
+    byYear[year].snapshots += 1;
+  });
+  const sizeTrend = Object.entries(byYear).map(([year, { total, snapshots }]) => ({
+    year: parseInt(year, 10),
+    averageSize: Math.round(total / snapshots),
+    snapshots,
+  }));
+
+  return {
+    firstScan: earliest.date.toISOString(),
+    lastScan: last.date.toISOString(),
+    firstTimestamp: earliest.timestamp,
+    lastTimestamp: last.timestamp,
+    // The frequencies and trend only cover the snapshots fetched
+    ...(earliest !== first && { analysedFrom: first.date.toISOString() }),
+    totalScans: firstSnapshot ? null : rows.length,
+    analysedScans: rows.length,
+    changeCount,
+    averagePageSize,
+    scanFrequency: {
+      daysBetweenScans: rows.length > 1 ? round(spanDays / (rows.length - 1)) : null,
+      scansPerDay: spanDays > 0 ? round((rows.length - 1) / spanDays) : null,
+    },
+    changeFrequency: {
+      daysBetweenChanges: changeCount > 0 ? round(spanDays / changeCount) : null,
+      changesPerYear: spanDays > 0 ? round(changeCount / (spanDays / 365)) : null,
+    },
+    sizeTrend,
+  };
+};
+
+const queryCdx = async (url, params) => {
+  try {
+    const response = await axios.get(CDX_URL, {
+      // No fl or filter, as field names differ between the Wayback Machine and pywb
+      params: { url, output: 'json', ...params },
+      timeout: CDX_TIMEOUT,
+      // Kept as text, as a single line from pywb would otherwise be parsed into a lone object
+      responseType: 'text',
+      transformResponse: (data) => data,
+    });
+    return parseCdx(response.data);
+  } catch (error) {
+    throw new Error(`Unable to query archive index at ${CDX_URL}: ${error.message}`);
+  }
+};
+
+/**
+ * Fetch the most recent snapshots. The index lists them oldest first, so a negative
+ * limit is used to keep the newest. Indexes which don't take one (e.g. pywb) return
+ * nothing for it, so are asked to sort newest first instead
+ */
+const getRecentSnapshots = async (url) => {
+  const snapshots = await queryCdx(url, { limit: -MAX_SNAPSHOTS });
+  if (snapshots.length > 0) return snapshots;
+  return queryCdx(url, { limit: MAX_SNAPSHOTS, sort: 'reverse' });
+};
+
+const archivesHandler = async (url) => {
+  console.log(`🏛️ Fetching archive history for: ${url}`);
+
+  const snapshots = await getRecentSnapshots(url);
+  const truncated = snapshots.length >= MAX_SNAPSHOTS;
+  // When there are more snapshots than were fetched, the first is looked up on its own
+  const [firstSnapshot] = truncated ? await queryCdx(url, { limit: 1 }) : [];
+
+  const summary = summariseSnapshots(snapshots, firstSnapshot);
+  if (!summary) {
+    return { skipped: 'Site has never been archived' };
+  }
+  console.log(`✅ Analysed ${summary.analysedScans} snapshots, ${summary.changeCount} changes`);
+
+  return {
+    scanUrl: url,
+    ...summary,
+    truncated,
+    archiveUrl: `${WAYBACK_URL}/*/${url}`,
+  };
+};
+
+export const handler = middleware(archivesHandler);
+export default handler;
@@ -0,0 +1,229 @@
+/**
+ * Carbon Footprint API
+ * Measures how many bytes a page load transfers (in the headless browser if
+ * one is available, else by fetching the HTML and the assets it links to),
+ * then estimates energy and CO2 with the Sustainable Web Design model.
+ * Green hosting is checked against a local dataset, see green-hosting.js
+ */
+
+import dns from 'dns';
+import zlib from 'zlib';
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import middleware from '../_common/middleware.js';
+import { withPage } from '../_common/browser-pool.js';
+import { checkGreenHosting } from '../_common/green-hosting.js';
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; WebScan-Carbon/1.0)';
+const NAVIGATION_TIMEOUT = 20000;
+const FETCH_TIMEOUT = 8000;
+const MAX_ASSETS = 100;
+const MAX_ASSET_SIZE = 20 * 1024 * 1024;
+const FETCH_CONCURRENCY = 6;
+
+// Sustainable Web Design model (v3), as used by CO2.js and websitecarbon.com
+const SWD = {
+  kWhPerGB: 0.81,
+  // Share of the energy used by data centres, the only part green hosting affects
+  dataCentreShare: 0.15,
+  // g/kWh, global average grid intensity, and for renewable energy
+  gridIntensity: 442,
+  renewableIntensity: 50,
+  // Returning visitors have most of the page cached
+  firstVisitShare: 0.75,
+  returnVisitShare: 0.25,
+  returnVisitDataRatio: 0.02,
+  // Grams of CO2 per litre, at room temperature
+  litresPerGram: 0.5562,
+};
+
+// SWD rating bands, in grams of CO2 per page view
+const RATINGS = [
+  [0.095, 'A+'], [0.186, 'A'], [0.341, 'B'], [0.493, 'C'], [0.656, 'D'], [0.846, 'E'], [Infinity, 'F'],
+];
+
+// Assets the fetch fallback downloads, and what kind of resource each is
+const ASSET_SELECTORS = [
+  ['script[src]', 'src', 'script'],
+  ['link[rel~="stylesheet"][href]', 'href', 'stylesheet'],
+  ['link[rel~="preload"][href]', 'href', null],
+  ['link[rel~="icon"][href]', 'href', 'image'],
+  ['img[src]', 'src', 'image'],
+  ['video[poster]', 'poster', 'image'],
+  ['video[src], audio[src], source[src]', 'src', 'media'],
+];
+
+const round = (value, places = 6) => Number(value.toFixed(places));
+
+/**
+ * Estimate energy and CO2 for a page view of the given size
+ * @param {number} bytes - Bytes transferred
+ * @returns {{adjustedBytes: number, energy: number, co2: Object}} energy in kWh, CO2 in grams
+ */
+export const estimateEmissions = (bytes) => {
+  const adjustedBytes = bytes * (SWD.firstVisitShare + SWD.returnVisitShare * SWD.returnVisitDataRatio);
+  const energy = (adjustedBytes / 1e9) * SWD.kWhPerGB;
+
+  const gridGrams = energy * SWD.gridIntensity;
+  const renewableGrams = energy * SWD.dataCentreShare * SWD.renewableIntensity
+    + energy * (1 - SWD.dataCentreShare) * SWD.gridIntensity;
+
+  return {
+    adjustedBytes: Math.round(adjustedBytes),
+    energy: round(energy, 10),
+    co2: {
+      grid: { grams: round(gridGrams), litres: round(gridGrams * SWD.litresPerGram) },
+      renewable: { grams: round(renewableGrams), litres: round(renewableGrams * SWD.litresPerGram) },
+    },
+  };
+};
+
+const getRating = (grams) => RATINGS.find(([limit]) => grams <= limit)[1];
+
+/**
+ * Load the page in the headless browser, and add up the bytes of every response
+ */
+const measureWithBrowser = (url) => withPage(async (page) => {
+  const client = await page.target().createCDPSession();
+  await client.send('Network.enable');
+
+  const types = new Map();
+  const byType = {};
+  let bytes = 0;
+  let requests = 0;
+
+  client.on('Network.responseReceived', ({ requestId, type }) => types.set(requestId, type.toLowerCase()));
+  client.on('Network.loadingFinished', ({ requestId, encodedDataLength }) => {
+    const type = types.get(requestId) || 'other';
+    bytes += encodedDataLength;
+    requests += 1;
+    byType[type] = (byType[type] || 0) + encodedDataLength;
+  });
+
+  try {
+    await page.goto(url, { waitUntil: 'networkidle2', timeout: NAVIGATION_TIMEOUT });
+  } catch (error) {
+    // Pages which keep polling never go idle, but have loaded by now
+    if (error.name !== 'TimeoutError') throw error;
+    console.warn(`⚠️ Page didn't settle within ${NAVIGATION_TIMEOUT}ms, using what loaded so far`);
+  }
+
+  return { bytes, requests, byType };
+});
+
+// Download a URL without decompressing it, so we count the bytes actually sent
+const fetchSize = async (assetUrl) => {
+  const response = await axios.get(assetUrl, {
+    responseType: 'arraybuffer',
+    decompress: false,
+    timeout: FETCH_TIMEOUT,
+    maxContentLength: MAX_ASSET_SIZE,
+    headers: { 'User-Agent': USER_AGENT, 'Accept-Encoding': 'gzip, deflate, br' },
+    validateStatus: () => true,
+  });
+  return { status: response.status, size: response.data.length, response };
+};
+
+// We asked for the raw bytes, so decompress the HTML ourselves to read it
+const decodeBody = (data, encoding = '') => {
+  const decoders = {
+    gzip: zlib.gunzipSync,
+    'x-gzip': zlib.gunzipSync,
+    deflate: zlib.inflateSync,
+    br: zlib.brotliDecompressSync,
+  };
+  const decoder = decoders[encoding.trim().toLowerCase()];
+  return (decoder ? decoder(data) : data).toString('utf8');
+};
+
+/**
+ * Without a browser, fetch the HTML, then each asset it links to. This misses
+ * anything loaded by scripts or CSS, so usually comes out lower than the browser
+ */
+const measureWithFetch = async (url) => {
+  const { size: htmlSize, response } = await fetchSize(url);
+  const pageUrl = response.request?.res?.responseUrl || url;
+
+  const $ = cheerio.load(decodeBody(response.data, response.headers['content-encoding']));
+  const assets = new Map();
+  ASSET_SELECTORS.forEach(([selector, attribute, type]) => {
+    $(selector).each((_, element) => {
+      try {
+        const assetUrl = new URL($(element).attr(attribute), pageUrl).toString();
+        if (!assetUrl.startsWith('http') || assets.has(assetUrl)) return;
+        assets.set(assetUrl, type || $(element).attr('as') || 'other');
+      } catch {
+        // Unparseable URL, skip it
+      }
+    });
+  });
+
+  const assetList = [...assets.entries()].slice(0, MAX_ASSETS);
+  const byType = { document: htmlSize };
+  let bytes = htmlSize;
+  let requests = 1;
+
+  for (let i = 0; i < assetList.length; i += FETCH_CONCURRENCY) {
+    const batch = assetList.slice(i, i + FETCH_CONCURRENCY);
+    const results = await Promise.allSettled(batch.map(([assetUrl]) => fetchSize(assetUrl)));
+    results.forEach((result, index) => {
+      if (result.status !== 'fulfilled') return;
+      const type = batch[index][1];
+      bytes += result.value.size;
+      requests += 1;
+      byType[type] = (byType[type] || 0) + result.value.size;
+    });
+  }
+
+  return { bytes, requests, byType, truncated: assets.size > MAX_ASSETS };
+};
+
+const getAddresses = async (hostname) => {
+  try {
+    return (await dns.promises.lookup(hostname, { all: true })).map(({ address }) => address);
+  } catch {
+    return [];
+  }
+};
+
+const carbonHandler = async (url) => {
+  console.log(`🌍 Measuring carbon footprint for: ${url}`);
+  const { hostname } = new URL(url);
+
+  let method = 'browser';
+  let measurement;
+  try {
+    measurement = await measureWithBrowser(url);
+  } catch (error) {
+    console.warn(`⚠️ Headless browser unavailable (${error.message.split('\n')[0]}), falling back to fetching assets`);
+    method = 'fetch';
+    measurement = await measureWithFetch(url);
+  }
+
+  if (!measurement.bytes) {
+    return { skipped: 'Unable to measure the size of this page' };
+  }
+
+  const statistics = estimateEmissions(measurement.bytes);
+  const green = checkGreenHosting(hostname, await getAddresses(hostname));
+  const co2PerView = green.green ? statistics.co2.renewable.grams : statistics.co2.grid.grams;
+
+  console.log(`✅ ${measurement.bytes} bytes over ${measurement.requests} requests, ${co2PerView}g CO2 per view`);
+
+  return {
+    scanUrl: url,
+    method,
+    bytes: measurement.bytes,
+    requests: measurement.requests,
+    byType: measurement.byType,
+    truncated: !!measurement.truncated,
+    statistics,
+    green,
+    co2PerView,
+    rating: getRating(co2PerView),
+    model: 'Sustainable Web Design v3',
+  };
+};
+
+export const handler = middleware(carbonHandler);
+export default handler;
@@ -0,0 +1,252 @@
+/**
+ * Site Features API
+ * Detects third-party services a page uses (analytics, payments, CDNs,
+ * A/B testing, chat widgets, ad networks, etc) by matching its HTML,
+ * headers and cookies against the signatures in data/feature-signatures.js.
+ *
+ * When each feature was first and last seen on a domain is kept in memory,
+ * or in the JSON file at FEATURES_HISTORY_FILE so it survives restarts.
+ * Features seen before but missing now are reported as dead
+ */
+
+import fs from 'fs';
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import middleware from '../_common/middleware.js';
+import builtInSignatures from '../_common/data/feature-signatures.js';
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; WebScan-Features/1.0)';
+const FETCH_TIMEOUT = 10000;
+const MAX_HTML_SIZE = 10 * 1024 * 1024;
+
+const SIGNATURES_FILE = process.env.FEATURE_SIGNATURES_FILE;
+const HISTORY_FILE = process.env.FEATURES_HISTORY_FILE;
+
+let history = null;
+
+const compilePatterns = (patterns) => patterns.map((pattern) => new RegExp(pattern, 'i'));
+const compileNamed = (patterns) => Object.entries(patterns)
+  .map(([name, pattern]) => [name.toLowerCase(), new RegExp(pattern, 'i')]);
+
+/**
+ * Load the built-in signatures, plus any from FEATURE_SIGNATURES_FILE, and compile their patterns.
+ * A signature in the extra file with the same name as a built-in one replaces it
+ */
+export const loadSignatures = () => {
+  const extra = SIGNATURES_FILE ? JSON.parse(fs.readFileSync(SIGNATURES_FILE, 'utf8')) : [];
+  const byName = new Map([...builtInSignatures, ...extra].map((signature) => [signature.name, signature]));
+
+  return [...byName.values()].map(({ patterns = {}, ...signature }) => ({
+    ...signature,
+    category: signature.category || 'Other',
+    group: signature.group || 'Other',
+    matchers: {
+      scripts: compilePatterns(patterns.scripts || []),
+      links: compilePatterns(patterns.links || []),
+      html: compilePatterns(patterns.html || []),
+      cookies: compilePatterns(patterns.cookies || []),
+      headers: compileNamed(patterns.headers || {}),
+      meta: compileNamed(patterns.meta || {}),
+    },
+  }));
+};
+
+/**
+ * Pull out the parts of the page signatures are matched against
+ */
+const extractPage = (html, headers) => {
+  const $ = cheerio.load(html);
+  const attributes = (selector, attribute) => $(selector).map((_, element) => $(element).attr(attribute)).get();
+
+  const meta = {};
+  $('meta[name][content]').each((_, element) => {
+    meta[$(element).attr('name').toLowerCase()] = $(element).attr('content');
+  });
+
+  const setCookies = [].concat(headers['set-cookie'] || []);
+
+  return {
+    html,
+    headers,
+    meta,
+    scripts: attributes('script[src]', 'src'),
+    links: attributes('link[href]', 'href'),
+    cookies: setCookies.map((cookie) => cookie.split('=')[0].trim()),
+  };
+};
+
+/**
+ * Check a page against one signature
+ * @returns {string|null} What matched, or null if it didn't
+ */
+const matchSignature = ({ matchers }, page) => {
+  const inList = (type, values) => {
+    for (const pattern of matchers[type]) {
+      const value = values.find((item) => pattern.test(item));
+      if (value) return `${type}: ${value.length > 100 ? `${value.slice(0, 100)}…` : value}`;
+    }
+    return null;
+  };
+  const inNamed = (type, values) => {
+    const match = matchers[type].find(([name, pattern]) => values[name] !== undefined && pattern.test(values[name]));
+    return match ? `${type}: ${match[0]}` : null;
+  };
+  const inHtml = () => (matchers.html.some((pattern) => pattern.test(page.html)) ? 'html' : null);
+
+  return inList('scripts', page.scripts)
+    || inList('links', page.links)
+    || inList('cookies', page.cookies)
+    || inNamed('headers', page.headers)
+    || inNamed('meta', page.meta)
+    || inHtml();
+};
+
+const loadHistory = () => {
+  if (history) return history;
+  history = {};
+  if (HISTORY_FILE && fs.existsSync(HISTORY_FILE)) {
+    try {
+      history = JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf8'));
+    } catch (error) {
+      console.warn(`⚠️ Unable to read feature history from ${HISTORY_FILE}: ${error.message}`);
+    }
+  }
+  return history;
+};
+
+const saveHistory = () => {
+  if (!HISTORY_FILE) return;
+  try {
+    fs.writeFileSync(HISTORY_FILE, JSON.stringify(history));
+  } catch (error) {
+    console.warn(`⚠️ Unable to save feature history to ${HISTORY_FILE}: ${error.message}`);
+  }
+};
+
+/**
+ * Record this scan's detections against the domain's history. Unless record is set,
+ * the history is only read, and nothing is reported dead
+ * @returns {{seen: Object, dead: string[]}} first/last seen times (unix seconds) per feature, and
+ *   features found in an earlier scan but not this one
+ */
+const updateHistory = (domain, detectedNames, now, record) => {
+  const all = loadHistory();
+  const seen = { ...all[domain] };
+  detectedNames.forEach((name) => {
+    seen[name] = { first: seen[name]?.first || now, last: now };
+  });
+  if (!record) return { seen, dead: [] };
+  all[domain] = seen;
+  saveHistory();
+  return { seen, dead: Object.keys(seen).filter((name) => !detectedNames.includes(name)) };
+};
+
+/**
+ * Group features for the card: group > category > live and dead counts
+ */
+const groupFeatures = (features, deadFeatures) => {
+  const groups = new Map();
+  const getCategory = ({ group, category }) => {
+    if (!groups.has(group)) groups.set(group, new Map());
+    const categories = groups.get(group);
+    if (!categories.has(category)) categories.set(category, { name: category, live: 0, dead: 0, features: [] });
+    return categories.get(category);
+  };
+
+  features.forEach((feature) => {
+    const category = getCategory(feature);
+    category.live += 1;
+    category.features.push(feature.name);
+  });
+  deadFeatures.forEach((feature) => {
+    getCategory(feature).dead += 1;
+  });
+
+  return [...groups.entries()].map(([name, categories]) => ({ name, categories: [...categories.values()] }));
+};
+
+const featuresHandler = async (url) => {
+  console.log(`🧩 Detecting site features for: ${url}`);
+  const domain = new URL(url).hostname;
+
+  let response;
+  try {
+    response = await axios.get(url, {
+      timeout: FETCH_TIMEOUT,
+      maxContentLength: MAX_HTML_SIZE,
+      responseType: 'text',
+      headers: { 'User-Agent': USER_AGENT },
+      validateStatus: () => true,
+    });
+  } catch (error) {
+    throw new Error(`Unable to fetch page: ${error.message}`);
+  }
+
+  const signatures = loadSignatures();
+  const page = extractPage(String(response.data || ''), response.headers);
+  const now = Math.floor(Date.now() / 1000);
+
+  const detected = signatures
+    .map((signature) => ({ signature, matchedBy: matchSignature(signature, page) }))
+    .filter(({ matchedBy }) => matchedBy);
+  // An error page (e.g. a bot wall, or a 5xx) isn't the site, so would make everything seen before look dead
+  const historyUpdated = response.status >= 200 && response.status < 300
+    && /html/i.test(response.headers['content-type'] || '');
+  const { seen, dead } = updateHistory(domain, detected.map(({ signature }) => signature.name), now, historyUpdated);
+
+  const features = detected.map(({ signature, matchedBy }) => ({
+    name: signature.name,
+    group: signature.group,
+    category: signature.category,
+    description: signature.description || null,
+    link: signature.link || null,
+    matchedBy,
+    firstSeen: seen[signature.name].first,
+    lastSeen: seen[signature.name].last,
+  }));
+  // Dead features may have been removed from the signatures since, so fall back to 'Other'
+  const deadFeatures = dead.map((name) => {
+    const signature = signatures.find((item) => item.name === name) || { group: 'Other', category: 'Other' };
+    return {
+      name, group: signature.group, category: signature.category, lastSeen: seen[name].last,
+    };
+  });
+
+  console.log(`✅ Found ${features.length} features (${deadFeatures.length} no longer present)`);
+
+  if (features.length === 0 && deadFeatures.length === 0) {
+    return { skipped: 'No known third-party features found on this page' };
+  }
+
+  return {
+    scanUrl: url,
+    domain,
+    statusCode: response.status,
+    historyUpdated,
+    features,
+    dead: deadFeatures,
+    groups: groupFeatures(features, deadFeatures),
+    first: Math.min(...Object.values(seen).map(({ first }) => first)),
+    last: now,
+    signatureCount: signatures.length,
+    // Same shape as BuiltWith's API, for the BuiltWith card
+    Results: [{
+      Result: {
+        Paths: [{
+          Technologies: features.map((feature) => ({
+            Name: feature.name,
+            Tag: feature.group,
+            Categories: [feature.category],
+            Description: feature.description || '',
+            Link: feature.link || '',
+            FirstDetected: feature.firstSeen * 1000,
+            LastDetected: feature.lastSeen * 1000,
+          })),
+        }],
+      },
+    }],
+  };
+};
+
+export const handler = middleware(featuresHandler);
+export default handler;
@@ -1,18 +1,26 @@
-import axios from 'axios';
-import unzipper from 'unzipper';
-import csv from 'csv-parser';
-import fs from 'fs';
 import middleware from '../_common/middleware.js';
+import { importRankList, lookupInList, listSnapshots } from '../_common/rank-store.js';
 
-// Should also work with the following sources:
-// https://www.domcop.com/files/top/top10milliondomains.csv.zip
+// Looks the domain up in the Umbrella list in the rank store. If it's not been
+// imported yet (with `yarn rank:import --list umbrella`), it's downloaded on first use.
+// Any other list with a rank and domain column can be imported the same way, e.g.
 // https://tranco-list.eu/top-1m.csv.zip
 // https://www.domcop.com/files/top/top10milliondomains.csv.zip
-// https://radar.cloudflare.com/charts/LargerTopDomainsTable/attachment?id=525&top=1000000
 // https://statvoo.com/dl/top-1million-sites.csv.zip
 
-const FILE_URL = 'https://s3-us-west-1.amazonaws.com/umbrella-static/top-1m.csv.zip';
-const TEMP_FILE_PATH = '/tmp/top-1m.csv';
+const LIST = 'umbrella';
+
+let importing = null;
+
+// Import the list once, even if several requests arrive before it's done
+const ensureImported = async () => {
+  if (listSnapshots()[LIST]) return;
+  if (!importing) {
+    console.log(`📥 No ${LIST} list in the rank store yet, downloading it`);
+    importing = importRankList(undefined, { list: LIST }).finally(() => { importing = null; });
+  }
+  await importing;
+};
 
 const rankHandler = async (url) => {
   let domain = null;
@@ -23,47 +31,26 @@ const rankHandler = async (url) => {
     throw new Error('Invalid URL');
   }
 
-// Download and unzip the file if not in cache
-if (!fs.existsSync(TEMP_FILE_PATH)) {
-  const response = await axios({
-    method: 'GET',
-    url: FILE_URL,
-    responseType: 'stream'
-  });
+  await ensureImported();
 
-  await new Promise((resolve, reject) => {
-    response.data
-      .pipe(unzipper.Extract({ path: '/tmp' }))
-      .on('close', resolve)
-      .on('error', reject);
-  });
-}
+  const { ranks, matchedDomain, matchType } = lookupInList(domain, LIST);
+  if (ranks.length === 0) {
+    return {
+      skipped: `Skipping, as ${domain} is not present in the Umbrella top 1M list.`,
+      domain: domain,
+      isFound: false,
+    };
+  }
 
-// Parse the CSV and find the rank
-return new Promise((resolve, reject) => {
-  const csvStream = fs.createReadStream(TEMP_FILE_PATH)
-    .pipe(csv({
-      headers: ['rank', 'domain'],
-    }))
-    .on('data', (row) => {
-      if (row.domain === domain) {
-        csvStream.destroy();
-        resolve({
-          domain: domain,
-          rank: row.rank,
-          isFound: true,
-        });
-      }
-    })
-    .on('end', () => {
-      resolve({
-        skipped: `Skipping, as ${domain} is not present in the Umbrella top 1M list.`,
-        domain: domain,
-        isFound: false,
-      });
-    })
-    .on('error', reject);
-});
+  return {
+    domain: domain,
+    rank: ranks[0].rank,
+    date: ranks[0].date,
+    matchedDomain,
+    matchType,
+    ranks,
+    isFound: true,
+  };
 };
 
 export const handler = middleware(rankHandler);
@@ -0,0 +1,248 @@
+/**
+ * Linked Pages API
+ * Extracts the internal and external links from a page, classifies them by
+ * their rel attributes, flags mixed content, and can crawl same-origin pages
+ */
+
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import middleware, { getDeadline } from '../_common/middleware.js';
+import { fetchRobotsTxt, parseRobotsTxt, isAllowed } from './robots-txt.js';
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; WebScan-Link-Checker/1.0)';
+const FETCH_TIMEOUT = 8000;
+const MAX_PAGE_SIZE = 5 * 1024 * 1024;
+
+// Crawling further than the requested page is opt-in, with ?depth=
+const MAX_DEPTH = parseInt(process.env.LINKED_PAGES_MAX_DEPTH, 10) || 2;
+const MAX_PAGES = parseInt(process.env.LINKED_PAGES_MAX_PAGES, 10) || 20;
+
+const TRACKED_RELS = ['nofollow', 'sponsored', 'ugc'];
+const IGNORED_SCHEMES = ['javascript:', 'mailto:', 'tel:', 'data:', 'sms:'];
+
+// Sub-resources which browsers block or warn about when loaded over http on an https page
+const RESOURCE_SELECTORS = {
+  'script[src]': 'src',
+  'link[rel="stylesheet"][href]': 'href',
+  'img[src]': 'src',
+  'iframe[src]': 'src',
+  'video[src]': 'src',
+  'audio[src]': 'src',
+  'source[src]': 'src',
+  'form[action]': 'action',
+};
+
+/**
+ * Resolve a link against the page, dropping the fragment.
+ * Returns null for anything which isn't an http(s) URL
+ */
+const normaliseLink = (href, baseUrl) => {
+  const value = (href || '').trim();
+  if (!value || value.startsWith('#')) return null;
+  if (IGNORED_SCHEMES.some((scheme) => value.toLowerCase().startsWith(scheme))) return null;
+
+  try {
+    const link = new URL(value, baseUrl);
+    if (!['http:', 'https:'].includes(link.protocol)) return null;
+    link.hash = '';
+    return link.toString();
+  } catch {
+    return null;
+  }
+};
+
+// Links to the same host (with or without www.) count as internal
+const stripWww = (hostname) => hostname.replace(/^www\./, '');
+const isInternal = (link, siteUrl) => stripWww(new URL(link).hostname) === stripWww(new URL(siteUrl).hostname);
+
+const fetchPage = async (pageUrl) => {
+  const response = await axios.get(pageUrl, {
+    timeout: FETCH_TIMEOUT,
+    maxContentLength: MAX_PAGE_SIZE,
+    responseType: 'text',
+    headers: { 'User-Agent': USER_AGENT },
+    validateStatus: () => true,
+  });
+  const contentType = response.headers['content-type'] || '';
+  return {
+    status: response.status,
+    // Follow redirects, so relative links resolve against where we ended up
+    finalUrl: response.request?.res?.responseUrl || pageUrl,
+    html: /html/i.test(contentType) ? response.data : null,
+  };
+};
+
+/**
+ * Pull the links and insecure sub-resources out of one page
+ * @param {string} html - Page content
+ * @param {string} pageUrl - URL the page was served from
+ * @returns {{links: Array<{url: string, rel: string[], text: string}>, mixedContent: Array}}
+ */
+export const extractLinks = (html, pageUrl) => {
+  const $ = cheerio.load(html);
+  const baseUrl = normaliseLink($('base[href]').attr('href'), pageUrl) || pageUrl;
+  const isHttpsPage = new URL(pageUrl).protocol === 'https:';
+
+  const links = [];
+  const mixedContent = [];
+
+  $('a[href], area[href]').each((_, element) => {
+    const url = normaliseLink($(element).attr('href'), baseUrl);
+    if (!url) return;
+    const rel = ($(element).attr('rel') || '').toLowerCase().split(/\s+/).filter(Boolean);
+    links.push({ url, rel, text: $(element).text().replace(/\s+/g, ' ').trim() });
+    if (isHttpsPage && url.startsWith('http:')) {
+      mixedContent.push({ url, element: element.tagName, foundOn: pageUrl });
+    }
+  });
+
+  if (isHttpsPage) {
+    Object.entries(RESOURCE_SELECTORS).forEach(([selector, attribute]) => {
+      $(selector).each((_, element) => {
+        const url = normaliseLink($(element).attr(attribute), baseUrl);
+        if (url && url.startsWith('http:')) {
+          mixedContent.push({ url, element: element.tagName, foundOn: pageUrl });
+        }
+      });
+    });
+  }
+
+  return { links, mixedContent };
+};
+
+// Merge a page's links into the running totals, one entry per unique URL
+const addLinks = (linkMap, links, siteUrl, pageUrl) => {
+  links.forEach(({ url, rel, text }) => {
+    let entry = linkMap.get(url);
+    if (!entry) {
+      entry = {
+        url,
+        internal: isInternal(url, siteUrl),
+        rel: [],
+        text: '',
+        occurrences: 0,
+        foundOn: [],
+      };
+      linkMap.set(url, entry);
+    }
+    entry.occurrences += 1;
+    if (!entry.text && text) entry.text = text;
+    rel.forEach((value) => {
+      if (!entry.rel.includes(value)) entry.rel.push(value);
+    });
+    if (!entry.foundOn.includes(pageUrl)) entry.foundOn.push(pageUrl);
+  });
+};
+
+const getRobotsGroups = async (url) => {
+  try {
+    const content = await fetchRobotsTxt(url);
+    return content ? parseRobotsTxt(content).groups : [];
+  } catch {
+    return [];
+  }
+};
+
+const linkedPagesHandler = async (url, event) => {
+  const params = event?.query || event?.queryStringParameters || {};
+  const requestedDepth = parseInt(params.depth, 10) || 0;
+  const depth = Math.min(Math.max(requestedDepth, 0), MAX_DEPTH);
+  console.log(`🔗 Extracting links from: ${url} (depth ${depth})`);
+
+  // Where the site really is, once the first page's redirects (e.g. http to https,
+  // or apex to www) have been followed. Links are crawled and classified against this
+  let siteUrl = null;
+  let origin = null;
+  let robotsGroups = [];
+
+  const linkMap = new Map();
+  const mixedContent = [];
+  const pages = [];
+  const queued = new Set([url]);
+  let queue = [url];
+  let truncated = false;
+  // Pages are fetched one at a time, so stop in time to return those already crawled
+  const deadline = getDeadline(FETCH_TIMEOUT + 1000);
+
+  for (let level = 0; level <= depth && queue.length > 0; level += 1) {
+    const nextQueue = [];
+
+    for (const pageUrl of queue) {
+      if (pages.length >= MAX_PAGES || Date.now() >= deadline) {
+        truncated = true;
+        break;
+      }
+
+      let page;
+      try {
+        page = await fetchPage(pageUrl);
+      } catch (error) {
+        pages.push({ url: pageUrl, depth: level, error: error.message });
+        continue;
+      }
+      // Don't crawl the page again under the URL it redirected to
+      queued.add(page.finalUrl);
+      if (!siteUrl) {
+        siteUrl = page.finalUrl;
+        ({ origin } = new URL(siteUrl));
+        // Only look at robots.txt if we're going to crawl beyond the first page
+        if (depth > 0) robotsGroups = await getRobotsGroups(siteUrl);
+      }
+      if (!page.html) {
+        pages.push({ url: pageUrl, depth: level, status: page.status, links: 0 });
+        continue;
+      }
+
+      const extracted = extractLinks(page.html, page.finalUrl);
+      addLinks(linkMap, extracted.links, siteUrl, page.finalUrl);
+      mixedContent.push(...extracted.mixedContent);
+      pages.push({ url: pageUrl, depth: level, status: page.status, links: extracted.links.length });
+
+      if (level === depth) continue;
+
+      // Queue up same-origin pages for the next level, if robots.txt lets us
+      [...new Set(extracted.links.map((link) => link.url))]
+        .filter((link) => new URL(link).origin === origin && !queued.has(link))
+        .filter((link) => {
+          const { pathname, search } = new URL(link);
+          return isAllowed(robotsGroups, USER_AGENT, `${pathname}${search}`).allowed;
+        })
+        .forEach((link) => {
+          queued.add(link);
+          nextQueue.push(link);
+        });
+    }
+
+    queue = nextQueue;
+  }
+
+  const links = [...linkMap.values()];
+  if (pages.length === 1 && pages[0].error) {
+    throw new Error(`Unable to fetch page: ${pages[0].error}`);
+  }
+  if (links.length === 0) {
+    return { skipped: 'No links found on this page' };
+  }
+
+  const internal = links.filter((link) => link.internal).map((link) => link.url);
+  const external = links.filter((link) => !link.internal).map((link) => link.url);
+  const relCounts = Object.fromEntries(
+    TRACKED_RELS.map((rel) => [rel, links.filter((link) => link.rel.includes(rel)).length]),
+  );
+
+  console.log(`✅ Found ${internal.length} internal and ${external.length} external links across ${pages.length} pages`);
+
+  return {
+    internal,
+    external,
+    links,
+    relCounts,
+    mixedContent,
+    pages,
+    depth,
+    truncated,
+  };
+};
+
+export const handler = middleware(linkedPagesHandler);
+export default handler;
@@ -1,22 +1,101 @@
+/**
+ * Quality API
+ * Lighthouse report for a page, either from Google's PageSpeed Insights API,
+ * or by running Lighthouse locally against the shared headless browser.
+ *
+ * QUALITY_BACKEND picks which: 'pagespeed', 'local', or 'auto' (the default,
+ * PageSpeed if GOOGLE_CLOUD_API_KEY is set, else local). Either way the report
+ * is returned under lighthouseResult, as PageSpeed does
+ */
+
 import axios from 'axios';
 import middleware from '../_common/middleware.js';
+import { withPage } from '../_common/browser-pool.js';
+
+const BACKEND = (process.env.QUALITY_BACKEND || 'auto').toLowerCase();
+const STRATEGIES = ['mobile', 'desktop'];
+
+// PWA was dropped in Lighthouse 12, so isn't requested locally
+const LOCAL_CATEGORIES = ['performance', 'accessibility', 'best-practices', 'seo'];
 
-const qualityHandler = async (url, event, context) => {
+const getBackend = () => {
+  if (BACKEND === 'auto') return process.env.GOOGLE_CLOUD_API_KEY ? 'pagespeed' : 'local';
+  return BACKEND;
+};
+
+const runPageSpeed = async (url, strategy) => {
   const apiKey = process.env.GOOGLE_CLOUD_API_KEY;
 
   if (!apiKey) {
     throw new Error(
-      'Missing Google API. You need to set the `GOOGLE_CLOUD_API_KEY` environment variable'
+      'Missing Google API. You need to set the `GOOGLE_CLOUD_API_KEY` environment variable, '
+      + 'or set `QUALITY_BACKEND` to `local` to run Lighthouse locally'
     );
   }
 
   const endpoint = `https://www.googleapis.com/pagespeedonline/v5/runPagespeed?`
   + `url=${encodeURIComponent(url)}&category=PERFORMANCE&category=ACCESSIBILITY`
-  + `&category=BEST_PRACTICES&category=SEO&category=PWA&strategy=mobile`
+  + `&category=BEST_PRACTICES&category=SEO&category=PWA&strategy=${strategy}`
   + `&key=${apiKey}`;
 
   return (await axios.get(endpoint)).data;
 };
 
+const runLocal = async (url, strategy) => {
+  // Only loaded when needed, so the PageSpeed backend works without Lighthouse installed
+  let lighthouse;
+  try {
+    ({ default: lighthouse } = await import('lighthouse'));
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND') throw error;
+    throw new Error('Lighthouse is not installed, so can\'t run locally. Install it, or set `GOOGLE_CLOUD_API_KEY` to use PageSpeed');
+  }
+  // Mobile is Lighthouse's default, desktop has its own config
+  const config = strategy === 'desktop'
+    ? (await import('lighthouse/core/config/desktop-config.js')).default
+    : undefined;
+
+  const lhr = await withPage(async (page) => {
+    const result = await lighthouse(url, {
+      output: 'json',
+      logLevel: 'error',
+      onlyCategories: LOCAL_CATEGORIES,
+    }, config, page);
+    return result?.lhr;
+  });
+
+  if (!lhr) {
+    throw new Error('Lighthouse did not return a report');
+  }
+  if (lhr.runtimeError) {
+    throw new Error(`Lighthouse was unable to load the page: ${lhr.runtimeError.message}`);
+  }
+
+  // Not used by the results card, and by far the biggest parts of the report
+  delete lhr.fullPageScreenshot;
+  delete lhr.i18n;
+
+  return { lighthouseResult: lhr };
+};
+
+const qualityHandler = async (url, event) => {
+  const params = event?.query || event?.queryStringParameters || {};
+  const strategy = (params.strategy || 'mobile').toLowerCase();
+  if (!STRATEGIES.includes(strategy)) {
+    return { statusCode: 400, body: { error: `Strategy must be one of: ${STRATEGIES.join(', ')}` } };
+  }
+
+  const backend = getBackend();
+  console.log(`💡 Running ${strategy} Lighthouse audit for ${url}, using ${backend}`);
+
+  if (backend === 'pagespeed') {
+    return runPageSpeed(url, strategy);
+  }
+  if (backend === 'local') {
+    return runLocal(url, strategy);
+  }
+  throw new Error(`Unknown QUALITY_BACKEND '${BACKEND}', expected pagespeed, local or auto`);
+};
+
 export const handler = middleware(qualityHandler);
 export default handler;
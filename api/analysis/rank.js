@@ -1,10 +1,34 @@
 import axios from 'axios';
 import middleware from '../_common/middleware.js';
+import { lookupRank, listSnapshots } from '../_common/rank-store.js';
+
+// Rank history from lists imported into the local rank store (see rank-import.js)
+const localRank = (domain) => {
+  const { lists, best } = lookupRank(domain);
+  if (!best) {
+    return { skipped: `Skipping, as ${domain} isn't in any of the imported rank lists (${Object.keys(lists).join(', ')}).` };
+  }
+  return {
+    domain,
+    source: 'local',
+    list: best.list,
+    matchedDomain: best.matchedDomain,
+    matchType: best.matchType,
+    ranks: best.ranks,
+    lists,
+  };
+};
 
 const rankHandler = async (url) => { 
   const domain = url ? new URL(url).hostname : null;
   if (!domain) throw new Error('Invalid URL');
 
+  // Prefer the local store once Tranco's list has been imported. Other lists alone
+  // (e.g. umbrella, auto-imported by legacy-rank) don't stand in for the Tranco API
+  if (listSnapshots().tranco) {
+    return localRank(domain);
+  }
+
   try {
     const auth = process.env.TRANCO_API_KEY ? // Auth is optional.
       { auth: { username: process.env.TRANCO_USERNAME, password: process.env.TRANCO_API_KEY } }
@@ -23,4 +47,3 @@ const rankHandler = async (url) => {
 
 export const handler = middleware(rankHandler);
 export default handler;
-
@@ -0,0 +1,183 @@
+/**
+ * Robots.txt API
+ * Fetches and parses a site's robots.txt (RFC 9309) into user-agent groups,
+ * and works out whether the requested page may be crawled
+ */
+
+import axios from 'axios';
+import middleware from '../_common/middleware.js';
+
+// Crawlers must parse at least the first 500 KiB, anything after that can be ignored
+const MAX_ROBOTS_SIZE = 500 * 1024;
+const FETCH_TIMEOUT = 5000;
+
+// Crawlers we report on, in addition to any passed in with ?userAgent=
+const DEFAULT_USER_AGENTS = ['*', 'Googlebot', 'Bingbot'];
+
+const RULE_DIRECTIVES = ['allow', 'disallow'];
+
+/**
+ * Parse robots.txt content into its groups and global directives.
+ * Consecutive user-agent lines share one group, and sitemap lines apply
+ * to the whole file, wherever they appear
+ * @param {string} content - Raw robots.txt
+ * @returns {{groups: Array, sitemaps: string[], other: Object, rows: Array<{lbl: string, val: string}>}}
+ */
+export const parseRobotsTxt = (content) => {
+  const groups = [];
+  const sitemaps = [];
+  const rows = [];
+  const other = {};
+  let current = null;
+
+  content.slice(0, MAX_ROBOTS_SIZE).split(/\r\n|\r|\n/).forEach((rawLine) => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const index = line.indexOf(':');
+    if (index === -1) return;
+
+    const key = line.slice(0, index).trim().toLowerCase();
+    const value = line.slice(index + 1).trim();
+    // Keep the original casing of the directive, for display
+    rows.push({ lbl: line.slice(0, index).trim(), val: value });
+
+    if (key === 'user-agent') {
+      // A user-agent line after rules starts a new group
+      if (!current || current.rules.length > 0 || current.crawlDelay !== null) {
+        current = { userAgents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.userAgents.push(value);
+    } else if (key === 'sitemap') {
+      if (value) sitemaps.push(value);
+    } else if (RULE_DIRECTIVES.includes(key)) {
+      // Rules before any user-agent line don't belong to a group, so are ignored
+      if (current) current.rules.push({ type: key, path: value });
+    } else if (key === 'crawl-delay') {
+      if (current) current.crawlDelay = Number(value);
+    } else {
+      other[key] = [...(other[key] || []), value];
+    }
+  });
+
+  return { groups, sitemaps, other, rows };
+};
+
+// Turn a robots path pattern into a regex, supporting * wildcards and a $ end anchor
+const patternToRegex = (pattern) => {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+};
+
+/**
+ * Find the groups which apply to a crawler. The most specific user-agent
+ * match wins, and groups naming the same agent are merged. Falls back to '*'
+ */
+const getGroupsForAgent = (groups, userAgent) => {
+  const agent = userAgent.toLowerCase();
+  let bestLength = 0;
+  let matched = [];
+
+  groups.forEach((group) => {
+    group.userAgents.forEach((name) => {
+      const token = name.toLowerCase();
+      if (token === '*' || !agent.includes(token)) return;
+      if (token.length > bestLength) {
+        bestLength = token.length;
+        matched = [group];
+      } else if (token.length === bestLength && !matched.includes(group)) {
+        matched.push(group);
+      }
+    });
+  });
+
+  if (matched.length > 0) return matched;
+  return groups.filter((group) => group.userAgents.includes('*'));
+};
+
+/**
+ * Check whether a path may be crawled. The longest matching rule wins,
+ * and allow beats disallow when they're the same length
+ * @returns {{allowed: boolean, rule: Object|null}}
+ */
+export const isAllowed = (groups, userAgent, path) => {
+  const rules = getGroupsForAgent(groups, userAgent)
+    .flatMap((group) => group.rules)
+    .filter((rule) => rule.path && patternToRegex(rule.path).test(path));
+
+  if (rules.length === 0) return { allowed: true, rule: null };
+
+  const [rule] = rules.sort((a, b) => (
+    b.path.length - a.path.length || (a.type === 'allow' ? -1 : 1) - (b.type === 'allow' ? -1 : 1)
+  ));
+  return { allowed: rule.type === 'allow', rule };
+};
+
+/**
+ * Fetch a site's robots.txt
+ * @param {string} url - Any URL on the site
+ * @returns {Promise<string|null>} Content, or null if the site doesn't have one
+ */
+export const fetchRobotsTxt = async (url) => {
+  const robotsUrl = new URL('/robots.txt', url).toString();
+  const response = await axios.get(robotsUrl, {
+    timeout: FETCH_TIMEOUT,
+    responseType: 'text',
+    transformResponse: (data) => data,
+    maxContentLength: MAX_ROBOTS_SIZE * 4,
+    validateStatus: () => true,
+  });
+
+  // 4xx means no restrictions, so is treated the same as no file
+  if (response.status >= 400 && response.status < 500) return null;
+  if (response.status >= 500) {
+    throw new Error(`Server returned ${response.status} for robots.txt`);
+  }
+  // Sites which send their homepage for every path don't really have a robots.txt
+  if (/text\/html/i.test(response.headers['content-type'] || '') && /<html/i.test(response.data)) {
+    return null;
+  }
+  return response.data;
+};
+
+const robotsTxtHandler = async (url, event) => {
+  console.log(`🤖 Fetching robots.txt for: ${url}`);
+
+  let content;
+  try {
+    content = await fetchRobotsTxt(url);
+  } catch (error) {
+    throw new Error(`Unable to fetch robots.txt: ${error.message}`);
+  }
+
+  if (!content) {
+    return { skipped: 'No robots.txt file present, so all pages may be crawled' };
+  }
+
+  const { groups, sitemaps, other, rows } = parseRobotsTxt(content);
+  const { pathname, search } = new URL(url);
+  const path = `${pathname}${search}`;
+
+  const userAgents = [...DEFAULT_USER_AGENTS];
+  const params = event?.query || event?.queryStringParameters || {};
+  const requestedAgent = params.userAgent;
+  if (requestedAgent && !userAgents.includes(requestedAgent)) userAgents.push(requestedAgent);
+
+  const access = userAgents.map((userAgent) => ({ userAgent, path, ...isAllowed(groups, userAgent, path) }));
+
+  console.log(`✅ Parsed robots.txt: ${groups.length} groups, ${sitemaps.length} sitemaps`);
+
+  return {
+    robots: rows,
+    groups,
+    sitemaps,
+    other,
+    access,
+  };
+};
+
+export const handler = middleware(robotsTxtHandler);
+export default handler;
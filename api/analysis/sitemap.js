@@ -0,0 +1,153 @@
+/**
+ * Sitemap API
+ * Finds a site's sitemap (at /sitemap.xml, or from robots.txt), follows
+ * sitemap indexes and gzipped sitemaps, and lists the pages up to a cap
+ */
+
+import zlib from 'zlib';
+import axios from 'axios';
+import xml2js from 'xml2js';
+import middleware, { getDeadline } from '../_common/middleware.js';
+import { fetchRobotsTxt, parseRobotsTxt } from './robots-txt.js';
+
+// Limits, to stop huge sites (or sitemap loops) from running away
+const MAX_PAGES = parseInt(process.env.SITEMAP_MAX_PAGES, 10) || 500;
+const MAX_SITEMAPS = 25;
+const MAX_DEPTH = 3;
+// The sitemap protocol caps each file at 50MB uncompressed
+const MAX_SITEMAP_SIZE = 50 * 1024 * 1024;
+const FETCH_TIMEOUT = 8000;
+
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+
+/**
+ * Download a sitemap, decompressing it if it's gzipped
+ * @param {string} sitemapUrl - URL of the sitemap
+ * @returns {Promise<string|null>} Sitemap content, or null if it's not there
+ */
+const fetchSitemap = async (sitemapUrl) => {
+  const response = await axios.get(sitemapUrl, {
+    timeout: FETCH_TIMEOUT,
+    responseType: 'arraybuffer',
+    maxContentLength: MAX_SITEMAP_SIZE,
+    validateStatus: () => true,
+  });
+  if (response.status >= 400) return null;
+
+  let body = Buffer.from(response.data);
+  // .xml.gz files are often served without a gzip content-encoding, so check the magic bytes
+  if (body.subarray(0, 2).equals(GZIP_MAGIC)) {
+    body = zlib.gunzipSync(body, { maxOutputLength: MAX_SITEMAP_SIZE });
+  }
+  return body.toString('utf8');
+};
+
+/**
+ * Parse a sitemap, which is either a <urlset>, a <sitemapindex>,
+ * or a plain text list of URLs (one per line)
+ * @returns {Promise<{type: string, entries: Array}>}
+ */
+const parseSitemap = async (content) => {
+  const trimmed = content.trim();
+  if (!trimmed.startsWith('<')) {
+    const entries = trimmed.split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => /^https?:\/\//i.test(line))
+      .map((loc) => ({ loc: [loc] }));
+    return { type: 'text', entries };
+  }
+
+  const parsed = await xml2js.parseStringPromise(trimmed);
+  if (parsed.sitemapindex) return { type: 'sitemapindex', entries: parsed.sitemapindex.sitemap || [] };
+  if (parsed.urlset) return { type: 'urlset', entries: parsed.urlset.url || [] };
+  throw new Error('Not a valid sitemap, expected a <urlset> or <sitemapindex>');
+};
+
+/**
+ * Walk a sitemap, recursing into sitemap indexes, until the page cap or the deadline is hit
+ * @param {string} sitemapUrl - Sitemap to start from
+ * @param {Object} state - Pages found so far, the sitemaps already visited, and when to stop
+ * @param {number} depth - How many indexes deep we are
+ */
+const crawlSitemap = async (sitemapUrl, state, depth = 0) => {
+  if (state.visited.has(sitemapUrl)) return;
+  if (state.sitemaps.length >= MAX_SITEMAPS || state.pages.length >= MAX_PAGES || Date.now() >= state.deadline) {
+    state.truncated = true;
+    return;
+  }
+  state.visited.add(sitemapUrl);
+
+  const summary = { loc: sitemapUrl, type: null, entries: 0 };
+  state.sitemaps.push(summary);
+
+  try {
+    const content = await fetchSitemap(sitemapUrl);
+    if (content === null) {
+      summary.error = 'Not found';
+      return;
+    }
+    const { type, entries } = await parseSitemap(content);
+    summary.type = type;
+    summary.entries = entries.length;
+
+    if (type === 'sitemapindex') {
+      if (depth === 0) state.index.push(...entries);
+      if (depth >= MAX_DEPTH) {
+        summary.error = `Nested more than ${MAX_DEPTH} indexes deep`;
+        return;
+      }
+      for (const entry of entries) {
+        const loc = entry.loc?.[0]?.trim();
+        if (loc) await crawlSitemap(loc, state, depth + 1);
+      }
+      return;
+    }
+
+    const remaining = MAX_PAGES - state.pages.length;
+    if (entries.length > remaining) state.truncated = true;
+    state.pages.push(...entries.slice(0, remaining));
+  } catch (error) {
+    summary.error = error.message;
+  }
+};
+
+const sitemapHandler = async (url) => {
+  console.log(`🗺️ Fetching sitemap for: ${url}`);
+  // Sitemaps are fetched one after another, so stop early enough to return those already read
+  const deadline = getDeadline(FETCH_TIMEOUT + 1000);
+
+  // Sitemaps listed in robots.txt take priority, falling back to the default location
+  let sitemapUrls = [];
+  try {
+    const robotsTxt = await fetchRobotsTxt(url);
+    if (robotsTxt) sitemapUrls = parseRobotsTxt(robotsTxt).sitemaps;
+  } catch (error) {
+    console.warn(`⚠️ Unable to check robots.txt for sitemaps: ${error.message}`);
+  }
+  if (sitemapUrls.length === 0) sitemapUrls = [new URL('/sitemap.xml', url).toString()];
+
+  const state = {
+    pages: [], index: [], sitemaps: [], visited: new Set(), truncated: false, deadline,
+  };
+  for (const sitemapUrl of sitemapUrls) {
+    await crawlSitemap(sitemapUrl, state);
+  }
+
+  if (state.sitemaps.every((sitemap) => sitemap.type === null)) {
+    return { skipped: 'No sitemap found, at /sitemap.xml or in robots.txt' };
+  }
+
+  console.log(`✅ Found ${state.pages.length} pages across ${state.sitemaps.length} sitemaps`);
+
+  return {
+    urlset: { url: state.pages },
+    ...(state.index.length > 0 && { sitemapindex: { sitemap: state.index } }),
+    sitemaps: state.sitemaps,
+    totalPages: state.pages.length,
+    truncated: state.truncated,
+    maxPages: MAX_PAGES,
+  };
+};
+
+export const handler = middleware(sitemapHandler);
+export default handler;
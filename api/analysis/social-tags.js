@@ -0,0 +1,335 @@
+/**
+ * Social Tags API
+ * Parses a page's OpenGraph, Twitter Card, meta and link tags, icons, web app
+ * manifest and JSON-LD structured data, validates them, and builds a
+ * normalised preview of how the page will look when shared
+ */
+
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import middleware from '../_common/middleware.js';
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; WebScan-Social-Tags/1.0)';
+const FETCH_TIMEOUT = 8000;
+const MAX_PAGE_SIZE = 5 * 1024 * 1024;
+
+// Standard meta tags which are returned as top-level fields (name => field)
+const META_FIELDS = {
+  description: 'description',
+  keywords: 'keywords',
+  author: 'author',
+  publisher: 'publisher',
+  generator: 'generator',
+  robots: 'robots',
+  googlebot: 'googlebot',
+  viewport: 'viewport',
+  'theme-color': 'themeColor',
+  'application-name': 'applicationName',
+};
+
+const OG_REQUIRED = ['og:title', 'og:type', 'og:image', 'og:url'];
+const OG_RECOMMENDED = ['og:description', 'og:site_name', 'og:image:alt'];
+
+// What each Twitter card type needs, beyond twitter:card itself.
+// Title, description and image may fall back to their OpenGraph equivalents
+const TWITTER_CARDS = {
+  summary: { required: ['title'], recommended: ['description', 'image'] },
+  summary_large_image: { required: ['title'], recommended: ['description', 'image', 'image:alt'] },
+  player: { required: ['title', 'site', 'player', 'player:width', 'player:height', 'image'], recommended: [] },
+  app: { required: ['site'], recommended: ['app:id:iphone', 'app:id:googleplay'] },
+};
+
+// Properties Google needs to show a rich result, for common schema.org types
+const JSON_LD_REQUIRED = {
+  Article: ['headline', 'author'],
+  NewsArticle: ['headline', 'author', 'datePublished'],
+  BlogPosting: ['headline', 'author'],
+  Product: ['name'],
+  Organization: ['name', 'url'],
+  LocalBusiness: ['name', 'address'],
+  Person: ['name'],
+  WebSite: ['name', 'url'],
+  BreadcrumbList: ['itemListElement'],
+  Event: ['name', 'startDate', 'location'],
+  FAQPage: ['mainEntity'],
+  Recipe: ['name', 'image'],
+  VideoObject: ['name', 'thumbnailUrl', 'uploadDate'],
+};
+
+const ICON_RELS = ['icon', 'shortcut icon', 'apple-touch-icon', 'apple-touch-icon-precomposed', 'mask-icon'];
+
+const toAbsolute = (href, baseUrl) => {
+  if (!href) return null;
+  try {
+    return new URL(href.trim(), baseUrl).toString();
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Collect every <meta property|name="prefix:..."> into an object, keyed without the prefix.
+ * Repeated tags (e.g. several og:image) are kept as arrays
+ */
+const collectPrefixed = ($, prefix) => {
+  const tags = {};
+  $('meta[property], meta[name]').each((_, element) => {
+    const key = ($(element).attr('property') || $(element).attr('name') || '').trim().toLowerCase();
+    const content = $(element).attr('content');
+    if (!key.startsWith(`${prefix}:`) || content === undefined) return;
+    const name = key.slice(prefix.length + 1);
+    if (tags[name] === undefined) tags[name] = content.trim();
+    else tags[name] = [].concat(tags[name], content.trim());
+  });
+  return tags;
+};
+
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+
+/**
+ * Parse each JSON-LD block, flattening @graph, and check the required
+ * properties for the types we know about
+ */
+const parseJsonLd = ($) => {
+  const items = [];
+  const errors = [];
+
+  $('script[type="application/ld+json"]').each((index, element) => {
+    let data;
+    try {
+      data = JSON.parse($(element).contents().text());
+    } catch (error) {
+      errors.push(`JSON-LD block ${index + 1} is not valid JSON: ${error.message}`);
+      return;
+    }
+
+    [].concat(data).forEach((block) => {
+      const context = block?.['@context'];
+      const nodes = block?.['@graph'] ? [].concat(block['@graph']) : [block];
+      nodes.forEach((node) => {
+        if (!node || typeof node !== 'object') return;
+        const types = [].concat(node['@type'] || []);
+        const missing = types
+          .flatMap((type) => JSON_LD_REQUIRED[type] || [])
+          .filter((property, i, all) => all.indexOf(property) === i && node[property] === undefined);
+        const itemErrors = [];
+        if (types.length === 0) itemErrors.push('Missing @type');
+        if (!context || !JSON.stringify(context).includes('schema.org')) itemErrors.push('@context is not schema.org');
+        if (missing.length > 0) itemErrors.push(`Missing required properties: ${missing.join(', ')}`);
+        items.push({ type: types.join(', ') || null, data: node, errors: itemErrors });
+      });
+    });
+  });
+
+  return { items, errors };
+};
+
+const validateOpenGraph = (openGraph) => {
+  const errors = OG_REQUIRED
+    .filter((tag) => !openGraph[tag.slice(3)])
+    .map((tag) => `Missing required ${tag}`);
+  const warnings = OG_RECOMMENDED
+    .filter((tag) => !openGraph[tag.slice(3)])
+    .map((tag) => `Missing recommended ${tag}`);
+  const image = first(openGraph.image);
+  if (image && !/^https?:\/\//i.test(image)) errors.push('og:image must be an absolute URL');
+  if (openGraph.url && !/^https?:\/\//i.test(first(openGraph.url))) errors.push('og:url must be an absolute URL');
+  return { valid: errors.length === 0, errors, warnings };
+};
+
+const validateTwitter = (twitter, openGraph) => {
+  const errors = [];
+  const warnings = [];
+  const card = twitter.card;
+
+  if (!card) {
+    return { valid: false, card: null, errors: ['Missing twitter:card'], warnings };
+  }
+  const rules = TWITTER_CARDS[card];
+  if (!rules) {
+    return { valid: false, card, errors: [`Unknown card type "${card}"`], warnings };
+  }
+
+  // X falls back to OpenGraph for these
+  const fallbacks = { title: openGraph.title, description: openGraph.description, image: first(openGraph.image) };
+  const has = (field) => twitter[field] !== undefined || fallbacks[field] !== undefined;
+
+  rules.required.filter((field) => !has(field)).forEach((field) => errors.push(`Missing required twitter:${field}`));
+  rules.recommended.filter((field) => !has(field)).forEach((field) => warnings.push(`Missing recommended twitter:${field}`));
+  return { valid: errors.length === 0, card, errors, warnings };
+};
+
+const validateMeta = ({ title, description }) => {
+  const warnings = [];
+  if (!title) warnings.push('Missing <title>');
+  else if (title.length > 60) warnings.push(`Title is ${title.length} characters, and may be cut off after 60`);
+  if (!description) warnings.push('Missing meta description');
+  else if (description.length > 160) warnings.push(`Description is ${description.length} characters, and may be cut off after 160`);
+  return { valid: warnings.length === 0, errors: [], warnings };
+};
+
+const fetchManifest = async (manifestUrl) => {
+  try {
+    const { data } = await axios.get(manifestUrl, { timeout: FETCH_TIMEOUT, responseType: 'json' });
+    if (typeof data !== 'object') return { url: manifestUrl, error: 'Manifest is not valid JSON' };
+    return {
+      url: manifestUrl,
+      name: data.name || null,
+      shortName: data.short_name || null,
+      themeColor: data.theme_color || null,
+      backgroundColor: data.background_color || null,
+      display: data.display || null,
+      icons: (data.icons || []).map((icon) => ({ ...icon, src: toAbsolute(icon.src, manifestUrl) })),
+    };
+  } catch (error) {
+    return { url: manifestUrl, error: error.message };
+  }
+};
+
+/**
+ * Parse all the social and meta tags out of a page's HTML
+ * @param {string} html - Page content
+ * @param {string} pageUrl - URL the page was served from, for resolving relative links
+ */
+export const parseSocialTags = (html, pageUrl) => {
+  const $ = cheerio.load(html);
+  const baseUrl = toAbsolute($('base[href]').attr('href'), pageUrl) || pageUrl;
+
+  const meta = {};
+  $('meta[name]').each((_, element) => {
+    const field = META_FIELDS[($(element).attr('name') || '').trim().toLowerCase()];
+    if (field && meta[field] === undefined) meta[field] = ($(element).attr('content') || '').trim();
+  });
+
+  const openGraph = collectPrefixed($, 'og');
+  const twitter = collectPrefixed($, 'twitter');
+  const article = collectPrefixed($, 'article');
+
+  const icons = [];
+  $('link[rel][href]').each((_, element) => {
+    const rel = $(element).attr('rel').trim().toLowerCase();
+    if (!ICON_RELS.includes(rel)) return;
+    icons.push({
+      rel,
+      href: toAbsolute($(element).attr('href'), baseUrl),
+      sizes: $(element).attr('sizes') || null,
+      type: $(element).attr('type') || null,
+    });
+  });
+
+  const linkHref = (rel) => toAbsolute($(`link[rel="${rel}"]`).attr('href'), baseUrl);
+  const alternates = $('link[rel="alternate"][hreflang]').map((_, element) => ({
+    hreflang: $(element).attr('hreflang'),
+    href: toAbsolute($(element).attr('href'), baseUrl),
+  })).get();
+
+  return {
+    title: $('head > title').first().text().trim() || $('title').first().text().trim() || null,
+    meta,
+    openGraph,
+    twitter,
+    article,
+    canonicalUrl: linkHref('canonical'),
+    manifestUrl: linkHref('manifest'),
+    alternates,
+    icons,
+    jsonLd: parseJsonLd($),
+  };
+};
+
+const socialTagsHandler = async (url) => {
+  console.log(`🏷️ Extracting social tags from: ${url}`);
+
+  let response;
+  try {
+    response = await axios.get(url, {
+      timeout: FETCH_TIMEOUT,
+      maxContentLength: MAX_PAGE_SIZE,
+      responseType: 'text',
+      headers: { 'User-Agent': USER_AGENT },
+    });
+  } catch (error) {
+    throw new Error(`Unable to fetch page: ${error.message}`);
+  }
+
+  const pageUrl = response.request?.res?.responseUrl || url;
+  const tags = parseSocialTags(response.data, pageUrl);
+  const { meta, openGraph, twitter } = tags;
+
+  const favicon = tags.icons.find((icon) => icon.rel !== 'mask-icon')?.href
+    || new URL('/favicon.ico', pageUrl).toString();
+  const manifest = tags.manifestUrl ? await fetchManifest(tags.manifestUrl) : null;
+
+  const validation = {
+    meta: validateMeta({ title: tags.title, description: meta.description }),
+    openGraph: validateOpenGraph(openGraph),
+    twitter: validateTwitter(twitter, openGraph),
+    jsonLd: {
+      valid: tags.jsonLd.errors.length === 0 && tags.jsonLd.items.every((item) => item.errors.length === 0),
+      errors: [
+        ...tags.jsonLd.errors,
+        ...tags.jsonLd.items.flatMap((item) => item.errors.map((error) => `${item.type || 'Item'}: ${error}`)),
+      ],
+      warnings: [],
+    },
+  };
+
+  // What a link to this page will most likely look like when shared
+  const preview = {
+    title: openGraph.title || twitter.title || tags.title || null,
+    description: openGraph.description || twitter.description || meta.description || null,
+    image: toAbsolute(first(openGraph.image) || first(twitter.image), pageUrl),
+    imageAlt: openGraph['image:alt'] || twitter['image:alt'] || null,
+    url: first(openGraph.url) || tags.canonicalUrl || pageUrl,
+    siteName: openGraph.site_name || manifest?.name || new URL(pageUrl).hostname,
+    type: openGraph.type || 'website',
+    card: twitter.card || (openGraph.image ? 'summary_large_image' : 'summary'),
+    favicon,
+    themeColor: meta.themeColor || manifest?.themeColor || null,
+  };
+
+  const tagCount = Object.keys(openGraph).length + Object.keys(twitter).length + Object.keys(meta).length;
+  if (tagCount === 0 && !tags.title && tags.jsonLd.items.length === 0) {
+    return { skipped: 'No metadata found on this page' };
+  }
+
+  console.log(`✅ Found ${Object.keys(openGraph).length} OpenGraph, ${Object.keys(twitter).length} Twitter and ${tags.jsonLd.items.length} JSON-LD items`);
+
+  return {
+    // Flat fields, as rendered by the Social Tags card
+    title: tags.title,
+    description: meta.description,
+    keywords: meta.keywords,
+    canonicalUrl: tags.canonicalUrl,
+    themeColor: preview.themeColor,
+    author: meta.author,
+    publisher: meta.publisher,
+    generator: meta.generator,
+    robots: meta.robots,
+    viewport: meta.viewport,
+    ogTitle: openGraph.title,
+    ogType: openGraph.type,
+    ogImage: preview.image,
+    ogUrl: first(openGraph.url),
+    ogDescription: openGraph.description,
+    ogSiteName: openGraph.site_name,
+    twitterCard: twitter.card,
+    twitterSite: twitter.site,
+    twitterCreator: twitter.creator,
+    favicon,
+    // Everything parsed, and how it was checked
+    preview,
+    openGraph,
+    twitter,
+    article: tags.article,
+    meta,
+    icons: tags.icons,
+    manifest,
+    alternates: tags.alternates,
+    jsonLd: tags.jsonLd.items,
+    validation,
+  };
+};
+
+export const handler = middleware(socialTagsHandler);
+export default handler;
@@ -0,0 +1,180 @@
+/**
+ * DNS Server API
+ * Probes each of a domain's name servers (and the hosts its A records point to)
+ * to see which transports they answer on (UDP, TCP, DNS-over-TLS, DNS-over-HTTPS),
+ * whether they're open resolvers, and whether they allow AXFR zone transfers
+ */
+
+import psl from 'psl';
+import middleware from '../_common/middleware.js';
+import { query, toFqdn } from '../_common/dns-client.js';
+
+const PROBE_TIMEOUT = 4000;
+
+// Stops a domain with dozens of A records turning into hundreds of probes
+const MAX_SERVERS = 10;
+
+// Names we ask each server to resolve, to check for open recursion.
+// Two, in case the domain being checked is one of them
+const RECURSION_TEST_NAMES = ['www.iana.org', 'www.wikipedia.org'];
+
+/**
+ * Run a query, timing it, and catching failures into the result
+ */
+const probe = async (name, type, options) => {
+  const start = Date.now();
+  try {
+    const response = await query(name, type, { timeout: PROBE_TIMEOUT, ...options });
+    return { supported: true, responseTime: Date.now() - start, rcode: response.rcodeName, response };
+  } catch (error) {
+    return { supported: false, error: error.message };
+  }
+};
+
+// Drop the decoded message, which is only needed while working out the results
+const summarise = ({ response, ...result }) => result;
+
+const getAddresses = async (name) => {
+  const result = await query(name, 'A').catch(() => null);
+  return (result?.answers || []).filter(({ typeName }) => typeName === 'A').map(({ data }) => data);
+};
+
+/**
+ * Find the zone a host is in, from the owner of the SOA record returned for it,
+ * which is in the answer for a zone apex, else in the authority section.
+ * Falls back to the registrable domain, if the resolver doesn't say
+ */
+const findZone = async (hostname) => {
+  const response = await query(hostname, 'SOA').catch(() => null);
+  const owner = [...(response?.answers || []), ...(response?.authorities || [])]
+    .filter(({ typeName }) => typeName === 'SOA')
+    .map(({ name }) => name.replace(/\.$/, '').toLowerCase())
+    // A CNAME can lead into someone else's zone, which isn't the one we're after
+    .find((name) => name && (hostname === name || hostname.endsWith(`.${name}`)));
+  return owner || psl.get(hostname) || hostname;
+};
+
+/**
+ * Work out which servers to probe: each of the zone's name servers' addresses,
+ * then the addresses of the host itself (which sometimes run a resolver too)
+ */
+const getServers = async (zone, hostname) => {
+  const nsResponse = await query(zone, 'NS').catch(() => null);
+  const nameServers = (nsResponse?.answers || [])
+    .filter(({ typeName }) => typeName === 'NS')
+    .map(({ data }) => data.replace(/\.$/, ''));
+
+  const servers = [];
+  const seen = new Set();
+  const add = (address, hostname, source) => {
+    if (seen.has(address)) return;
+    seen.add(address);
+    servers.push({ address, hostname, source });
+  };
+
+  const nsAddresses = await Promise.all(nameServers.map(getAddresses));
+  nameServers.forEach((hostname, index) => {
+    nsAddresses[index].forEach((address) => add(address, hostname, 'NS'));
+  });
+  (await getAddresses(hostname)).forEach((address) => add(address, null, 'A'));
+
+  return { nameServers, servers: servers.slice(0, MAX_SERVERS), truncated: servers.length > MAX_SERVERS };
+};
+
+/**
+ * A server is an open resolver if it'll recursively answer for a name it
+ * isn't authoritative for, to anyone who asks
+ */
+const checkRecursion = async (address, domain) => {
+  const testName = RECURSION_TEST_NAMES.find((name) => !name.endsWith(domain));
+  const result = await probe(testName, 'A', { server: address, recursionDesired: true });
+  if (!result.supported) return { open: false, error: result.error };
+
+  const { flags, answers, rcode } = result.response;
+  return {
+    open: flags.RA && rcode === 0 && answers.length > 0,
+    recursionAvailable: flags.RA,
+    rcode: result.rcode,
+  };
+};
+
+/**
+ * Ask for a zone transfer. Anything other than a refusal, with records, means the
+ * whole zone can be downloaded by anyone
+ */
+const checkZoneTransfer = async (address, domain) => {
+  const result = await probe(domain, 'AXFR', {
+    server: address, transport: 'tcp', recursionDesired: false, edns: false,
+  });
+  // Servers which don't allow transfers often just drop the connection
+  if (!result.supported) return { allowed: false, refused: true, error: result.error };
+
+  const records = result.response.answers.length;
+  const allowed = result.response.rcode === 0 && records > 0;
+  return { allowed, refused: !allowed, rcode: result.rcode, records };
+};
+
+const probeServer = async ({ address, hostname, source }, domain) => {
+  const name = toFqdn(domain);
+  const [udp, tcp, dot, doh, recursion, zoneTransfer] = await Promise.all([
+    probe(name, 'SOA', { server: address, recursionDesired: false }),
+    probe(name, 'SOA', { server: address, transport: 'tcp', recursionDesired: false }),
+    // Only checking for support, so don't fail on certificates issued for another name
+    probe(name, 'SOA', {
+      server: address, transport: 'tls', servername: hostname || undefined, rejectUnauthorized: false,
+    }),
+    probe(name, 'SOA', {
+      server: address, transport: 'https', servername: hostname || undefined, rejectUnauthorized: false,
+    }),
+    checkRecursion(address, domain),
+    checkZoneTransfer(address, domain),
+  ]);
+
+  // Authoritative for the domain if it answered with the AA flag on either transport
+  const authoritative = [udp, tcp].some((result) => result.response?.flags.AA);
+
+  return {
+    address,
+    hostname,
+    source,
+    authoritative,
+    udp: summarise(udp),
+    tcp: summarise(tcp),
+    dot: summarise(dot),
+    doh: summarise(doh),
+    dohDirectSupports: doh.supported,
+    recursion,
+    zoneTransfer,
+  };
+};
+
+const dnsServerHandler = async (url) => {
+  const domain = new URL(url).hostname.toLowerCase();
+  const zone = await findZone(domain);
+  console.log(`🖧 Probing DNS servers for: ${domain} (zone ${zone})`);
+
+  const { nameServers, servers, truncated } = await getServers(zone, domain);
+  if (servers.length === 0) {
+    return { skipped: 'No name servers or A records found for this domain' };
+  }
+
+  // SOA and AXFR are asked of the zone, the host itself may not have either
+  const dns = await Promise.all(servers.map((server) => probeServer(server, zone)));
+
+  const openResolvers = dns.filter(({ recursion }) => recursion.open).map(({ address }) => address);
+  const zoneTransfers = dns.filter(({ zoneTransfer }) => zoneTransfer.allowed).map(({ address }) => address);
+  console.log(`✅ Probed ${dns.length} DNS servers, ${openResolvers.length} open resolvers, ${zoneTransfers.length} allowing AXFR`);
+
+  return {
+    domain,
+    zone,
+    nameServers,
+    dns,
+    openResolvers,
+    zoneTransfers,
+    truncated,
+  };
+};
+
+export const handler = middleware(dnsServerHandler);
+export default handler;
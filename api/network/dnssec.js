@@ -0,0 +1,549 @@
+/**
+ * DNSSEC Validation API
+ * Fetches DNSKEY, DS and RRSIG records, then walks the chain of trust from a
+ * trust anchor (the root KSKs by default) down to the target zone, verifying
+ * each signature and reporting on algorithm strength along the way
+ */
+
+import crypto from 'crypto';
+import middleware from '../_common/middleware.js';
+import {
+  query, encodeName, getDefaultResolver, toFqdn,
+} from '../_common/dns-client.js';
+
+// Root zone KSK-2017 and KSK-2024, as published at https://data.iana.org/root-anchors/
+const ROOT_TRUST_ANCHORS = [
+  '. 20326 8 2 E06D44B80B8F1D39A95C0B0D7C65D08458E880409BBC683457104237C7F8EC8D',
+  '. 38696 8 2 683D2D0ACB8C9B712A1948B27F741219298D0A450D612C483AF444A4C0FB2B16',
+];
+
+// Resolver to send queries to, defaults to DNS_RESOLVER, then the system resolver
+const DNSSEC_RESOLVER = process.env.DNSSEC_RESOLVER;
+
+// Extra (or replacement) trust anchors, as DS records separated by ';'
+// e.g. 'example.test. 12345 13 2 49FD46E6C4B45C55D4AC...'
+const EXTRA_TRUST_ANCHORS = process.env.DNSSEC_TRUST_ANCHORS;
+
+// Record sets at the target which we check signatures for, besides DNSKEY and DS
+const SIGNED_RECORD_TYPES = ['SOA', 'NS', 'A', 'AAAA', 'MX', 'TXT'];
+
+// Algorithm status, per RFC 8624 (with MUST NOT / NOT RECOMMENDED marked as weak)
+const ALGORITHMS = {
+  1: { name: 'RSA/MD5', strength: 'insecure' },
+  3: { name: 'DSA/SHA1', strength: 'insecure' },
+  5: { name: 'RSA/SHA-1', strength: 'weak', hash: 'sha1' },
+  6: { name: 'DSA-NSEC3-SHA1', strength: 'insecure' },
+  7: { name: 'RSASHA1-NSEC3-SHA1', strength: 'weak', hash: 'sha1' },
+  8: { name: 'RSA/SHA-256', strength: 'strong', hash: 'sha256' },
+  10: { name: 'RSA/SHA-512', strength: 'weak', hash: 'sha512' },
+  12: { name: 'ECC-GOST', strength: 'insecure' },
+  13: { name: 'ECDSA Curve P-256 with SHA-256', strength: 'strong', hash: 'sha256', curve: 'P-256' },
+  14: { name: 'ECDSA Curve P-384 with SHA-384', strength: 'strong', hash: 'sha384', curve: 'P-384' },
+  15: { name: 'Ed25519', strength: 'strong', curve: 'Ed25519' },
+  16: { name: 'Ed448', strength: 'strong', curve: 'Ed448' },
+};
+
+const DIGEST_TYPES = {
+  1: { name: 'SHA-1', strength: 'weak', hash: 'sha1' },
+  2: { name: 'SHA-256', strength: 'strong', hash: 'sha256' },
+  4: { name: 'SHA-384', strength: 'strong', hash: 'sha384' },
+};
+
+// Record types whose data contains domain names, which must be lower-cased when canonicalised
+const NAME_RDATA_TYPES = ['NS', 'CNAME', 'PTR', 'DNAME', 'MX', 'SOA', 'SRV'];
+
+/**
+ * Parse DS records in presentation format ('zone keyTag algorithm digestType digest')
+ * @param {string[]} lines - DS records
+ * @returns {Array<{zone: string, keyTag: number, algorithm: number, digestType: number, digest: string}>}
+ */
+const parseTrustAnchors = (lines) => lines
+  .map((line) => line.trim().split(/\s+/))
+  .filter((parts) => parts.length >= 5)
+  .map(([zone, keyTag, algorithm, digestType, ...digest]) => ({
+    zone: toFqdn(zone),
+    keyTag: parseInt(keyTag, 10),
+    algorithm: parseInt(algorithm, 10),
+    digestType: parseInt(digestType, 10),
+    digest: digest.join('').toUpperCase(),
+  }));
+
+const getTrustAnchors = () => parseTrustAnchors([
+  ...ROOT_TRUST_ANCHORS,
+  ...(EXTRA_TRUST_ANCHORS ? EXTRA_TRUST_ANCHORS.split(';') : []),
+]);
+
+// Number of labels in a name, not counting the root or a leading wildcard
+const countLabels = (name) => name.split('.').filter((label) => label && label !== '*').length;
+
+/**
+ * List a zone and each of its ancestors, from the top down ('example.com.' -> ['.', 'com.', 'example.com.'])
+ * @param {string} zone - Fully-qualified zone name
+ * @returns {string[]}
+ */
+const getZoneHierarchy = (zone) => {
+  const labels = zone.split('.').filter(Boolean);
+  return ['.', ...labels.map((_, i) => `${labels.slice(labels.length - i - 1).join('.')}.`)];
+};
+
+/**
+ * Re-encode record data in canonical form (RFC 4034, section 6.2), lower-casing embedded names
+ * @param {Object} record - Decoded record
+ * @returns {Buffer}
+ */
+const getCanonicalRdata = (record) => {
+  if (!NAME_RDATA_TYPES.includes(record.typeName)) return record.rdata;
+
+  const { data } = record;
+  const uint = (value, bytes) => {
+    const buf = Buffer.alloc(bytes);
+    bytes === 2 ? buf.writeUInt16BE(value, 0) : buf.writeUInt32BE(value, 0);
+    return buf;
+  };
+
+  switch (record.typeName) {
+    case 'MX':
+      return Buffer.concat([uint(data.preference, 2), encodeName(data.exchange.toLowerCase())]);
+    case 'SRV':
+      return Buffer.concat([
+        uint(data.priority, 2), uint(data.weight, 2), uint(data.port, 2), encodeName(data.target.toLowerCase()),
+      ]);
+    case 'SOA':
+      return Buffer.concat([
+        encodeName(data.mname.toLowerCase()),
+        encodeName(data.rname.toLowerCase()),
+        ...[data.serial, data.refresh, data.retry, data.expire, data.minimum].map((value) => uint(value, 4)),
+      ]);
+    default:
+      return encodeName(data.toLowerCase());
+  }
+};
+
+/**
+ * Build the data an RRSIG signs over (RFC 4034, section 3.1.8.1)
+ * @param {Object} signature - Decoded RRSIG record
+ * @param {Object[]} records - The RRset it covers
+ * @returns {Buffer}
+ */
+const getSignedData = (signature, records) => {
+  const sig = signature.data;
+  const prefix = Buffer.from(signature.rdata.subarray(0, 18));
+  const signer = encodeName(sig.signerName.toLowerCase());
+
+  const rrs = records.map((record) => {
+    let owner = record.name.toLowerCase();
+    // Wildcard expansions are signed over the wildcard owner name
+    if (countLabels(owner) > sig.labels) {
+      owner = `*.${owner.split('.').filter(Boolean).slice(-sig.labels).join('.')}.`;
+    }
+    const rdata = getCanonicalRdata(record);
+    const fixed = Buffer.alloc(10);
+    fixed.writeUInt16BE(record.type, 0);
+    fixed.writeUInt16BE(record.class, 2);
+    fixed.writeUInt32BE(sig.originalTTL, 4);
+    fixed.writeUInt16BE(rdata.length, 8);
+    return { rdata, wire: Buffer.concat([encodeName(owner), fixed, rdata]) };
+  });
+
+  rrs.sort((a, b) => Buffer.compare(a.rdata, b.rdata));
+  return Buffer.concat([prefix, signer, ...rrs.map(({ wire }) => wire)]);
+};
+
+/**
+ * Turn the public key from a DNSKEY into a Node KeyObject
+ * @param {number} algorithm - DNSSEC algorithm number
+ * @param {Buffer} key - Public key, from the DNSKEY record
+ * @returns {{keyObject: crypto.KeyObject, keySize: number}|null} Null for unsupported algorithms
+ */
+const importPublicKey = (algorithm, key) => {
+  const { curve } = ALGORITHMS[algorithm] || {};
+
+  if ([5, 7, 8, 10].includes(algorithm)) {
+    // RFC 3110, exponent length is 1 byte, or 0 followed by 2 bytes
+    const longExponent = key[0] === 0;
+    const exponentLength = longExponent ? key.readUInt16BE(1) : key[0];
+    const exponentStart = longExponent ? 3 : 1;
+    const exponent = key.subarray(exponentStart, exponentStart + exponentLength);
+    const modulus = key.subarray(exponentStart + exponentLength);
+    const keyObject = crypto.createPublicKey({
+      key: { kty: 'RSA', n: modulus.toString('base64url'), e: exponent.toString('base64url') },
+      format: 'jwk',
+    });
+    return { keyObject, keySize: keyObject.asymmetricKeyDetails.modulusLength };
+  }
+
+  if (curve === 'P-256' || curve === 'P-384') {
+    const half = key.length / 2;
+    const keyObject = crypto.createPublicKey({
+      key: {
+        kty: 'EC',
+        crv: curve,
+        x: key.subarray(0, half).toString('base64url'),
+        y: key.subarray(half).toString('base64url'),
+      },
+      format: 'jwk',
+    });
+    return { keyObject, keySize: half * 8 };
+  }
+
+  if (curve === 'Ed25519' || curve === 'Ed448') {
+    const keyObject = crypto.createPublicKey({
+      key: { kty: 'OKP', crv: curve, x: key.toString('base64url') },
+      format: 'jwk',
+    });
+    return { keyObject, keySize: curve === 'Ed25519' ? 256 : 456 };
+  }
+
+  return null;
+};
+
+/**
+ * Check a single signature over an RRset, against a set of candidate keys
+ * @param {Object} signature - Decoded RRSIG record
+ * @param {Object[]} records - The RRset it covers
+ * @param {Object[]} keys - DNSKEY records from the signer's zone
+ * @returns {{keyTag: number, algorithm: number, signer: string, valid: boolean, reason: string|null}}
+ */
+const verifySignature = (signature, records, keys) => {
+  const sig = signature.data;
+  const result = {
+    keyTag: sig.keyTag,
+    algorithm: sig.algorithm,
+    algorithmName: ALGORITHMS[sig.algorithm] ? ALGORITHMS[sig.algorithm].name : 'Unknown',
+    signer: sig.signerName,
+    inception: new Date(sig.inception * 1000).toISOString(),
+    expiration: new Date(sig.expiration * 1000).toISOString(),
+    valid: false,
+    reason: null,
+  };
+
+  const now = Math.floor(Date.now() / 1000);
+  if (now > sig.expiration) {
+    return { ...result, reason: 'Signature has expired' };
+  }
+  if (now < sig.inception) {
+    return { ...result, reason: 'Signature is not yet valid' };
+  }
+
+  const key = keys.find(({ data }) => data.keyTag === sig.keyTag && data.algorithm === sig.algorithm);
+  if (!key) {
+    return { ...result, reason: `No DNSKEY with key tag ${sig.keyTag} found in ${sig.signerName}` };
+  }
+
+  let imported;
+  try {
+    imported = importPublicKey(sig.algorithm, Buffer.from(key.data.publicKey, 'base64'));
+  } catch (error) {
+    return { ...result, reason: `Unable to read DNSKEY ${sig.keyTag}: ${error.message}` };
+  }
+  if (!imported) {
+    return { ...result, reason: `Algorithm ${sig.algorithm} is not supported for validation` };
+  }
+
+  const { hash, curve } = ALGORITHMS[sig.algorithm];
+  const signedData = getSignedData(signature, records);
+  const signatureBytes = Buffer.from(sig.signature, 'base64');
+  const keyOptions = curve && curve.startsWith('P-')
+    ? { key: imported.keyObject, dsaEncoding: 'ieee-p1363' }
+    : imported.keyObject;
+
+  try {
+    const valid = crypto.verify(hash || null, signedData, keyOptions, signatureBytes);
+    return { ...result, valid, reason: valid ? null : 'Signature does not match the record set' };
+  } catch (error) {
+    return { ...result, reason: `Signature verification failed: ${error.message}` };
+  }
+};
+
+/**
+ * Validate an RRset, it's secure if at least one signature from the given keys checks out
+ * @param {Object[]} records - The RRset
+ * @param {Object[]} signatures - RRSIGs covering it
+ * @param {Object[]} keys - Trusted DNSKEYs of the signing zone
+ * @returns {{status: string, signatures: Object[]}}
+ */
+const validateRRset = (records, signatures, keys) => {
+  if (records.length === 0) return { status: 'absent', signatures: [] };
+  if (signatures.length === 0) return { status: 'unsigned', signatures: [] };
+  const results = signatures.map((signature) => verifySignature(signature, records, keys));
+  return { status: results.some(({ valid }) => valid) ? 'secure' : 'bogus', signatures: results };
+};
+
+/**
+ * Compute the digest of a DNSKEY, as it would appear in a DS record
+ * @param {string} owner - Zone name
+ * @param {Object} key - Decoded DNSKEY record
+ * @param {number} digestType - DS digest type
+ * @returns {string|null} Upper-case hex digest, or null if the digest type is unsupported
+ */
+const getKeyDigest = (owner, key, digestType) => {
+  const digest = DIGEST_TYPES[digestType];
+  if (!digest) return null;
+  return crypto.createHash(digest.hash)
+    .update(Buffer.concat([encodeName(owner.toLowerCase()), key.rdata]))
+    .digest('hex')
+    .toUpperCase();
+};
+
+// Describe a DNSKEY, with its role and algorithm strength
+const describeKey = (key) => {
+  const { flags, algorithm, keyTag, publicKey } = key.data;
+  const algorithmInfo = ALGORITHMS[algorithm] || { name: 'Unknown', strength: 'unknown' };
+  let keySize = null;
+  try {
+    const imported = importPublicKey(algorithm, Buffer.from(publicKey, 'base64'));
+    keySize = imported ? imported.keySize : null;
+  } catch (error) {
+    keySize = null;
+  }
+  // RSA keys under 2048 bits are considered weak, regardless of algorithm
+  const strength = keySize && [5, 7, 8, 10].includes(algorithm) && keySize < 2048 && algorithmInfo.strength === 'strong'
+    ? 'weak'
+    : algorithmInfo.strength;
+
+  return {
+    keyTag,
+    flags,
+    role: (flags & 0x0001) ? 'KSK' : 'ZSK',
+    revoked: !!(flags & 0x0080),
+    algorithm,
+    algorithmName: algorithmInfo.name,
+    keySize,
+    strength,
+  };
+};
+
+// Pull out the records of a type from a response, and the RRSIGs covering them
+const getRRset = (response, typeName) => {
+  const records = response ? response.answers.filter((record) => record.typeName === typeName) : [];
+  const signatures = response ? response.answers.filter(
+    (record) => record.typeName === 'RRSIG' && record.data.typeCovered === typeName,
+  ) : [];
+  return { records, signatures };
+};
+
+// Shape records the way the DnsSec card expects them (like DNS-over-HTTPS JSON)
+const toAnswer = (record) => {
+  const { data } = record;
+  let value;
+  switch (record.typeName) {
+    case 'DNSKEY':
+      value = `${data.flags} ${data.protocol} ${data.algorithm} ${data.publicKey}`;
+      break;
+    case 'DS':
+      value = `${data.keyTag} ${data.algorithm} ${data.digestType} ${data.digest}`;
+      break;
+    case 'RRSIG':
+      value = [
+        data.typeCovered, data.algorithm, data.labels, data.originalTTL, data.expiration,
+        data.inception, data.keyTag, data.signerName, data.signature,
+      ].join(' ');
+      break;
+    default:
+      value = typeof data === 'string' ? data : JSON.stringify(data);
+  }
+  return { name: record.name, type: record.type, TTL: record.ttl, data: value };
+};
+
+/**
+ * Walk the chain of trust, from the closest trust anchor down to the target zone
+ * @param {string} zone - Fully-qualified target zone
+ * @param {Function} lookup - Queries the configured resolver
+ * @returns {Promise<{links: Object[], trustedKeys: Object[]|null, status: string}>}
+ */
+const walkChainOfTrust = async (zone, lookup) => {
+  const anchors = getTrustAnchors();
+  const hierarchy = getZoneHierarchy(zone);
+  // Start from the deepest zone we hold a trust anchor for
+  const startIndex = hierarchy.reduce(
+    (found, name, index) => (anchors.some((anchor) => anchor.zone === name) ? index : found), -1,
+  );
+  if (startIndex === -1) {
+    return { links: [], trustedKeys: null, status: 'indeterminate' };
+  }
+
+  const links = [];
+  let parentKeys = null;
+  let status = 'secure';
+
+  for (const name of hierarchy.slice(startIndex)) {
+    const isAnchor = parentKeys === null;
+    const [keyResponse, dsResponse] = await Promise.all([
+      lookup(name, 'DNSKEY'),
+      isAnchor ? null : lookup(name, 'DS'),
+    ]);
+    const dnskey = getRRset(keyResponse, 'DNSKEY');
+    const ds = isAnchor
+      ? { records: anchors.filter((anchor) => anchor.zone === name).map((data) => ({ data })), signatures: [] }
+      : getRRset(dsResponse, 'DS');
+
+    // Not every label is a zone cut, skip those which have neither keys nor a delegation
+    if (name !== zone && !isAnchor && dnskey.records.length === 0 && ds.records.length === 0) {
+      continue;
+    }
+
+    const link = {
+      zone: name,
+      status: 'secure',
+      trustAnchor: isAnchor,
+      keys: dnskey.records.map(describeKey),
+      ds: ds.records.map(({ data }) => ({
+        keyTag: data.keyTag,
+        algorithm: data.algorithm,
+        digestType: data.digestType,
+        digestName: DIGEST_TYPES[data.digestType] ? DIGEST_TYPES[data.digestType].name : 'Unknown',
+        strength: DIGEST_TYPES[data.digestType] ? DIGEST_TYPES[data.digestType].strength : 'unknown',
+        matchesKey: false,
+      })),
+      dsValidation: isAnchor ? null : validateRRset(ds.records, ds.signatures, parentKeys),
+      dnskeyValidation: null,
+      errors: [],
+    };
+    links.push(link);
+
+    if (ds.records.length === 0) {
+      // No DS in the parent, so this is an insecure delegation (or the zone is unsigned)
+      link.status = 'insecure';
+      link.errors.push(`No DS records for ${name} in the parent zone`);
+      status = 'insecure';
+      break;
+    }
+    if (link.dsValidation && link.dsValidation.status !== 'secure') {
+      link.status = 'bogus';
+      link.errors.push(`DS records for ${name} are not validly signed by the parent zone`);
+    }
+
+    // Find the keys which the DS records vouch for
+    const matchedKeys = dnskey.records.filter((key) => ds.records.some(({ data }, index) => {
+      const matches = data.keyTag === key.data.keyTag
+        && data.algorithm === key.data.algorithm
+        && getKeyDigest(name, key, data.digestType) === data.digest;
+      if (matches) link.ds[index].matchesKey = true;
+      return matches;
+    }));
+    if (matchedKeys.length === 0) {
+      link.status = 'bogus';
+      link.errors.push(`None of the DNSKEYs for ${name} match its DS records`);
+    }
+
+    // The DNSKEY RRset must be signed by a key the DS vouches for
+    link.dnskeyValidation = validateRRset(dnskey.records, dnskey.signatures, matchedKeys);
+    if (link.dnskeyValidation.status !== 'secure') {
+      link.status = 'bogus';
+      link.errors.push(`The DNSKEY record set for ${name} is not validly signed by a trusted key`);
+    }
+
+    if (link.status === 'bogus') {
+      status = 'bogus';
+      break;
+    }
+    parentKeys = dnskey.records;
+  }
+
+  return { links, trustedKeys: status === 'secure' ? parentKeys : null, status };
+};
+
+/**
+ * Find the zone a name belongs to, from the SOA record in the answer or authority section.
+ * Only an SOA owned by the name or one of its ancestors counts, as a CNAME can lead into
+ * someone else's zone (e.g. a CDN's). Failing that, each ancestor is asked for its SOA in turn
+ * @param {string} hostname - Fully-qualified name
+ * @param {Function} lookup - Queries the configured resolver
+ * @returns {Promise<string>} Fully-qualified zone name
+ */
+const findZone = async (hostname, lookup) => {
+  const isOwnZone = (name) => hostname === name || hostname.endsWith(`.${name}`);
+  const findSoa = (response, owners) => [...response.answers, ...response.authorities]
+    .find(({ typeName, name }) => typeName === 'SOA' && owners(toFqdn(name)));
+
+  const soa = findSoa(await lookup(hostname, 'SOA'), isOwnZone);
+  if (soa) return toFqdn(soa.name);
+
+  const ancestors = getZoneHierarchy(hostname).slice(1, -1).reverse();
+  for (const name of ancestors) {
+    const response = await lookup(name, 'SOA').catch(() => null);
+    if (response && findSoa(response, (owner) => owner === name)) return name;
+  }
+  return hostname;
+};
+
+const dnssecHandler = async (url) => {
+  const hostname = toFqdn(new URL(url).hostname);
+  const resolver = DNSSEC_RESOLVER || getDefaultResolver();
+  // Checking disabled, so the resolver hands back bogus data for us to report on, rather than SERVFAIL
+  const lookup = (name, type) => query(name, type, { server: resolver, dnssec: true, checkingDisabled: true });
+
+  console.log(`🔐 Checking DNSSEC for ${hostname} via ${resolver}`);
+
+  const zone = await findZone(hostname, lookup);
+  const [keyResponse, dsResponse, chain] = await Promise.all([
+    lookup(zone, 'DNSKEY'),
+    lookup(zone, 'DS'),
+    walkChainOfTrust(zone, lookup),
+  ]);
+
+  const dnskey = getRRset(keyResponse, 'DNSKEY');
+  const ds = getRRset(dsResponse, 'DS');
+
+  // Check each of the other record sets, against the zone's trusted keys
+  const records = [];
+  const rrsigs = [...dnskey.signatures, ...ds.signatures];
+  for (const typeName of SIGNED_RECORD_TYPES) {
+    const owner = ['SOA', 'NS'].includes(typeName) ? zone : hostname;
+    const response = await lookup(owner, typeName).catch(() => null);
+    const rrset = getRRset(response, typeName);
+    if (rrset.records.length === 0) continue;
+    rrsigs.push(...rrset.signatures);
+    const validation = chain.trustedKeys
+      ? validateRRset(rrset.records, rrset.signatures, chain.trustedKeys)
+      : { status: rrset.signatures.length ? 'indeterminate' : 'unsigned', signatures: [] };
+    records.push({ name: owner, type: typeName, count: rrset.records.length, ...validation });
+  }
+
+  // DNSKEY and DS were already validated while walking the chain
+  const zoneLink = chain.links.find((link) => link.zone === zone) || {};
+  const fromChain = (validation, rrset) => validation
+    || { status: rrset.records.length ? 'indeterminate' : 'absent', signatures: [] };
+  records.unshift(
+    { name: zone, type: 'DNSKEY', count: dnskey.records.length, ...fromChain(zoneLink.dnskeyValidation, dnskey) },
+    { name: zone, type: 'DS', count: ds.records.length, ...fromChain(zoneLink.dsValidation, ds) },
+  );
+
+  // Summarise the signing algorithms of the zone's keys, and the digest types of its DS records
+  const algorithms = dnskey.records.map(describeKey)
+    .map(({ algorithm, algorithmName, strength, keySize, role, keyTag }) => ({
+      keyTag, role, algorithm, name: algorithmName, keySize, strength,
+    }));
+  const digestTypes = ds.records.map(({ data }) => ({
+    keyTag: data.keyTag,
+    digestType: data.digestType,
+    name: DIGEST_TYPES[data.digestType] ? DIGEST_TYPES[data.digestType].name : 'Unknown',
+    strength: DIGEST_TYPES[data.digestType] ? DIGEST_TYPES[data.digestType].strength : 'unknown',
+  }));
+  const isWeak = ({ strength }) => ['weak', 'insecure'].includes(strength);
+
+  const makeSection = (response, answers) => ({
+    isFound: answers.length > 0,
+    answer: answers.map(toAnswer),
+    response: response ? { ...response.flags, rcode: response.rcodeName } : null,
+  });
+
+  return {
+    domain: hostname,
+    zone,
+    resolver,
+    status: chain.status,
+    DNSKEY: makeSection(keyResponse, dnskey.records),
+    DS: makeSection(dsResponse, ds.records),
+    RRSIG: makeSection(keyResponse, rrsigs),
+    chain: chain.links,
+    records,
+    algorithms,
+    digestTypes,
+    weakAlgorithms: algorithms.some(isWeak),
+    weakDigestTypes: digestTypes.some(isWeak),
+  };
+};
+
+export const handler = middleware(dnssecHandler);
+export default handler;
@@ -1,23 +1,74 @@
 import dns from 'dns';
+import net from 'net';
 import middleware from '../_common/middleware.js';
+import {
+  loadIpDatabases, describeIpDatabases, lookupIp, lookupPtr, isPrivateIp, findAnycastRange,
+} from '../_common/ip-database.js';
 
-const lookupAsync = (address) => {
-  return new Promise((resolve, reject) => {
-    dns.lookup(address, (err, ip, family) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve({ ip, family });
-      }
-    });
-  });
+/**
+ * Get IP
+ * Finds every IPv4 and IPv6 address a host resolves to, and for each, its reverse
+ * DNS (PTR) names, the network (ASN) and organisation it belongs to, and where it
+ * is, from the offline IP databases. Addresses in a CDN's anycast ranges are flagged,
+ * as they're served from many places, so their location is only one of them.
+ * The first address is also returned as ip, for the jobs which run against one address
+ */
+
+const getHost = (url) => {
+  // A bare IPv6 address isn't a valid URL host without brackets
+  const bare = url.replace(/(^\w+:|^)\/\//, '');
+  if (net.isIP(bare)) return bare;
+  try {
+    return new URL(url).hostname.replace(/^\[|\]$/g, '');
+  } catch {
+    return bare.split(/[/:]/)[0];
+  }
 };
 
-const ipHandler = async (url) => {
-  const address = url.replaceAll('https://', '').replaceAll('http://', '');
-  return await lookupAsync(address);
+/**
+ * All addresses for a host, those the system resolver gives first (as dns.lookup
+ * alone used to), then any other A and AAAA records
+ * @returns {Promise<{address: string, family: number}[]>}
+ */
+const resolveAddresses = async (host) => {
+  if (net.isIP(host)) return [{ address: host, family: net.isIP(host) }];
+  const [lookedUp, ipv4, ipv6] = await Promise.all([
+    dns.promises.lookup(host, { all: true }).catch(() => []),
+    dns.promises.resolve4(host).catch(() => []),
+    dns.promises.resolve6(host).catch(() => []),
+  ]);
+  const addresses = new Map(lookedUp.map(({ address, family }) => [address, family]));
+  ipv4.forEach((address) => { if (!addresses.has(address)) addresses.set(address, 4); });
+  ipv6.forEach((address) => { if (!addresses.has(address)) addresses.set(address, 6); });
+  return [...addresses].map(([address, family]) => ({ address, family }));
 };
 
+const ipHandler = async (url) => {
+  const host = getHost(url);
+  const addresses = await resolveAddresses(host);
+  if (!addresses.length) throw new Error(`Unable to resolve ${host}, it has no A or AAAA records`);
+
+  const databases = loadIpDatabases();
+  const results = await Promise.all(addresses.map(async ({ address, family }) => ({
+    ip: address,
+    family,
+    ptr: await lookupPtr(address),
+    private: isPrivateIp(address),
+    ...lookupIp(address, databases),
+    anycast: findAnycastRange(address),
+  })));
+
+  const [first] = results;
+  return {
+    ip: first.ip,
+    family: first.family,
+    host,
+    ipv4: results.filter(({ family }) => family === 4).map(({ ip }) => ip),
+    ipv6: results.filter(({ family }) => family === 6).map(({ ip }) => ip),
+    addresses: results,
+    ipDatabase: describeIpDatabases(databases),
+  };
+};
 
 export const handler = middleware(ipHandler);
 export default handler;
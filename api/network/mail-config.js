@@ -0,0 +1,685 @@
+/**
+ * Mail Configuration API
+ * Audits a domain's email setup - MX, SPF (including include-chain lookup counting),
+ * DMARC, common DKIM selectors, MTA-STS, TLS-RPT and BIMI - and grades what it finds
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+import psl from 'psl';
+import middleware from '../_common/middleware.js';
+import { resolveTxt, resolveMx } from '../_common/resolver.js';
+
+// RFC 7208 4.6.4 - more than 10 DNS-querying terms, or 2 void lookups, is a permerror
+const SPF_LOOKUP_LIMIT = 10;
+const SPF_VOID_LOOKUP_LIMIT = 2;
+const SPF_DNS_MECHANISMS = ['include', 'a', 'mx', 'ptr', 'exists'];
+const SPF_MECHANISMS = [...SPF_DNS_MECHANISMS, 'all', 'ip4', 'ip6'];
+
+const DMARC_POLICIES = ['none', 'quarantine', 'reject'];
+const MTA_STS_MODES = ['enforce', 'testing', 'none'];
+const MTA_STS_MAX_AGE = 31557600;
+const POLICY_TIMEOUT = 5000;
+
+// Selectors used by the big providers, plus any extras from DKIM_SELECTORS (comma separated)
+const DKIM_SELECTORS = [
+  'default', 'dkim', 'mail', 'google', 'selector1', 'selector2', 'k1', 'k2', 'k3',
+  's1', 's2', 'smtp', 'mxvault', 'everlytickey1', 'mandrill', 'zendesk1', 'fm1', 'fm2', 'fm3',
+  ...(process.env.DKIM_SELECTORS || '').split(',').map((s) => s.trim()).filter(Boolean),
+];
+
+// Points deducted from 100 for each finding, to give an overall grade
+const SEVERITY_PENALTIES = { critical: 40, high: 25, medium: 10, low: 5, info: 0 };
+
+// Known mail services, matched against MX hosts and SPF includes
+const MAIL_PROVIDERS = [
+  { provider: 'Google Workspace', patterns: ['google.com', 'googlemail.com'] },
+  { provider: 'Microsoft 365', patterns: ['outlook.com', 'protection.outlook.com'] },
+  { provider: 'Zoho Mail', patterns: ['zoho.com', 'zoho.eu'] },
+  { provider: 'Proton Mail', patterns: ['protonmail.ch', 'protonmail.com'] },
+  { provider: 'Fastmail', patterns: ['messagingengine.com'] },
+  { provider: 'iCloud Mail', patterns: ['icloud.com'] },
+  { provider: 'Yandex Mail', patterns: ['yandex.net', 'yandex.ru'] },
+  { provider: 'Proofpoint', patterns: ['pphosted.com', 'ppe-hosted.com'] },
+  { provider: 'Mimecast', patterns: ['mimecast.com'] },
+  { provider: 'Amazon SES', patterns: ['amazonses.com', 'amazonaws.com'] },
+  { provider: 'SendGrid', patterns: ['sendgrid.net'] },
+  { provider: 'Mailgun', patterns: ['mailgun.org'] },
+  { provider: 'Mailchimp', patterns: ['mcsv.net', 'mandrillapp.com'] },
+  { provider: 'Postmark', patterns: ['mtasv.net'] },
+  { provider: 'Salesforce', patterns: ['salesforce.com'] },
+  { provider: 'Zendesk', patterns: ['zendesk.com'] },
+];
+
+// Find the one record starting with the given version tag, e.g. 'v=DMARC1'
+const findTagged = (records, version) => records.filter((record) => (
+  record.toLowerCase().replace(/\s/g, '').startsWith(`v=${version.toLowerCase()}`)
+));
+
+/**
+ * Parse a `tag=value; tag=value` record (DMARC, DKIM, MTA-STS, TLS-RPT, BIMI)
+ * @param {string} record - Raw TXT record
+ * @returns {Object} Lower-cased tag names mapped to their values
+ */
+const parseTags = (record) => Object.fromEntries(
+  record.split(';')
+    .map((tag) => tag.trim())
+    .filter((tag) => tag.includes('='))
+    .map((tag) => {
+      const index = tag.indexOf('=');
+      return [tag.slice(0, index).trim().toLowerCase(), tag.slice(index + 1).trim()];
+    }),
+);
+
+const splitUris = (value) => (value ? value.split(',').map((uri) => uri.trim()).filter(Boolean) : []);
+
+const normaliseHost = (host) => host.toLowerCase().replace(/\.$/, '');
+
+const matchProvider = (host) => {
+  const name = normaliseHost(host);
+  return MAIL_PROVIDERS.find(({ patterns }) => (
+    patterns.some((pattern) => name === pattern || name.endsWith(`.${pattern}`))
+  ));
+};
+
+/**
+ * Split an SPF record into its mechanisms and modifiers
+ * @param {string} record - Raw SPF record, starting with v=spf1
+ * @returns {{mechanisms: Array, modifiers: Object, errors: string[]}}
+ */
+const parseSpf = (record) => {
+  const mechanisms = [];
+  const modifiers = {};
+  const errors = [];
+
+  record.trim().split(/\s+/).slice(1).forEach((term) => {
+    const modifier = term.match(/^([a-z][a-z0-9_.-]*)=(.*)$/i);
+    if (modifier) {
+      const name = modifier[1].toLowerCase();
+      if (modifiers[name] !== undefined) errors.push(`Duplicate ${name} modifier`);
+      modifiers[name] = modifier[2];
+      return;
+    }
+
+    const mechanism = term.match(/^([+\-~?]?)([a-z][a-z0-9]*)(?::([^/]*))?(\/.*)?$/i);
+    const name = mechanism && mechanism[2].toLowerCase();
+    if (!mechanism || !SPF_MECHANISMS.includes(name)) {
+      errors.push(`Unknown SPF term "${term}"`);
+      return;
+    }
+    mechanisms.push({
+      qualifier: mechanism[1] || '+',
+      name,
+      value: mechanism[3] || null,
+      cidr: mechanism[4] || null,
+    });
+  });
+
+  return { mechanisms, modifiers, errors };
+};
+
+// Describe a failed lookup (e.g. SERVFAIL or a timeout), by its error code where there is one
+const describeLookupError = (error) => error.code || error.message;
+
+/**
+ * Recursively follow an SPF record's include and redirect terms,
+ * counting every DNS-querying term along the way. A domain included from
+ * several places is walked (and counted) each time, as receivers do,
+ * it's only a loop if it includes a domain already on the path to it.
+ * A target with no SPF record is a permerror, and also a void lookup if it has
+ * no TXT records at all (RFC 7208 4.6.4). A failed lookup is a temperror
+ * @param {string} domain - Domain whose SPF record should be fetched
+ * @param {Object} state - Shared lookup/void counters, current path, TXT cache and errors
+ * @param {string} [reference] - How the domain was reached (e.g. 'x.com: included domain y.com'), for errors
+ * @returns {Promise<Object|null>} Tree of SPF records, or null if there wasn't one
+ */
+const walkSpf = async (domain, state, reference = null) => {
+  const name = normaliseHost(domain);
+  if (!state.txtRecords.has(name)) state.txtRecords.set(name, resolveTxt(name));
+
+  let txtRecords;
+  try {
+    txtRecords = await state.txtRecords.get(name);
+  } catch (error) {
+    state.tempErrors.push(`${reference || name}: TXT lookup failed (${describeLookupError(error)})`);
+    return null;
+  }
+
+  const records = findTagged(txtRecords, 'spf1');
+  if (records.length === 0) {
+    if (reference) {
+      if (txtRecords.length === 0) state.voidLookups += 1;
+      state.errors.push(`${reference} has no SPF record`);
+    }
+    return null;
+  }
+  if (records.length > 1) state.errors.push(`${name} has ${records.length} SPF records, only one is allowed`);
+
+  const record = records[0];
+  const { mechanisms, modifiers, errors } = parseSpf(record);
+  state.errors.push(...errors.map((error) => `${name}: ${error}`));
+
+  const node = { domain: name, record, lookups: 0, includes: [] };
+  state.path.push(name);
+
+  try {
+    for (const mechanism of mechanisms) {
+      if (!SPF_DNS_MECHANISMS.includes(mechanism.name)) continue;
+      node.lookups += 1;
+      state.lookups += 1;
+
+      if (mechanism.name === 'ptr') {
+        state.warnings.push(`${name}: the ptr mechanism is deprecated, and slow for receivers to evaluate`);
+      }
+      if (mechanism.name === 'include') {
+        if (!mechanism.value) {
+          state.errors.push(`${name}: include is missing a domain`);
+          continue;
+        }
+        // Macros (e.g. %{i}) can only be expanded for a real message
+        if (mechanism.value.includes('%')) continue;
+        if (state.path.includes(normaliseHost(mechanism.value))) {
+          state.errors.push(`${name}: including ${mechanism.value} loops back on itself`);
+          continue;
+        }
+        const included = await walkSpf(mechanism.value, state, `${name}: included domain ${mechanism.value}`);
+        if (included) node.includes.push(included);
+      }
+    }
+
+    // redirect= is ignored when the record has an all mechanism
+    const hasAll = mechanisms.some((mechanism) => mechanism.name === 'all');
+    if (modifiers.redirect && !hasAll) {
+      node.lookups += 1;
+      state.lookups += 1;
+      if (state.path.includes(normaliseHost(modifiers.redirect))) {
+        state.errors.push(`${name}: redirect loop via ${modifiers.redirect}`);
+        return node;
+      }
+      node.redirect = await walkSpf(modifiers.redirect, state, `${name}: redirect target ${modifiers.redirect}`);
+    }
+  } finally {
+    state.path.pop();
+  }
+
+  if (name === state.domain) {
+    const all = mechanisms.find((mechanism) => mechanism.name === 'all');
+    state.all = all ? `${all.qualifier}all` : null;
+  }
+
+  return node;
+};
+
+const flattenSpfIncludes = (node) => (node
+  ? [...node.includes, ...(node.redirect ? [node.redirect] : [])]
+    .flatMap((child) => [child.domain, ...flattenSpfIncludes(child)])
+  : []);
+
+const checkSpf = async (domain) => {
+  const state = {
+    domain, lookups: 0, voidLookups: 0, path: [], txtRecords: new Map(), errors: [], tempErrors: [], warnings: [], all: null,
+  };
+  const chain = await walkSpf(domain, state);
+
+  if (state.lookups > SPF_LOOKUP_LIMIT) {
+    state.errors.push(`SPF needs ${state.lookups} DNS lookups, over the limit of ${SPF_LOOKUP_LIMIT}`);
+  }
+  if (state.voidLookups > SPF_VOID_LOOKUP_LIMIT) {
+    state.errors.push(`SPF has ${state.voidLookups} void lookups, over the limit of ${SPF_VOID_LOOKUP_LIMIT}`);
+  }
+
+  // The effective "all" may come from a redirect target
+  let all = state.all;
+  let node = chain;
+  while (!all && node?.redirect) {
+    node = node.redirect;
+    const { mechanisms } = parseSpf(node.record);
+    const allTerm = mechanisms.find((mechanism) => mechanism.name === 'all');
+    all = allTerm ? `${allTerm.qualifier}all` : null;
+  }
+
+  return {
+    record: chain?.record || null,
+    valid: !!chain && state.errors.length === 0 && state.tempErrors.length === 0,
+    all,
+    lookups: state.lookups,
+    lookupLimit: SPF_LOOKUP_LIMIT,
+    voidLookups: state.voidLookups,
+    includes: [...new Set(flattenSpfIncludes(chain))],
+    chain,
+    // A domain included from several places repeats its own errors each time
+    errors: [...new Set(state.errors)],
+    tempErrors: [...new Set(state.tempErrors)],
+    warnings: [...new Set(state.warnings)],
+  };
+};
+
+/**
+ * Fetch and validate the DMARC policy, falling back to the organisational
+ * domain's policy (as receivers do) when the domain itself has none
+ */
+const checkDmarc = async (domain) => {
+  const orgDomain = psl.get(domain) || domain;
+  let policyDomain = domain;
+  let records = findTagged(await resolveTxt(`_dmarc.${domain}`), 'DMARC1');
+
+  if (records.length === 0 && orgDomain !== domain) {
+    policyDomain = orgDomain;
+    records = findTagged(await resolveTxt(`_dmarc.${orgDomain}`), 'DMARC1');
+  }
+
+  if (records.length === 0) {
+    return { record: null, valid: false, errors: [], warnings: [] };
+  }
+
+  const errors = [];
+  const warnings = [];
+  if (records.length > 1) errors.push(`Found ${records.length} DMARC records, only one is allowed`);
+
+  const record = records[0];
+  const tags = parseTags(record);
+  const inherited = policyDomain !== domain;
+  // Subdomains are governed by sp=, falling back to p=
+  const policy = (inherited ? tags.sp || tags.p : tags.p)?.toLowerCase();
+  const pct = tags.pct !== undefined ? Number(tags.pct) : 100;
+
+  if (!tags.p) errors.push('Missing the required p= tag');
+  else if (!DMARC_POLICIES.includes(tags.p.toLowerCase())) errors.push(`Invalid policy p=${tags.p}`);
+  if (tags.sp && !DMARC_POLICIES.includes(tags.sp.toLowerCase())) errors.push(`Invalid subdomain policy sp=${tags.sp}`);
+  if (!Number.isInteger(pct) || pct < 0 || pct > 100) errors.push(`Invalid percentage pct=${tags.pct}`);
+  ['adkim', 'aspf'].forEach((tag) => {
+    if (tags[tag] && !['r', 's'].includes(tags[tag].toLowerCase())) errors.push(`Invalid alignment ${tag}=${tags[tag]}`);
+  });
+
+  const rua = splitUris(tags.rua);
+  const ruf = splitUris(tags.ruf);
+  [...rua, ...ruf]
+    .filter((uri) => !uri.toLowerCase().startsWith('mailto:'))
+    .forEach((uri) => warnings.push(`Report URI ${uri} is not a mailto: address`));
+
+  return {
+    record,
+    domain: policyDomain,
+    inherited,
+    valid: errors.length === 0,
+    policy,
+    subdomainPolicy: tags.sp?.toLowerCase() || tags.p?.toLowerCase(),
+    pct,
+    rua,
+    ruf,
+    adkim: tags.adkim?.toLowerCase() || 'r',
+    aspf: tags.aspf?.toLowerCase() || 'r',
+    tags,
+    errors,
+    warnings,
+  };
+};
+
+// Key size of a DKIM public key, from its base64 p= tag
+const getDkimKeyBits = (keyType, publicKey) => {
+  if (keyType === 'ed25519') return 256;
+  try {
+    const key = crypto.createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+    return key.asymmetricKeyDetails?.modulusLength || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Probe the common DKIM selectors. There's no way to list a domain's
+ * selectors, so not finding one doesn't mean DKIM isn't in use
+ */
+const checkDkim = async (domain) => {
+  const results = await Promise.allSettled(DKIM_SELECTORS.map(async (selector) => {
+    const records = (await resolveTxt(`${selector}._domainkey.${domain}`))
+      .filter((record) => /(^|;)\s*(v=dkim1|p=)/i.test(record));
+    if (records.length === 0) return null;
+
+    const record = records[0];
+    const tags = parseTags(record);
+    const keyType = (tags.k || 'rsa').toLowerCase();
+    const publicKey = (tags.p || '').replace(/\s/g, '');
+    return {
+      selector,
+      record,
+      keyType,
+      keyBits: publicKey ? getDkimKeyBits(keyType, publicKey) : null,
+      revoked: !publicKey,
+      testing: (tags.t || '').split(':').map((flag) => flag.trim()).includes('y'),
+    };
+  }));
+
+  const selectors = results
+    .filter((result) => result.status === 'fulfilled' && result.value)
+    .map((result) => result.value);
+
+  return { selectorsChecked: DKIM_SELECTORS, selectors };
+};
+
+/**
+ * Parse an MTA-STS policy file (RFC 8461 3.2), which is `key: value` lines
+ */
+const parseMtaStsPolicy = (text) => {
+  const policy = { version: null, mode: null, mx: [], maxAge: null };
+  text.split(/\r?\n/).forEach((line) => {
+    const index = line.indexOf(':');
+    if (index === -1) return;
+    const key = line.slice(0, index).trim().toLowerCase();
+    const value = line.slice(index + 1).trim();
+    if (key === 'version') policy.version = value;
+    if (key === 'mode') policy.mode = value.toLowerCase();
+    if (key === 'mx') policy.mx.push(value.toLowerCase());
+    if (key === 'max_age') policy.maxAge = Number(value);
+  });
+  return policy;
+};
+
+// An MTA-STS mx pattern may have a leading wildcard, matching exactly one label
+const matchesMxPattern = (host, pattern) => {
+  const name = normaliseHost(host);
+  if (pattern.startsWith('*.')) {
+    const suffix = pattern.slice(1);
+    return name.endsWith(suffix) && !name.slice(0, -suffix.length).includes('.');
+  }
+  return name === pattern;
+};
+
+const checkMtaSts = async (domain, mxRecords) => {
+  const records = findTagged(await resolveTxt(`_mta-sts.${domain}`), 'STSv1');
+  if (records.length === 0) {
+    return { record: null, valid: false, errors: [], warnings: [] };
+  }
+
+  const errors = [];
+  const warnings = [];
+  const { id } = parseTags(records[0]);
+  if (!id) errors.push('TXT record is missing the id= tag');
+
+  const policyUrl = `https://mta-sts.${domain}/.well-known/mta-sts.txt`;
+  let policy = null;
+  try {
+    // Redirects must not be followed when fetching the policy
+    const response = await axios.get(policyUrl, {
+      timeout: POLICY_TIMEOUT, maxRedirects: 0, responseType: 'text', transformResponse: (data) => data,
+    });
+    policy = parseMtaStsPolicy(response.data);
+  } catch (error) {
+    errors.push(`Unable to fetch policy from ${policyUrl}: ${error.message}`);
+  }
+
+  if (policy) {
+    if (policy.version !== 'STSv1') errors.push('Policy version must be STSv1');
+    if (!MTA_STS_MODES.includes(policy.mode)) errors.push(`Invalid policy mode "${policy.mode}"`);
+    if (!Number.isInteger(policy.maxAge) || policy.maxAge < 0 || policy.maxAge > MTA_STS_MAX_AGE) {
+      errors.push('Policy max_age must be between 0 and 31557600 seconds');
+    }
+    if (policy.mode !== 'none' && policy.mx.length === 0) errors.push('Policy has no mx entries');
+
+    const unmatched = mxRecords
+      .filter(({ exchange }) => exchange && !policy.mx.some((pattern) => matchesMxPattern(exchange, pattern)))
+      .map(({ exchange }) => exchange);
+    if (policy.mx.length > 0 && unmatched.length > 0) {
+      errors.push(`MX hosts not covered by the policy: ${unmatched.join(', ')}`);
+    }
+  }
+
+  return {
+    record: records[0],
+    id: id || null,
+    policyUrl,
+    policy,
+    valid: errors.length === 0,
+    errors,
+    warnings,
+  };
+};
+
+const checkTlsRpt = async (domain) => {
+  const records = findTagged(await resolveTxt(`_smtp._tls.${domain}`), 'TLSRPTv1');
+  if (records.length === 0) return { record: null, valid: false, rua: [], errors: [] };
+
+  const errors = [];
+  const rua = splitUris(parseTags(records[0]).rua);
+  if (rua.length === 0) errors.push('Missing the required rua= tag');
+  rua.filter((uri) => !/^(mailto|https):/i.test(uri))
+    .forEach((uri) => errors.push(`Report URI ${uri} must be mailto: or https:`));
+
+  return { record: records[0], valid: errors.length === 0, rua, errors };
+};
+
+const checkBimi = async (domain) => {
+  const records = findTagged(await resolveTxt(`default._bimi.${domain}`), 'BIMI1');
+  if (records.length === 0) return { record: null, logo: null, certificate: null };
+  const tags = parseTags(records[0]);
+  return { record: records[0], logo: tags.l || null, certificate: tags.a || null };
+};
+
+const finding = (category, severity, score, title, description, remediation) => ({
+  id: title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/-$/, ''),
+  category,
+  severity,
+  score,
+  title,
+  description,
+  remediation,
+});
+
+// A check whose lookups failed, so couldn't be graded
+const lookupFailed = (category, error) => finding(category, 'info', 0, `${category} lookup failed`,
+  error, 'Re-run the check, and make sure the domain\'s name servers are answering');
+
+/**
+ * Turn the individual checks into graded findings, in the same
+ * severity/score shape the vulnerability analyzer works with
+ */
+const gradeMailConfig = ({
+  mxRecords, nullMx, spf, dmarc, dkim, mtaSts, tlsRpt, bimi,
+}) => {
+  const findings = [];
+  const acceptsMail = mxRecords.length > 0;
+
+  if (!acceptsMail) {
+    findings.push(finding('MX', 'info', 0, 'No inbound mail',
+      nullMx ? 'Domain publishes a null MX, so does not accept mail' : 'No MX records found',
+      'If this domain never sends mail, publish "v=spf1 -all" and a DMARC reject policy'));
+  }
+
+  const spfTempError = spf.tempErrors?.length > 0 && finding('SPF', 'low', 2.0, 'SPF lookups failed',
+    `SPF will give a temperror while these lookups fail: ${spf.tempErrors.join('; ')}`,
+    'Check the name servers of the listed domains are answering');
+  if (spf.error) {
+    findings.push(lookupFailed('SPF', spf.error));
+  } else if (!spf.record) {
+    findings.push(spfTempError || finding('SPF', 'high', 7.0, 'Missing SPF record',
+      'Receivers cannot tell which servers may send mail for this domain',
+      'Publish a TXT record starting with v=spf1, listing your senders and ending in -all or ~all'));
+  } else {
+    if (spfTempError) findings.push(spfTempError);
+    if (spf.errors.length > 0) {
+      findings.push(finding('SPF', 'high', 6.5, 'Invalid SPF record',
+        `SPF will fail with a permerror: ${spf.errors.join('; ')}`,
+        'Fix the listed errors, and flatten includes if over the 10 lookup limit'));
+    }
+    if (spf.all === '+all') {
+      findings.push(finding('SPF', 'critical', 9.0, 'SPF allows any sender',
+        'The +all mechanism authorises every server on the internet to send as this domain',
+        'Replace +all with -all or ~all'));
+    } else if (!spf.all || spf.all === '?all') {
+      findings.push(finding('SPF', 'medium', 5.0, 'SPF does not reject other senders',
+        `The record ends in ${spf.all || 'no all mechanism'}, so unlisted senders are treated as neutral`,
+        'End the record with -all (or ~all while testing)'));
+    } else if (spf.all === '~all') {
+      findings.push(finding('SPF', 'low', 2.0, 'SPF soft-fails other senders',
+        'Unlisted senders get a softfail, which most receivers still accept',
+        'Switch to -all once all legitimate senders are listed'));
+    }
+    if (spf.warnings.length > 0) {
+      findings.push(finding('SPF', 'low', 2.0, 'SPF uses deprecated mechanisms',
+        spf.warnings.join('; '), 'Replace ptr with ip4/ip6 or a mechanisms'));
+    }
+  }
+
+  if (dmarc.error) {
+    findings.push(lookupFailed('DMARC', dmarc.error));
+  } else if (!dmarc.record) {
+    findings.push(finding('DMARC', 'high', 7.5, 'Missing DMARC policy',
+      'Nothing tells receivers what to do with mail that fails SPF and DKIM, leaving the domain open to spoofing',
+      'Publish a _dmarc TXT record, e.g. "v=DMARC1; p=quarantine; rua=mailto:dmarc@yourdomain"'));
+  } else {
+    if (!dmarc.valid) {
+      findings.push(finding('DMARC', 'high', 7.0, 'Invalid DMARC record',
+        dmarc.errors.join('; '), 'Fix the DMARC record syntax so receivers apply it'));
+    }
+    if (dmarc.policy === 'none') {
+      findings.push(finding('DMARC', 'medium', 5.5, 'DMARC policy is monitor-only',
+        'With p=none, spoofed mail is still delivered',
+        'Move to p=quarantine, then p=reject, once reports show legitimate mail passes'));
+    }
+    if (dmarc.pct < 100 && dmarc.policy !== 'none') {
+      findings.push(finding('DMARC', 'low', 3.0, 'DMARC policy only partly applied',
+        `pct=${dmarc.pct}, so the policy applies to only some failing mail`, 'Raise pct to 100'));
+    }
+    if (dmarc.rua?.length === 0) {
+      findings.push(finding('DMARC', 'low', 2.0, 'No DMARC aggregate reports',
+        'Without rua= you get no visibility of who is sending as this domain',
+        'Add rua=mailto:<address> to the DMARC record'));
+    }
+    if (dmarc.inherited) {
+      findings.push(finding('DMARC', 'info', 0, 'DMARC policy inherited',
+        `Policy comes from the organisational domain ${dmarc.domain}`, 'No action needed'));
+    }
+  }
+
+  const activeKeys = dkim.selectors.filter((selector) => !selector.revoked);
+  if (activeKeys.length === 0 && !nullMx) {
+    findings.push(finding('DKIM', 'medium', 4.0, 'No DKIM keys found',
+      'No DKIM key was found on any common selector (a custom selector may still be in use)',
+      'Sign outgoing mail with DKIM, using a key of at least 2048 bits'));
+  }
+  activeKeys.filter(({ keyType, keyBits }) => keyType === 'rsa' && keyBits).forEach(({ selector, keyBits }) => {
+    if (keyBits < 1024) {
+      findings.push(finding('DKIM', 'high', 7.0, `Weak DKIM key (${selector})`,
+        `The ${selector} selector uses a ${keyBits}-bit RSA key, which can be factored`,
+        'Rotate to a 2048-bit RSA or Ed25519 key'));
+    } else if (keyBits < 2048) {
+      findings.push(finding('DKIM', 'low', 3.0, `Short DKIM key (${selector})`,
+        `The ${selector} selector uses a ${keyBits}-bit RSA key`, 'Rotate to a 2048-bit RSA key'));
+    }
+  });
+  activeKeys.filter(({ testing }) => testing).forEach(({ selector }) => {
+    findings.push(finding('DKIM', 'low', 2.0, `DKIM key in test mode (${selector})`,
+      'With t=y, receivers treat signatures from this key as unverified', 'Remove the t=y flag'));
+  });
+
+  if (acceptsMail) {
+    if (mtaSts.error) {
+      findings.push(lookupFailed('MTA-STS', mtaSts.error));
+    } else if (!mtaSts.record) {
+      findings.push(finding('MTA-STS', 'low', 2.0, 'No MTA-STS policy',
+        'Senders may fall back to unencrypted delivery if STARTTLS is stripped',
+        'Publish an _mta-sts TXT record and a policy at https://mta-sts.<domain>/.well-known/mta-sts.txt'));
+    } else if (!mtaSts.valid) {
+      findings.push(finding('MTA-STS', 'medium', 4.5, 'Invalid MTA-STS policy',
+        mtaSts.errors.join('; '), 'Fix the policy so senders can apply it'));
+    } else if (mtaSts.policy?.mode !== 'enforce') {
+      findings.push(finding('MTA-STS', 'low', 2.0, 'MTA-STS not enforced',
+        `Policy mode is ${mtaSts.policy?.mode}, so failures are only reported`,
+        'Switch the policy to mode: enforce'));
+    }
+
+    if (tlsRpt.error) {
+      findings.push(lookupFailed('TLS-RPT', tlsRpt.error));
+    } else if (!tlsRpt.record) {
+      findings.push(finding('TLS-RPT', 'low', 1.5, 'No TLS reporting',
+        'You will not hear about failed TLS connections to your mail servers',
+        'Publish a _smtp._tls TXT record, e.g. "v=TLSRPTv1; rua=mailto:tls-reports@yourdomain"'));
+    } else if (!tlsRpt.valid) {
+      findings.push(finding('TLS-RPT', 'low', 1.5, 'Invalid TLS-RPT record',
+        tlsRpt.errors.join('; '), 'Fix the TLS-RPT record'));
+    }
+  }
+
+  if (bimi.error) {
+    findings.push(lookupFailed('BIMI', bimi.error));
+  } else if (bimi.record && !(['quarantine', 'reject'].includes(dmarc.policy) && dmarc.pct === 100)) {
+    findings.push(finding('BIMI', 'low', 1.0, 'BIMI logo will not be shown',
+      'BIMI requires an enforced DMARC policy (quarantine or reject, at pct=100)',
+      'Enforce DMARC before relying on BIMI'));
+  }
+
+  const score = Math.max(0, 100 - findings.reduce((total, { severity }) => total + SEVERITY_PENALTIES[severity], 0));
+  const grade = score >= 90 ? 'A' : score >= 80 ? 'B' : score >= 70 ? 'C' : score >= 60 ? 'D' : 'F';
+
+  return { score, grade, findings };
+};
+
+const mailConfigHandler = async (url) => {
+  const domain = new URL(url).hostname.toLowerCase();
+  console.log(`📧 Mail configuration audit for: ${domain}`);
+
+  try {
+    const mx = await resolveMx(domain);
+    // A null MX (RFC 7505) is a single record pointing at "."
+    const nullMx = mx.length === 1 && (mx[0].exchange === '' || mx[0].exchange === '.');
+    const mxRecords = nullMx ? [] : mx
+      .map(({ exchange, priority }) => ({ exchange, priority }))
+      .sort((a, b) => a.priority - b.priority);
+
+    // A lookup failing (SERVFAIL, a timeout) is reported on its own section, so the rest still return
+    const [spf, dmarc, dkim, mtaSts, tlsRpt, bimi] = await Promise.all([
+      checkSpf(domain),
+      checkDmarc(domain),
+      checkDkim(domain),
+      checkMtaSts(domain, mxRecords),
+      checkTlsRpt(domain),
+      checkBimi(domain),
+    ].map((check) => check.catch((error) => ({ error: `DNS lookup failed (${describeLookupError(error)})` }))));
+
+    const txtRecords = [
+      spf.record,
+      dmarc.record,
+      ...dkim.selectors.map(({ record }) => record),
+      mtaSts.record,
+      tlsRpt.record,
+      bimi.record,
+    ].filter(Boolean);
+
+    // Hosted mail services, identified from the MX hosts and SPF includes
+    const mailServices = [];
+    [...mxRecords.map(({ exchange }) => exchange), ...(spf.includes || [])].forEach((host) => {
+      const match = matchProvider(host);
+      if (match && !mailServices.some(({ provider }) => provider === match.provider)) {
+        mailServices.push({ provider: match.provider, value: host });
+      }
+    });
+
+    const grading = gradeMailConfig({
+      mxRecords, nullMx, spf, dmarc, dkim, mtaSts, tlsRpt, bimi,
+    });
+
+    console.log(`✅ Mail audit completed for ${domain}: grade ${grading.grade}, ${grading.findings.length} findings`);
+
+    return {
+      domain,
+      mxRecords,
+      nullMx,
+      txtRecords,
+      mailServices,
+      spf,
+      dmarc,
+      dkim,
+      mtaSts,
+      tlsRpt,
+      bimi,
+      ...grading,
+    };
+  } catch (error) {
+    console.error(`❌ Mail audit failed for ${domain}:`, error.message);
+    throw new Error(`Mail configuration lookup failed: ${error.message}`);
+  }
+};
+
+export { mailConfigHandler, DKIM_SELECTORS };
+export const handler = middleware(mailConfigHandler);
+export default handler;
@@ -1,92 +1,410 @@
 import net from 'net';
+import tls from 'tls';
 import middleware from '../_common/middleware.js';
+import { PRESETS, TLS_PORTS, SERVICES } from '../_common/data/ports.js';
+
+/**
+ * Port Scanner
+ * Checks which TCP ports are open, then works out what's listening on each
+ * from the greeting it sends (SSH, SMTP, FTP, POP3, IMAP, MySQL, VNC), or its
+ * reply to a probe (HTTP, Redis, PostgreSQL, memcached). TLS ports are
+ * handshaken first, and the service inside identified the same way.
+ * Which ports to scan can be given as a list, ranges and preset names,
+ * e.g. ?ports=web,22,8000-8100. Results found before the deadline are
+ * returned, with the rest listed as unchecked
+ */
+
+const CONNECT_TIMEOUT = 1500;
+const GREETING_TIMEOUT = 1500;
+const PROBE_TIMEOUT = 2000;
+// Once data starts arriving, how long to wait for the rest
+const READ_IDLE_TIMEOUT = 250;
+const MAX_BANNER_BYTES = 4096;
+const MAX_BANNER_LENGTH = 200;
+
+const CONCURRENCY = parseInt(process.env.PORT_SCAN_CONCURRENCY, 10) || 32;
+const MAX_PORTS = parseInt(process.env.PORT_SCAN_MAX_PORTS, 10) || 1024;
+const DEADLINE = parseInt(process.env.PORT_SCAN_DEADLINE, 10) || 9000;
 
-// A list of commonly used ports.
-const DEFAULT_PORTS_TO_CHECK = [
-  20, 21, 22, 23, 25, 53, 80, 67, 68, 69,
-  110, 119, 123, 143, 156, 161, 162, 179, 194,
-  389, 443, 587, 993, 995,
-  3000, 3306, 3389, 5060, 5900, 8000, 8080, 8888
-];
 /*
- * Checks if the env PORTS_TO_CHECK is set, if so the string is split via "," to get an array of ports to check.
- * If the env is not set, return the default commonly used ports.
+ * Checks if the env PORTS_TO_CHECK is set, if so it's used as the default port list
+ * (in the same format as the ports param, so may include ranges and presets).
+ * If the env is not set, the common preset is used.
  */
-const PORTS = process.env.PORTS_TO_CHECK ? process.env.PORTS_TO_CHECK.split(",") : DEFAULT_PORTS_TO_CHECK
+const DEFAULT_PORTS = process.env.PORTS_TO_CHECK || 'common';
 
-async function checkPort(port, domain) {
-    return new Promise((resolve, reject) => {
-        const socket = new net.Socket();
+// Services where the client speaks first, so there's no point waiting for a greeting
+const CLIENT_FIRST = ['http', 'https', 'http-proxy', 'redis', 'postgresql', 'memcached', 'elasticsearch', 'couchdb', 'influxdb'];
 
-        socket.setTimeout(1500);
+const PROBES = {
+  http: (host) => `HEAD / HTTP/1.0\r\nHost: ${host}\r\nUser-Agent: web-scan\r\nAccept: */*\r\n\r\n`,
+  redis: () => 'INFO server\r\n',
+  memcached: () => 'version\r\n',
+  // SSLRequest, which PostgreSQL answers with a single S or N
+  postgresql: () => Buffer.from([0, 0, 0, 8, 4, 210, 22, 47]),
+};
 
-        socket.once('connect', () => {
-            socket.destroy();
-            resolve(port);
-        });
+// Products recognised in text greetings, with an optional version capture
+const PRODUCTS = [
+  [/Postfix/i, 'Postfix'],
+  [/Exim (\d[\d.]*)/i, 'Exim'],
+  [/Sendmail ([\d.]+)/i, 'Sendmail'],
+  [/Microsoft ESMTP MAIL Service(?:, Version: ([\d.]+))?/i, 'Microsoft Exchange'],
+  [/Microsoft Exchange/i, 'Microsoft Exchange'],
+  [/OpenSMTPD/i, 'OpenSMTPD'],
+  [/Haraka(?:\/(\d[\d.]*))?/i, 'Haraka'],
+  [/vsFTPd (\d[\d.]*)/i, 'vsftpd'],
+  [/ProFTPD (\d[\w.]*)/i, 'ProFTPD'],
+  [/FileZilla Server(?: version)? ?(\d[\w.]*)?/i, 'FileZilla Server'],
+  [/Pure-FTPd/i, 'Pure-FTPd'],
+  [/Microsoft FTP Service/i, 'Microsoft IIS FTP'],
+  [/Dovecot/i, 'Dovecot'],
+  [/Courier/i, 'Courier'],
+  [/Cyrus (?:IMAP|POP3)? ?v?(\d[\w.]*)?/i, 'Cyrus'],
+];
 
-        socket.once('timeout', () => {
-          socket.destroy();
-          reject(new Error(`Timeout at port: ${port}`));
-        });
+/**
+ * Turn a ports param into a sorted list of ports
+ * @param {string} spec - Comma separated ports, ranges (8000-8100) and preset names (web)
+ * @returns {number[]}
+ */
+export const parsePorts = (spec) => {
+  const ports = new Set();
+  const checkPort = (value) => {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error(`Invalid port: ${value}`);
+    return port;
+  };
 
-        socket.once('error', (e) => {
-            socket.destroy();
-            reject(e);
-        });
-        
-        socket.connect(port, domain);
-    });
-}
-
-const portsHandler = async (url, event, context) => {
-  const domain = url.replace(/(^\w+:|^)\/\//, '');
-  
-  const delay = ms => new Promise(res => setTimeout(res, ms));
-  const timeout = delay(9000);
-
-  const openPorts = [];
-  const failedPorts = [];
-
-  const promises = PORTS.map(port => checkPort(port, domain)
-    .then(() => {
-      openPorts.push(port);
-      return { status: 'fulfilled', port };
-    })
-    .catch(() => {
-      failedPorts.push(port);
-      return { status: 'rejected', port };
-    }));
-
-  let timeoutReached = false;
-
-  for (const promise of promises) {
-    const result = await Promise.race([promise, timeout.then(() => ({ status: 'timeout', timeout: true }))]);
-    if (result.status === 'timeout') {
-      timeoutReached = true;
-      if (result.timeout) {
-        // Add the ports not checked yet to the failedPorts array
-        const checkedPorts = [...openPorts, ...failedPorts];
-        const portsNotChecked = PORTS.filter(port => !checkedPorts.includes(port));
-        failedPorts.push(...portsNotChecked);
-      }
-      break;
+  String(spec).split(',').map((part) => part.trim().toLowerCase()).filter(Boolean).forEach((part) => {
+    if (PRESETS[part]) {
+      PRESETS[part].forEach((port) => ports.add(port));
+      return;
+    }
+    const range = part.match(/^(\d+)\s*-\s*(\d+)$/);
+    if (range) {
+      const [start, end] = [checkPort(range[1]), checkPort(range[2])];
+      if (start > end) throw new Error(`Invalid port range: ${part}`);
+      // Don't build a huge list just to reject it
+      if (end - start >= MAX_PORTS) throw new Error(`Port range ${part} is more than the ${MAX_PORTS} port limit`);
+      for (let port = start; port <= end; port += 1) ports.add(port);
+      return;
+    }
+    if (!/^\d+$/.test(part)) {
+      throw new Error(`Unknown port or preset: ${part}. Presets are ${Object.keys(PRESETS).join(', ')}`);
+    }
+    ports.add(checkPort(part));
+  });
+
+  if (ports.size === 0) throw new Error('No ports given to scan');
+  return [...ports].sort((a, b) => a - b);
+};
+
+const getHost = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^\[|\]$/g, '');
+  } catch {
+    return url.replace(/(^\w+:|^)\/\//, '').split(/[/:]/)[0];
+  }
+};
+
+/**
+ * Open a TCP connection. Refused means closed, no answer means filtered
+ * @returns {Promise<{state: string, socket?: net.Socket}>}
+ */
+const connect = (host, port, sockets) => new Promise((resolve) => {
+  const socket = net.connect({ host, port });
+  sockets.add(socket);
+  socket.once('close', () => sockets.delete(socket));
+  socket.setTimeout(CONNECT_TIMEOUT);
+  socket.once('connect', () => {
+    socket.setTimeout(0);
+    resolve({ state: 'open', socket });
+  });
+  socket.once('timeout', () => {
+    socket.destroy();
+    resolve({ state: 'filtered' });
+  });
+  socket.on('error', (error) => {
+    socket.destroy();
+    resolve({ state: error.code === 'ECONNREFUSED' ? 'closed' : 'filtered' });
+  });
+});
+
+const startTls = (socket, host, sockets) => new Promise((resolve) => {
+  const secure = tls.connect({
+    socket,
+    servername: net.isIP(host) ? undefined : host,
+    rejectUnauthorized: false,
+  });
+  sockets.add(secure);
+  secure.once('close', () => sockets.delete(secure));
+  const timer = setTimeout(() => {
+    secure.destroy();
+    resolve(null);
+  }, GREETING_TIMEOUT);
+  secure.once('secureConnect', () => {
+    clearTimeout(timer);
+    resolve(secure);
+  });
+  secure.on('error', () => {
+    clearTimeout(timer);
+    secure.destroy();
+    resolve(null);
+  });
+});
+
+/**
+ * Read whatever the server sends, until it goes quiet, closes, or the timeout passes
+ */
+const read = (socket, timeout) => new Promise((resolve) => {
+  const chunks = [];
+  let length = 0;
+  let timer;
+  const done = () => {
+    clearTimeout(timer);
+    socket.off('data', onData);
+    socket.off('close', done);
+    socket.off('end', done);
+    resolve(Buffer.concat(chunks));
+  };
+  function onData(chunk) {
+    chunks.push(chunk);
+    length += chunk.length;
+    clearTimeout(timer);
+    if (length >= MAX_BANNER_BYTES) done();
+    else timer = setTimeout(done, READ_IDLE_TIMEOUT);
+  }
+  timer = setTimeout(done, timeout);
+  socket.on('data', onData);
+  socket.once('close', done);
+  socket.once('end', done);
+});
+
+// Split e.g. nginx/1.18.0 or OpenSSH_8.9p1 into a product and version
+const splitSoftware = (software) => {
+  const match = software.match(/^([A-Za-z][\w.-]*?)[_/ ]v?(\d[\w.~+-]*)/);
+  return match ? { product: match[1], version: match[2] } : { product: software, version: null };
+};
+
+const findProduct = (text) => {
+  for (const [pattern, product] of PRODUCTS) {
+    const match = text.match(pattern);
+    if (match) return { product, version: match[1] || null };
+  }
+  return { product: null, version: null };
+};
+
+const printable = (text) => text
+  .replace(/[^\x20-\x7e\r\n]/g, '.')
+  .split(/\r?\n/)[0]
+  .trim()
+  .slice(0, MAX_BANNER_LENGTH);
+
+/**
+ * Work out the service from what the server sent
+ * @param {Buffer} data - Greeting or probe response
+ * @param {string|null} expected - Service usually on this port
+ * @returns {{protocol: string, product: string|null, version: string|null, banner: string}|null}
+ */
+export const identifyService = (data, expected) => {
+  if (!data || data.length === 0) return null;
+  const text = data.toString('latin1');
+  const firstLine = printable(text);
+
+  let match = text.match(/^SSH-([\d.]+)-(\S+)/);
+  if (match) return { protocol: 'ssh', ...splitSoftware(match[2]), banner: firstLine };
+
+  match = text.match(/^HTTP\/(\d(?:\.\d)?) (\d{3})/);
+  if (match) {
+    const server = text.match(/^server:\s*(.+?)\r?$/im)?.[1];
+    return {
+      protocol: 'http',
+      ...(server ? splitSoftware(server) : { product: null, version: null }),
+      statusCode: parseInt(match[2], 10),
+      banner: server ? `${firstLine}, Server: ${server}` : firstLine,
+    };
+  }
+
+  if (/^220[ -]/.test(text)) {
+    const isSmtp = /\b(E?SMTP|Postfix|Exim|Sendmail|mail)\b/i.test(firstLine);
+    const isFtp = /FTP|FileZilla/i.test(firstLine);
+    let protocol = expected?.startsWith('ftp') ? 'ftp' : 'smtp';
+    if (isSmtp && !isFtp) protocol = 'smtp';
+    if (isFtp && !isSmtp) protocol = 'ftp';
+    return { protocol, ...findProduct(firstLine), banner: firstLine };
+  }
+  if (/^\+OK/.test(text)) return { protocol: 'pop3', ...findProduct(firstLine), banner: firstLine };
+  if (/^\* (OK|PREAUTH)/.test(text)) return { protocol: 'imap', ...findProduct(firstLine), banner: firstLine };
+
+  match = text.match(/redis_version:([\d.]+)/);
+  if (match) return { protocol: 'redis', product: 'Redis', version: match[1], banner: `redis_version:${match[1]}` };
+  if (/^-(NOAUTH|DENIED|WRONGPASS)/.test(text)) return { protocol: 'redis', product: 'Redis', version: null, banner: firstLine };
+
+  match = text.match(/^VERSION (\S+)/);
+  if (match) return { protocol: 'memcached', product: 'memcached', version: match[1], banner: firstLine };
+
+  match = text.match(/^RFB (\d{3})\.(\d{3})/);
+  if (match) return { protocol: 'vnc', product: null, version: `${parseInt(match[1], 10)}.${parseInt(match[2], 10)}`, banner: firstLine };
+
+  // MySQL greets with one packet: 3 byte length, sequence 0, then protocol 10 and the version
+  if (data.length >= 5 && data[3] === 0 && data.readUIntLE(0, 3) + 4 === data.length) {
+    if (data[4] === 0x0a) {
+      const serverVersion = data.toString('latin1', 5, data.indexOf(0, 5));
+      const mariadb = serverVersion.match(/(\d[\d.]*)-MariaDB/);
+      return {
+        protocol: 'mysql',
+        product: mariadb ? 'MariaDB' : 'MySQL',
+        version: mariadb ? mariadb[1] : serverVersion.split('-')[0],
+        banner: serverVersion,
+      };
+    }
+    // Error packet, e.g. this host isn't allowed to connect
+    if (data[4] === 0xff && expected === 'mysql') {
+      return { protocol: 'mysql', product: null, version: null, banner: printable(data.toString('latin1', 7)) };
+    }
+  }
+
+  if (expected === 'postgresql' && data.length === 1 && (data[0] === 0x53 || data[0] === 0x4e)) {
+    return { protocol: 'postgresql', product: 'PostgreSQL', version: null, banner: data[0] === 0x53 ? 'Accepts SSL' : 'Does not accept SSL' };
+  }
+
+  // Telnet option negotiation, IAC then WILL, WONT, DO or DONT
+  if (data[0] === 0xff && [0xfb, 0xfc, 0xfd, 0xfe].includes(data[1])) {
+    return { protocol: 'telnet', product: null, version: null, banner: printable(text.replace(/\xff[\xfb-\xfe]./g, '')) || 'Telnet option negotiation' };
+  }
+
+  return { protocol: null, product: null, version: null, banner: firstLine || `${data.length} bytes of binary data` };
+};
+
+/**
+ * Scan one port, and identify the service on it if it's open
+ */
+const scanPort = async (host, port, sockets, onOpen) => {
+  const expected = SERVICES[port] || null;
+  const { state, socket: plainSocket } = await connect(host, port, sockets);
+  if (state !== 'open') return { port, state };
+  onOpen(port);
+
+  const result = {
+    port, state, service: expected, protocol: null, product: null, version: null, banner: null, tls: null, detectedBy: 'port',
+  };
+
+  let socket = plainSocket;
+  if (TLS_PORTS.includes(port)) {
+    socket = await startTls(plainSocket, host, sockets);
+    if (!socket) {
+      result.tls = false;
+      return result;
     }
+    result.tls = { protocol: socket.getProtocol(), cipher: socket.getCipher()?.name || null };
   }
 
-  if(timeoutReached){
-    return errorResponse('The function timed out before completing.');
+  try {
+    let detectedBy = 'banner';
+    let data = CLIENT_FIRST.includes(expected) ? null : await read(socket, GREETING_TIMEOUT);
+    if ((!data || data.length === 0) && !socket.destroyed) {
+      detectedBy = 'probe';
+      const probe = PROBES[expected] || PROBES.http;
+      socket.write(probe(host));
+      data = await read(socket, PROBE_TIMEOUT);
+    }
+
+    const identified = identifyService(data, expected);
+    if (identified) {
+      Object.assign(result, identified, { detectedBy });
+      if (identified.protocol) {
+        // e.g. http inside TLS is https
+        result.service = result.tls && identified.protocol === 'http' ? 'https' : identified.protocol;
+      }
+    }
+  } catch (error) {
+    console.warn(`⚠️ Unable to identify service on port ${port}: ${error.message}`);
+  } finally {
+    socket.destroy();
   }
-  
-  // Sort openPorts and failedPorts before returning
-  openPorts.sort((a, b) => a - b);
-  failedPorts.sort((a, b) => a - b);
-  
-  return { openPorts, failedPorts };
+  return result;
 };
 
-const errorResponse = (message, statusCode = 444) => {
-  return { error: message };
+const portsHandler = async (url, event) => {
+  const params = event?.query || event?.queryStringParameters || {};
+  let ports;
+  try {
+    ports = parsePorts(params.ports || params.preset || DEFAULT_PORTS);
+  } catch (error) {
+    return { statusCode: 400, body: { error: error.message } };
+  }
+  if (ports.length > MAX_PORTS) {
+    return { statusCode: 400, body: { error: `Too many ports, ${ports.length} requested, the limit is ${MAX_PORTS}` } };
+  }
+
+  const host = getHost(url);
+  console.log(`🔌 Scanning ${ports.length} ports on ${host}`);
+  const started = Date.now();
+
+  const results = new Map();
+  const opened = new Set();
+  const sockets = new Set();
+  let expired = false;
+  let next = 0;
+
+  // A few ports at a time, stopping when the deadline passes
+  const worker = async () => {
+    while (!expired && next < ports.length) {
+      const port = ports[next];
+      next += 1;
+      const result = await scanPort(host, port, sockets, (openPort) => opened.add(openPort));
+      if (!expired) results.set(port, result);
+    }
+  };
+
+  let deadlineTimer;
+  const deadline = new Promise((resolve) => {
+    deadlineTimer = setTimeout(() => {
+      expired = true;
+      resolve();
+    }, DEADLINE);
+  });
+  await Promise.race([
+    Promise.all(Array.from({ length: Math.min(CONCURRENCY, ports.length) }, worker)),
+    deadline,
+  ]);
+  clearTimeout(deadlineTimer);
+
+  if (expired) {
+    sockets.forEach((socket) => socket.destroy());
+    // Ports known to be open, but not finished identifying
+    opened.forEach((port) => {
+      if (!results.has(port)) {
+        results.set(port, {
+          port, state: 'open', service: SERVICES[port] || null, protocol: null, product: null, version: null, banner: null, tls: null, detectedBy: 'port',
+        });
+      }
+    });
+  }
+
+  const byState = (state) => ports.filter((port) => results.get(port)?.state === state);
+  const openPorts = byState('open');
+  const closedPorts = byState('closed');
+  const filteredPorts = byState('filtered');
+  const uncheckedPorts = ports.filter((port) => !results.has(port));
+
+  console.log(`✅ ${openPorts.length} open ports on ${host}${expired ? `, ${uncheckedPorts.length} unchecked at the deadline` : ''}`);
+
+  return {
+    host,
+    portsScanned: ports.length - uncheckedPorts.length,
+    openPorts,
+    // Ports we tried and couldn't connect to. Those there wasn't time to check are in uncheckedPorts
+    failedPorts: [...closedPorts, ...filteredPorts].sort((a, b) => a - b),
+    closedPorts,
+    filteredPorts,
+    uncheckedPorts,
+    services: openPorts.map((port) => results.get(port)),
+    partial: expired,
+    ...(expired ? { note: `Stopped after ${DEADLINE}ms, ${uncheckedPorts.length} ports were not checked` } : {}),
+    duration: Date.now() - started,
+  };
 };
 
 export const handler = middleware(portsHandler);
@@ -0,0 +1,49 @@
+/**
+ * Server Status API
+ * Checks whether a server is up, and breaks its response time down into
+ * DNS lookup, TCP connect, TLS handshake, time to first byte and download
+ */
+
+import middleware from '../_common/middleware.js';
+import { timedRequest } from '../_common/timing.js';
+
+const STATUS_TIMEOUT = 15000;
+const MAX_REDIRECTS = 5;
+
+const statusHandler = async (url) => {
+  console.log(`📶 Checking server status for: ${url}`);
+
+  let result;
+  try {
+    result = await timedRequest(url, { timeout: STATUS_TIMEOUT, maxRedirects: MAX_REDIRECTS });
+  } catch (error) {
+    // Couldn't connect at all, which is an answer in itself
+    console.warn(`⚠️ ${url} is unreachable: ${error.message}`);
+    return {
+      isUp: false,
+      responseCode: null,
+      error: error.code ? `${error.code}: ${error.message}` : error.message,
+    };
+  }
+
+  const isUp = result.statusCode < 400;
+  console.log(`✅ ${result.url} responded ${result.statusCode} in ${result.timings.total}ms`);
+
+  return {
+    isUp,
+    responseCode: result.statusCode,
+    statusMessage: result.statusMessage,
+    // Shown on the Server Status card, this is the final response (after any redirects)
+    responseTime: result.timings.total,
+    timings: result.timings,
+    totalTime: result.totalTime,
+    finalUrl: result.url,
+    redirects: result.redirects,
+    remoteAddress: result.remoteAddress,
+    tls: result.tls,
+    contentLength: result.contentLength,
+  };
+};
+
+export const handler = middleware(statusHandler);
+export default handler;
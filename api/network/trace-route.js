@@ -1,88 +1,196 @@
-import url from 'url';
-import { exec } from 'child_process';
+import net from 'net';
+import dns from 'dns';
+import { execFile } from 'child_process';
 import { promisify } from 'util';
 import middleware from '../_common/middleware.js';
+import {
+  loadIpDatabases, describeIpDatabases, lookupIp, lookupPtr, isPrivateIp,
+} from '../_common/ip-database.js';
 
-const execAsync = promisify(exec);
-
-const parseTracerouteOutput = (output) => {
-  const lines = output.split('\n').filter(line => line.trim());
-  const hops = [];
-  
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line) continue;
-    
-    // Parse traceroute line format: hop_number hostname (ip) time1 time2 time3
-    const match = line.match(/^\s*(\d+)\s+(.+?)(?:\s+\(([^)]+)\))?\s+([\d.]+\s*ms|[*])/);
-    if (match) {
-      const [, hop, hostname, ip, time] = match;
-      hops.push({
-        hop: parseInt(hop),
-        hostname: hostname.trim(),
-        ip: ip || hostname.trim(),
-        rtt1: time.includes('*') ? null : parseFloat(time),
-        rtt2: time.includes('*') ? null : parseFloat(time),
-        rtt3: time.includes('*') ? null : parseFloat(time)
-      });
-    }
+/**
+ * Trace Route
+ * Runs the system's traceroute against the host's resolved IP, over UDP, TCP SYN
+ * or ICMP. TCP and ICMP need raw socket privileges, so if the server doesn't have
+ * them, UDP is used instead. Each hop is given its three round trip times, and
+ * the reverse DNS name, ASN and country of the routers which answered.
+ * Nothing is made up when tracing isn't possible, the job is skipped with the reason
+ */
+
+const execFileAsync = promisify(execFile);
+
+const METHODS = ['udp', 'tcp', 'icmp'];
+const METHOD_NAMES = { udp: 'UDP', tcp: 'TCP SYN', icmp: 'ICMP' };
+const DEFAULT_METHOD = process.env.TRACEROUTE_METHOD || 'udp';
+const MAX_HOPS = parseInt(process.env.TRACEROUTE_MAX_HOPS, 10) || 30;
+const TIMEOUT = parseInt(process.env.TRACEROUTE_TIMEOUT, 10) || 30000;
+// How long to wait for each probe's reply, in seconds
+const PROBE_WAIT = 2;
+
+// Printed by traceroute when a method needs privileges it doesn't have
+const PRIVILEGE_ERRORS = /privileges|not permitted|permission denied/i;
+
+const getTarget = (url) => {
+  // A bare IPv6 address isn't a valid URL host without brackets
+  const bare = url.replace(/(^\w+:|^)\/\//, '');
+  if (net.isIP(bare)) return { host: bare, port: 443 };
+  try {
+    const { hostname, port, protocol } = new URL(url);
+    return { host: hostname.replace(/^\[|\]$/g, ''), port: parseInt(port, 10) || (protocol === 'http:' ? 80 : 443) };
+  } catch {
+    return { host: bare.split(/[/:]/)[0], port: 443 };
   }
-  
-  return hops;
 };
 
-const traceRouteHandler = async (urlString, context) => {
-  // Parse the URL and get the hostname
-  const urlObject = url.parse(urlString);
-  const host = urlObject.hostname;
+/**
+ * Build traceroute's arguments. The destination is always a resolved IP, so can't be read as an option
+ */
+const buildArgs = (method, destination, port, maxHops) => [
+  net.isIPv6(destination) ? '-6' : '-4',
+  '-n',
+  '-q', '3',
+  '-w', String(PROBE_WAIT),
+  '-m', String(maxHops),
+  ...(method === 'tcp' ? ['-T', '-p', String(port)] : []),
+  ...(method === 'icmp' ? ['-I'] : []),
+  destination,
+];
 
-  if (!host) {
-    throw new Error('Invalid URL provided');
+/**
+ * Run traceroute, keeping whatever it printed if it fails or times out
+ * @returns {Promise<{stdout: string, stderr: string, timedOut: boolean}>}
+ */
+const runTraceroute = async (args) => {
+  try {
+    const { stdout, stderr } = await execFileAsync('traceroute', args, { timeout: TIMEOUT });
+    return { stdout, stderr, timedOut: false };
+  } catch (error) {
+    if (error.code === 'ENOENT') throw error;
+    return { stdout: error.stdout || '', stderr: error.stderr || error.message, timedOut: Boolean(error.killed) };
   }
+};
 
-  try {
-    // Use system traceroute command
-    const command = process.platform === 'win32' 
-      ? `tracert -h 30 ${host}` 
-      : `traceroute -m 30 ${host}`;
-    
-    const { stdout, stderr } = await execAsync(command, { timeout: 30000 });
-    
-    if (stderr && !stdout) {
-      throw new Error(`Traceroute failed: ${stderr}`);
+/**
+ * Parse traceroute's output, into each hop's probes.
+ * A hop's probes may be answered by different routers, e.g.
+ *  3  72.14.1.1  5.102 ms 72.14.1.2  5.310 ms *
+ * and replies may be followed by a flag like !H (host unreachable)
+ * @returns {{hop: number, probes: {ip: string|null, rtt: number|null, flag?: string}[]}[]}
+ */
+export const parseTracerouteOutput = (output) => output.split('\n')
+  .map((line) => line.match(/^\s*(\d+)\s+(.*)$/))
+  .filter(Boolean)
+  .map(([, hop, rest]) => {
+    const probes = [];
+    const tokens = rest.trim().split(/\s+/);
+    let ip = null;
+    for (let i = 0; i < tokens.length; i += 1) {
+      const token = tokens[i];
+      const address = token.replace(/^\(|\)$/g, '');
+      if (token === '*') {
+        probes.push({ ip: null, rtt: null });
+      } else if (token.startsWith('!') && probes.length) {
+        probes[probes.length - 1].flag = token;
+      } else if (tokens[i + 1] === 'ms' && !Number.isNaN(parseFloat(token))) {
+        probes.push({ ip, rtt: parseFloat(token) });
+        i += 1;
+      } else if (net.isIP(address)) {
+        ip = address;
+      }
     }
-    
-    const result = parseTracerouteOutput(stdout);
-    
-    return {
-      message: "Traceroute completed!",
-      result,
-    };
-  } catch (error) {
-    // Fallback: return a mock result if traceroute fails
-    console.warn('Traceroute failed, returning mock data:', error.message);
+    return { hop: parseInt(hop, 10), probes };
+  });
+
+/**
+ * Add each responding router's reverse DNS name, ASN and country, looking up each IP only once
+ */
+const enrichHops = async (parsed) => {
+  const databases = loadIpDatabases();
+  const addresses = [...new Set(parsed.flatMap(({ probes }) => probes.map(({ ip }) => ip).filter(Boolean)))];
+  const details = new Map(await Promise.all(addresses.map(async (ip) => {
+    const [hostname] = await lookupPtr(ip);
+    const { asn, organization, country, countryCode } = lookupIp(ip, databases);
+    return [ip, {
+      hostname: hostname || null,
+      private: isPrivateIp(ip),
+      ...(asn && { asn, organization }),
+      ...(country && { country, countryCode }),
+    }];
+  })));
+
+  const hops = parsed.map(({ hop, probes }) => {
+    const responders = [...new Set(probes.map(({ ip }) => ip).filter(Boolean))];
+    const [first] = responders;
     return {
-      message: "Traceroute completed (mock data)!",
-      result: [
-        {
-          hop: 1,
-          hostname: 'gateway',
-          ip: '192.168.1.1',
-          rtt1: 1.5,
-          rtt2: 1.3,
-          rtt3: 1.7
-        },
-        {
-          hop: 2,
-          hostname: host,
-          ip: 'unknown',
-          rtt1: 25.2,
-          rtt2: 24.8,
-          rtt3: 26.1
-        }
-      ],
+      hop,
+      ip: first || null,
+      ...(first && details.get(first)),
+      rtt1: probes[0]?.rtt ?? null,
+      rtt2: probes[1]?.rtt ?? null,
+      rtt3: probes[2]?.rtt ?? null,
+      probes,
+      ...(responders.length > 1 && {
+        responders: responders.map((ip) => ({ ip, ...details.get(ip) })),
+      }),
     };
+  });
+  return { hops, ipDatabase: describeIpDatabases(databases) };
+};
+
+const traceRouteHandler = async (url, event) => {
+  const params = event?.query || event?.queryStringParameters || {};
+  const requestedMethod = (params.method || DEFAULT_METHOD).toLowerCase();
+  if (!METHODS.includes(requestedMethod)) {
+    return { statusCode: 400, body: { error: `Unknown method ${requestedMethod}, use one of ${METHODS.join(', ')}` } };
+  }
+  const maxHops = params.maxHops ? parseInt(params.maxHops, 10) : MAX_HOPS;
+  if (!(maxHops >= 1 && maxHops <= 64)) {
+    return { statusCode: 400, body: { error: 'maxHops must be a number between 1 and 64' } };
+  }
+
+  const { host, port } = getTarget(url);
+  if (!host) throw new Error('Invalid URL provided');
+  const { address: destination } = await dns.promises.lookup(host);
+
+  console.log(`🛰️ Tracing route to ${host} (${destination}) over ${METHOD_NAMES[requestedMethod]}`);
+  const started = Date.now();
+  const notes = [];
+
+  let method = requestedMethod;
+  let output;
+  try {
+    output = await runTraceroute(buildArgs(method, destination, port, maxHops));
+    if (method !== 'udp' && PRIVILEGE_ERRORS.test(output.stderr) && !parseTracerouteOutput(output.stdout).length) {
+      notes.push(`${METHOD_NAMES[method]} tracing needs raw socket privileges this server doesn't have, so UDP was used instead`);
+      method = 'udp';
+      output = await runTraceroute(buildArgs(method, destination, port, maxHops));
+    }
+  } catch {
+    return { skipped: 'Traceroute is unavailable on this server, as the traceroute command is not installed' };
   }
+
+  const parsed = parseTracerouteOutput(output.stdout);
+  if (!parsed.length) {
+    const reason = output.timedOut ? `no hops were found within ${TIMEOUT / 1000} seconds` : output.stderr.trim().split('\n').pop();
+    return { skipped: `Unable to trace the route to ${host}, ${reason || 'traceroute gave no output'}` };
+  }
+  if (output.timedOut) notes.push(`Traceroute was stopped after ${TIMEOUT / 1000} seconds, so later hops are missing`);
+
+  const { hops, ipDatabase } = await enrichHops(parsed);
+  const reached = hops.some(({ probes }) => probes.some(({ ip }) => ip === destination));
+  if (!ipDatabase.asn && !ipDatabase.city) notes.push(ipDatabase.reason || 'No IP database could be loaded, so hops have no ASN or country');
+
+  return {
+    host,
+    destination,
+    method,
+    ...(method === 'tcp' && { port }),
+    maxHops,
+    reached,
+    hops,
+    ipDatabase,
+    ...(notes.length && { notes }),
+    duration: Date.now() - started,
+  };
 };
 
 export const handler = middleware(traceRouteHandler);
@@ -0,0 +1,100 @@
+/**
+ * TXT Records API
+ * Looks up a domain's TXT records, and groups them by what they reveal:
+ * site verification tokens, email authentication (SPF, DMARC, DKIM),
+ * other known services, and anything unrecognised
+ */
+
+import middleware from '../_common/middleware.js';
+import { resolveTxt } from '../_common/resolver.js';
+import signatures from '../_common/data/txt-signatures.js';
+import { DKIM_SELECTORS } from './mail-config.js';
+
+const hasVersion = (record, version) => record.toLowerCase().replace(/\s/g, '').startsWith(`v=${version}`);
+
+/**
+ * Match a record against the known signatures
+ * @returns {{name: string, provider: string, category: string, token: string|null}|null}
+ */
+export const identifyRecord = (record) => {
+  const value = record.trim();
+  const signature = signatures.find(({ pattern }) => pattern.test(value));
+  if (!signature) return null;
+  const [, token] = value.match(signature.pattern);
+  return {
+    name: signature.name,
+    provider: signature.provider,
+    category: signature.category,
+    token: token || null,
+  };
+};
+
+/**
+ * Sort apex TXT records into groups
+ * @param {string[]} records - Joined TXT record values
+ */
+export const groupTxtRecords = (records) => {
+  const groups = { verification: [], spf: [], services: [], unknown: [] };
+
+  records.forEach((record) => {
+    if (hasVersion(record, 'spf1')) {
+      groups.spf.push(record);
+      return;
+    }
+    const match = identifyRecord(record);
+    if (!match) {
+      groups.unknown.push(record);
+    } else if (match.category === 'verification') {
+      groups.verification.push({ ...match, value: record });
+    } else {
+      groups.services.push({ ...match, value: record });
+    }
+  });
+
+  return groups;
+};
+
+// DMARC lives on _dmarc, and DKIM on <selector>._domainkey, rather than at the apex
+const getDkimRecords = async (domain) => {
+  const results = await Promise.allSettled(DKIM_SELECTORS.map(async (selector) => {
+    const records = (await resolveTxt(`${selector}._domainkey.${domain}`))
+      .filter((record) => /(^|;)\s*(v=dkim1|p=)/i.test(record));
+    return records.map((value) => ({ selector, value }));
+  }));
+  return results
+    .filter((result) => result.status === 'fulfilled')
+    .flatMap((result) => result.value);
+};
+
+const txtRecordsHandler = async (url) => {
+  const domain = new URL(url).hostname;
+  console.log(`📝 Looking up TXT records for: ${domain}`);
+
+  const [records, dmarcRecords, dkim] = await Promise.all([
+    resolveTxt(domain),
+    resolveTxt(`_dmarc.${domain}`).catch(() => []),
+    getDkimRecords(domain),
+  ]);
+
+  const dmarc = dmarcRecords.filter((record) => hasVersion(record, 'dmarc1'));
+  if (records.length === 0 && dmarc.length === 0 && dkim.length === 0) {
+    return { skipped: 'No TXT records found for this domain' };
+  }
+
+  const groups = groupTxtRecords(records);
+  console.log(`✅ Found ${records.length} TXT records, ${groups.verification.length} verification tokens`);
+
+  return {
+    domain,
+    records,
+    verification: groups.verification,
+    spf: groups.spf,
+    dmarc,
+    dkim,
+    services: groups.services,
+    unknown: groups.unknown,
+  };
+};
+
+export const handler = middleware(txtRecordsHandler);
+export default handler;
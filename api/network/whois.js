@@ -0,0 +1,345 @@
+/**
+ * WHOIS / RDAP Lookup API
+ * Fetches domain registration data over RDAP (JSON) and raw port-43 WHOIS,
+ * following IANA referrals, then normalises both into a single shape
+ */
+
+import net from 'net';
+import axios from 'axios';
+import psl from 'psl';
+import middleware from '../_common/middleware.js';
+
+const IANA_WHOIS_SERVER = 'whois.iana.org';
+const RDAP_BOOTSTRAP_URL = process.env.RDAP_BOOTSTRAP_URL || 'https://data.iana.org/rdap/dns.json';
+
+// Optional overrides, to point lookups at a self-hosted (or stub) server
+const WHOIS_SERVER = process.env.WHOIS_SERVER; // e.g. 'localhost:4343'
+const RDAP_SERVER = process.env.RDAP_SERVER; // e.g. 'http://localhost:8080/rdap/'
+
+const WHOIS_PORT = 43;
+const LOOKUP_TIMEOUT = 8000;
+const MAX_REFERRALS = 3;
+
+// WHOIS servers label the same thing in many different ways
+const WHOIS_FIELDS = {
+  domain: ['domain name', 'domain'],
+  registryDomainId: ['registry domain id', 'domain id', 'roid'],
+  created: ['creation date', 'created', 'created on', 'registered on', 'registration time', 'registered'],
+  updated: ['updated date', 'last updated', 'last-update', 'last modified', 'changed', 'modified'],
+  expires: [
+    'registry expiry date', 'registrar registration expiration date', 'expiry date',
+    'expiration date', 'expires on', 'expires', 'paid-till', 'expire'
+  ],
+  registrar: ['registrar', 'sponsoring registrar', 'registrar name'],
+  registrarUrl: ['registrar url', 'referral url'],
+  registrarIanaId: ['registrar iana id'],
+  registrarWhoisServer: ['registrar whois server', 'whois server'],
+  nameservers: ['name server', 'nserver', 'nameservers', 'name servers'],
+  status: ['domain status', 'status', 'state'],
+  dnssec: ['dnssec'],
+};
+
+// Cached copy of the IANA RDAP bootstrap file, it rarely changes
+let rdapBootstrap = null;
+
+/**
+ * Split a 'host:port' string, defaulting to the standard WHOIS port
+ * @param {string} server - Server address, optionally with a port
+ * @returns {{host: string, port: number}}
+ */
+const parseServerAddress = (server) => {
+  const match = server.match(/^(.+):(\d+)$/);
+  return match
+    ? { host: match[1], port: parseInt(match[2], 10) }
+    : { host: server, port: WHOIS_PORT };
+};
+
+/**
+ * Send a query to a WHOIS server, and read the response until it hangs up
+ * @param {string} server - WHOIS server address
+ * @param {string} query - The domain to look up
+ * @returns {Promise<string>} Raw WHOIS response
+ */
+const queryWhoisServer = (server, query) => {
+  const { host, port } = parseServerAddress(server);
+
+  return new Promise((resolve, reject) => {
+    let response = '';
+    const socket = net.createConnection({ host, port }, () => {
+      socket.write(`${query}\r\n`);
+    });
+
+    socket.setEncoding('utf8');
+    socket.setTimeout(LOOKUP_TIMEOUT);
+
+    socket.on('data', (chunk) => { response += chunk; });
+    socket.on('end', () => resolve(response));
+    socket.on('timeout', () => {
+      socket.destroy();
+      reject(new Error(`WHOIS query to ${host} timed out`));
+    });
+    socket.on('error', (error) => {
+      reject(new Error(`WHOIS query to ${host} failed: ${error.message}`));
+    });
+  });
+};
+
+/**
+ * Parse 'Key: Value' lines of a WHOIS response, skipping comments
+ * @param {string} text - Raw WHOIS response
+ * @returns {Object<string, string[]>} Values for each (lower-cased) key
+ */
+const parseWhoisText = (text) => {
+  const fields = {};
+
+  text.split(/\r?\n/).forEach((line) => {
+    if (/^\s*(%|#|>>>)/.test(line)) return;
+    const match = line.match(/^\s*([^:]+?):\s*(.+?)\s*$/);
+    if (!match) return;
+    const key = match[1].toLowerCase();
+    (fields[key] = fields[key] || []).push(match[2]);
+  });
+
+  return fields;
+};
+
+/**
+ * Find where the next WHOIS query should go, if the server referred us elsewhere
+ * @param {Object<string, string[]>} fields - Parsed WHOIS fields
+ * @returns {string|null} Referred server address
+ */
+const getReferral = (fields) => {
+  const referral = ['refer', 'whois', 'registrar whois server']
+    .map((key) => fields[key] && fields[key][0])
+    .find(Boolean);
+  if (!referral) return null;
+  return referral.replace(/^(whois|https?):\/\//i, '').replace(/\/+$/, '').toLowerCase();
+};
+
+/**
+ * Query WHOIS, starting at IANA and following referrals to the registry then registrar
+ * @param {string} domain - Registrable domain name
+ * @returns {Promise<Array<{server: string, text: string, fields: Object}>>}
+ */
+const lookupWhois = async (domain) => {
+  const responses = [];
+  const visited = new Set();
+  let server = WHOIS_SERVER || IANA_WHOIS_SERVER;
+
+  while (server && !visited.has(server) && visited.size <= MAX_REFERRALS) {
+    visited.add(server);
+    let text;
+    try {
+      text = await queryWhoisServer(server, domain);
+    } catch (error) {
+      // A failed referral still leaves us with what the registry returned
+      if (responses.length === 0) throw error;
+      console.warn(`⚠️ ${error.message}`);
+      break;
+    }
+    const fields = parseWhoisText(text);
+    // The IANA response describes the TLD, so it's only useful for its referral
+    const referralOnly = server === IANA_WHOIS_SERVER && !!fields.refer;
+    responses.push({ server, text, fields, referralOnly });
+    server = getReferral(fields);
+  }
+
+  return responses.filter(({ referralOnly }) => !referralOnly);
+};
+
+/**
+ * Find the RDAP service for a TLD, from the IANA bootstrap registry
+ * @param {string} tld - Top-level domain (e.g. 'com')
+ * @returns {Promise<string|null>} RDAP base URL
+ */
+const getRdapBaseUrl = async (tld) => {
+  if (RDAP_SERVER) return RDAP_SERVER;
+  if (!rdapBootstrap) {
+    const response = await axios.get(RDAP_BOOTSTRAP_URL, { timeout: LOOKUP_TIMEOUT });
+    rdapBootstrap = response.data;
+  }
+  const service = (rdapBootstrap.services || []).find(([tlds]) => tlds.includes(tld));
+  return service ? service[1][0] : null;
+};
+
+/**
+ * Fetch the RDAP domain object for a domain
+ * @param {string} domain - Registrable domain name
+ * @returns {Promise<Object>} RDAP response
+ */
+const lookupRdap = async (domain) => {
+  const tld = domain.split('.').pop();
+  const baseUrl = await getRdapBaseUrl(tld);
+  if (!baseUrl) {
+    throw new Error(`No RDAP service is registered for .${tld}`);
+  }
+  const response = await axios.get(`${baseUrl.replace(/\/+$/, '')}/domain/${domain}`, {
+    timeout: LOOKUP_TIMEOUT,
+    headers: { Accept: 'application/rdap+json, application/json' },
+  });
+  return response.data;
+};
+
+// Return an ISO date where the input can be parsed, otherwise leave as-is
+const normaliseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? value : date.toISOString();
+};
+
+// RDAP says 'client transfer prohibited', WHOIS says 'clientTransferProhibited https://icann.org/epp#...'
+const normaliseStatus = (value) => {
+  const status = value.split(/\s+(?=https?:)/)[0].trim();
+  if (!status.includes(' ')) return status;
+  return status.toLowerCase().replace(/\s+(\w)/g, (_, char) => char.toUpperCase());
+};
+
+// Read a property from an RDAP entity's jCard
+const getVcardValue = (entity, property) => {
+  const vcard = entity && entity.vcardArray && entity.vcardArray[1];
+  const entry = (vcard || []).find(([name]) => name === property);
+  return entry ? entry[3] : null;
+};
+
+/**
+ * Map an RDAP domain object onto the normalised shape
+ * @param {Object} rdap - RDAP response
+ * @returns {Object} Normalised registration data
+ */
+const normaliseRdap = (rdap) => {
+  const events = Object.fromEntries((rdap.events || []).map((e) => [e.eventAction, e.eventDate]));
+  const registrar = (rdap.entities || []).find((entity) => (entity.roles || []).includes('registrar'));
+  const ianaId = registrar && (registrar.publicIds || [])
+    .find(({ type }) => /iana registrar id/i.test(type));
+  const registrarLink = registrar && (registrar.links || []).find(({ rel }) => rel === 'about');
+
+  return {
+    domain: rdap.ldhName ? rdap.ldhName.toLowerCase() : null,
+    registryDomainId: rdap.handle || null,
+    created: normaliseDate(events.registration),
+    updated: normaliseDate(events['last changed']),
+    expires: normaliseDate(events.expiration),
+    registrar: {
+      name: getVcardValue(registrar, 'fn'),
+      url: getVcardValue(registrar, 'url') || (registrarLink ? registrarLink.href : null),
+      ianaId: ianaId ? ianaId.identifier : null,
+      whoisServer: rdap.port43 || null,
+    },
+    nameservers: (rdap.nameservers || []).map(({ ldhName }) => ldhName.toLowerCase()),
+    status: (rdap.status || []).map(normaliseStatus),
+    dnssec: rdap.secureDNS ? !!rdap.secureDNS.delegationSigned : null,
+  };
+};
+
+/**
+ * Map parsed WHOIS responses onto the normalised shape.
+ * The registry (first) response wins, the registrar response fills any gaps.
+ * @param {Array<{fields: Object}>} responses - Parsed WHOIS responses
+ * @returns {Object} Normalised registration data
+ */
+const normaliseWhois = (responses) => {
+  const getValues = (name) => {
+    for (const { fields } of responses) {
+      const key = WHOIS_FIELDS[name].find((label) => fields[label]);
+      if (key) return fields[key];
+    }
+    return [];
+  };
+  const getValue = (name) => getValues(name)[0] || null;
+  const dnssec = getValue('dnssec');
+
+  return {
+    domain: getValue('domain') ? getValue('domain').toLowerCase() : null,
+    registryDomainId: getValue('registryDomainId'),
+    created: normaliseDate(getValue('created')),
+    updated: normaliseDate(getValue('updated')),
+    expires: normaliseDate(getValue('expires')),
+    registrar: {
+      name: getValue('registrar'),
+      url: getValue('registrarUrl'),
+      ianaId: getValue('registrarIanaId'),
+      whoisServer: getValue('registrarWhoisServer'),
+    },
+    nameservers: [...new Set(getValues('nameservers')
+      .map((ns) => ns.split(/\s+/)[0].toLowerCase()))],
+    status: [...new Set(getValues('status').map(normaliseStatus))],
+    dnssec: dnssec ? !/unsigned|no/i.test(dnssec) : null,
+  };
+};
+
+// Take RDAP values where present, falling back to WHOIS
+const mergeRecords = (primary, fallback) => {
+  const pick = (a, b) => ((Array.isArray(a) ? a.length : a !== null && a !== undefined) ? a : b);
+  const merged = {};
+  Object.keys(fallback).forEach((key) => {
+    merged[key] = key === 'registrar'
+      ? mergeRecords(primary.registrar || {}, fallback.registrar)
+      : pick(primary[key], fallback[key]);
+  });
+  return merged;
+};
+
+const whoisHandler = async (url) => {
+  const hostname = new URL(url).hostname;
+  if (net.isIP(hostname)) {
+    throw new Error('WHOIS lookups require a domain name, not an IP address');
+  }
+  const domain = psl.get(hostname) || hostname;
+
+  console.log(`📇 Looking up registration data for: ${domain}`);
+
+  const [rdapResult, whoisResult] = await Promise.allSettled([
+    lookupRdap(domain),
+    lookupWhois(domain),
+  ]);
+
+  const errors = {};
+  const empty = normaliseWhois([]);
+  let rdapRecord = empty;
+  let whoisRecord = empty;
+  let whoisData = null;
+
+  if (rdapResult.status === 'fulfilled') {
+    rdapRecord = normaliseRdap(rdapResult.value);
+  } else {
+    errors.rdap = rdapResult.reason.message;
+  }
+
+  if (whoisResult.status === 'fulfilled' && whoisResult.value.length > 0) {
+    whoisRecord = normaliseWhois(whoisResult.value);
+    whoisData = whoisResult.value.map(({ server, text }) => ({ server, text: text.trim() }));
+  } else {
+    errors.whois = whoisResult.status === 'rejected'
+      ? whoisResult.reason.message
+      : 'No WHOIS data returned';
+  }
+
+  if (errors.rdap && errors.whois) {
+    throw new Error(`Unable to fetch registration data. RDAP: ${errors.rdap}. WHOIS: ${errors.whois}`);
+  }
+
+  const record = mergeRecords(rdapRecord, whoisRecord);
+
+  return {
+    ...record,
+    domain: record.domain || domain,
+    sources: ['rdap', 'whois'].filter((source) => !errors[source]),
+    // Keyed the same way as InterNIC's WHOIS output, for the domain lookup card
+    internicData: {
+      Domain_Name: record.domain || domain,
+      Registry_Domain_ID: record.registryDomainId,
+      Creation_Date: record.created,
+      Updated_Date: record.updated,
+      Registry_Expiry_Date: record.expires,
+      Registrar: record.registrar.name,
+      Registrar_URL: record.registrar.url,
+      Registrar_IANA_ID: record.registrar.ianaId,
+      Registrar_WHOIS_Server: record.registrar.whoisServer,
+    },
+    whoisData,
+    ...(Object.keys(errors).length > 0 && { errors }),
+  };
+};
+
+export const handler = middleware(whoisHandler);
+export default handler;
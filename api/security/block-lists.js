@@ -0,0 +1,166 @@
+/**
+ * Block Lists API
+ * Resolves the domain through a set of filtering DNS resolvers, to see which
+ * of them block it (by sinkholing it, or answering NXDOMAIN), and checks the
+ * server's IP against DNS-based block lists (DNSBLs)
+ */
+
+import net from 'net';
+import middleware from '../_common/middleware.js';
+import { query, getDefaultResolver } from '../_common/dns-client.js';
+
+const QUERY_TIMEOUT = 4000;
+
+// Filtering resolvers, overridable with BLOCKLIST_RESOLVERS ('Name=1.2.3.4;Other=5.6.7.8:5353')
+const DEFAULT_RESOLVERS = [
+  { server: 'AdGuard', serverIp: '94.140.14.14' },
+  { server: 'AdGuard Family', serverIp: '94.140.14.15' },
+  { server: 'CleanBrowsing Adult', serverIp: '185.228.168.10' },
+  { server: 'CleanBrowsing Family', serverIp: '185.228.168.168' },
+  { server: 'CleanBrowsing Security', serverIp: '185.228.168.9' },
+  { server: 'Cloudflare', serverIp: '1.1.1.1' },
+  { server: 'Cloudflare Family', serverIp: '1.1.1.3' },
+  { server: 'Cloudflare Malware', serverIp: '1.1.1.2' },
+  { server: 'Comodo Secure', serverIp: '8.26.56.26' },
+  { server: 'Control D Malware', serverIp: '76.76.2.1' },
+  { server: 'Neustar Family', serverIp: '156.154.70.3' },
+  { server: 'OpenDNS', serverIp: '208.67.222.222' },
+  { server: 'OpenDNS Family Shield', serverIp: '208.67.222.123' },
+  { server: 'Quad9', serverIp: '9.9.9.9' },
+  { server: 'Yandex Family', serverIp: '77.88.8.7' },
+  { server: 'Yandex Safe', serverIp: '77.88.8.88' },
+];
+
+// DNSBL zones, overridable with DNSBL_ZONES (comma separated)
+const DEFAULT_DNSBL_ZONES = [
+  'zen.spamhaus.org',
+  'bl.spamcop.net',
+  'b.barracudacentral.org',
+  'psbl.surriel.com',
+  'dnsbl-1.uceprotect.net',
+  'dnsbl.dronebl.org',
+];
+
+// Addresses filtering resolvers answer with instead of the real one, either
+// unroutable, or the resolver's own "this site is blocked" page
+const SINKHOLE_ADDRESSES = [
+  '0.0.0.0', '::', '127.0.0.1', '::1',
+  '146.112.61.104', '146.112.61.105', '146.112.61.106', '146.112.61.107',
+  '146.112.61.108', '146.112.61.109', '146.112.61.110', // OpenDNS
+  '185.228.168.254', // CleanBrowsing
+  '156.154.112.16', '156.154.113.16', // Comodo / Neustar
+  '213.180.193.250', // Yandex
+  ...(process.env.BLOCKLIST_SINKHOLE_IPS || '').split(',').map((ip) => ip.trim()).filter(Boolean),
+];
+
+const getResolvers = () => {
+  if (!process.env.BLOCKLIST_RESOLVERS) return DEFAULT_RESOLVERS;
+  return process.env.BLOCKLIST_RESOLVERS.split(';')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [server, serverIp] = entry.includes('=') ? entry.split('=') : [entry, entry];
+      return { server: server.trim(), serverIp: serverIp.trim() };
+    });
+};
+
+const getDnsblZones = () => (process.env.DNSBL_ZONES
+  ? process.env.DNSBL_ZONES.split(',').map((zone) => zone.trim()).filter(Boolean)
+  : DEFAULT_DNSBL_ZONES);
+
+const getAddresses = (response) => response.answers
+  .filter(({ typeName }) => typeName === 'A' || typeName === 'AAAA')
+  .map(({ data }) => data);
+
+/**
+ * Ask one filtering resolver for the domain, and work out if it's been blocked.
+ * NXDOMAIN only counts as a block if the unfiltered resolver found the domain
+ */
+const checkResolver = async ({ server, serverIp }, domain, existsUnfiltered) => {
+  try {
+    const response = await query(domain, 'A', { server: serverIp, timeout: QUERY_TIMEOUT });
+    const answers = getAddresses(response);
+    const sinkholed = answers.filter((address) => SINKHOLE_ADDRESSES.includes(address));
+
+    let reason = null;
+    if (sinkholed.length > 0) {
+      reason = `Answered with block address ${sinkholed.join(', ')}`;
+    } else if (response.rcodeName === 'NXDOMAIN' && existsUnfiltered) {
+      reason = 'Answered NXDOMAIN, for a domain which exists';
+    }
+
+    return {
+      server, serverIp, isBlocked: !!reason, reason, rcode: response.rcodeName, answers,
+    };
+  } catch (error) {
+    return {
+      server, serverIp, isBlocked: false, reason: null, error: error.message,
+    };
+  }
+};
+
+/**
+ * Check an IPv4 address against a DNSBL, by looking up its reversed octets in the zone.
+ * Listings are 127.0.0.x answers, anything else (e.g. Spamhaus' 127.255.255.x) is an error
+ */
+const checkDnsbl = async (zone, ip) => {
+  const name = `${ip.split('.').reverse().join('.')}.${zone}`;
+  try {
+    const response = await query(name, 'A', { timeout: QUERY_TIMEOUT });
+    const codes = getAddresses(response);
+    if (response.rcodeName === 'NXDOMAIN' || codes.length === 0) {
+      return { zone, listed: false };
+    }
+
+    const errorCodes = codes.filter((code) => !code.startsWith('127.0.0.'));
+    if (errorCodes.length > 0) {
+      return { zone, listed: false, error: `Lookup refused by the list (returned ${errorCodes.join(', ')})` };
+    }
+
+    // The list's explanation, if it publishes one
+    const txt = await query(name, 'TXT', { timeout: QUERY_TIMEOUT }).catch(() => null);
+    const reason = (txt?.answers || [])
+      .filter(({ typeName }) => typeName === 'TXT')
+      .map(({ data }) => data.join(''))
+      .join(' ') || null;
+
+    return {
+      zone, listed: true, codes, reason,
+    };
+  } catch (error) {
+    return { zone, listed: false, error: error.message };
+  }
+};
+
+const blockListsHandler = async (url) => {
+  const domain = new URL(url).hostname;
+  console.log(`🚫 Checking block lists for: ${domain}`);
+
+  // Resolve without filtering first, to know what a normal answer looks like
+  const reference = await query(domain, 'A', { timeout: QUERY_TIMEOUT }).catch(() => null);
+  const existsUnfiltered = !!reference && reference.rcodeName === 'NOERROR';
+  // DNSBLs are (mostly) IPv4 only
+  const serverIp = (reference ? getAddresses(reference) : []).find((address) => net.isIPv4(address)) || null;
+
+  const [blocklists, dnsbl] = await Promise.all([
+    Promise.all(getResolvers().map((resolver) => checkResolver(resolver, domain, existsUnfiltered))),
+    serverIp ? Promise.all(getDnsblZones().map((zone) => checkDnsbl(zone, serverIp))) : [],
+  ]);
+
+  const blockedBy = blocklists.filter(({ isBlocked }) => isBlocked).map(({ server }) => server);
+  const listedIn = dnsbl.filter(({ listed }) => listed).map(({ zone }) => zone);
+  console.log(`✅ Blocked by ${blockedBy.length}/${blocklists.length} resolvers, listed in ${listedIn.length} DNSBLs`);
+
+  return {
+    domain,
+    serverIp,
+    referenceResolver: getDefaultResolver(),
+    blocklists,
+    dnsbl,
+    blockedBy,
+    listedIn,
+  };
+};
+
+export const handler = middleware(blockListsHandler);
+export default handler;
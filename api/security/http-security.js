@@ -0,0 +1,329 @@
+/**
+ * HTTP Security Headers API
+ * Parses and grades a site's security headers (CSP, HSTS, Permissions-Policy,
+ * Referrer-Policy, COOP/COEP/CORP, X-Frame-Options, X-Content-Type-Options),
+ * giving each a score, plus an overall letter grade
+ */
+
+import axios from 'axios';
+import middleware from '../_common/middleware.js';
+
+const FETCH_TIMEOUT = 10000;
+
+// Sources which let an attacker run any script, when allowed in script-src
+const UNSAFE_SCRIPT_SOURCES = ['*', 'http:', 'https:', 'data:', 'blob:'];
+
+// Features which should never be granted to every origin
+const POWERFUL_FEATURES = [
+  'camera', 'microphone', 'geolocation', 'payment', 'usb', 'serial',
+  'bluetooth', 'hid', 'display-capture', 'clipboard-read',
+];
+
+const REFERRER_POLICY_SCORES = {
+  'no-referrer': 10,
+  'same-origin': 10,
+  'strict-origin': 10,
+  'strict-origin-when-cross-origin': 10,
+  origin: 6,
+  'origin-when-cross-origin': 6,
+  'no-referrer-when-downgrade': 3,
+  'unsafe-url': 0,
+};
+
+const HSTS_ONE_YEAR = 31536000;
+const HSTS_SIX_MONTHS = 15768000;
+
+const GRADE_BOUNDARIES = [[95, 'A+'], [85, 'A'], [70, 'B'], [55, 'C'], [40, 'D'], [0, 'F']];
+
+const issue = (severity, message) => ({ severity, message });
+
+/**
+ * Split a Content-Security-Policy into its directives.
+ * Only the first occurrence of a directive counts, as in browsers
+ * @param {string} policy - Raw header value
+ * @returns {Object} Directive names mapped to arrays of source expressions
+ */
+export const parseCsp = (policy) => {
+  const directives = {};
+  policy.split(';').forEach((part) => {
+    const [name, ...sources] = part.trim().split(/\s+/);
+    if (!name) return;
+    const directive = name.toLowerCase();
+    if (directives[directive] === undefined) directives[directive] = sources;
+  });
+  return directives;
+};
+
+/**
+ * Parse a Permissions-Policy (a structured-field dictionary), e.g.
+ * `camera=(), geolocation=(self "https://maps.example")`
+ * @returns {Object} Feature names mapped to their allowlists
+ */
+export const parsePermissionsPolicy = (policy) => {
+  const features = {};
+  policy.split(',').forEach((part) => {
+    const index = part.indexOf('=');
+    if (index === -1) return;
+    const feature = part.slice(0, index).trim().toLowerCase();
+    const value = part.slice(index + 1).trim();
+    features[feature] = value === '*'
+      ? ['*']
+      : value.replace(/^\(|\)$/g, '').split(/\s+/).filter(Boolean).map((origin) => origin.replace(/"/g, ''));
+  });
+  return features;
+};
+
+const gradeCsp = (value, reportOnly) => {
+  const maxScore = 25;
+  if (!value) {
+    if (reportOnly) {
+      return {
+        score: 5, maxScore, directives: parseCsp(reportOnly), reportOnly: true,
+        issues: [issue('medium', 'CSP is only in report-only mode, so nothing is enforced')],
+      };
+    }
+    return { score: 0, maxScore, issues: [issue('high', 'No Content-Security-Policy header')] };
+  }
+
+  const directives = parseCsp(value);
+  const issues = [];
+  let score = maxScore;
+
+  // script-src falls back to default-src
+  const scriptSources = directives['script-src'] || directives['default-src'];
+  if (!scriptSources) {
+    score -= 10;
+    issues.push(issue('high', 'No script-src or default-src, so scripts can load from anywhere'));
+  } else {
+    const lowered = scriptSources.map((source) => source.toLowerCase());
+    // A nonce or hash makes browsers ignore 'unsafe-inline'
+    const hasNonceOrHash = lowered.some((source) => /^'(nonce-|sha256-|sha384-|sha512-)/.test(source));
+    if (lowered.includes("'unsafe-inline'") && !hasNonceOrHash) {
+      score -= 10;
+      issues.push(issue('high', "script-src allows 'unsafe-inline', which defeats XSS protection"));
+    }
+    if (lowered.includes("'unsafe-eval'")) {
+      score -= 5;
+      issues.push(issue('medium', "script-src allows 'unsafe-eval'"));
+    }
+    const wildcards = lowered.filter((source) => UNSAFE_SCRIPT_SOURCES.includes(source) || source.startsWith('*.'));
+    if (wildcards.length > 0 && !lowered.includes("'strict-dynamic'")) {
+      score -= 8;
+      issues.push(issue('high', `script-src allows overly broad sources: ${wildcards.join(' ')}`));
+    }
+  }
+
+  const defaultNone = directives['default-src']?.includes("'none'");
+  if (!directives['object-src'] && !defaultNone) {
+    score -= 3;
+    issues.push(issue('medium', "No object-src, set it to 'none' to block plugin content"));
+  }
+  // base-uri doesn't fall back to default-src
+  if (!directives['base-uri']) {
+    score -= 3;
+    issues.push(issue('medium', "No base-uri, set it to 'self' or 'none' to stop <base> tag injection"));
+  }
+  if (!directives['frame-ancestors']) {
+    issues.push(issue('low', 'No frame-ancestors, so framing is only controlled by X-Frame-Options'));
+  }
+
+  return { score: Math.max(score, 0), maxScore, directives, issues };
+};
+
+const gradeHsts = (value, isHttps) => {
+  const maxScore = 15;
+  if (!value) {
+    return {
+      score: 0,
+      maxScore,
+      issues: [issue(isHttps ? 'high' : 'medium', 'No Strict-Transport-Security header')],
+    };
+  }
+
+  const maxAge = parseInt((value.match(/max-age\s*=\s*"?(\d+)"?/i) || [])[1], 10);
+  const includeSubDomains = /includesubdomains/i.test(value);
+  const preload = /preload/i.test(value);
+  const issues = [];
+  let score = maxScore;
+
+  if (Number.isNaN(maxAge)) {
+    return { score: 0, maxScore, issues: [issue('high', 'HSTS header has no valid max-age')] };
+  }
+  if (maxAge === 0) {
+    return { score: 0, maxScore, maxAge, issues: [issue('high', 'HSTS max-age is 0, which turns HSTS off')] };
+  }
+  if (maxAge < HSTS_SIX_MONTHS) {
+    score -= 8;
+    issues.push(issue('medium', `HSTS max-age is only ${maxAge} seconds, use at least one year`));
+  } else if (maxAge < HSTS_ONE_YEAR) {
+    score -= 3;
+    issues.push(issue('low', 'HSTS max-age is under one year'));
+  }
+  if (!includeSubDomains) {
+    score -= 3;
+    issues.push(issue('low', 'HSTS does not includeSubDomains'));
+  }
+  if (!preload) issues.push(issue('info', 'HSTS does not have the preload directive'));
+
+  return { score: Math.max(score, 0), maxScore, maxAge, includeSubDomains, preload, issues };
+};
+
+const gradeFrameOptions = (value, cspDirectives) => {
+  const maxScore = 10;
+  // frame-ancestors supersedes X-Frame-Options in modern browsers
+  if (cspDirectives?.['frame-ancestors']) {
+    return {
+      score: maxScore,
+      maxScore,
+      issues: value ? [] : [issue('info', 'No X-Frame-Options, but CSP frame-ancestors covers it')],
+    };
+  }
+  if (!value) {
+    return { score: 0, maxScore, issues: [issue('medium', 'No X-Frame-Options, so the page can be framed (clickjacking)')] };
+  }
+
+  const option = value.trim().toUpperCase();
+  if (['DENY', 'SAMEORIGIN'].includes(option)) return { score: maxScore, maxScore, issues: [] };
+  if (option.startsWith('ALLOW-FROM')) {
+    return { score: 5, maxScore, issues: [issue('medium', 'ALLOW-FROM is not supported by modern browsers, use CSP frame-ancestors')] };
+  }
+  return { score: 0, maxScore, issues: [issue('medium', `Invalid X-Frame-Options value "${value}"`)] };
+};
+
+const gradeContentTypeOptions = (value) => {
+  const maxScore = 10;
+  if (!value) return { score: 0, maxScore, issues: [issue('medium', 'No X-Content-Type-Options header')] };
+  if (value.trim().toLowerCase() !== 'nosniff') {
+    return { score: 0, maxScore, issues: [issue('medium', `X-Content-Type-Options should be "nosniff", not "${value}"`)] };
+  }
+  return { score: maxScore, maxScore, issues: [] };
+};
+
+const gradeReferrerPolicy = (value) => {
+  const maxScore = 10;
+  if (!value) {
+    // Browsers default to strict-origin-when-cross-origin, so this isn't a disaster
+    return { score: 5, maxScore, issues: [issue('low', 'No Referrer-Policy header, relying on the browser default')] };
+  }
+  // With a comma-separated list, the last policy the browser understands wins
+  const policy = value.split(',').map((item) => item.trim().toLowerCase())
+    .filter((item) => REFERRER_POLICY_SCORES[item] !== undefined)
+    .pop();
+  if (!policy) return { score: 0, maxScore, issues: [issue('medium', `Unrecognised Referrer-Policy "${value}"`)] };
+
+  const score = REFERRER_POLICY_SCORES[policy];
+  const issues = score < maxScore ? [issue(score === 0 ? 'medium' : 'low', `Referrer-Policy "${policy}" can leak URLs to other sites`)] : [];
+  return { score, maxScore, policy, issues };
+};
+
+const gradePermissionsPolicy = (value, featurePolicy) => {
+  const maxScore = 10;
+  if (!value) {
+    if (featurePolicy) {
+      return { score: 5, maxScore, issues: [issue('low', 'Only the deprecated Feature-Policy header is set, use Permissions-Policy')] };
+    }
+    return { score: 0, maxScore, issues: [issue('low', 'No Permissions-Policy header')] };
+  }
+
+  const features = parsePermissionsPolicy(value);
+  const openFeatures = POWERFUL_FEATURES.filter((feature) => features[feature]?.includes('*'));
+  const issues = openFeatures.map((feature) => issue('medium', `Permissions-Policy allows ${feature} for every origin`));
+  return { score: Math.max(maxScore - openFeatures.length * 2, 3), maxScore, features, issues };
+};
+
+// COOP, COEP and CORP each have a list of values, best first
+const gradeIsolationHeader = (name, value, maxScore, scores) => {
+  if (!value) return { score: 0, maxScore, issues: [issue('low', `No ${name} header`)] };
+  const token = value.split(';')[0].trim().toLowerCase();
+  const score = scores[token];
+  if (score === undefined) return { score: 0, maxScore, issues: [issue('low', `Unrecognised ${name} value "${value}"`)] };
+  return {
+    score,
+    maxScore,
+    policy: token,
+    issues: score < maxScore ? [issue('low', `${name} "${token}" offers little isolation`)] : [],
+  };
+};
+
+/**
+ * Grade a set of response headers
+ * @param {Object} headers - Response headers, with lower-case names
+ * @param {boolean} isHttps - Whether they came from an https response
+ * @returns {{score: number, maxScore: number, percentage: number, grade: string, headers: Object}}
+ */
+export const gradeHeaders = (headers, isHttps = true) => {
+  const get = (name) => {
+    const value = headers[name];
+    return Array.isArray(value) ? value.join(', ') : value;
+  };
+
+  const csp = gradeCsp(get('content-security-policy'), get('content-security-policy-report-only'));
+  const results = {
+    'content-security-policy': csp,
+    'strict-transport-security': gradeHsts(get('strict-transport-security'), isHttps),
+    'x-frame-options': gradeFrameOptions(get('x-frame-options'), csp.directives),
+    'x-content-type-options': gradeContentTypeOptions(get('x-content-type-options')),
+    'referrer-policy': gradeReferrerPolicy(get('referrer-policy')),
+    'permissions-policy': gradePermissionsPolicy(get('permissions-policy'), get('feature-policy')),
+    'cross-origin-opener-policy': gradeIsolationHeader('Cross-Origin-Opener-Policy', get('cross-origin-opener-policy'), 6, {
+      'same-origin': 6, 'same-origin-allow-popups': 4, 'unsafe-none': 0,
+    }),
+    'cross-origin-embedder-policy': gradeIsolationHeader('Cross-Origin-Embedder-Policy', get('cross-origin-embedder-policy'), 4, {
+      'require-corp': 4, credentialless: 4, 'unsafe-none': 0,
+    }),
+    'cross-origin-resource-policy': gradeIsolationHeader('Cross-Origin-Resource-Policy', get('cross-origin-resource-policy'), 5, {
+      'same-origin': 5, 'same-site': 5, 'cross-origin': 2,
+    }),
+  };
+
+  Object.entries(results).forEach(([name, result]) => {
+    result.present = get(name) !== undefined;
+    result.value = get(name) || null;
+  });
+
+  const score = Object.values(results).reduce((total, result) => total + result.score, 0);
+  const maxScore = Object.values(results).reduce((total, result) => total + result.maxScore, 0);
+  const percentage = Math.round((score / maxScore) * 100);
+  const grade = GRADE_BOUNDARIES.find(([minimum]) => percentage >= minimum)[1];
+
+  return { score, maxScore, percentage, grade, headers: results };
+};
+
+const httpSecurityHandler = async (url) => {
+  console.log(`🛡️ Grading security headers for: ${url}`);
+
+  let response;
+  try {
+    response = await axios.get(url, {
+      timeout: FETCH_TIMEOUT,
+      validateStatus: () => true,
+    });
+  } catch (error) {
+    throw new Error(`Unable to fetch headers: ${error.message}`);
+  }
+
+  const finalUrl = response.request?.res?.responseUrl || url;
+  const grading = gradeHeaders(response.headers, finalUrl.startsWith('https:'));
+  const xssProtection = response.headers['x-xss-protection'];
+
+  console.log(`✅ Security headers graded ${grading.grade} (${grading.percentage}%) for ${finalUrl}`);
+
+  return {
+    // Presence of each header, as shown on the HTTP Security card
+    contentSecurityPolicy: grading.headers['content-security-policy'].present,
+    strictTransportPolicy: grading.headers['strict-transport-security'].present,
+    xContentTypeOptions: grading.headers['x-content-type-options'].present,
+    xFrameOptions: grading.headers['x-frame-options'].present,
+    xXSSProtection: !!xssProtection,
+    url: finalUrl,
+    statusCode: response.status,
+    ...grading,
+    // X-XSS-Protection is obsolete, and "1; mode=block" can introduce leaks, so it isn't scored
+    notes: xssProtection && xssProtection.trim() !== '0'
+      ? ['X-XSS-Protection is obsolete, set it to 0 or remove it, and rely on CSP instead']
+      : [],
+  };
+};
+
+export const handler = middleware(httpSecurityHandler);
+export default handler;
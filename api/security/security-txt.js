@@ -0,0 +1,188 @@
+/**
+ * Security.txt API
+ * Fetches a site's security.txt and validates it against RFC 9116:
+ * required fields, expiry, canonical location and PGP signing
+ */
+
+import axios from 'axios';
+import middleware from '../_common/middleware.js';
+
+// Checked in order, /.well-known/ is the standard location, the root is legacy
+const SECURITY_TXT_PATHS = ['/.well-known/security.txt', '/security.txt'];
+
+const FETCH_TIMEOUT = 5000;
+const MAX_FILE_SIZE = 32 * 1024;
+
+// Fields defined in RFC 9116 (plus CSAF, from the CSAF 2.0 standard)
+const KNOWN_FIELDS = [
+  'Acknowledgments', 'Canonical', 'Contact', 'CSAF', 'Encryption',
+  'Expires', 'Hiring', 'Policy', 'Preferred-Languages',
+];
+const SINGLE_FIELDS = ['Expires', 'Preferred-Languages'];
+const URI_FIELDS = ['Acknowledgments', 'Canonical', 'CSAF', 'Encryption', 'Hiring', 'Policy'];
+
+// The RFC recommends an Expires of less than a year away
+const MAX_EXPIRY_MS = 365 * 24 * 60 * 60 * 1000;
+
+const PGP_SIGNED_HEADER = '-----BEGIN PGP SIGNED MESSAGE-----';
+const PGP_SIGNATURE_HEADER = '-----BEGIN PGP SIGNATURE-----';
+
+/**
+ * Pull the signed text out of a cleartext-signed PGP message,
+ * removing the armor headers and dash-escaping (RFC 4880 7.1)
+ */
+const stripPgpSignature = (content) => {
+  const lines = content.split(/\r?\n/);
+  const start = lines.indexOf(PGP_SIGNED_HEADER);
+  const end = lines.indexOf(PGP_SIGNATURE_HEADER);
+  if (start === -1 || end === -1) return content;
+
+  // Armor headers (e.g. "Hash: SHA256") run until the first blank line
+  let bodyStart = start + 1;
+  while (bodyStart < end && lines[bodyStart].trim() !== '') bodyStart += 1;
+
+  return lines.slice(bodyStart + 1, end)
+    .map((line) => (line.startsWith('- ') ? line.slice(2) : line))
+    .join('\n');
+};
+
+/**
+ * Parse security.txt into its fields. Field names are case-insensitive,
+ * so are normalised to the casing used in the RFC
+ * @param {string} content - File content, with any PGP signature removed
+ * @returns {Object} Field names mapped to arrays of values
+ */
+export const parseSecurityTxt = (content) => {
+  const fields = {};
+  content.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+    const index = line.indexOf(':');
+    if (index === -1) return;
+
+    const name = line.slice(0, index).trim();
+    const field = KNOWN_FIELDS.find((known) => known.toLowerCase() === name.toLowerCase()) || name;
+    fields[field] = [...(fields[field] || []), line.slice(index + 1).trim()];
+  });
+  return fields;
+};
+
+/**
+ * Check the parsed fields meet RFC 9116
+ * @returns {{errors: string[], warnings: string[], expires: string|null, isExpired: boolean}}
+ */
+const validateSecurityTxt = (fields, fileUrl) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!fields.Contact) errors.push('Missing the required Contact field');
+  (fields.Contact || []).forEach((contact) => {
+    if (!/^(https:|mailto:|tel:)/i.test(contact)) {
+      warnings.push(`Contact "${contact}" should be an https:, mailto: or tel: URI`);
+    }
+  });
+
+  URI_FIELDS.forEach((field) => (fields[field] || []).forEach((value) => {
+    if (/^http:/i.test(value)) errors.push(`${field} must use https, not http (${value})`);
+  }));
+
+  SINGLE_FIELDS.forEach((field) => {
+    if (fields[field]?.length > 1) errors.push(`${field} must not appear more than once`);
+  });
+
+  let expires = null;
+  let isExpired = false;
+  if (!fields.Expires) {
+    errors.push('Missing the required Expires field');
+  } else {
+    const expiryDate = new Date(fields.Expires[0]);
+    if (Number.isNaN(expiryDate.getTime())) {
+      errors.push(`Expires is not a valid date (${fields.Expires[0]})`);
+    } else {
+      expires = expiryDate.toISOString();
+      isExpired = expiryDate < new Date();
+      if (isExpired) errors.push(`File expired on ${expires}`);
+      else if (expiryDate - Date.now() > MAX_EXPIRY_MS) warnings.push('Expires is more than a year away');
+    }
+  }
+
+  if (fields.Canonical && !fields.Canonical.includes(fileUrl)) {
+    warnings.push(`Found at ${fileUrl}, which is not listed as a Canonical location`);
+  }
+
+  Object.keys(fields)
+    .filter((field) => !KNOWN_FIELDS.includes(field))
+    .forEach((field) => warnings.push(`Unknown field ${field}`));
+
+  return { errors, warnings, expires, isExpired };
+};
+
+const fetchSecurityTxt = async (fileUrl) => {
+  const response = await axios.get(fileUrl, {
+    timeout: FETCH_TIMEOUT,
+    responseType: 'text',
+    transformResponse: (data) => data,
+    maxContentLength: MAX_FILE_SIZE,
+    validateStatus: () => true,
+  });
+  const contentType = response.headers['content-type'] || '';
+  // Many sites answer every path with their HTML homepage, which isn't a security.txt
+  if (response.status !== 200 || /text\/html/i.test(contentType) || /<html/i.test(response.data)) {
+    return null;
+  }
+  return { content: response.data, contentType };
+};
+
+const securityTxtHandler = async (url) => {
+  console.log(`🔐 Looking for security.txt on: ${url}`);
+
+  for (const path of SECURITY_TXT_PATHS) {
+    const fileUrl = new URL(path, url).toString();
+    let file;
+    try {
+      file = await fetchSecurityTxt(fileUrl);
+    } catch (error) {
+      console.warn(`⚠️ Unable to fetch ${fileUrl}: ${error.message}`);
+      continue;
+    }
+    if (!file) continue;
+
+    const isPgpSigned = file.content.includes(PGP_SIGNED_HEADER)
+      && file.content.includes(PGP_SIGNATURE_HEADER);
+    const allFields = parseSecurityTxt(isPgpSigned ? stripPgpSignature(file.content) : file.content);
+    const validation = validateSecurityTxt(allFields, fileUrl);
+
+    if (!/^text\/plain/i.test(file.contentType)) {
+      validation.warnings.push(`Served as ${file.contentType || 'no content type'}, instead of text/plain`);
+    }
+    if (new URL(fileUrl).protocol !== 'https:') {
+      validation.errors.push('security.txt must be served over https');
+    }
+    if (path !== SECURITY_TXT_PATHS[0]) {
+      validation.warnings.push(`Served from the legacy location, should be at ${SECURITY_TXT_PATHS[0]}`);
+    }
+
+    // The first value of each field, for display, every value is kept in allFields
+    const fields = Object.fromEntries(
+      Object.entries(allFields).map(([field, values]) => [field, values[0]]),
+    );
+
+    console.log(`✅ Found security.txt at ${path}, ${validation.errors.length} errors`);
+
+    return {
+      isPresent: true,
+      foundIn: path,
+      content: file.content,
+      isPgpSigned,
+      fields,
+      allFields,
+      isValid: validation.errors.length === 0,
+      ...validation,
+    };
+  }
+
+  return { isPresent: false };
+};
+
+export const handler = middleware(securityTxtHandler);
+export default handler;
@@ -1,43 +1,302 @@
+/**
+ * SSL Certificate API
+ * Returns the site's certificate, and analyses the whole chain: key sizes,
+ * signature algorithms and weak hashes, missing intermediates, hostname
+ * coverage, revocation (stapled OCSP, OCSP or CRL), embedded Certificate
+ * Transparency SCTs, and whether the domain's CAA records allow the issuer.
+ * Certificates which don't validate are still returned, with the reasons why
+ */
+
 import tls from 'tls';
+import { X509Certificate } from 'crypto';
 import middleware from '../_common/middleware.js';
+import {
+  inspectCertificate, walkChain, getKeyInfo, parseCertificateDer, SIGNATURE_ALGORITHMS,
+} from '../_common/certificate.js';
+import { checkRevocation } from '../_common/revocation.js';
+import { readElement } from '../_common/asn1.js';
+import { query } from '../_common/dns-client.js';
 
-const sslHandler = async (urlString) => {
-  try {
-    const parsedUrl = new URL(urlString);
-    const options = {
-      host: parsedUrl.hostname,
-      port: parsedUrl.port || 443,
-      servername: parsedUrl.hostname,
-      rejectUnauthorized: false,
+const SCT_LIST_OID = '1.3.6.1.4.1.11129.2.4.2';
+const EXPIRY_WARNING_DAYS = 14;
+const WEAK_HASHES = ['MD5', 'SHA-1'];
+const WEAK_CURVES = ['prime192v1', 'secp192k1', 'secp224r1', 'secp224k1'];
+
+// What the OpenSSL verification errors mean
+const CHAIN_ERRORS = {
+  CERT_HAS_EXPIRED: 'A certificate in the chain has expired',
+  CERT_NOT_YET_VALID: 'A certificate in the chain is not valid yet',
+  CERT_REVOKED: 'A certificate in the chain has been revoked',
+  CERT_SIGNATURE_FAILURE: 'A certificate signature in the chain is invalid',
+  CERT_UNTRUSTED: 'The root certificate is not trusted',
+  DEPTH_ZERO_SELF_SIGNED_CERT: 'The certificate is self-signed',
+  SELF_SIGNED_CERT_IN_CHAIN: 'The chain ends in a self-signed certificate which is not trusted',
+  UNABLE_TO_GET_ISSUER_CERT: 'The issuer certificate could not be found',
+  UNABLE_TO_GET_ISSUER_CERT_LOCALLY: 'The issuer is not trusted, or an intermediate certificate is missing',
+  UNABLE_TO_VERIFY_LEAF_SIGNATURE: 'The certificate\'s issuer could not be found, usually a missing intermediate',
+  INVALID_CA: 'A certificate in the chain is not allowed to act as a CA',
+  PATH_LENGTH_EXCEEDED: 'The chain is longer than a CA allows',
+  // Node's name for errors it has no code for, including keys and hashes below OpenSSL's security level
+  UNSPECIFIED: 'The chain was rejected, possibly for a key or signature hash that is too weak',
+};
+const MISSING_INTERMEDIATE_ERRORS = [
+  'UNABLE_TO_GET_ISSUER_CERT', 'UNABLE_TO_GET_ISSUER_CERT_LOCALLY', 'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+];
+
+// CAA identifiers used by each CA, matched against the certificate's issuer
+const CAA_IDENTIFIERS = [
+  [/let's encrypt/i, ['letsencrypt.org']],
+  [/digicert|geotrust|rapidssl|thawte|symantec|cloudflare/i, ['digicert.com', 'symantec.com', 'geotrust.com', 'rapidssl.com', 'thawte.com']],
+  [/sectigo|comodo|usertrust|zerossl/i, ['sectigo.com', 'comodoca.com', 'comodo.com', 'usertrust.com', 'trust-provider.com', 'zerossl.com']],
+  [/google trust services/i, ['pki.goog', 'google.com']],
+  [/amazon/i, ['amazon.com', 'amazontrust.com', 'awstrust.com', 'amazonaws.com']],
+  [/globalsign/i, ['globalsign.com']],
+  [/godaddy|starfield/i, ['godaddy.com', 'starfieldtech.com']],
+  [/entrust/i, ['entrust.net', 'affirmtrust.com']],
+  [/buypass/i, ['buypass.com', 'buypass.no']],
+  [/ssl\.com/i, ['ssl.com']],
+  [/certum|asseco|unizeto/i, ['certum.pl', 'certum.eu']],
+  [/microsoft/i, ['microsoft.com']],
+];
+
+const SCT_HASHES = { 4: 'SHA-256', 5: 'SHA-384', 6: 'SHA-512' };
+const SCT_SIGNATURES = { 1: 'RSA', 3: 'ECDSA' };
+
+let trustedRoots = null;
+
+// Fingerprints of Node's bundled root certificates, to tell which chain certs are trusted roots
+const getTrustedRoots = () => {
+  if (!trustedRoots) {
+    trustedRoots = new Set(tls.rootCertificates.map((pem) => new X509Certificate(pem).fingerprint256));
+  }
+  return trustedRoots;
+};
+
+/**
+ * Describe each certificate in the chain, and flag weak keys and hashes
+ */
+const analyseChain = (chain) => chain.map((cert, index) => {
+  const x509 = new X509Certificate(cert.raw);
+  const { signatureAlgorithm } = parseCertificateDer(cert.raw);
+  const signature = SIGNATURE_ALGORITHMS[signatureAlgorithm] || { name: signatureAlgorithm, hash: null };
+  const key = getKeyInfo(cert.raw);
+  const selfSigned = x509.checkIssued(x509) && x509.verify(x509.publicKey);
+
+  let role = 'intermediate';
+  if (index === 0) role = 'leaf';
+  else if (selfSigned) role = 'root';
+
+  const weakKey = (key.algorithm === 'RSA' && key.size < 2048)
+    || (key.algorithm === 'EC' && WEAK_CURVES.includes(key.curve))
+    || key.algorithm === 'DSA';
+
+  return {
+    role,
+    subject: cert.subject?.CN || cert.subject?.O || null,
+    issuer: cert.issuer?.CN || cert.issuer?.O || null,
+    validFrom: new Date(cert.valid_from).toISOString(),
+    validTo: new Date(cert.valid_to).toISOString(),
+    expired: new Date(cert.valid_to) < new Date(),
+    selfSigned,
+    isCA: x509.ca,
+    trustedRoot: getTrustedRoots().has(cert.fingerprint256),
+    key,
+    signatureAlgorithm: signature.name,
+    signatureHash: signature.hash,
+    // A root's own signature is never checked, so only matters below it
+    weakHash: role !== 'root' && WEAK_HASHES.includes(signature.hash),
+    weakKey,
+    fingerprint256: cert.fingerprint256,
+    serialNumber: cert.serialNumber,
+  };
+});
+
+/**
+ * Read the SCTs embedded in a certificate (RFC 6962 3.3)
+ * @returns {Array<{version: number, logId: string, timestamp: string, signatureAlgorithm: string}>}
+ */
+export const parseScts = (raw) => {
+  const extension = parseCertificateDer(raw).extensions[SCT_LIST_OID];
+  if (!extension) return [];
+
+  // The extension's OCTET STRING wraps another, holding the TLS-encoded list
+  const list = readElement(extension.value).value;
+  const scts = [];
+  let offset = 2;
+  while (offset + 2 <= list.length) {
+    const length = list.readUInt16BE(offset);
+    const sct = list.subarray(offset + 2, offset + 2 + length);
+    offset += 2 + length;
+    if (sct.length < 43) continue;
+
+    const extensionsLength = sct.readUInt16BE(41);
+    const signatureStart = 43 + extensionsLength;
+    scts.push({
+      version: sct[0] + 1,
+      logId: sct.subarray(1, 33).toString('base64'),
+      timestamp: new Date(Number(sct.readBigUInt64BE(33))).toISOString(),
+      signatureAlgorithm: `${SCT_HASHES[sct[signatureStart]] || sct[signatureStart]} ${SCT_SIGNATURES[sct[signatureStart + 1]] || sct[signatureStart + 1]}`,
+    });
+  }
+  return scts;
+};
+
+const getCaaRecords = async (name) => {
+  const response = await query(name, 'CAA');
+  return response.answers.filter(({ typeName }) => typeName === 'CAA').map(({ data }) => data);
+};
+
+/**
+ * Find the CAA records that apply to the hostname (the closest set, climbing
+ * towards the TLD, RFC 8659), and check they allow the certificate's issuer.
+ * CAA is only checked at issuance, so a mismatch can just mean it's changed since
+ */
+const checkCaa = async (hostname, issuerNames, isWildcard) => {
+  const labels = hostname.split('.');
+  for (let i = 0; i < labels.length - 1; i += 1) {
+    const name = labels.slice(i).join('.');
+    const records = await getCaaRecords(name);
+    if (records.length === 0) continue;
+
+    const issueRecords = records.filter(({ tag }) => tag === 'issue');
+    const wildRecords = records.filter(({ tag }) => tag === 'issuewild');
+    const applicable = isWildcard && wildRecords.length > 0 ? wildRecords : issueRecords;
+    const allowed = applicable
+      .map(({ value }) => value.split(';')[0].trim().toLowerCase())
+      .filter(Boolean);
+
+    const identifiers = CAA_IDENTIFIERS
+      .filter(([pattern]) => issuerNames.some((issuerName) => pattern.test(issuerName)))
+      .flatMap(([, domains]) => domains);
+
+    let consistent = null;
+    if (applicable.length > 0) {
+      consistent = identifiers.length > 0 ? allowed.some((domain) => identifiers.includes(domain)) : null;
+    }
+
+    return {
+      present: true,
+      name,
+      records,
+      allowedIssuers: allowed,
+      issuerIdentifiers: identifiers,
+      consistent,
+      iodef: records.filter(({ tag }) => tag === 'iodef').map(({ value }) => value),
     };
+  }
+  return { present: false, records: [], consistent: null };
+};
 
-    return new Promise((resolve, reject) => {
-      const socket = tls.connect(options, () => {
-        if (!socket.authorized) {
-          return reject(new Error(`SSL handshake not authorized. Reason: ${socket.authorizationError}`));
-        }
+/**
+ * Explain why the hostname isn't covered, by showing what the certificate does cover
+ */
+const getHostnameDetails = (hostname, certificate, summary) => ({
+  hostname,
+  covered: summary.hostnameCovered,
+  commonName: certificate.subject?.CN || null,
+  subjectAltNames: summary.subjectAltNames,
+  reason: summary.hostnameError,
+});
+
+/**
+ * Turn the findings into a list of problems, worst first
+ */
+const listIssues = ({ summary, chain, missingIntermediates, revocation, scts, caa }) => {
+  const issues = [];
+  const add = (severity, message) => issues.push({ severity, message });
+
+  if (summary.chainError) add('critical', CHAIN_ERRORS[summary.chainError] || `Chain did not validate: ${summary.chainError}`);
+  if (missingIntermediates) add('critical', 'The server does not send all the intermediate certificates needed to build the chain');
+  if (!summary.hostnameCovered) add('critical', `Certificate does not cover this hostname: ${summary.hostnameError}`);
+  if (summary.expired) add('critical', 'Certificate has expired');
+  else if (summary.daysRemaining < EXPIRY_WARNING_DAYS) add('warning', `Certificate expires in ${summary.daysRemaining} days`);
+  if (revocation?.status === 'revoked') add('critical', `Certificate has been revoked${revocation.revocationReason ? ` (${revocation.revocationReason})` : ''}`);
+
+  chain.filter(({ weakHash }) => weakHash).forEach(({ role, subject, signatureAlgorithm }) => {
+    add('critical', `The ${role} certificate (${subject}) is signed with a weak hash, ${signatureAlgorithm}`);
+  });
+  chain.filter(({ weakKey }) => weakKey).forEach(({ role, subject, key }) => {
+    add('warning', `The ${role} certificate (${subject}) has a weak key, ${key.algorithm} ${key.size || key.curve}`);
+  });
+
+  if (caa?.consistent === false) add('warning', `CAA records for ${caa.name} don't allow the certificate's issuer (${caa.allowedIssuers.join(', ') || 'no CAs allowed'})`);
+  if (scts.length === 0) add('info', 'No SCTs embedded in the certificate (they may be sent in the TLS handshake instead)');
+  if (!revocation?.stapled) add('info', 'Server does not staple an OCSP response');
+
+  const order = { critical: 0, warning: 1, info: 2 };
+  return issues.sort((a, b) => order[a.severity] - order[b.severity]);
+};
 
-        const cert = socket.getPeerCertificate();
-        if (!cert || Object.keys(cert).length === 0) {
-          return reject(new Error(`
+const sslHandler = async (urlString) => {
+  const parsedUrl = new URL(urlString);
+  const { hostname } = parsedUrl;
+  console.log(`🔐 Analysing certificate chain for: ${hostname}`);
+
+  let inspection;
+  try {
+    inspection = await inspectCertificate(hostname, { port: parsedUrl.port || 443 });
+  } catch (error) {
+    if (error.message === 'No certificate presented by the server') {
+      throw new Error(`
           No certificate presented by the server.\n
           The server is possibly not using SNI (Server Name Indication) to identify itself, and you are connecting to a hostname-aliased IP address.
-          Or it may be due to an invalid SSL certificate, or an incomplete SSL handshake at the time the cert is being read.`));
-        }
+          Or it may be due to an invalid SSL certificate, or an incomplete SSL handshake at the time the cert is being read.`);
+    }
+    throw new Error(`Error fetching site certificate: ${error.message}`);
+  }
 
-        const { raw, issuerCertificate, ...certWithoutRaw } = cert;
-        resolve(certWithoutRaw);
-        socket.end();
-      });
+  const { certificate, ocspResponse, summary } = inspection;
+  const chainCerts = walkChain(certificate);
+  const chain = analyseChain(chainCerts);
 
-      socket.on('error', (error) => {
-        reject(new Error(`Error fetching site certificate: ${error.message}`));
-      });
-    });
+  // The chain stopped short of a root, and OpenSSL couldn't find the next issuer
+  const missingIntermediates = MISSING_INTERMEDIATE_ERRORS.includes(summary.chainError)
+    && chain[chain.length - 1].role !== 'root';
 
+  const issuerNames = [certificate.issuer?.O, certificate.issuer?.CN].filter(Boolean);
+  const isWildcard = summary.subjectAltNames.some((name) => name.startsWith('*.'));
+
+  const [revocation, caa] = await Promise.all([
+    checkRevocation({ leafRaw: certificate.raw, issuerRaw: chainCerts[1]?.raw, stapled: ocspResponse })
+      .catch((error) => ({ status: 'unknown', source: null, errors: [error.message] })),
+    checkCaa(hostname, issuerNames, isWildcard)
+      .catch((error) => ({ present: null, records: [], consistent: null, error: error.message })),
+  ]);
+
+  let scts = [];
+  try {
+    scts = parseScts(certificate.raw);
   } catch (error) {
-    throw new Error(error.message);
+    console.warn(`⚠️ Unable to read SCTs: ${error.message}`);
   }
+
+  const issues = listIssues({
+    summary, chain, missingIntermediates, revocation, scts, caa,
+  });
+  console.log(`✅ Chain of ${chain.length}, ${issues.filter(({ severity }) => severity === 'critical').length} critical issues`);
+
+  // The leaf's own fields stay at the top level, as the results card reads them from there
+  const { raw, issuerCertificate, ...certWithoutRaw } = certificate;
+  return {
+    ...certWithoutRaw,
+    validation: {
+      valid: summary.chainValid && summary.hostnameCovered && !summary.expired && !summary.notYetValid,
+      chainValid: summary.chainValid,
+      chainError: summary.chainError,
+      chainErrorDescription: summary.chainError ? CHAIN_ERRORS[summary.chainError] || null : null,
+      daysRemaining: summary.daysRemaining,
+      protocol: summary.protocol,
+      cipher: summary.cipher,
+    },
+    hostname: getHostnameDetails(hostname, certificate, summary),
+    chain,
+    missingIntermediates,
+    ocspStapled: !!ocspResponse,
+    revocation,
+    scts,
+    caa,
+    issues,
+  };
 };
 
 export const handler = middleware(sslHandler);
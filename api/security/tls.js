@@ -1,14 +1,13 @@
-import axios from 'axios';
 import tls from 'tls';
-import { promisify } from 'util';
 import middleware from '../_common/middleware.js';
-
-const MOZILLA_TLS_OBSERVATORY_API = 'https://tls-observatory.services.mozilla.com/api/v1';
+import { scanTls } from '../_common/tls-scanner.js';
 
 /**
  * Enhanced TLS Handler - Migrated from Go implementation
- * Provides comprehensive TLS/SSL analysis using Mozilla TLS Observatory
- * and direct TLS connection analysis
+ * Provides comprehensive TLS/SSL analysis by handshaking with the server directly:
+ * supported protocols, cipher suites in the server's order of preference,
+ * forward secrecy, weak and insecure suites, key exchange groups, and
+ * simulated handshakes from well-known clients (see _common/tls-scanner.js)
  */
 
 const getTLSConnectionInfo = async (hostname, port = 443) => {
@@ -16,12 +15,13 @@ const getTLSConnectionInfo = async (hostname, port = 443) => {
     const socket = tls.connect({
       host: hostname,
       port: port,
+      servername: hostname,
       rejectUnauthorized: false, // Allow self-signed certificates for analysis
     }, () => {
       const cert = socket.getPeerCertificate(true);
       const cipher = socket.getCipher();
       const protocol = socket.getProtocol();
-      
+
       const tlsInfo = {
         certificate: {
           subject: cert.subject,
@@ -34,13 +34,14 @@ const getTLSConnectionInfo = async (hostname, port = 443) => {
         },
         cipher: {
           name: cipher.name,
+          standardName: cipher.standardName,
           version: cipher.version
         },
         protocol: protocol,
         authorized: socket.authorized,
         authorizationError: socket.authorizationError
       };
-      
+
       socket.end();
       resolve(tlsInfo);
     });
@@ -56,83 +57,29 @@ const getTLSConnectionInfo = async (hostname, port = 443) => {
   });
 };
 
-const getMozillaTLSObservatory = async (domain) => {
-  try {
-    console.log(`🔒 Starting Mozilla TLS Observatory scan for: ${domain}`);
-    
-    // Start scan
-    const scanResponse = await axios.post(`${MOZILLA_TLS_OBSERVATORY_API}/scan?target=${domain}`, {}, {
-      timeout: 15000
-    });
-    
-    const scanId = scanResponse.data.scan_id;
-    
-    if (typeof scanId !== 'number') {
-      throw new Error('Failed to get scan_id from TLS Observatory');
-    }
-    
-    console.log(`🔍 TLS Observatory scan started with ID: ${scanId}`);
-    
-    // Wait a bit for scan to complete
-    await new Promise(resolve => setTimeout(resolve, 3000));
-    
-    // Get results
-    const resultResponse = await axios.get(`${MOZILLA_TLS_OBSERVATORY_API}/results?id=${scanId}`, {
-      timeout: 15000
-    });
-    
-    console.log(`✅ TLS Observatory scan completed`);
-    return resultResponse.data;
-    
-  } catch (error) {
-    console.warn(`⚠️ Mozilla TLS Observatory failed: ${error.message}`);
-    return null;
-  }
-};
-
 const tlsHandler = async (url) => {
   console.log(`🔒 Starting TLS analysis for: ${url}`);
-  
+
   try {
-    const domain = new URL(url).hostname;
-    
-    // Run both analyses concurrently
-    const [directTLS, observatoryResults] = await Promise.allSettled([
-      getTLSConnectionInfo(domain),
-      getMozillaTLSObservatory(domain)
-    ]);
-    
-    const result = {
-      domain: domain,
-      timestamp: new Date().toISOString()
+    const { hostname, port: urlPort } = new URL(url);
+    const port = parseInt(urlPort, 10) || 443;
+
+    // Check the host answers at all before doing a few dozen handshakes with it
+    const connection = await getTLSConnectionInfo(hostname, port);
+    console.log(`✅ Direct TLS connection analysis completed`);
+
+    const scan = await scanTls(hostname, { port });
+    const supported = scan.protocols.filter((protocol) => protocol.supported).map(({ name }) => name);
+    console.log(`🎯 TLS analysis complete for ${hostname}: ${supported.join(', ')}, ${scan.suites.length} cipher suites`);
+
+    return {
+      domain: hostname,
+      port,
+      timestamp: new Date().toISOString(),
+      connection,
+      ...scan,
     };
-    
-    // Add direct TLS connection results
-    if (directTLS.status === 'fulfilled') {
-      result.connection = directTLS.value;
-      console.log(`✅ Direct TLS connection analysis completed`);
-    } else {
-      result.connectionError = directTLS.reason.message;
-      console.warn(`⚠️ Direct TLS connection failed: ${directTLS.reason.message}`);
-    }
-    
-    // Add Mozilla TLS Observatory results
-    if (observatoryResults.status === 'fulfilled' && observatoryResults.value) {
-      result.observatory = observatoryResults.value;
-      console.log(`✅ Mozilla TLS Observatory analysis completed`);
-    } else {
-      result.observatoryError = observatoryResults.reason?.message || 'Observatory analysis failed';
-      console.warn(`⚠️ Mozilla TLS Observatory failed`);
-    }
-    
-    // Ensure we have some results
-    if (!result.connection && !result.observatory) {
-      throw new Error('Both TLS analysis methods failed');
-    }
-    
-    console.log(`🎯 TLS analysis complete for ${domain}`);
-    return result;
-    
+
   } catch (error) {
     console.error(`❌ TLS analysis failed: ${error.message}`);
     throw new Error(`TLS analysis failed: ${error.message}`);
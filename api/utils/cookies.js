@@ -1,6 +1,6 @@
 import axios from 'axios';
-import puppeteer from 'puppeteer';
 import middleware from '../_common/middleware.js';
+import { withPage } from '../_common/browser-pool.js';
 
 /**
  * Enhanced Cookies Handler - Migrated from Go implementation
@@ -10,22 +10,7 @@ import middleware from '../_common/middleware.js';
 const getPuppeteerCookies = async (url) => {
   console.log(`🍪 Getting client cookies for: ${url}`);
   
-  const browser = await puppeteer.launch({
-    headless: 'new',
-    args: [
-      '--no-sandbox', 
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-accelerated-2d-canvas',
-      '--no-first-run',
-      '--no-zygote',
-      '--disable-gpu'
-    ],
-  });
-
-  try {
-    const page = await browser.newPage();
-    
+  return withPage(async (page) => {
     // Set a reasonable timeout
     await page.setDefaultTimeout(10000);
     
@@ -55,10 +40,7 @@ const getPuppeteerCookies = async (url) => {
     
     console.log(`✅ Found ${formattedCookies.length} client cookies`);
     return formattedCookies;
-    
-  } finally {
-    await browser.close();
-  }
+  });
 };
 
 const cookieHandler = async (url) => {
@@ -1,28 +1,302 @@
-import got from 'got';
+import net from 'net';
+import psl from 'psl';
 import middleware from '../_common/middleware.js';
+import { timedRequest } from '../_common/timing.js';
 
-const redirectsHandler = async (url) => {
-  const redirects = [url];
+/**
+ * Redirects
+ * Follows a URL's redirects one hop at a time, recording each hop's status code,
+ * timings, and the headers which matter across a redirect (HSTS, cookies, caching).
+ * Besides HTTP redirects, pages which send the browser on with a Refresh header,
+ * a meta refresh or a small inline script setting location are followed too.
+ * The chain is then checked for loops, HTTPS to HTTP downgrades and hops to other domains.
+ * Given ?userAgents=mobile,googlebot the chain is also followed as each of those,
+ * to expose sites which send some visitors (often search engine crawlers) elsewhere
+ */
+
+const MAX_HOPS = 12;
+const HOP_TIMEOUT = 8000;
+// Redirect stubs are tiny, larger scripts likely only change location on user action
+const MAX_REDIRECT_SCRIPT_LENGTH = 2000;
+
+export const USER_AGENTS = {
+  desktop: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  mobile: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Mobile/15E148 Safari/604.1',
+  googlebot: 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+  bingbot: 'Mozilla/5.0 (compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm)',
+  curl: 'curl/8.4.0',
+};
+
+// A bare location could be any variable (var location = "Paris"), so it needs an object or .href
+const JS_REDIRECTS = [
+  /(?<![\w$.])(?:(?:window|document|top|self)\.location(?:\.href)?|location\.href)\s*=\s*(["'`])([^"'`\s]+)\1/,
+  /\blocation\.(?:replace|assign)\(\s*(["'`])([^"'`\s]+)\1\s*\)/,
+];
+
+// Same page, ignoring the fragment, which never reaches the server
+const normalizeUrl = (url) => {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  return parsed.toString();
+};
+
+/**
+ * Resolve a redirect target against the page it's on. Only http(s) targets are followed
+ */
+const resolveTarget = (target, base) => {
   try {
-    await got(url, {
-      followRedirect: true,
-      maxRedirects: 12,
-      hooks: {
-        beforeRedirect: [
-          (options, response) => {
-            redirects.push(response.headers.location);
-          },
-        ],
-      },
+    const resolved = new URL(target, base);
+    return ['http:', 'https:'].includes(resolved.protocol) ? resolved.toString() : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Parse a Refresh header or meta refresh value, e.g. "0; url=/home".
+ * A delay alone just reloads the page, so isn't a redirect
+ * @returns {{delay: number, target: string}|null}
+ */
+export const parseRefresh = (value) => {
+  const match = (value || '').match(/^\s*(\d+(?:\.\d+)?)?\s*[;,]?\s*(?:url\s*=\s*)?["']?([^"']*)["']?\s*$/i);
+  if (!match || !match[2].trim()) return null;
+  return { delay: parseFloat(match[1] || '0'), target: match[2].trim() };
+};
+
+const findMetaRefresh = (html) => {
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    if (!/http-equiv\s*=\s*["']?refresh\b/i.test(tag)) continue;
+    const content = tag.match(/\bcontent\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+    const refresh = content && parseRefresh(content[1] ?? content[2] ?? content[3]);
+    if (refresh) return refresh;
+  }
+  return null;
+};
+
+const findScriptRedirect = (html) => {
+  for (const [, attributes, script] of html.matchAll(/<script\b([^>]*)>([\s\S]*?)<\/script>/gi)) {
+    if (/\bsrc\s*=/i.test(attributes) || script.length > MAX_REDIRECT_SCRIPT_LENGTH) continue;
+    for (const pattern of JS_REDIRECTS) {
+      const match = script.match(pattern);
+      if (match) return { target: match[2] };
+    }
+  }
+  return null;
+};
+
+/**
+ * Work out where a response sends the client next, if anywhere
+ * @returns {{type: string, to: string, delay?: number}|null}
+ */
+const findRedirect = ({ statusCode, headers, body }, url, clientRedirects) => {
+  if (statusCode >= 300 && statusCode < 400 && headers.location) {
+    const to = resolveTarget(headers.location, url);
+    return to && { type: 'http', to };
+  }
+
+  const candidates = [];
+  const refreshHeader = parseRefresh(headers.refresh);
+  if (refreshHeader) candidates.push({ type: 'refresh-header', ...refreshHeader });
+  if (clientRedirects && body && /html/i.test(headers['content-type'] || '')) {
+    const metaRefresh = findMetaRefresh(body);
+    if (metaRefresh) candidates.push({ type: 'meta-refresh', ...metaRefresh });
+    const scriptRedirect = findScriptRedirect(body);
+    if (scriptRedirect) candidates.push({ type: 'javascript', ...scriptRedirect });
+  }
+
+  for (const { type, target, delay } of candidates) {
+    const to = resolveTarget(target, url);
+    // Pointing back at the same page is a reload, not a redirect
+    if (to && normalizeUrl(to) !== normalizeUrl(url)) {
+      return { type, to, ...(delay !== undefined && { delay }) };
+    }
+  }
+  return null;
+};
+
+/**
+ * The response headers which matter across a redirect. Only cookie names are kept, not their values
+ */
+const pickHeaders = (headers) => {
+  const picked = {
+    hsts: headers['strict-transport-security'],
+    setCookie: (headers['set-cookie'] || []).map((cookie) => cookie.split('=')[0].trim()),
+    cacheControl: headers['cache-control'],
+    expires: headers.expires,
+    age: headers.age,
+    vary: headers.vary,
+    server: headers.server,
+  };
+  return Object.fromEntries(Object.entries(picked).filter(([, value]) => (
+    value !== undefined && !(Array.isArray(value) && !value.length)
+  )));
+};
+
+/**
+ * Follow the chain from a URL, one request per hop, stopping at a loop or after MAX_HOPS
+ * @returns {Promise<{hops: Object[], loop: string|null, tooManyRedirects: boolean}>}
+ */
+const followChain = async (startUrl, userAgent, clientRedirects) => {
+  const hops = [];
+  const visited = new Set();
+  let url = startUrl;
+
+  for (;;) {
+    visited.add(normalizeUrl(url));
+    let result;
+    try {
+      result = await timedRequest(url, {
+        headers: { 'User-Agent': userAgent },
+        timeout: HOP_TIMEOUT,
+        includeBody: clientRedirects,
+      });
+    } catch (error) {
+      // Nothing to report if the first request fails, else the chain breaks here
+      if (!hops.length) throw error;
+      hops.push({ url, error: error.code ? `${error.code}: ${error.message}` : error.message });
+      return { hops, loop: null, tooManyRedirects: false };
+    }
+
+    const redirect = findRedirect(result, url, clientRedirects);
+    hops.push({
+      url,
+      statusCode: result.statusCode,
+      statusMessage: result.statusMessage,
+      remoteAddress: result.remoteAddress,
+      timings: result.timings,
+      headers: pickHeaders(result.headers),
+      ...(redirect && { redirect }),
     });
 
-    return {
-      redirects: redirects,
-    };
-  } catch (error) {
-    throw new Error(`Error: ${error.message}`);
+    if (!redirect) return { hops, loop: null, tooManyRedirects: false };
+    if (visited.has(normalizeUrl(redirect.to))) return { hops, loop: redirect.to, tooManyRedirects: false };
+    if (hops.length >= MAX_HOPS) return { hops, loop: null, tooManyRedirects: true };
+    url = redirect.to;
   }
 };
 
+// The registrable domain a URL is on, or its IP
+const getSite = (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  return (!net.isIP(hostname) && psl.get(hostname)) || hostname;
+};
+
+/**
+ * Check each hop of a chain for downgrades from HTTPS to HTTP, and moves to another site
+ */
+const analyseHops = (hops) => {
+  const downgrades = [];
+  const crossDomain = [];
+  hops.filter(({ redirect }) => redirect).forEach(({ url, redirect }) => {
+    if (url.startsWith('https:') && redirect.to.startsWith('http:')) downgrades.push({ from: url, to: redirect.to });
+    if (getSite(url) !== getSite(redirect.to)) crossDomain.push({ from: getSite(url), to: getSite(redirect.to) });
+  });
+  return { downgrades, crossDomain };
+};
+
+const CLIENT_REDIRECT_NAMES = { 'refresh-header': 'a Refresh header', 'meta-refresh': 'a meta refresh', javascript: 'JavaScript' };
+
+const listIssues = ({ hops, loop, tooManyRedirects, downgrades, crossDomain, variants }) => {
+  const issues = [];
+  if (loop) issues.push({ severity: 'critical', message: `Redirect loop, back to ${loop}` });
+  downgrades.forEach(({ from, to }) => {
+    issues.push({ severity: 'critical', message: `Redirects from HTTPS to HTTP, ${from} to ${to}` });
+  });
+  if (tooManyRedirects) issues.push({ severity: 'warning', message: `Stopped after ${MAX_HOPS} redirects` });
+  const broken = hops.find(({ error }) => error);
+  if (broken) issues.push({ severity: 'warning', message: `Redirects to ${broken.url}, which failed (${broken.error})` });
+  const final = hops[hops.length - 1];
+  (variants || []).filter(({ differs }) => differs).forEach((variant) => {
+    let outcome = `end up somewhere else, ${variant.finalUrl}`;
+    if (variant.error) outcome = `get an error, ${variant.error}`;
+    else if (variant.loop && !loop) outcome = 'are sent round a redirect loop';
+    else if (variant.tooManyRedirects && !tooManyRedirects) outcome = `are sent through more than ${MAX_HOPS} redirects`;
+    else if (variant.finalUrl === final.url) {
+      outcome = `get a ${variant.finalStatus ?? 'failed'} response, rather than ${final.statusCode ?? 'a failure'}`;
+    }
+    issues.push({
+      severity: 'warning',
+      message: `Visitors identifying as ${variant.userAgent} ${outcome}, which may be cloaking`,
+    });
+  });
+
+  const upgrade = hops.find(({ url, redirect }) => url.startsWith('http:') && redirect?.to.startsWith('https:'));
+  const upgraded = upgrade && hops.find(({ url }) => url === upgrade.redirect.to);
+  if (upgraded && !upgraded.error && !upgraded.headers.hsts) {
+    issues.push({ severity: 'warning', message: 'Redirects HTTP to HTTPS, but without HSTS, so the first visit can be intercepted' });
+  }
+  if (upgrade && [302, 303, 307].includes(upgrade.statusCode)) {
+    issues.push({ severity: 'info', message: `Upgrades to HTTPS with a temporary (${upgrade.statusCode}) redirect, which browsers won't cache` });
+  }
+  crossDomain.forEach(({ from, to }) => {
+    issues.push({ severity: 'info', message: `Redirects from ${from} to another domain, ${to}` });
+  });
+  hops.filter(({ redirect }) => redirect && redirect.type !== 'http').forEach(({ url, redirect }) => {
+    issues.push({ severity: 'info', message: `${url} redirects with ${CLIENT_REDIRECT_NAMES[redirect.type]}, which not every client follows` });
+  });
+  const cookies = [...new Set(hops.filter(({ redirect }) => redirect).flatMap(({ headers }) => headers.setCookie || []))];
+  if (cookies.length) issues.push({ severity: 'info', message: `Cookies set while redirecting: ${cookies.join(', ')}` });
+  return issues;
+};
+
+const redirectsHandler = async (url, event) => {
+  const params = event?.query || event?.queryStringParameters || {};
+  const clientRedirects = params.clientRedirects !== 'false';
+  const variantNames = (params.userAgents || '').split(',').map((name) => name.trim().toLowerCase()).filter(Boolean);
+  const unknown = variantNames.filter((name) => !USER_AGENTS[name]);
+  if (unknown.length) {
+    return { statusCode: 400, body: { error: `Unknown user agent ${unknown.join(', ')}, use any of ${Object.keys(USER_AGENTS).join(', ')}` } };
+  }
+
+  console.log(`↪️ Following redirects from ${url}`);
+  const chain = await followChain(url, USER_AGENTS.desktop, clientRedirects);
+  const { hops } = chain;
+  const final = hops[hops.length - 1];
+
+  // The same chain as other clients, compared by where each ends up
+  const variants = await Promise.all(variantNames.filter((name) => name !== 'desktop').map(async (name) => {
+    try {
+      const variant = await followChain(url, USER_AGENTS[name], clientRedirects);
+      const variantFinal = variant.hops[variant.hops.length - 1];
+      const finalStatus = variantFinal.statusCode ?? null;
+      return {
+        userAgent: name,
+        finalUrl: variantFinal.url,
+        finalStatus,
+        redirects: variant.hops.filter(({ redirect }) => redirect).map(({ redirect }) => redirect.to),
+        loop: Boolean(variant.loop),
+        tooManyRedirects: variant.tooManyRedirects,
+        // Ending up on the same URL isn't the same outcome, if it's only there by looping or giving up
+        differs: normalizeUrl(variantFinal.url) !== normalizeUrl(final.url)
+          || finalStatus !== (final.statusCode ?? null)
+          || Boolean(variant.loop) !== Boolean(chain.loop)
+          || variant.tooManyRedirects !== chain.tooManyRedirects,
+      };
+    } catch (error) {
+      return { userAgent: name, error: error.message, differs: true };
+    }
+  }));
+
+  const results = {
+    ...chain,
+    ...analyseHops(hops),
+    ...(variantNames.length && { variants }),
+  };
+
+  return {
+    redirects: [url, ...hops.filter(({ redirect }) => redirect).map(({ redirect }) => redirect.to)],
+    chain: hops,
+    finalUrl: final.url,
+    finalStatus: final.statusCode ?? null,
+    totalTime: Math.round(hops.reduce((total, { timings }) => total + (timings?.total || 0), 0) * 100) / 100,
+    loop: Boolean(results.loop),
+    tooManyRedirects: results.tooManyRedirects,
+    downgrades: results.downgrades,
+    crossDomain: results.crossDomain,
+    ...(variantNames.length && { variants, cloaking: variants.some(({ differs }) => differs) }),
+    issues: listIssues(results),
+  };
+};
+
 export const handler = middleware(redirectsHandler);
 export default handler;
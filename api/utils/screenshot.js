@@ -0,0 +1,107 @@
+/**
+ * Screenshot API
+ * Captures a page in a headless browser from the shared pool, with
+ * desktop, tablet or mobile viewports, and PNG, JPEG or WebP output
+ */
+
+import { KnownDevices } from 'puppeteer';
+import middleware from '../_common/middleware.js';
+import { withPage } from '../_common/browser-pool.js';
+
+const VIEWPORTS = {
+  desktop: {
+    viewport: { width: 1440, height: 900, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+  },
+  tablet: KnownDevices['iPad Mini'],
+  mobile: KnownDevices['iPhone 13'],
+};
+
+const FORMATS = ['png', 'jpeg', 'webp'];
+const DEFAULT_QUALITY = 80;
+
+// Stops endlessly scrolling pages from producing enormous images
+const MAX_PAGE_HEIGHT = 10000;
+const NAVIGATION_TIMEOUT = 20000;
+
+/**
+ * Read and validate the capture options from the query string
+ * @returns {{viewport: string, format: string, fullPage: boolean, quality: number|undefined}}
+ */
+const getOptions = (query = {}) => {
+  const viewport = (query.viewport || 'desktop').toLowerCase();
+  if (!VIEWPORTS[viewport]) {
+    throw new Error(`Unknown viewport "${viewport}", expected one of: ${Object.keys(VIEWPORTS).join(', ')}`);
+  }
+
+  const format = (query.format || 'png').toLowerCase().replace('jpg', 'jpeg');
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format "${format}", expected one of: ${FORMATS.join(', ')}`);
+  }
+
+  const quality = parseInt(query.quality, 10);
+  return {
+    viewport,
+    format,
+    fullPage: query.fullPage !== 'false',
+    // Quality only applies to lossy formats
+    quality: format === 'png' ? undefined : Math.min(Math.max(quality || DEFAULT_QUALITY, 0), 100),
+  };
+};
+
+const screenshotHandler = async (url, event) => {
+  let options;
+  try {
+    options = getOptions(event?.query || event?.queryStringParameters);
+  } catch (error) {
+    return { statusCode: 400, body: { error: error.message } };
+  }
+  console.log(`📸 Taking ${options.viewport} screenshot of: ${url}`);
+
+  const preset = VIEWPORTS[options.viewport];
+
+  const result = await withPage(async (page) => {
+    await page.setViewport(preset.viewport);
+    if (preset.userAgent) await page.setUserAgent(preset.userAgent);
+
+    try {
+      await page.goto(url, { waitUntil: 'networkidle2', timeout: NAVIGATION_TIMEOUT });
+    } catch (error) {
+      // Pages with long-polling or analytics never go idle, but are usually rendered by now
+      if (error.name !== 'TimeoutError') throw error;
+      console.warn(`⚠️ Page didn't settle within ${NAVIGATION_TIMEOUT}ms, capturing anyway`);
+    }
+
+    const { width } = preset.viewport;
+    const pageHeight = await page.evaluate(() => document.documentElement.scrollHeight);
+    const truncated = options.fullPage && pageHeight > MAX_PAGE_HEIGHT;
+    const height = options.fullPage ? Math.min(pageHeight, MAX_PAGE_HEIGHT) : preset.viewport.height;
+
+    const image = await page.screenshot({
+      type: options.format,
+      quality: options.quality,
+      encoding: 'base64',
+      ...(truncated
+        ? { clip: { x: 0, y: 0, width, height }, captureBeyondViewport: true }
+        : { fullPage: options.fullPage }),
+    });
+
+    return { image, width, height, truncated };
+  });
+
+  console.log(`✅ Screenshot captured (${result.width}x${result.height} ${options.format})`);
+
+  return {
+    // The card renders `image` as a PNG, other formats go in `data` as a data URL
+    ...(options.format === 'png' && { image: result.image }),
+    data: `data:image/${options.format};base64,${result.image}`,
+    format: options.format,
+    viewport: options.viewport,
+    fullPage: options.fullPage,
+    width: result.width,
+    height: result.height,
+    truncated: result.truncated,
+  };
+};
+
+export const handler = middleware(screenshotHandler);
+export default handler;
@@ -6,7 +6,6 @@ import { initializeDatabase, User, MonitoringConfig, MonitoringResults } from '.
 import monitoringService from './src/monitoring/service.js';
 import WebSocketServer from './src/websocket/server.js';
 import path from 'path';
-import fs from 'fs';
 import { fileURLToPath } from 'url';
 
 // Import security features
@@ -18,6 +17,7 @@ import {
   errorHandler,
   healthCheck
 } from './api/_common/security.js';
+import { loadRoutes } from './api/_common/routes.js';
 
 // Get current directory for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -49,54 +49,36 @@ const handlers = {};
 async function registerApiRoutes() {
   const apiDir = path.join(__dirname, 'api');
   console.log(`📁 Looking for API files in: ${apiDir}`);
-  
-  await registerApiDirectory(apiDir, '');
-  
-  console.log(`🎯 Total routes registered: ${Object.keys(handlers).length}`);
-  console.log(`📋 Registered routes:`, Object.keys(handlers));
-}
 
-// Recursively register API routes from directories
-async function registerApiDirectory(dirPath, prefix) {
-  const items = fs.readdirSync(dirPath, { withFileTypes: true });
-  
-  for (const item of items) {
-    const itemPath = path.join(dirPath, item.name);
-    
-    if (item.isDirectory()) {
-      // Recursively process subdirectories
-      await registerApiDirectory(itemPath, `${prefix}/${item.name}`);
-    } else if (item.isFile() && item.name.endsWith('.js') && !item.name.includes('webpack') && !item.name.includes('config')) {
-      const routeName = item.name.split('.')[0];
-      const route = `${API_DIR}${prefix}/${routeName}`;
-      
-      try {
-        const handlerModule = await import(itemPath);
-        const handler = handlerModule.default || handlerModule;
-        handlers[route] = handler;
-
-        // Apply appropriate rate limiting based on route category
-        let rateLimit = rateLimitConfigs.general; // Default
-        if (route.includes('/ai')) {
-          rateLimit = rateLimitConfigs.ai;
-        } else if (route.includes('/security')) {
-          rateLimit = rateLimitConfigs.security;
-        } else if (route.includes('/network')) {
-          rateLimit = rateLimitConfigs.network;
-        }
-
-        // Support both GET and POST requests for API endpoints with rate limiting
-        app.get(route, rateLimit, handler);
-        app.post(route, rateLimit, handler);
-        app.put(route, rateLimit, handler);
-        app.delete(route, rateLimit, handler);
-
-        console.log(`✅ Registered API route: ${route}`);
-      } catch (error) {
-        console.error(`❌ Failed to load route ${route}:`, error);
-      }
+  const routes = await loadRoutes(apiDir);
+
+  for (const { route, alias, handler } of routes) {
+    handlers[route] = handler;
+
+    // Apply appropriate rate limiting based on route category
+    let rateLimit = rateLimitConfigs.general; // Default
+    if (route.includes('/ai')) {
+      rateLimit = rateLimitConfigs.ai;
+    } else if (route.includes('/security')) {
+      rateLimit = rateLimitConfigs.security;
+    } else if (route.includes('/network')) {
+      rateLimit = rateLimitConfigs.network;
     }
+
+    // Nested handlers are also served under the flat alias the frontend uses
+    for (const routePath of [route, alias].filter(Boolean)) {
+      // Support both GET and POST requests for API endpoints with rate limiting
+      app.get(routePath, rateLimit, handler);
+      app.post(routePath, rateLimit, handler);
+      app.put(routePath, rateLimit, handler);
+      app.delete(routePath, rateLimit, handler);
+    }
+
+    console.log(`✅ Registered API route: ${route}${alias ? ` (alias ${alias})` : ''}`);
   }
+
+  console.log(`🎯 Total routes registered: ${Object.keys(handlers).length}`);
+  console.log(`📋 Registered routes:`, Object.keys(handlers));
 }
 
 // Health check endpoint
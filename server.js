@@ -11,6 +11,8 @@ import { initializeDatabase } from './src/database/models.js';
 import monitoringService from './src/monitoring/service.js';
 import WebSocketServer from './src/websocket/server.js';
 import redisClient from './src/cache/redis-client.js';
+import { loadRoutes } from './api/_common/routes.js';
+import { closeBrowserPool } from './api/_common/browser-pool.js';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -30,7 +32,7 @@ const API_DIR = '/api'; // Name of the dir containing the lambda functions
 const dirPath = path.join(__dirname, API_DIR); // Path to the lambda functions dir
 const guiPath = path.join(__dirname, 'dist', 'client');
 const placeholderFilePath = path.join(__dirname, 'public', 'placeholder.html');
-const handlers = {}; // Will store list of API endpoints
+const handlers = {}; // Will store list of API endpoints, keyed by job name
 process.env.WC_SERVER = 'true'; // Tells middleware to return in non-lambda mode
 
 // Enable CORS
@@ -66,51 +68,29 @@ if (process.env.API_ENABLE_RATE_LIMIT === 'true') {
   app.use(API_DIR, limiters);
 }
 
-// Read and register each API function as an Express routes
-fs.readdirSync(dirPath, { withFileTypes: true })
-  .filter(dirent => dirent.isFile() && dirent.name.endsWith('.js'))
-  .forEach(async dirent => {
-    const routeName = dirent.name.split('.')[0];
-    const route = `${API_DIR}/${routeName}`;
-    // const handler = require(path.join(dirPath, dirent.name));
-
-    const handlerModule = await import(path.join(dirPath, dirent.name));
-    const handler = handlerModule.default || handlerModule;
-    handlers[route] = handler;
-
-    // Support both GET and POST requests for API endpoints
-    app.get(route, async (req, res) => {
-      try {
-        await handler(req, res);
-      } catch (err) {
-        res.status(500).json({ error: err.message });
-      }
-    });
-
-    app.post(route, async (req, res) => {
-      try {
-        await handler(req, res);
-      } catch (err) {
-        res.status(500).json({ error: err.message });
-      }
-    });
-
-    app.put(route, async (req, res) => {
-      try {
-        await handler(req, res);
-      } catch (err) {
-        res.status(500).json({ error: err.message });
-      }
-    });
+// Wrap a handler, so that any uncaught errors are returned as JSON
+const routeHandler = (handler) => async (req, res) => {
+  try {
+    await handler(req, res);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
 
-    app.delete(route, async (req, res) => {
-      try {
-        await handler(req, res);
-      } catch (err) {
-        res.status(500).json({ error: err.message });
-      }
-    });
+// Read and register each API function (including those in nested dirs) as Express routes
+const routes = await loadRoutes(dirPath);
+routes.forEach(({ route, alias, jobName, handler }) => {
+  handlers[jobName] = handler;
+
+  // Nested handlers are served under their full path, plus the flat alias the GUI uses
+  [route, alias].filter(Boolean).forEach((routePath) => {
+    // Support GET, POST, PUT and DELETE requests for API endpoints
+    app.get(routePath, routeHandler(handler));
+    app.post(routePath, routeHandler(handler));
+    app.put(routePath, routeHandler(handler));
+    app.delete(routePath, routeHandler(handler));
   });
+});
 
 const renderPlaceholderPage = async (res, msgId, logs) => {
   const errorMessages = {
@@ -128,7 +108,17 @@ const renderPlaceholderPage = async (res, msgId, logs) => {
   res.status(500).send(htmlContent);
 };
 
-// Create a single API endpoint to execute all lambda functions
+// Jobs left out of the all-in-one endpoint. Every other route (including new or nested
+// handlers) is run. Excluded are admin, monitoring and AI routes, those which launch a
+// browser (cookies, tech-stack, quality, carbon, screenshot), enumerate handshakes (tls),
+// scan ports, trace routes or download rank lists
+const AGGREGATE_EXCLUDED_JOBS = new Set([
+  'dashboard', 'monitoring', 'ai-monitoring-insights', 'ai-vulnerability-analysis', 'test-ai',
+  'cookies', 'tech-stack', 'quality', 'carbon', 'screenshot',
+  'tls', 'ports', 'trace-route', 'legacy-rank',
+]);
+
+// Create a single API endpoint to execute every scan job
 app.get(API_DIR, async (req, res) => {
   const results = {};
   const { url } = req.query;
@@ -158,9 +148,8 @@ app.get(API_DIR, async (req, res) => {
     });
   };
 
-  const handlerPromises = Object.entries(handlers).map(async ([route, handler]) => {
-    const routeName = route.replace(`${API_DIR}/`, '');
-
+  const jobs = Object.entries(handlers).filter(([routeName]) => !AGGREGATE_EXCLUDED_JOBS.has(routeName));
+  const handlerPromises = jobs.map(async ([routeName, handler]) => {
     try {
       const result = await Promise.race([
         executeHandler(handler, req, res),
@@ -270,6 +259,7 @@ async function startServer() {
     process.on('SIGTERM', async () => {
       console.log('\x1b[33mReceived SIGTERM, shutting down gracefully...\x1b[0m');
       await redisClient.disconnect();
+      await closeBrowserPool();
       server.close(() => {
         console.log('\x1b[32mServer closed\x1b[0m');
         process.exit(0);
@@ -279,6 +269,7 @@ async function startServer() {
     process.on('SIGINT', async () => {
       console.log('\x1b[33mReceived SIGINT, shutting down gracefully...\x1b[0m');
       await redisClient.disconnect();
+      await closeBrowserPool();
       server.close(() => {
         console.log('\x1b[32mServer closed\x1b[0m');
         process.exit(0);
@@ -73,6 +73,13 @@ class VulnerabilityAnalyzer extends AIService {
           score: 7.0,
           description: 'Dangerous ports are open and accessible',
           remediation: 'Close unnecessary ports and implement proper firewall rules'
+        },
+        {
+          name: 'Email Spoofing Exposure',
+          pattern: (data) => this.hasMailFindings(data.mail, ['critical', 'high']),
+          score: 7.0,
+          description: 'Missing or broken SPF, DKIM or DMARC lets others send mail as this domain',
+          remediation: 'Publish a valid SPF record, DKIM keys and an enforcing DMARC policy'
         }
       ],
       medium: [
@@ -89,6 +96,13 @@ class VulnerabilityAnalyzer extends AIService {
           score: 6.0,
           description: 'Server reveals sensitive information in headers or responses',
           remediation: 'Remove or obfuscate server version information'
+        },
+        {
+          name: 'Weak Mail Authentication Policy',
+          pattern: (data) => this.hasMailFindings(data.mail, ['medium']),
+          score: 5.0,
+          description: 'Mail authentication is in place, but too permissive to stop spoofing',
+          remediation: 'Move DMARC to quarantine or reject, and end SPF with -all'
         }
       ],
       low: [
@@ -98,6 +112,13 @@ class VulnerabilityAnalyzer extends AIService {
           score: 3.5,
           description: 'SSL configuration could be improved',
           remediation: 'Consider implementing HSTS preload and certificate transparency'
+        },
+        {
+          name: 'Mail Hardening Gaps',
+          pattern: (data) => this.hasMailFindings(data.mail, ['low']),
+          score: 2.5,
+          description: 'Mail configuration could be improved (MTA-STS, TLS reporting or DKIM key strength)',
+          remediation: 'Publish MTA-STS and TLS-RPT policies, and use 2048-bit DKIM keys'
         }
       ]
     };
@@ -376,6 +397,13 @@ class VulnerabilityAnalyzer extends AIService {
     return !sslData.hsts_preload || !sslData.certificate_transparency;
   }
 
+  hasMailFindings(mail, severities) {
+    if (!mail?.findings) return false;
+    
+    // Findings come graded from the mail-config endpoint
+    return mail.findings.some(finding => severities.includes(finding.severity));
+  }
+
   // Utility methods
 
   generateVulnerabilityId(name) {
@@ -387,7 +415,8 @@ class VulnerabilityAnalyzer extends AIService {
       'SSL': ['ssl', 'certificate', 'tls'],
       'Headers': ['header', 'security header'],
       'Network': ['port', 'firewall'],
-      'Application': ['tech', 'technology', 'framework']
+      'Application': ['tech', 'technology', 'framework'],
+      'Mail': ['mail', 'spf', 'dkim', 'dmarc']
     };
 
     for (const [component, keywords] of Object.entries(componentMap)) {
@@ -412,6 +441,9 @@ class VulnerabilityAnalyzer extends AIService {
     if (rule.name.includes('Threat')) {
       evidence.threats = data.threats;
     }
+    if (rule.name.toLowerCase().includes('mail')) {
+      evidence.mail = data.mail?.findings;
+    }
     
     return evidence;
   }
@@ -428,7 +460,7 @@ class VulnerabilityAnalyzer extends AIService {
     let confidence = 0.5; // Base confidence
     
     // Increase confidence based on data completeness
-    const dataFields = ['ssl', 'headers', 'threats', 'techStack', 'ports'];
+    const dataFields = ['ssl', 'headers', 'threats', 'techStack', 'ports', 'mail'];
     const availableFields = dataFields.filter(field => data[field]);
     confidence += (availableFields.length / dataFields.length) * 0.3;
     
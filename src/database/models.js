@@ -337,7 +337,8 @@ class MonitoringResults extends BaseModel {
       error,
       headers,
       content_length,
-      ssl_info
+      ssl_info,
+      performance_metrics
     } = resultData;
 
     return super.create({
@@ -351,7 +352,8 @@ class MonitoringResults extends BaseModel {
       error,
       headers,
       content_length,
-      ssl_info
+      ssl_info,
+      performance_metrics
     });
   }
 
@@ -2,6 +2,8 @@ import { MonitoringConfig, MonitoringResults } from '../database/dev-models.js';
 import redisClient from '../cache/redis-client.js';
 import WebSocketServer from '../websocket/server.js';
 import MonitoringAIAnalyzer from '../ai/analyzers/monitoring-ai-analyzer.js';
+import { timedRequest } from '../../api/_common/timing.js';
+import { inspectCertificate } from '../../api/_common/certificate.js';
 import { createServer } from 'http';
 import cron from 'node-cron';
 import nodemailer from 'nodemailer';
@@ -125,28 +127,33 @@ class MonitoringService {
     const checkId = `check_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
     try {
-      // Perform HTTP check
-      const response = await fetch(monitor.url, {
-        method: 'GET',
+      // Perform HTTP check, timing each phase of the request
+      const response = await timedRequest(monitor.url, {
         timeout: monitor.thresholds.response_time || 30000,
+        maxRedirects: 5,
         headers: {
           'User-Agent': 'Web-Scan-Monitor/1.0'
         }
       });
 
-      const responseTime = Date.now() - startTime;
       const result = {
         check_id: checkId,
         config_id: monitor.id,
         url: monitor.url,
-        status_code: response.status,
-        response_time: responseTime,
+        status_code: response.statusCode,
+        response_time: Math.round(response.totalTime),
         timestamp: new Date().toISOString(),
-        success: response.ok,
+        success: response.statusCode >= 200 && response.statusCode < 300,
         error: null,
-        headers: Object.fromEntries(response.headers.entries()),
-        content_length: response.headers.get('content-length'),
-        ssl_info: await this.checkSSL(monitor.url)
+        headers: response.headers,
+        content_length: response.headers['content-length'],
+        ssl_info: await this.checkSSL(monitor.url),
+        timings: response.timings,
+        performance_metrics: {
+          timings: response.timings,
+          redirects: response.redirects.length,
+          remote_address: response.remoteAddress
+        }
       };
 
       return result;
@@ -163,24 +170,37 @@ class MonitoringService {
         error: error.message,
         headers: null,
         content_length: null,
-        ssl_info: null
+        ssl_info: null,
+        timings: null,
+        performance_metrics: null
       };
     }
   }
 
   async checkSSL(url) {
     try {
-      // This is a simplified SSL check
-      // In a real implementation, you'd use a proper SSL checker
       const urlObj = new URL(url);
-      if (urlObj.protocol === 'https:') {
-        return {
-          valid: true,
-          expires_in: 30, // days (placeholder)
-          issuer: 'Unknown'
-        };
+      if (urlObj.protocol !== 'https:') {
+        return { valid: false, reason: 'Not HTTPS' };
       }
-      return { valid: false, reason: 'Not HTTPS' };
+
+      const { summary } = await inspectCertificate(urlObj.hostname, { port: urlObj.port || 443 });
+      return {
+        valid: summary.chainValid && summary.hostnameCovered && !summary.expired && !summary.notYetValid,
+        expires_in: summary.daysRemaining,
+        expires_at: summary.validTo,
+        issuer: summary.issuer,
+        subject: summary.subject,
+        hostname_covered: summary.hostnameCovered,
+        san: summary.subjectAltNames,
+        chain_valid: summary.chainValid,
+        chain_error: summary.chainError,
+        key_algorithm: summary.key.algorithm,
+        key_size: summary.key.size || summary.key.curve,
+        fingerprint: summary.fingerprint256,
+        serial_number: summary.serialNumber,
+        protocol: summary.protocol
+      };
     } catch (error) {
       return { valid: false, error: error.message };
     }
@@ -192,6 +212,11 @@ class MonitoringService {
 
     // Update monitor state
     monitor.lastCheck = result.timestamp;
+    // Remember the certificate, to spot when it's replaced
+    monitor.previousSslFingerprint = monitor.sslFingerprint;
+    if (result.ssl_info?.fingerprint) {
+      monitor.sslFingerprint = result.ssl_info.fingerprint;
+    }
     
     if (result.success) {
       monitor.consecutiveSuccesses++;
@@ -268,16 +293,43 @@ class MonitoringService {
     }
 
     // Check SSL expiration
-    if (result.ssl_info && result.ssl_info.expires_in < thresholds.ssl_expiry_days) {
+    const sslInfo = result.ssl_info;
+    if (sslInfo && typeof sslInfo.expires_in === 'number' && sslInfo.expires_in < thresholds.ssl_expiry_days) {
       alerts.push({
         type: 'ssl_expiry',
-        severity: 'warning',
-        message: `SSL certificate expires in ${result.ssl_info.expires_in} days`,
-        value: result.ssl_info.expires_in,
+        severity: sslInfo.expires_in < 0 ? 'critical' : 'warning',
+        message: sslInfo.expires_in < 0
+          ? `SSL certificate expired ${Math.abs(sslInfo.expires_in)} days ago`
+          : `SSL certificate expires in ${sslInfo.expires_in} days`,
+        value: sslInfo.expires_in,
         threshold: thresholds.ssl_expiry_days
       });
     }
 
+    // Check the certificate is trusted, and covers the monitored hostname
+    if (sslInfo && sslInfo.fingerprint && (!sslInfo.chain_valid || !sslInfo.hostname_covered)) {
+      alerts.push({
+        type: 'ssl_invalid',
+        severity: 'critical',
+        message: !sslInfo.chain_valid
+          ? `SSL certificate chain is not valid (${sslInfo.chain_error})`
+          : `SSL certificate does not cover ${new URL(result.url).hostname}`,
+        value: sslInfo.chain_error || sslInfo.san,
+        threshold: null
+      });
+    }
+
+    // Check whether the certificate has been replaced since the last check
+    if (monitor.previousSslFingerprint && monitor.sslFingerprint !== monitor.previousSslFingerprint) {
+      alerts.push({
+        type: 'ssl_replaced',
+        severity: 'info',
+        message: `SSL certificate was replaced (now issued by ${sslInfo?.issuer || 'unknown'}, expiring ${sslInfo?.expires_at || 'unknown'})`,
+        value: monitor.sslFingerprint,
+        threshold: monitor.previousSslFingerprint
+      });
+    }
+
     return alerts;
   }
 
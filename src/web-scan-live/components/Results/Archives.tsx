@@ -18,7 +18,8 @@ const ArchivesCard = (props: { data: any, title: string, actionButtons: any }):
     <Card heading={props.title} actionButtons={props.actionButtons}>
       <Row lbl="First Scan" val={data.firstScan} />
       <Row lbl="Last Scan" val={data.lastScan} />
-      <Row lbl="Total Scans" val={data.totalScans} />
+      <Row lbl="Total Scans" val={data.totalScans ?? `Over ${data.analysedScans}`} />
+      { data.analysedFrom && <Row lbl="Analysed From" val={data.analysedFrom} /> }
       <Row lbl="Change Count" val={data.changeCount} />
       <Row lbl="Avg Size" val={`${data.averagePageSize} bytes`} />
       { data.scanFrequency?.scansPerDay > 1 ?
@@ -27,7 +28,7 @@ const ArchivesCard = (props: { data: any, title: string, actionButtons: any }):
       }
 
       <Note>
-        View historical versions of this page <a rel="noreferrer" target="_blank" href={`https://web.archive.org/web/*/${data.scanUrl}`}>here</a>,
+        View historical versions of this page <a rel="noreferrer" target="_blank" href={data.archiveUrl || `https://web.archive.org/web/*/${data.scanUrl}`}>here</a>,
         via the Internet Archive's Wayback Machine.
       </Note>
     </Card>
@@ -1,6 +1,8 @@
 
 import { Card } from 'web-scan-live/components/Form/Card';
 import Row from 'web-scan-live/components/Form/Row';
+import Heading from 'web-scan-live/components/Form/Heading';
+import colors from 'web-scan-live/styles/colors';
 
 const BlockListsCard = (props: {data: any, title: string, actionButtons: any }): JSX.Element => {
   const blockLists = props.data.blocklists;
@@ -14,6 +16,15 @@ const BlockListsCard = (props: {data: any, title: string, actionButtons: any }):
           key={`blocklist-${blockIndex}-${blocklist.serverIp}`}
         />
       ))}
+      { props.data.dnsbl?.length > 0 && <Heading as="h3" color={colors.primary} size="small">DNS Block Lists ({props.data.serverIp})</Heading>}
+      { props.data.dnsbl?.map((list: any, listIndex: number) => (
+        <Row
+          title={list.reason || list.error}
+          lbl={list.zone}
+          val={list.listed ? '❌ Listed' : '✅ Not Listed'}
+          key={`dnsbl-${listIndex}-${list.zone}`}
+        />
+      ))}
     </Card>
   );
 }
@@ -34,9 +34,14 @@ const CarbonCard = (props: { data: any, title: string, actionButtons: any }): JS
     <Card heading={props.title} actionButtons={props.actionButtons}>
       { (!carbons?.adjustedBytes && !carbonData.c) && <p>Unable to calculate carbon footprint for host</p>}
       { carbons?.adjustedBytes > 0 && <>
-        <Row lbl="HTML Initial Size" val={`${carbons.adjustedBytes} bytes`} />
+        { props.data.bytes && <Row lbl="Page Weight" val={`${props.data.bytes} bytes (${props.data.requests} requests)`} /> }
+        <Row lbl="Adjusted Transfer Size" val={`${carbons.adjustedBytes} bytes`} />
         <Row lbl="CO2 for Initial Load" val={`${(carbons.co2.grid.grams * 1000).toPrecision(4)} grams`} />
         <Row lbl="Energy Usage for Load" val={`${(carbons.energy * 1000).toPrecision(4)} KWg`} />
+        { props.data.rating && <Row lbl="Carbon Rating" val={props.data.rating} /> }
+        { props.data.green?.green !== null && props.data.green?.green !== undefined && (
+          <Row lbl="Green Hosting" val={props.data.green.green ? `✅ Yes${props.data.green.provider ? ` (${props.data.green.provider})` : ''}` : '❌ No'} />
+        )}
       </>}
       {carbonData.c && <Row lbl="CO2 Emitted" val={`${carbonData.c} grams`} />}
       {carbonData.p && <Row lbl="Better than average site by" val={`${carbonData.p}%`} />}
@@ -22,7 +22,11 @@ const DnsServerCard = (props: {data: any, title: string, actionButtons: any }):
           { dnsSecurity.dns.length > 1 && <Heading as="h4" size="small" color={colors.primary}>DNS Server #{index+1}</Heading> }
           <Row lbl="IP Address" val={dns.address} key={`ip-${index}`} />
           { dns.hostname && <Row lbl="Hostname" val={dns.hostname}  key={`host-${index}`} /> }
+          { dns.udp && <Row lbl="UDP / TCP" val={`${dns.udp.supported ? '✅' : '❌'} UDP  ${dns.tcp.supported ? '✅' : '❌'} TCP`} key={`transport-${index}`} /> }
+          { dns.dot && <Row lbl="DoT Support" val={dns.dot.supported ? '✅ Yes' : '❌ No'} key={`dot-${index}`} /> }
           <Row lbl="DoH Support" val={dns.dohDirectSupports ? '✅ Yes*' : '❌ No*'} key={`doh-${index}`} />
+          { dns.recursion && <Row lbl="Open Resolver" val={dns.recursion.open ? '⚠️ Yes' : '✅ No'} key={`recursion-${index}`} /> }
+          { dns.zoneTransfer && <Row lbl="Zone Transfer (AXFR)" val={dns.zoneTransfer.allowed ? '⚠️ Allowed' : '✅ Refused'} key={`axfr-${index}`} /> }
         </div>);
       })}
       {dnsSecurity.dns.length > 0 && (<small>
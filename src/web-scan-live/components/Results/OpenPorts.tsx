@@ -1,25 +1,54 @@
 import { Card } from 'web-scan-live/components/Form/Card';
-import Row from 'web-scan-live/components/Form/Row';
+import Row, { ExpandableRow } from 'web-scan-live/components/Form/Row';
 
 const cardStyles = `
   small { margin-top: 1rem; opacity: 0.5; }
 `;
 
+const describeService = (service: any): string => {
+  const software = [service.product, service.version].filter(Boolean).join(' ');
+  const name = service.service ? service.service.toUpperCase() : 'Unknown';
+  return software ? `${name} (${software})` : name;
+};
+
+const makeServiceFields = (service: any): any[] => [
+  { lbl: 'Protocol', val: service.protocol || 'Not identified' },
+  service.product ? { lbl: 'Software', val: service.product } : {},
+  service.version ? { lbl: 'Version', val: service.version } : {},
+  service.tls ? { lbl: 'TLS', val: `${service.tls.protocol}, ${service.tls.cipher}` } : {},
+  { lbl: 'Identified By', val: { banner: 'Greeting', probe: 'Probe response', port: 'Port number only' }[service.detectedBy as string] || service.detectedBy },
+  service.banner ? { lbl: 'Banner', val: '', plaintext: service.banner } : {},
+];
+
 const OpenPortsCard = (props: { data: any, title: string, actionButtons: any }): JSX.Element => {
   const portData = props.data;
+  const services = portData.services || [];
   return (
     <Card heading={props.title} actionButtons={props.actionButtons} styles={cardStyles}>
-      {portData.openPorts.map((port: any) => (
+      {services.length > 0 ? services.map((service: any) => (
+          <ExpandableRow
+            key={service.port}
+            lbl={String(service.port)}
+            val={describeService(service)}
+            rowList={makeServiceFields(service)}
+          />
+        )
+      ) : portData.openPorts.map((port: any) => (
           <Row key={port} lbl="" val="">
             <span>{port}</span>
           </Row>
         )
       )}
       <br />
+      { portData.partial && <small>{portData.note}<br /></small> }
       <small>
         Unable to establish connections to:<br />
         {portData.failedPorts.join(', ')}
       </small>
+      { portData.uncheckedPorts?.length > 0 && <small>
+        <br />Not checked before the scan stopped:<br />
+        {portData.uncheckedPorts.join(', ')}
+      </small> }
     </Card>
   );
 }
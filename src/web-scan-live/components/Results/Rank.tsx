@@ -22,11 +22,15 @@ span.val {
 const makeRankStats = (data: {date: string, rank: number }[]) => {
   const average = Math.round(data.reduce((acc, cur) => acc + cur.rank, 0) / data.length);
   const today = data[0].rank;
-  const yesterday = data[1].rank;
-  const percentageChange = ((today - yesterday) / yesterday) * 100;
+  // Only one snapshot (e.g. a freshly imported local list), so nothing to compare against
+  if (data.length < 2) return { average, percentageChange: null, previousDate: null };
+  // Snapshots aren't always a day apart, so the change is given since the previous one's date
+  const previous = data[1].rank;
+  const percentageChange = ((today - previous) / previous) * 100;
   return {
     average,
-    percentageChange
+    percentageChange,
+    previousDate: data[1].date,
   };
 };
 
@@ -58,12 +62,13 @@ function Chart(chartData: { date: string; uv: number; }[], data: any) {
 
 const RankCard = (props: { data: any, title: string, actionButtons: any }): JSX.Element => {
   const data = props.data.ranks || [];
-  const { average, percentageChange } = makeRankStats(data);
+  const { average, percentageChange, previousDate } = makeRankStats(data);
   const chartData = makeChartData(data);
   return (
     <Card heading={props.title} actionButtons={props.actionButtons} styles={cardStyles}>
       <div className="rank-average">{data[0].rank.toLocaleString()}</div>
-      <Row lbl="Change since Yesterday" val={`${percentageChange > 0 ? '+':''} ${percentageChange.toFixed(2)}%`} />
+      { percentageChange !== null && <Row lbl={`Change since ${previousDate}`} val={`${percentageChange > 0 ? '+':''} ${percentageChange.toFixed(2)}%`} /> }
+      { props.data.list && <Row lbl="Ranked in" val={`${props.data.list} (${props.data.matchedDomain})`} /> }
       <Row lbl="Historical Average Rank" val={average.toLocaleString()} />
       <div className="chart-container">
         {Chart(chartData, data)}
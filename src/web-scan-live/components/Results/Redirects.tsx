@@ -1,40 +1,83 @@
 import colors from 'web-scan-live/styles/colors';
 import { Card } from 'web-scan-live/components/Form/Card';
-import Row from 'web-scan-live/components/Form/Row';
+import Row, { ExpandableRow, ListRow, type RowProps } from 'web-scan-live/components/Form/Row';
 
 const cardStyles = `
-  div {
-    justify-content: flex-start;
-    align-items: baseline; 
-  }
-  .arrow-thing {
-    color: ${colors.primary};
-    font-size: 1.8rem;
-    font-weight: bold;
-    margin-right: 0.5rem;
-  }
   .redirect-count {
     color: ${colors.textColorSecondary};
     margin: 0;
   }
 `;
 
+const severityIcons: { [key: string]: string } = { critical: '❌', warning: '⚠️', info: 'ℹ️' };
+
+const redirectTypes: { [key: string]: string } = {
+  http: 'HTTP',
+  'refresh-header': 'Refresh header',
+  'meta-refresh': 'Meta refresh',
+  javascript: 'JavaScript',
+};
+
+const describeHop = (hop: any): string => {
+  if (hop.error) return `❌ ${hop.error}`;
+  const status = `${hop.statusCode} ${hop.statusMessage || ''}`.trim();
+  return hop.timings ? `${status}, ${hop.timings.total} ms` : status;
+};
+
+const makeHopRows = (hop: any): RowProps[] => {
+  const rows: RowProps[] = [];
+  if (hop.redirect) {
+    rows.push({ lbl: 'Redirects To', val: hop.redirect.to });
+    rows.push({
+      lbl: 'Type',
+      val: `${redirectTypes[hop.redirect.type] || hop.redirect.type}${hop.redirect.delay ? `, after ${hop.redirect.delay}s` : ''}`,
+    });
+  }
+  if (hop.remoteAddress) rows.push({ lbl: 'Server IP', val: hop.remoteAddress });
+  if (hop.timings) {
+    rows.push({
+      lbl: 'Timings',
+      val: `DNS ${hop.timings.dnsLookup} · TCP ${hop.timings.tcpConnect} · TLS ${hop.timings.tlsHandshake} · TTFB ${hop.timings.firstByte} ms`,
+    });
+  }
+  const { hsts, setCookie, cacheControl, expires, age, vary, server } = hop.headers || {};
+  if (hsts) rows.push({ lbl: 'HSTS', val: hsts });
+  if (setCookie?.length) rows.push({ lbl: 'Sets Cookies', val: setCookie.join(', ') });
+  if (cacheControl) rows.push({ lbl: 'Cache-Control', val: cacheControl });
+  if (expires) rows.push({ lbl: 'Expires', val: expires });
+  if (age) rows.push({ lbl: 'Age', val: age });
+  if (vary) rows.push({ lbl: 'Vary', val: vary });
+  if (server) rows.push({ lbl: 'Server', val: server });
+  return rows;
+};
+
+const describeVariant = (variant: any): string => {
+  if (variant.error) return `❌ ${variant.error}`;
+  const ending = [
+    variant.loop && 'redirect loop',
+    variant.tooManyRedirects && 'too many redirects',
+  ].filter(Boolean).join(', ');
+  return `${variant.differs ? '⚠️' : '✅'} ${variant.finalUrl} (${variant.finalStatus ?? 'no response'}${ending ? `, ${ending}` : ''})`;
+};
+
 const RedirectsCard = (props: { data: any, title: string, actionButtons: any }): JSX.Element => {
   const redirects = props.data;
+  const chain = redirects.chain || [];
+  const count = chain.filter((hop: any) => hop.redirect).length;
   return (
     <Card heading={props.title} actionButtons={props.actionButtons} styles={cardStyles}>
-      { !redirects?.redirects.length && <Row lbl="" val="No redirects" />}
+      { !count && <Row lbl="" val="No redirects" />}
       <p className="redirect-count">
-        Followed {redirects.redirects.length}{' '}
-        redirect{redirects.redirects.length === 1 ? '' : 's'} when contacting host
+        Followed {count} redirect{count === 1 ? '' : 's'} when contacting host
+        {redirects.totalTime ? `, in ${redirects.totalTime} ms` : ''}
       </p>
-      {redirects.redirects.map((redirect: any, index: number) => {
-        return (
-          <Row lbl="" val="" key={index}>
-          <span className="arrow-thing">↳</span> {redirect}
-          </Row>
-        );
-      })}
+      {chain.map((hop: any, index: number) => (
+        <ExpandableRow key={`${hop.url}-${index}`} lbl={`${index + 1}. ${hop.url}`} val={describeHop(hop)} rowList={makeHopRows(hop)} />
+      ))}
+      { redirects.variants?.map((variant: any) => (
+        <Row key={variant.userAgent} lbl={`As ${variant.userAgent}`} val={describeVariant(variant)} />
+      ))}
+      { redirects.issues?.length > 0 && <ListRow title="Issues" list={redirects.issues.map((issue: any) => `${severityIcons[issue.severity] || ''} ${issue.message}`)} /> }
     </Card>
   );
 }
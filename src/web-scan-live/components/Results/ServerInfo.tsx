@@ -4,16 +4,17 @@ import Row from 'web-scan-live/components/Form/Row';
 
 const ServerInfoCard = (props: { data: ServerInfo, title: string, actionButtons: any }): JSX.Element => {
   const info = props.data;
-  const { org, asn, isp, os, ports, ip, loc, type } = info;
+  const { org, asn, isp, ip, ipv4, ipv6, ptr, loc, anycast } = info;
   return (
     <Card heading={props.title} actionButtons={props.actionButtons}>
       { org && <Row lbl="Organization" val={org} /> }
       { (isp && isp !== org) && <Row lbl="Service Provider" val={isp} /> }
-      { os && <Row lbl="Operating System" val={os} /> }
       { asn && <Row lbl="ASN Code" val={asn} /> }
-      { ports && <Row lbl="Ports" val={ports} /> }
       { ip && <Row lbl="IP" val={ip} /> }
-      { type && <Row lbl="Type" val={type} /> }
+      { (ptr && ptr.length > 0) && <Row lbl="Reverse DNS" val="" listResults={ptr} /> }
+      { (ipv4 && ipv4.length > 1) && <Row lbl="IPv4 Addresses" val="" listResults={ipv4} /> }
+      { (ipv6 && ipv6.length > 0) && <Row lbl="IPv6 Addresses" val="" listResults={ipv6} /> }
+      { anycast && <Row lbl="Anycast" val={anycast} /> }
       { loc && <Row lbl="Location" val={loc} /> }
     </Card>
   );
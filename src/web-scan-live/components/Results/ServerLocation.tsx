@@ -29,14 +29,15 @@ const CountryValue = styled.span`
 const ServerLocationCard = (props: { data: ServerLocation, title: string, actionButtons: any }): JSX.Element => {
   const location = props.data;
   const {
-    city, region, country,
+    ip, city, region, country,
     postCode, countryCode, coords,
-    isp, timezone, languages, currency, currencyCode,
+    isp, timezone, anycast,
   } = location;
+  const hasCoords = coords.latitude !== undefined && coords.longitude !== undefined;
 
   return (
     <Card heading={props.title} actionButtons={props.actionButtons} styles={cardStyles}>
-      <Row lbl="City" val={`${postCode}, ${city}, ${region}`} />
+      { city && <Row lbl="City" val={[postCode, city, region].filter(Boolean).join(', ')} /> }
       <Row lbl="" val="">
         <b>Country</b>
         <CountryValue>
@@ -44,13 +45,15 @@ const ServerLocationCard = (props: { data: ServerLocation, title: string, action
           { countryCode && <Flag countryCode={countryCode} width={28} /> }
         </CountryValue>
       </Row>
-      <Row lbl="Timezone" val={timezone} />
-      <Row lbl="Languages" val={languages} />
-      <Row lbl="Currency" val={`${currency} (${currencyCode})`} />
-      <MapRow>
-        <LocationMap lat={coords.latitude} lon={coords.longitude} label={`Server (${isp})`} />
-        <SmallText>Latitude: {coords.latitude}, Longitude: {coords.longitude} </SmallText>
-      </MapRow>
+      { timezone && <Row lbl="Timezone" val={timezone} /> }
+      { anycast && <Row lbl="Anycast" val={`⚠️ ${anycast} network, served from many locations`} /> }
+      { hasCoords && (
+        <MapRow>
+          <LocationMap lat={coords.latitude} lon={coords.longitude} label={`Server (${isp || ip})`} />
+          <SmallText>Latitude: {coords.latitude}, Longitude: {coords.longitude} </SmallText>
+        </MapRow>
+      )}
+      { anycast && <SmallText>This is one location {ip} is announced from, it's likely served from one nearer to you</SmallText> }
     </Card>
   );
 }
@@ -77,9 +77,26 @@ const ListRow = (props: { list: string[], title: string }) => {
 );
 }
 
+const describeChainCert = (cert: any): string => {
+  const key = cert.key?.algorithm ? `${cert.key.algorithm} ${cert.key.size || cert.key.curve || ''}`.trim() : 'unknown key';
+  const flags = [cert.weakKey && 'weak key', cert.weakHash && 'weak hash'].filter(Boolean).join(', ');
+  return `${cert.role}: ${cert.subject} (${key}, ${cert.signatureAlgorithm})${flags ? ` ⚠️ ${flags}` : ''}`;
+};
+
+const describeRevocation = (revocation: any): string => {
+  if (!revocation?.status || revocation.status === 'unknown') return 'Unknown';
+  const source = { 'stapled-ocsp': 'stapled OCSP', ocsp: 'OCSP', crl: 'CRL' }[revocation.source as string];
+  return `${revocation.status === 'good' ? '✅ Not revoked' : '❌ Revoked'}${source ? ` (${source})` : ''}`;
+};
+
+const severityIcons: { [key: string]: string } = { critical: '❌', warning: '⚠️', info: 'ℹ️' };
+
 const SslCertCard = (props: { data: any, title: string, actionButtons: any }): JSX.Element => {
   const sslCert = props.data;
-  const { subject, issuer, fingerprint, serialNumber, asn1Curve, nistCurve, valid_to, valid_from, ext_key_usage } = sslCert;
+  const {
+    subject, issuer, fingerprint, serialNumber, asn1Curve, nistCurve, valid_to, valid_from, ext_key_usage,
+    validation, hostname, chain, revocation, scts, caa, issues,
+  } = sslCert;
   return (
     <Card heading={props.title} actionButtons={props.actionButtons}>
       { subject && <DataRow lbl="Subject" val={subject?.CN} /> }
@@ -90,8 +107,16 @@ const SslCertCard = (props: { data: any, title: string, actionButtons: any }): J
       { valid_from && <DataRow lbl="Renewed" val={formatDate(valid_from)} /> }
       { serialNumber && <DataRow lbl="Serial Num" val={serialNumber} /> }
       { fingerprint && <DataRow lbl="Fingerprint" val={fingerprint} /> }
+      { validation && <DataRow lbl="Chain Valid" val={validation.chainValid ? '✅ Yes' : `❌ No, ${validation.chainErrorDescription || validation.chainError}`} /> }
+      { hostname && <DataRow lbl="Covers Hostname" val={hostname.covered ? '✅ Yes' : `❌ No (${hostname.subjectAltNames.join(', ')})`} /> }
+      { validation?.protocol && <DataRow lbl="Protocol" val={validation.protocol} /> }
+      { revocation && <DataRow lbl="Revocation" val={describeRevocation(revocation)} /> }
+      { revocation && <DataRow lbl="OCSP Stapling" val={revocation.stapled ? '✅ Yes' : '❌ No'} /> }
+      { scts && <DataRow lbl="Embedded SCTs" val={String(scts.length)} /> }
+      { caa?.present && <DataRow lbl="CAA" val={`${caa.allowedIssuers.join(', ') || 'No CAs allowed'}${caa.consistent === false ? ' ⚠️ excludes issuer' : ''}`} /> }
       { ext_key_usage && <ListRow title="Extended Key Usage" list={getExtendedKeyUsage(ext_key_usage)} /> }
-      
+      { chain?.length > 0 && <ListRow title="Certificate Chain" list={chain.map(describeChainCert)} /> }
+      { issues?.length > 0 && <ListRow title="Issues" list={issues.map((issue: any) => `${severityIcons[issue.severity] || ''} ${issue.message}`)} /> }
     </Card>
   );
 }
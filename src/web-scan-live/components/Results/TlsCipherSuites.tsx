@@ -1,67 +1,41 @@
 
-import { useState, useEffect } from 'react';
 import { Card } from 'web-scan-live/components/Form/Card';
-import Button from 'web-scan-live/components/Form/Button';
 import { ExpandableRow } from 'web-scan-live/components/Form/Row';
 
+const strengthIcons: { [key: string]: string } = { secure: '✅', weak: '⚠️', insecure: '❌' };
+
 const makeCipherSuites = (results: any) => {
-  if (!results || !results.connection_info || (results.connection_info.ciphersuite || [])?.length === 0) {
+  if (!results || (results.suites || []).length === 0) {
     return [];
   }
-  return results.connection_info.ciphersuite.map((ciphersuite: any) => {
+  return results.suites.map((suite: any) => {
     return {
-      title: ciphersuite.cipher,
+      title: suite.name,
+      value: strengthIcons[suite.strength] || '?',
       fields: [
-      { lbl: 'Code', val: ciphersuite.code },
-      { lbl: 'Protocols', val: ciphersuite.protocols.join(', ') },
-      { lbl: 'Pubkey', val: ciphersuite.pubkey },
-      { lbl: 'Sigalg', val: ciphersuite.sigalg },
-      { lbl: 'Ticket Hint', val: ciphersuite.ticket_hint },
-      { lbl: 'OCSP Stapling', val: ciphersuite.ocsp_stapling ? '✅ Enabled' : '❌ Disabled' },
-      { lbl: 'PFS', val: ciphersuite.pfs },
-      ciphersuite.curves ? { lbl: 'Curves', val: ciphersuite.curves.join(', ') } : {},
+      { lbl: 'OpenSSL Name', val: suite.openssl },
+      { lbl: 'Protocols', val: suite.protocols.join(', ') },
+      { lbl: 'Key Exchange', val: suite.keyExchangeParams ? `${suite.keyExchange}, ${suite.keyExchangeParams}` : suite.keyExchange },
+      { lbl: 'Authentication', val: suite.authentication },
+      { lbl: 'Encryption', val: `${suite.encryption} (${suite.bits} bits)` },
+      { lbl: 'MAC', val: suite.mac },
+      { lbl: 'PFS', val: suite.forwardSecrecy ? '✅ Yes' : '❌ No' },
+      suite.weaknesses.length ? { lbl: 'Weaknesses', val: suite.weaknesses.join(', ') } : {},
     ]};
   });
 };
 
 const TlsCard = (props: {data: any, title: string, actionButtons: any }): JSX.Element => {
-
-  const [cipherSuites, setCipherSuites] = useState(makeCipherSuites(props.data));
-  const [loadState, setLoadState] = useState<undefined | 'loading' | 'success' | 'error'>(undefined);
-
-  useEffect(() => { // Update cipher suites when data changes
-    setCipherSuites(makeCipherSuites(props.data));
-  }, [props.data]);
-
-  const updateData = (id: number) => {
-    setCipherSuites([]);
-    setLoadState('loading');
-    const fetchUrl = `https://tls-observatory.services.mozilla.com/api/v1/results?id=${id}`;
-    fetch(fetchUrl)
-      .then((response) => response.json())
-      .then((data) => {
-        setCipherSuites(makeCipherSuites(data));
-        setLoadState('success');
-    }).catch((error) => {
-      setLoadState('error');
-    });
-  };
-  
-  const scanId = props.data?.id;
+  const cipherSuites = makeCipherSuites(props.data);
   return (
     <Card heading={props.title} actionButtons={props.actionButtons}>
-      { cipherSuites.length && cipherSuites.map((cipherSuite: any, index: number) => {
+      { cipherSuites.map((cipherSuite: any, index: number) => {
         return (
-          <ExpandableRow key={`tls-cipher-${index}`} lbl={cipherSuite.title} val="" rowList={cipherSuite.fields} />
+          <ExpandableRow key={`tls-cipher-${index}`} lbl={cipherSuite.title} val={cipherSuite.value} rowList={cipherSuite.fields} />
         );
       })}
       { !cipherSuites.length && (
-        <div>
-          <p>No cipher suites found.<br />
-            This sometimes happens when the report didn't finish generating in-time, you can try re-requesting it.
-          </p>
-          <Button loadState={loadState} onClick={() => updateData(scanId)}>Refetch Report</Button>
-        </div>
+        <p>No cipher suites found, the server did not complete a handshake with any suite offered.</p>
       )}
     </Card>
   );
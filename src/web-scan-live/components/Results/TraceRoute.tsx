@@ -9,6 +9,11 @@ const RouteRow = styled.div`
   .ipName {
     font-size: 1rem;
   }
+  .network {
+    display: block;
+    font-size: 0.85rem;
+    color: ${colors.textColorSecondary};
+  }
 `;
 
 const RouteTimings = styled.div`
@@ -30,23 +35,43 @@ p {
 }
 `;
 
-const cardStyles = ``;
+const cardStyles = `
+  small { display: block; margin-top: 1rem; opacity: 0.5; text-align: center; }
+`;
+
+const methodNames: { [key: string]: string } = { udp: 'UDP', tcp: 'TCP SYN', icmp: 'ICMP' };
+
+const describeRouter = (hop: any): string => {
+  if (!hop.ip) return 'No reply';
+  return hop.hostname ? `${hop.hostname} (${hop.ip})` : hop.ip;
+};
+
+const describeNetwork = (hop: any): string => {
+  if (hop.private) return 'Private network';
+  return [
+    hop.asn && `AS${hop.asn}`,
+    hop.organization,
+    hop.country,
+  ].filter(Boolean).join(' · ');
+};
+
+const describeTimings = (hop: any): string => {
+  return [hop.rtt1, hop.rtt2, hop.rtt3]
+    .map((rtt: number | null) => (rtt === null ? '*' : `${rtt} ms`))
+    .join(' · ');
+};
 
 const TraceRouteCard = (props: { data: any, title: string, actionButtons: any }): JSX.Element => {
   const traceRouteResponse = props.data;
-  const routes = traceRouteResponse.result;
+  const hops = traceRouteResponse.hops || [];
   return (
     <Card heading={props.title} actionButtons={props.actionButtons} styles={cardStyles}>
-      {routes.filter((x: any) => x).map((route: any, index: number) => (
-          <RouteRow key={index}>
-            <span className="ipName">{Object.keys(route)[0]}</span>
+      {hops.map((hop: any) => (
+          <RouteRow key={hop.hop}>
+            <span className="ipName">{hop.hop}. {describeRouter(hop)}</span>
+            { describeNetwork(hop) && <span className="network">{describeNetwork(hop)}</span> }
             <RouteTimings>
-              {route[Object.keys(route)[0]].map((time: any, packetIndex: number) => (
-                <p className="times" key={`timing-${packetIndex}-${time}`}>
-                  { route[Object.keys(route)[0]].length > 1 && (<>Packet #{packetIndex + 1}:</>) }
-                  Took {time} ms
-                </p>
-              ))}
+              <p className="times">{describeTimings(hop)}</p>
               <p className="arrow">↓</p>
             </RouteTimings>
           </RouteRow>
@@ -54,9 +79,15 @@ const TraceRouteCard = (props: { data: any, title: string, actionButtons: any })
       )}
       <RouteTimings>
         <p className="completed">
-          Round trip completed in {traceRouteResponse.timeTaken} ms
+          { traceRouteResponse.reached
+            ? `Destination ${traceRouteResponse.destination} reached in ${hops.length} hops`
+            : `Destination ${traceRouteResponse.destination} didn't reply within ${hops.length} hops` }
         </p>
       </RouteTimings>
+      <small>
+        Traced over {methodNames[traceRouteResponse.method] || traceRouteResponse.method}
+        {(traceRouteResponse.notes || []).map((note: string) => (<span key={note}><br />{note}</span>))}
+      </small>
     </Card>
   );
 }
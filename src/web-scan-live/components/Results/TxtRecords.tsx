@@ -1,6 +1,7 @@
-
 import { Card } from 'web-scan-live/components/Form/Card';
 import Row from 'web-scan-live/components/Form/Row';
+import Heading from 'web-scan-live/components/Form/Heading';
+import colors from 'web-scan-live/styles/colors';
 
 const cardStyles = `
 grid-column: span 2;
@@ -10,14 +11,36 @@ span { overflow: hidden; }
 
 const TxtRecordCard = (props: {data: any, title: string, actionButtons: any }): JSX.Element => {
   const records = props.data;
+  const emailRecords = [
+    ...(records?.spf || []).map((value: string) => ({ lbl: 'SPF', value })),
+    ...(records?.dmarc || []).map((value: string) => ({ lbl: 'DMARC', value })),
+    ...(records?.dkim || []).map((dkim: any) => ({ lbl: `DKIM (${dkim.selector})`, value: dkim.value })),
+  ];
   return (
     <Card heading={props.title} actionButtons={props.actionButtons} styles={cardStyles}>
-      { !records && <Row lbl="" val="No TXT Records" />}
-      {Object.keys(records).map((recordName: any, index: number) => {
-        return (
-          <Row lbl={recordName} val={records[recordName]} key={`${recordName}-${index}`} />
-        );
-      })}
+      { !records?.records && <Row lbl="" val="No TXT Records" />}
+
+      { records?.verification?.length > 0 && <Heading as="h3" color={colors.primary} size="small">Site Verification</Heading>}
+      { records?.verification?.map((record: any, index: number) => (
+        <Row lbl={record.name} val={record.token || record.value} title={record.value} key={`verification-${index}`} />
+      ))}
+
+      { emailRecords.length > 0 && <Heading as="h3" color={colors.primary} size="small">Email Authentication</Heading>}
+      { emailRecords.map((record: any, index: number) => (
+        <Row lbl={record.lbl} val={record.value} key={`email-${index}`} />
+      ))}
+
+      { records?.services?.length > 0 && <Heading as="h3" color={colors.primary} size="small">Other Services</Heading>}
+      { records?.services?.map((record: any, index: number) => (
+        <Row lbl={record.name} val={record.token || record.value} title={record.value} key={`service-${index}`} />
+      ))}
+
+      { records?.unknown?.length > 0 && <Heading as="h3" color={colors.primary} size="small">Unrecognised</Heading>}
+      { records?.unknown?.map((value: string, index: number) => (
+        <Row lbl="" val="" key={`unknown-${index}`}>
+          <span>{value}</span>
+        </Row>
+      ))}
     </Card>
   );
 }
@@ -12,7 +12,7 @@ const docs: Doc[] = [
     id: "get-ip",
     title: "IP Info",
     description:
-      "An IP address (Internet Protocol address) is a numerical label assigned to each device connected to a network / the internet. The IP associated with a given domain can be found by querying the Domain Name System (DNS) for the domain's A (address) record.",
+      "An IP address (Internet Protocol address) is a numerical label assigned to each device connected to a network / the internet. The IPs associated with a given domain can be found by querying the Domain Name System (DNS) for the domain's A (IPv4) and AAAA (IPv6) records. Each address is then looked up in offline IP databases, for the network (ASN) it belongs to and where it's located, and flagged if it's in a CDN's anycast range, where the same address is served from many locations.",
     use: "Finding the IP of a given server is the first step to conducting further investigations, as it allows us to probe the server for additional info. Including creating a detailed map of a target's network infrastructure, pinpointing the physical location of a server, identifying the hosting service, and even discovering other domains that are hosted on the same IP address.",
     resources: [
       { title: 'Understanding IP Addresses', link: 'https://www.digitalocean.com/community/tutorials/understanding-ip-addresses-subnets-and-cidr-notation-for-networking'},
@@ -111,7 +111,7 @@ const docs: Doc[] = [
     id: "location",
     title: "Server Location",
     description:
-      "The Server Location task determines the physical location of the server hosting a given website based on its IP address. This is done by looking up the IP in a location database, which maps the IP to a lat + long of known data centers and ISPs. From the latitude and longitude, it's then possible to show additional contextual info, like a pin on the map, along with address, flag, time zone, currency, etc.",
+      "The Server Location task determines the physical location of the server hosting a given website based on its IP address. This is done by looking up the IP in a location database, which maps the IP to a lat + long of known data centers and ISPs. From the latitude and longitude, it's then possible to show additional contextual info, like a pin on the map, along with address, flag and time zone. Addresses in a CDN's anycast range are flagged, as they're announced from many locations, and the one shown is only one of them.",
     use: "Knowing the server location is a good first step in better understanding a website. For site owners this aids in optimizing content delivery, ensuring compliance with data residency requirements, and identifying potential latency issues that may impact user experience in specific geographical regions. And for security researcher, assess the risk posed by specific regions or jurisdictions regarding cyber threats and regulations.",
     resources: [
       { title: 'IP Locator', link: 'https://geobytes.com/iplocator/' },
@@ -137,7 +137,7 @@ const docs: Doc[] = [
     id: "redirects",
     title: "Redirect Chain",
     description:
-      "This task traces the sequence of HTTP redirects that occur from the original URL to the final destination URL. An HTTP redirect is a response with a status code that advises the client to go to another URL. Redirects can occur for several reasons, such as URL normalization (directing to the www version of the site), enforcing HTTPS, URL shorteners, or forwarding users to a new site location.",
+      "This task traces the sequence of HTTP redirects that occur from the original URL to the final destination URL. An HTTP redirect is a response with a status code that advises the client to go to another URL. Redirects can occur for several reasons, such as URL normalization (directing to the www version of the site), enforcing HTTPS, URL shorteners, or forwarding users to a new site location. Besides HTTP redirects, pages which forward the browser with a Refresh header, a meta refresh tag or JavaScript are followed too, and each hop's status, timings and headers (such as HSTS and cookies) are recorded. The chain can also be followed as a mobile browser or a search engine crawler, to spot sites which send some visitors elsewhere.",
     use: "Understanding the redirect chain can be useful for several reasons. From a security perspective, long or complicated redirect chains can be a sign of potential security risks, such as unencrypted redirects in the chain. Additionally, redirects can impact website performance and SEO, as each redirect introduces additional round-trip-time (RTT). For OSINT, understanding the redirect chain can help identify relationships between different domains or reveal the use of certain technologies or hosting providers.",
     resources: [
       { title: 'HTTP Redirects - MDN', link: 'https://developer.mozilla.org/en-US/docs/Web/HTTP/Redirections' },
@@ -185,7 +185,7 @@ const docs: Doc[] = [
     id: "trace-route",
     title: "Traceroute",
     description:
-      "Traceroute is a network diagnostic tool used to track in real-time the pathway taken by a packet of information from one system to another. It records each hop along the route, providing details about the IPs of routers and the delay at each point.",
+      "Traceroute is a network diagnostic tool used to track in real-time the pathway taken by a packet of information from one system to another. It records each hop along the route, providing details about the IPs of routers and the delay at each point. Each router is labelled with its reverse DNS name, and the network (ASN) and country it belongs to.",
     use: "In OSINT investigations, traceroute can provide insights about the routing paths and geography of the network infrastructure supporting a website or service. This can help to identify network bottlenecks, potential censorship or manipulation of network traffic, and give an overall sense of the network's structure and efficiency. Additionally, the IP addresses collected during the traceroute may provide additional points of inquiry for further OSINT investigation.",
     resources: [
       "https://www.cloudflare.com/learning/network-layer/what-is-traceroute/",
@@ -489,7 +489,7 @@ const docs: Doc[] = [
   {
     id: 'tls-security-config',
     title: 'TLS Security Config',
-    description: 'This uses guidelines from Mozilla\'s TLS Observatory to check the security of the TLS configuration. It checks for bad configurations, which may leave the site vulnerable to attack, as well as giving advice on how to fix. It will also give suggestions around outdated and modern TLS configs',
+    description: 'This handshakes with the server directly, to find which TLS versions it supports, whether it picks cipher suites in its own order of preference, which key exchange groups it accepts, and whether every suite has forward secrecy. It flags deprecated protocols, insecure or weak suites and small DH parameters, which may leave the site vulnerable to attack',
     use: 'Understanding issues with a site\'s TLS configuration will help you address potential vulnerabilities, and ensure the site is using the latest and most secure TLS configuration.',
     resources: [],
     screenshot: 'https://i.ibb.co/FmksZJt/Screenshot-from-2023-08-26-12-12-09.png',
@@ -1,11 +1,11 @@
 import type { RowProps }  from 'web-scan-live/components/Form/Row';
 
 export interface ServerLocation {
+  ip: string,
   city: string,
   region: string,
   country: string,
   postCode: string,
-  regionCode: string,
   countryCode: string,
   coords: {
     latitude: number,
@@ -13,12 +13,7 @@ export interface ServerLocation {
   },
   isp: string,
   timezone: string,
-  languages: string,
-  currency: string,
-  currencyCode: string,
-  countryDomain: string,
-  countryAreaSize: number,
-  countryPopulation: number,
+  anycast?: string,
 };
 
 export interface Whois {
@@ -28,26 +23,24 @@ export interface Whois {
   nameservers: string[],
 }
 
-export const getLocation = (response: any): ServerLocation => {
+// From the get-ip response, using the first address the IP databases could place
+export const getLocation = (response: any): ServerLocation | null => {
+  const address = (response.addresses || []).find((result: any) => result.country);
+  if (!address) return null;
   return {
-    city: response.city,
-    region: response.region,
-    country: response.country_name,
-    postCode: response.postal,
-    regionCode: response.region_code,
-    countryCode: response.country_code,
+    ip: address.ip,
+    city: address.city,
+    region: address.region,
+    country: address.country,
+    postCode: address.postCode,
+    countryCode: address.countryCode,
     coords: {
-      latitude: response.latitude,
-      longitude: response.longitude,
+      latitude: address.latitude,
+      longitude: address.longitude,
     },
-    isp: response.org,
-    timezone: response.timezone,
-    languages: response.languages,
-    currencyCode: response.currency,
-    currency: response.currency_name,
-    countryDomain: response.country_tld,
-    countryAreaSize: response.country_area,
-    countryPopulation: response.country_population,
+    isp: address.organization || address.isp,
+    timezone: address.timezone,
+    anycast: address.anycast?.provider,
   };
 };
 
@@ -56,23 +49,39 @@ export interface ServerInfo {
   org: string,
   asn: string,
   isp: string,
-  os?: string,
   ip?: string,
-  ports?: string,
+  ipv4?: string[],
+  ipv6?: string[],
+  ptr?: string[],
   loc?: string,
-  type?: string,
+  anycast?: string,
 };
 
+// From the get-ip response, describing its primary address, and listing the rest
 export const getServerInfo = (response: any): ServerInfo => {
+  const primary = (response.addresses || []).find((result: any) => result.ip === response.ip) || {};
   return {
-    org: response.org,
-    asn: response.asn,
-    isp: response.isp,
-    os: response.os,
-    ip: response.ip_str,
-    ports: response?.ports?.toString(),
-    loc: response.city ? `${response.city}, ${response.country_name}` : '',
-    type: response.tags ? response.tags.toString() : '',
+    org: primary.organization,
+    asn: primary.asn ? `AS${primary.asn}` : '',
+    isp: primary.isp,
+    ip: response.ip,
+    ipv4: response.ipv4,
+    ipv6: response.ipv6,
+    ptr: primary.ptr,
+    loc: primary.city ? `${primary.city}, ${primary.country}` : primary.country || '',
+    anycast: primary.anycast ? `${primary.anycast.provider} (${primary.anycast.range})` : '',
+  };
+};
+
+export interface IpInfoResults {
+  location: ServerLocation | null,
+  serverInfo: ServerInfo,
+}
+
+export const parseIpInfoResults = (response: any): IpInfoResults => {
+  return {
+    location: getLocation(response),
+    serverInfo: getServerInfo(response),
   };
 };
 
@@ -95,13 +104,11 @@ export const getHostNames = (response: any): HostNames | null => {
 
 export interface ShodanResults {
   hostnames: HostNames | null,
-  serverInfo: ServerInfo,
 }
 
 export const parseShodanResults = (response: any): ShodanResults => {
   return {
     hostnames: getHostNames(response),
-    serverInfo: getServerInfo(response),
   };
 }
 
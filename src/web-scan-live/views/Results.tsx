@@ -62,7 +62,7 @@ import keys from 'web-scan-live/utils/get-keys';
 import { determineAddressType, type AddressType } from 'web-scan-live/utils/address-type-checker';
 import useMotherHook from 'web-scan-live/hooks/motherOfAllHooks';
 import {
-  getLocation, type ServerLocation,
+  parseIpInfoResults, type IpInfoResults,
   type Cookie,
   applyWhoIsResults, type Whois,
   parseShodanResults, type ShodanResults
@@ -269,14 +269,14 @@ const Results = (props: { address?: string } ): JSX.Element => {
     }
   }, [address, addressType, setIpAddress]);  
 
-  // Get IP address location info
-  const [locationResults, updateLocationResults] = useMotherHook<ServerLocation>({
-    jobId: 'location',
+  // Get the location and network of the IP, from the server's offline IP databases
+  const [ipInfoResults, updateIpInfoResults] = useMotherHook<IpInfoResults>({
+    jobId: ['location', 'server-info'],
     updateLoadingJobs,
     addressInfo: { address: ipAddress, addressType: 'ipV4', expectedAddressTypes: ['ipV4', 'ipV6'] },
-    fetchRequest: () => fetch(`https://ipapi.co/${ipAddress}/json/`)
+    fetchRequest: () => fetch(`${api}/get-ip?url=${ipAddress}`)
       .then(res => parseJson(res))
-      .then(res => getLocation(res)),
+      .then(res => res.error ? res : parseIpInfoResults(res)),
   });
 
   // Fetch and parse SSL certificate info
@@ -315,7 +315,7 @@ const Results = (props: { address?: string } ): JSX.Element => {
 
   // Get hostnames and associated domains from Shodan
   const [shoadnResults, updateShodanResults] = useMotherHook<ShodanResults>({
-    jobId: ['hosts', 'server-info'],
+    jobId: 'hosts',
     updateLoadingJobs,
     addressInfo: { address: ipAddress, addressType: 'ipV4', expectedAddressTypes: ['ipV4', 'ipV6'] },
     fetchRequest: () => fetch(`https://api.shodan.io/shodan/host/${ipAddress}?key=${keys.shodan}`)
@@ -452,7 +452,7 @@ const Results = (props: { address?: string } ): JSX.Element => {
     fetchRequest: () => fetch(`${api}/screenshot?url=${address}`).then(res => parseJson(res)),
   });
 
-  // Get TLS security info, from Mozilla Observatory
+  // Get TLS protocols, cipher suites and client support, by handshaking with the server
   const [tlsResults, updateTlsResults] = useMotherHook({
     jobId: ['tls-cipher-suites', 'tls-security-config', 'tls-client-support'],
     updateLoadingJobs,
@@ -465,7 +465,7 @@ const Results = (props: { address?: string } ): JSX.Element => {
     jobId: 'redirects',
     updateLoadingJobs,
     addressInfo: { address, addressType, expectedAddressTypes: urlTypeOnly },
-    fetchRequest: () => fetch(`${api}/redirects?url=${address}`).then(res => parseJson(res)),
+    fetchRequest: () => fetch(`${api}/redirects?url=${address}&userAgents=mobile,googlebot`).then(res => parseJson(res)),
   });
 
   // Get list of links included in the page content
@@ -544,7 +544,7 @@ const Results = (props: { address?: string } ): JSX.Element => {
     fetchRequest: () => fetch(`${api}/carbon?url=${address}`).then(res => parseJson(res)),
   });
 
-  // Get site features from BuiltWith
+  // Get third-party site features (analytics, payments, CDNs, etc)
   const [siteFeaturesResults, updateSiteFeaturesResults] = useMotherHook({
     jobId: 'features',
     updateLoadingJobs,
@@ -587,9 +587,9 @@ const Results = (props: { address?: string } ): JSX.Element => {
     {
       id: 'location',
       title: 'Server Location',
-      result: locationResults,
+      result: ipInfoResults?.location,
       Component: ServerLocationCard,
-      refresh: updateLocationResults,
+      refresh: updateIpInfoResults,
       tags: ['server'],
     }, {
       id: 'ssl',
@@ -622,9 +622,9 @@ const Results = (props: { address?: string } ): JSX.Element => {
     }, {
       id: 'server-info',
       title: 'Server Info',
-      result: shoadnResults?.serverInfo,
+      result: ipInfoResults?.serverInfo,
       Component: ServerInfoCard,
-      refresh: updateShodanResults,
+      refresh: updateIpInfoResults,
       tags: ['server'],
     }, {
       id: 'cookies',
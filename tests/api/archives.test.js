@@ -0,0 +1,132 @@
+/**
+ * Archives Tests
+ * Checks the CDX parsing and snapshot stats on their own, then runs the archives
+ * handler against a local CDX server (via ARCHIVE_CDX_URL), which behaves like pywb
+ * in ignoring a negative limit, and holds more snapshots than ARCHIVE_MAX_SNAPSHOTS
+ */
+
+import http from 'http';
+import { listen, close, callHandler } from './stub-servers.js';
+
+const SNAPSHOTS = [
+  { timestamp: '20100101000000', statuscode: '200', digest: 'AAA', length: '1000' },
+  { timestamp: '20200101000000', statuscode: '200', digest: 'AAA', length: '2000' },
+  { timestamp: '20210101000000', statuscode: '200', digest: 'BBB', length: '3000' },
+  { timestamp: '20220101000000', statuscode: '200', digest: 'CCC', length: '4000' },
+];
+
+// One JSON object per line, as pywb answers
+const toNdjson = (rows) => rows.map((row) => JSON.stringify(row)).join('\n');
+
+describe('Archives', () => {
+  let parseCdx;
+  let summariseSnapshots;
+  let handler;
+  let cdx;
+  const requests = [];
+
+  beforeAll(async () => {
+    cdx = http.createServer((req, res) => {
+      const params = new URL(req.url, 'http://localhost').searchParams;
+      requests.push(Object.fromEntries(params));
+      const limit = parseInt(params.get('limit'), 10);
+      let rows = [];
+      if (params.get('url') === 'https://archived.test' && limit > 0) {
+        rows = params.get('sort') === 'reverse' ? [...SNAPSHOTS].reverse() : SNAPSHOTS;
+        rows = rows.slice(0, limit);
+      }
+      res.end(toNdjson(rows));
+    });
+    const port = await listen(cdx);
+
+    // Read once, when the handler is first imported
+    process.env.API_TIMEOUT_LIMIT = '5000';
+    process.env.ARCHIVE_CDX_URL = `http://127.0.0.1:${port}/cdx`;
+    process.env.ARCHIVE_MAX_SNAPSHOTS = '3';
+    ({ parseCdx, summariseSnapshots, handler } = await import('../../api/analysis/archives.js'));
+  });
+
+  afterAll(() => close(cdx));
+
+  describe('parseCdx', () => {
+    test('reads a JSON array with a header row, as the Wayback Machine returns', () => {
+      const rows = parseCdx([
+        ['urlkey', 'timestamp', 'digest'],
+        ['test,archived)/', '20200101000000', 'AAA'],
+        ['test,archived)/', '', 'BBB'],
+      ]);
+      expect(rows).toEqual([{ urlkey: 'test,archived)/', timestamp: '20200101000000', digest: 'AAA' }]);
+    });
+
+    test('reads one JSON object per line, skipping bad lines and rows without a timestamp', () => {
+      const rows = parseCdx(`${toNdjson(SNAPSHOTS.slice(0, 2))}\nnot json\n{"digest":"CCC"}\n`);
+      expect(rows.map(({ timestamp }) => timestamp)).toEqual(['20100101000000', '20200101000000']);
+    });
+
+    test('reads the raw text of either format', () => {
+      const array = JSON.stringify([['timestamp', 'digest'], ['20200101000000', 'AAA']]);
+      expect(parseCdx(array)).toEqual([{ timestamp: '20200101000000', digest: 'AAA' }]);
+      expect(parseCdx(toNdjson(SNAPSHOTS.slice(0, 1)))).toEqual(SNAPSHOTS.slice(0, 1));
+    });
+
+    test('returns nothing for an empty response', () => {
+      expect(parseCdx([])).toEqual([]);
+      expect(parseCdx('')).toEqual([]);
+    });
+  });
+
+  describe('summariseSnapshots', () => {
+    test('gives null when no row has a usable timestamp', () => {
+      expect(summariseSnapshots([])).toBe(null);
+      expect(summariseSnapshots([{ timestamp: 'unknown' }])).toBe(null);
+    });
+
+    test('counts snapshots and content changes, in date order', () => {
+      const summary = summariseSnapshots([...SNAPSHOTS].reverse());
+      expect(summary).toMatchObject({
+        firstScan: '2010-01-01T00:00:00.000Z',
+        lastScan: '2022-01-01T00:00:00.000Z',
+        totalScans: 4,
+        analysedScans: 4,
+        changeCount: 2,
+        averagePageSize: 2500,
+      });
+      expect(summary.analysedFrom).toBeUndefined();
+    });
+
+    test('takes the first capture from outside the analysed window, leaving the total unknown', () => {
+      const summary = summariseSnapshots(SNAPSHOTS.slice(1), SNAPSHOTS[0]);
+      expect(summary).toMatchObject({
+        firstScan: '2010-01-01T00:00:00.000Z',
+        analysedFrom: '2020-01-01T00:00:00.000Z',
+        totalScans: null,
+        analysedScans: 3,
+      });
+    });
+  });
+
+  describe('handler', () => {
+    test('falls back to sorting newest first, and looks up the first capture on its own', async () => {
+      requests.length = 0;
+      const { statusCode, body } = await callHandler(handler, 'archived.test');
+
+      expect(statusCode).toBe(200);
+      expect(requests.map(({ limit, sort }) => [limit, sort])).toEqual([
+        ['-3', undefined], ['3', 'reverse'], ['1', undefined],
+      ]);
+      expect(body).toMatchObject({
+        firstScan: '2010-01-01T00:00:00.000Z',
+        lastScan: '2022-01-01T00:00:00.000Z',
+        analysedFrom: '2020-01-01T00:00:00.000Z',
+        totalScans: null,
+        analysedScans: 3,
+        truncated: true,
+      });
+    });
+
+    test('skips a page which has never been archived', async () => {
+      const { body } = await callHandler(handler, 'unknown.test');
+      expect(body).toEqual({ skipped: 'Site has never been archived' });
+    });
+  });
+});
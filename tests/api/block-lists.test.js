@@ -0,0 +1,82 @@
+/**
+ * Block Lists Tests
+ * Runs the block-lists handler against local UDP resolvers, set with BLOCKLIST_RESOLVERS:
+ * one which sinkholes the domain, one which answers NXDOMAIN, and one which doesn't filter.
+ * The unfiltered reference resolver (DNS_RESOLVER) also serves a DNSBL zone listing the server
+ */
+
+import {
+  callHandler, createDnsStub, closeDnsStub, rdata,
+} from './stub-servers.js';
+
+const NXDOMAIN = 3;
+const DOMAIN = 'listed.test.';
+const SERVER_IP = '192.0.2.10';
+// The server's address, reversed, as DNSBLs are queried
+const DNSBL_NAME = '10.2.0.192.dnsbl.test.';
+
+const answerA = (name, address) => ({ answers: [{ name, type: 'A', data: rdata.A(address) }] });
+
+// The real DNS, as seen through an unfiltered resolver
+const answerReference = ({ name, typeName }) => {
+  if (name === DOMAIN && typeName === 'A') return answerA(name, SERVER_IP);
+  if (name === DNSBL_NAME && typeName === 'A') return answerA(name, '127.0.0.2');
+  if (name === DNSBL_NAME && typeName === 'TXT') {
+    return { answers: [{ name, type: 'TXT', data: rdata.TXT('Listed for sending spam') }] };
+  }
+  return { rcode: NXDOMAIN };
+};
+
+describe('Block lists', () => {
+  const stubs = [];
+  let handler;
+
+  beforeAll(async () => {
+    const reference = await createDnsStub(answerReference);
+    const sinkhole = await createDnsStub(({ name }) => answerA(name, '0.0.0.0'));
+    const strict = await createDnsStub(() => ({ rcode: NXDOMAIN }));
+    stubs.push(reference, sinkhole, strict);
+
+    process.env.API_TIMEOUT_LIMIT = '10000';
+    process.env.DNS_RESOLVER = reference.address;
+    process.env.BLOCKLIST_RESOLVERS = `Sinkhole=${sinkhole.address};Strict=${strict.address};Open=${reference.address}`;
+    process.env.DNSBL_ZONES = 'dnsbl.test,clean.test';
+    ({ handler } = await import('../../api/security/block-lists.js'));
+  });
+
+  afterAll(() => Promise.all(stubs.map(closeDnsStub)));
+
+  test('counts a sinkhole answer and NXDOMAIN for a domain which exists as blocks', async () => {
+    const { statusCode, body } = await callHandler(handler, 'listed.test');
+
+    expect(statusCode).toBe(200);
+    expect(body.serverIp).toBe(SERVER_IP);
+    expect(body.blockedBy).toEqual(['Sinkhole', 'Strict']);
+    const reasons = Object.fromEntries(body.blocklists.map(({ server, reason }) => [server, reason]));
+    expect(reasons).toEqual({
+      Sinkhole: 'Answered with block address 0.0.0.0',
+      Strict: 'Answered NXDOMAIN, for a domain which exists',
+      Open: null,
+    });
+  });
+
+  test('reports a 127.0.0.x DNSBL answer as a listing, with its reason', async () => {
+    const { body } = await callHandler(handler, 'listed.test');
+
+    expect(body.listedIn).toEqual(['dnsbl.test']);
+    expect(body.dnsbl).toEqual([
+      {
+        zone: 'dnsbl.test', listed: true, codes: ['127.0.0.2'], reason: 'Listed for sending spam',
+      },
+      { zone: 'clean.test', listed: false },
+    ]);
+  });
+
+  test('does not count NXDOMAIN as a block, for a domain which does not exist', async () => {
+    const { body } = await callHandler(handler, 'missing.test');
+
+    expect(body.serverIp).toBe(null);
+    expect(body.blockedBy).toEqual(['Sinkhole']);
+    expect(body.dnsbl).toEqual([]);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * DNSSEC Validation Tests
+ * Runs the dnssec handler against a local UDP resolver (via DNSSEC_RESOLVER), serving
+ * a zone signed with a key generated here, which is trusted through DNSSEC_TRUST_ANCHORS.
+ * Alongside it, an unsigned child zone, a tampered record set, and a CNAME into another zone
+ */
+
+import crypto from 'crypto';
+import { RECORD_TYPES, encodeName, getKeyTag } from '../../api/_common/dns-client.js';
+import {
+  callHandler, createDnsStub, closeDnsStub, encodeRecord, rdata,
+} from './stub-servers.js';
+
+const ZONE = 'example.test.';
+const CHILD = 'unsigned.example.test.';
+const CNAME_HOST = 'www.example.test.';
+const ED25519 = 15;
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+const dnskeyData = Buffer.concat([
+  Buffer.from([0x01, 0x01, 3, ED25519]), // Flags 257 (KSK), protocol 3
+  Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url'),
+]);
+const keyTag = getKeyTag(dnskeyData);
+const dsDigest = crypto.createHash('sha256')
+  .update(Buffer.concat([encodeName(ZONE), dnskeyData]))
+  .digest('hex')
+  .toUpperCase();
+const dsData = Buffer.concat([Buffer.from([keyTag >> 8, keyTag & 0xff, ED25519, 2]), Buffer.from(dsDigest, 'hex')]);
+
+/**
+ * Sign an RRset with the zone key (RFC 4034, section 3.1.8.1)
+ * @param {Object[]} records - Records of one name and type
+ * @returns {Object} The RRSIG record
+ */
+const sign = (records) => {
+  const [{ name, type, ttl = 300 }] = records;
+  const now = Math.floor(Date.now() / 1000);
+  const fixed = Buffer.alloc(18);
+  fixed.writeUInt16BE(RECORD_TYPES[type], 0);
+  fixed.writeUInt8(ED25519, 2);
+  fixed.writeUInt8(name.split('.').filter(Boolean).length, 3);
+  fixed.writeUInt32BE(ttl, 4);
+  fixed.writeUInt32BE(now + 86400, 8);
+  fixed.writeUInt32BE(now - 3600, 12);
+  fixed.writeUInt16BE(keyTag, 16);
+  const prefix = Buffer.concat([fixed, encodeName(ZONE)]);
+  const rrs = [...records].sort((a, b) => Buffer.compare(a.data, b.data)).map(encodeRecord);
+  const signature = crypto.sign(null, Buffer.concat([prefix, ...rrs]), privateKey);
+  return { name, type: 'RRSIG', ttl, data: Buffer.concat([prefix, signature]) };
+};
+
+const signed = (records) => [...records, sign(records)];
+
+const zoneSoa = { name: ZONE, type: 'SOA', data: rdata.SOA(`ns1.${ZONE}`, `hostmaster.${ZONE}`) };
+const cdnSoa = { name: 'cdn.test.', type: 'SOA', data: rdata.SOA('ns1.cdn.test.', 'hostmaster.cdn.test.') };
+const txt = { name: ZONE, type: 'TXT', data: rdata.TXT('v=spf1 -all') };
+const signedTxt = signed([txt]);
+
+// Answers, keyed by name then type
+const ZONE_DATA = {
+  [ZONE]: {
+    SOA: signed([zoneSoa]),
+    NS: signed([{ name: ZONE, type: 'NS', data: rdata.NAME(`ns1.${ZONE}`) }]),
+    A: signed([{ name: ZONE, type: 'A', data: rdata.A('192.0.2.1') }]),
+    DNSKEY: signed([{ name: ZONE, type: 'DNSKEY', data: dnskeyData }]),
+    DS: [{ name: ZONE, type: 'DS', data: dsData }],
+    // Signed, then changed, so the signature no longer matches
+    TXT: [{ ...txt, data: rdata.TXT('v=spf1 +all') }, signedTxt[1]],
+  },
+  [CHILD]: {
+    SOA: [{ name: CHILD, type: 'SOA', data: rdata.SOA(`ns1.${CHILD}`, `hostmaster.${CHILD}`) }],
+    A: [{ name: CHILD, type: 'A', data: rdata.A('192.0.2.2') }],
+  },
+};
+
+const answerQuestion = ({ name, typeName }) => {
+  // The host is a CNAME into a CDN's zone, so the SOA which comes back is the CDN's
+  if (name === CNAME_HOST) {
+    return {
+      answers: [{ name, type: 'CNAME', data: rdata.NAME('edge.cdn.test.') }],
+      authorities: typeName === 'SOA' ? [cdnSoa] : [],
+    };
+  }
+  if (!ZONE_DATA[name]) return { rcode: 3 };
+  return { answers: ZONE_DATA[name][typeName] || [], authorities: ZONE_DATA[name][typeName] ? [] : [zoneSoa] };
+};
+
+describe('DNSSEC validation', () => {
+  let resolver;
+  let handler;
+
+  beforeAll(async () => {
+    resolver = await createDnsStub(answerQuestion);
+    // Read once, when the handler is first imported
+    process.env.API_TIMEOUT_LIMIT = '5000';
+    process.env.DNSSEC_RESOLVER = resolver.address;
+    process.env.DNSSEC_TRUST_ANCHORS = `${ZONE} ${keyTag} ${ED25519} 2 ${dsDigest}`;
+    ({ handler } = await import('../../api/network/dnssec.js'));
+  });
+
+  afterAll(() => closeDnsStub(resolver));
+
+  test('validates a signed zone from a local trust anchor', async () => {
+    const { statusCode, body } = await callHandler(handler, 'example.test');
+
+    expect(statusCode).toBe(200);
+    expect(body.zone).toBe(ZONE);
+    expect(body.status).toBe('secure');
+    expect(body.chain.map(({ zone, status }) => [zone, status])).toEqual([[ZONE, 'secure']]);
+    const statuses = Object.fromEntries(body.records.map(({ type, status }) => [type, status]));
+    expect(statuses).toMatchObject({ SOA: 'secure', NS: 'secure', A: 'secure' });
+    expect(body.algorithms).toEqual([expect.objectContaining({ keyTag, name: 'Ed25519', strength: 'strong' })]);
+    expect(body.digestTypes).toEqual([{ keyTag, digestType: 2, name: 'SHA-256', strength: 'strong' }]);
+    expect(body.weakAlgorithms).toBe(false);
+    expect(body.weakDigestTypes).toBe(false);
+  });
+
+  test('reports a record set whose signature does not match as bogus', async () => {
+    const { body } = await callHandler(handler, 'example.test');
+
+    const record = body.records.find(({ type }) => type === 'TXT');
+    expect(record.status).toBe('bogus');
+    expect(record.signatures[0].reason).toBe('Signature does not match the record set');
+  });
+
+  test('reports a delegation with no DS records as insecure', async () => {
+    const { body } = await callHandler(handler, 'unsigned.example.test');
+
+    expect(body.zone).toBe(CHILD);
+    expect(body.status).toBe('insecure');
+    expect(body.chain.map(({ zone, status }) => [zone, status])).toEqual([[ZONE, 'secure'], [CHILD, 'insecure']]);
+  });
+
+  test('finds the zone of a CNAMEd host from its own name, not the SOA it leads to', async () => {
+    const { body } = await callHandler(handler, 'www.example.test');
+
+    expect(body.zone).toBe(ZONE);
+    expect(body.status).toBe('secure');
+  });
+});
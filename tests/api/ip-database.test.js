@@ -0,0 +1,151 @@
+/**
+ * IP Database Tests
+ * Reads MaxMind DB files built here: an IPv4 database, and IPv6 databases
+ * holding IPv4 networks under ::/96, in each record size the format allows
+ */
+
+import { readMmdb } from '../../api/_common/ip-database.js';
+import { parseCidr } from '../../api/_common/ip-utils.js';
+
+const METADATA_MARKER = Buffer.from('abcdef4d61784d696e642e636f6d', 'hex');
+const DATA_SECTION_SEPARATOR = 16;
+
+// Control byte for the types used here (all under 8, so no extended type byte).
+// Sizes from 29 to 284 take an extra byte
+const control = (type, size) => Buffer.from(size < 29 ? [(type << 5) | size] : [(type << 5) | 29, size - 29]);
+
+const encodeValue = (value) => {
+  if (value && value.pointer !== undefined) {
+    // An 11 bit pointer, into the data section
+    return Buffer.from([(1 << 5) | (value.pointer >> 8), value.pointer & 0xff]);
+  }
+  if (typeof value === 'string') return Buffer.concat([control(2, Buffer.byteLength(value)), Buffer.from(value)]);
+  if (typeof value === 'number') {
+    const bytes = [];
+    for (let remaining = value; remaining > 0; remaining = Math.floor(remaining / 256)) bytes.unshift(remaining & 0xff);
+    return Buffer.concat([control(6, bytes.length), Buffer.from(bytes)]);
+  }
+  const entries = Object.entries(value);
+  return Buffer.concat([control(7, entries.length), ...entries.flatMap(([key, item]) => [encodeValue(key), encodeValue(item)])]);
+};
+
+const writeNode = ([left, right], recordSize) => {
+  const node = Buffer.alloc(recordSize / 4);
+  if (recordSize === 24) {
+    node.writeUIntBE(left, 0, 3);
+    node.writeUIntBE(right, 3, 3);
+  } else if (recordSize === 32) {
+    node.writeUInt32BE(left, 0);
+    node.writeUInt32BE(right, 4);
+  } else {
+    // 28 bits: the top four bits of each record share the middle byte
+    node.writeUIntBE(left & 0xffffff, 0, 3);
+    node[3] = ((left >> 24) << 4) | (right >> 24);
+    node.writeUIntBE(right & 0xffffff, 4, 3);
+  }
+  return node;
+};
+
+/**
+ * Build a .mmdb file
+ * @param {Object} options
+ * @param {number} options.ipVersion - 4 or 6
+ * @param {number} options.recordSize - 24, 28 or 32
+ * @param {Array} [options.shared] - Values written first in the data section, for records to point to
+ * @param {{cidr: string, data: Object}[]} options.networks - IPv4 networks go under ::/96 in IPv6 databases
+ */
+const buildMmdb = ({
+  ipVersion, recordSize, shared = [], networks,
+}) => {
+  const dataParts = shared.map(encodeValue);
+  const dataLength = () => dataParts.reduce((total, part) => total + part.length, 0);
+  const nodes = [[null, null]];
+
+  networks.forEach(({ cidr, data }) => {
+    const range = parseCidr(cidr);
+    const bits = ipVersion === 6 ? 128 : 32;
+    const prefixLength = Number(cidr.split('/')[1]) + (range.version === 4 && ipVersion === 6 ? 96 : 0);
+    const dataOffset = dataLength();
+    dataParts.push(encodeValue(data));
+
+    let node = 0;
+    for (let depth = 0; depth < prefixLength; depth += 1) {
+      const bit = Number((range.start >> BigInt(bits - 1 - depth)) & 1n);
+      if (depth === prefixLength - 1) {
+        nodes[node][bit] = { data: dataOffset };
+      } else {
+        if (!nodes[node][bit]) {
+          nodes.push([null, null]);
+          nodes[node][bit] = { node: nodes.length - 1 };
+        }
+        node = nodes[node][bit].node;
+      }
+    }
+  });
+
+  // Empty records are the node count, data records are past it and the separator
+  const nodeCount = nodes.length;
+  const toRecord = (record) => {
+    if (!record) return nodeCount;
+    return record.node ?? nodeCount + DATA_SECTION_SEPARATOR + record.data;
+  };
+  const tree = nodes.map((node) => writeNode(node.map(toRecord), recordSize));
+  const metadata = encodeValue({
+    node_count: nodeCount, record_size: recordSize, ip_version: ipVersion, database_type: 'Test-ASN',
+  });
+  return Buffer.concat([...tree, Buffer.alloc(DATA_SECTION_SEPARATOR), ...dataParts, METADATA_MARKER, metadata]);
+};
+
+const AUSTRALIA = { iso_code: 'AU', names: { en: 'Australia' } };
+const NETWORKS = [
+  {
+    cidr: '1.1.1.0/24',
+    data: { autonomous_system_number: 13335, autonomous_system_organization: 'CLOUDFLARENET', country: { pointer: 0 } },
+  },
+  { cidr: '10.0.0.0/8', data: { autonomous_system_organization: 'Private' } },
+];
+
+describe('readMmdb', () => {
+  test('looks up IPv4 networks, following pointers in the data', () => {
+    const { metadata, lookup } = readMmdb(buildMmdb({
+      ipVersion: 4, recordSize: 24, shared: [AUSTRALIA], networks: NETWORKS,
+    }));
+
+    expect(metadata).toMatchObject({ database_type: 'Test-ASN', ip_version: 4, record_size: 24 });
+    expect(lookup('1.1.1.1')).toEqual({
+      data: { autonomous_system_number: 13335, autonomous_system_organization: 'CLOUDFLARENET', country: AUSTRALIA },
+      prefixLength: 24,
+    });
+    expect(lookup('::ffff:10.20.30.40')).toEqual({ data: { autonomous_system_organization: 'Private' }, prefixLength: 8 });
+  });
+
+  test('gives null for addresses with no data, or IPv6 in an IPv4 database', () => {
+    const { lookup } = readMmdb(buildMmdb({
+      ipVersion: 4, recordSize: 24, shared: [AUSTRALIA], networks: NETWORKS,
+    }));
+
+    expect(lookup('1.1.2.1')).toBe(null);
+    expect(lookup('8.8.8.8')).toBe(null);
+    expect(lookup('2001:db8::1')).toBe(null);
+    expect(lookup('not an ip')).toBe(null);
+  });
+
+  test.each([24, 28, 32])('finds IPv4 under ::/96 and IPv6 networks, with %i-bit records', (recordSize) => {
+    const { lookup } = readMmdb(buildMmdb({
+      ipVersion: 6,
+      recordSize,
+      shared: [AUSTRALIA],
+      networks: [...NETWORKS, { cidr: '2001:db8::/32', data: { autonomous_system_number: 64496 } }],
+    }));
+
+    expect(lookup('1.1.1.1')).toMatchObject({ data: { country: AUSTRALIA }, prefixLength: 24 });
+    expect(lookup('2001:db8:1::1')).toEqual({ data: { autonomous_system_number: 64496 }, prefixLength: 32 });
+    expect(lookup('2001:db9::1')).toBe(null);
+  });
+
+  test('rejects files without MaxMind metadata, or with an unknown record size', () => {
+    expect(() => readMmdb(Buffer.from('IP2Location data'))).toThrow('Not a MaxMind DB file, no metadata found');
+    const unsupported = Buffer.concat([METADATA_MARKER, encodeValue({ node_count: 1, record_size: 20, ip_version: 4 })]);
+    expect(() => readMmdb(unsupported)).toThrow('Unsupported record size 20');
+  });
+});
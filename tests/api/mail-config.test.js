@@ -0,0 +1,102 @@
+/**
+ * Mail Configuration Tests
+ * Runs the mail-config handler against a local UDP resolver (via DNS_RESOLVER),
+ * to check how the SPF walker counts includes, loops and void lookups, and that
+ * a failing lookup is reported on its own section rather than failing the audit
+ */
+
+import {
+  callHandler, createDnsStub, closeDnsStub, rdata,
+} from './stub-servers.js';
+
+const SERVFAIL = 2;
+const NXDOMAIN = 3;
+
+// TXT records for each name, or an rcode to answer with. Anything else is NXDOMAIN
+const ZONE_DATA = {
+  'repeated.test.': ['v=spf1 include:senders.test a:mail.repeated.test include:senders.test -all'],
+  'senders.test.': ['v=spf1 ip4:192.0.2.0/24 -all'],
+  'loop.test.': ['v=spf1 include:loop-back.test -all'],
+  'loop-back.test.': ['v=spf1 include:loop.test -all'],
+  'void.test.': ['v=spf1 include:missing.test include:no-spf.test -all'],
+  'no-spf.test.': ['google-site-verification=abc123'],
+  'failing.test.': ['v=spf1 include:broken.test -all'],
+  'broken.test.': SERVFAIL,
+  '_dmarc.failing.test.': ['v=DMARC1; p=reject; rua=mailto:dmarc@failing.test'],
+  '_smtp._tls.failing.test.': SERVFAIL,
+  'default._bimi.failing.test.': SERVFAIL,
+};
+
+// Domains which accept mail, so are graded on MTA-STS and TLS-RPT too
+const MX_HOSTS = { 'failing.test.': 'mx.failing.test.' };
+
+const answerQuestion = ({ name, typeName }) => {
+  const data = ZONE_DATA[name];
+  if (data === undefined) return { rcode: NXDOMAIN };
+  if (typeof data === 'number') return { rcode: data };
+  if (typeName === 'MX' && MX_HOSTS[name]) {
+    return { answers: [{ name, type: 'MX', data: rdata.MX(10, MX_HOSTS[name]) }] };
+  }
+  if (typeName !== 'TXT') return {};
+  return { answers: data.map((text) => ({ name, type: 'TXT', data: rdata.TXT(text) })) };
+};
+
+describe('Mail configuration audit', () => {
+  let resolver;
+  let handler;
+
+  beforeAll(async () => {
+    resolver = await createDnsStub(answerQuestion);
+    // Read once, when the handler is first imported
+    process.env.API_TIMEOUT_LIMIT = '10000';
+    process.env.DNS_RESOLVER = resolver.address;
+    ({ handler } = await import('../../api/network/mail-config.js'));
+  });
+
+  afterAll(() => closeDnsStub(resolver));
+
+  test('walks and counts a domain included twice, without calling it a loop', async () => {
+    const { statusCode, body } = await callHandler(handler, 'repeated.test');
+
+    expect(statusCode).toBe(200);
+    expect(body.spf.valid).toBe(true);
+    expect(body.spf.errors).toEqual([]);
+    expect(body.spf.lookups).toBe(3);
+    expect(body.spf.chain.includes.map(({ domain }) => domain)).toEqual(['senders.test', 'senders.test']);
+    expect(body.spf.includes).toEqual(['senders.test']);
+    expect(body.spf.all).toBe('-all');
+  });
+
+  test('reports an include which leads back to the domain as a loop', async () => {
+    const { body } = await callHandler(handler, 'loop.test');
+
+    expect(body.spf.valid).toBe(false);
+    expect(body.spf.errors).toEqual(['loop-back.test: including loop.test loops back on itself']);
+  });
+
+  test('only counts includes with no TXT records as void lookups', async () => {
+    const { body } = await callHandler(handler, 'void.test');
+
+    expect(body.spf.voidLookups).toBe(1);
+    expect(body.spf.errors).toEqual([
+      'void.test: included domain missing.test has no SPF record',
+      'void.test: included domain no-spf.test has no SPF record',
+    ]);
+    expect(body.findings.map(({ title }) => title)).toContain('Invalid SPF record');
+  });
+
+  test('reports failed lookups on their own sections, returning the rest', async () => {
+    const { statusCode, body } = await callHandler(handler, 'failing.test');
+
+    expect(statusCode).toBe(200);
+    expect(body.spf.errors).toEqual([]);
+    expect(body.spf.tempErrors).toEqual(['failing.test: included domain broken.test: TXT lookup failed (ESERVFAIL)']);
+    expect(body.tlsRpt.error).toMatch(/ESERVFAIL/);
+    expect(body.bimi.error).toMatch(/ESERVFAIL/);
+    expect(body.mxRecords).toEqual([{ exchange: 'mx.failing.test', priority: 10 }]);
+    expect(body.dmarc.policy).toBe('reject');
+    expect(body.findings.map(({ title }) => title)).toEqual(expect.arrayContaining([
+      'SPF lookups failed', 'TLS-RPT lookup failed', 'BIMI lookup failed',
+    ]));
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Port Scanner Tests
+ * Checks the ports param parsing and service identification on their own,
+ * then scans local servers: one which greets like SSH, one which never says
+ * anything (so the scan deadline passes), and a port nothing listens on
+ */
+
+import net from 'net';
+import { listen, close, callHandler } from './stub-servers.js';
+
+const DEADLINE = 1200;
+
+// A port which was free a moment ago, so should refuse connections
+const getClosedPort = async () => {
+  const server = net.createServer();
+  const port = await listen(server);
+  await close(server);
+  return port;
+};
+
+describe('Ports', () => {
+  let parsePorts;
+  let identifyService;
+  let handler;
+  const servers = [];
+  const sockets = new Set();
+
+  beforeAll(async () => {
+    process.env.API_TIMEOUT_LIMIT = '10000';
+    process.env.PORT_SCAN_DEADLINE = String(DEADLINE);
+    process.env.PORT_SCAN_CONCURRENCY = '1';
+    ({ parsePorts, identifyService, handler } = await import('../../api/network/ports.js'));
+  });
+
+  const startServer = async (onConnection) => {
+    const server = net.createServer((socket) => {
+      sockets.add(socket);
+      socket.on('error', () => {});
+      socket.on('close', () => sockets.delete(socket));
+      onConnection(socket);
+    });
+    servers.push(server);
+    return listen(server);
+  };
+
+  afterAll(() => {
+    sockets.forEach((socket) => socket.destroy());
+    return Promise.all(servers.map(close));
+  });
+
+  describe('parsePorts', () => {
+    test('combines ports, ranges and presets, sorted and without duplicates', () => {
+      expect(parsePorts('8081, 22,8079-8081,web')).toEqual([
+        22, 80, 81, 443, 3000, 5000, 8000, 8008, 8079, 8080, 8081, 8443, 8888, 9000, 9443,
+      ]);
+    });
+
+    test('rejects invalid ports, backwards ranges and unknown presets', () => {
+      expect(() => parsePorts('0')).toThrow('Invalid port: 0');
+      expect(() => parsePorts('65536')).toThrow('Invalid port: 65536');
+      expect(() => parsePorts('90-80')).toThrow('Invalid port range: 90-80');
+      expect(() => parsePorts('games')).toThrow('Unknown port or preset: games');
+      expect(() => parsePorts(' , ')).toThrow('No ports given to scan');
+    });
+
+    test('rejects a range over the port limit, without listing it', () => {
+      expect(() => parsePorts('1-65535')).toThrow('is more than the 1024 port limit');
+    });
+  });
+
+  describe('identifyService', () => {
+    test('reads the software and version from an SSH greeting', () => {
+      expect(identifyService(Buffer.from('SSH-2.0-OpenSSH_8.9p1 Ubuntu-3\r\n'), 'ssh')).toEqual({
+        protocol: 'ssh', product: 'OpenSSH', version: '8.9p1', banner: 'SSH-2.0-OpenSSH_8.9p1 Ubuntu-3',
+      });
+    });
+
+    test('reads the Server header of an HTTP response', () => {
+      const service = identifyService(Buffer.from('HTTP/1.1 301 Moved Permanently\r\nServer: nginx/1.18.0\r\n\r\n'), 'http');
+      expect(service).toMatchObject({
+        protocol: 'http', product: 'nginx', version: '1.18.0', statusCode: 301,
+      });
+    });
+
+    test('tells SMTP and FTP apart from the 220 greeting, or else the port', () => {
+      expect(identifyService(Buffer.from('220 mail.example.com ESMTP Postfix\r\n'), 'ftp')).toMatchObject({ protocol: 'smtp', product: 'Postfix' });
+      expect(identifyService(Buffer.from('220 (vsFTPd 3.0.5)\r\n'), 'smtp')).toMatchObject({ protocol: 'ftp', product: 'vsftpd', version: '3.0.5' });
+      expect(identifyService(Buffer.from('220 Welcome\r\n'), 'ftp').protocol).toBe('ftp');
+    });
+
+    test('reads the server version from a MariaDB greeting packet', () => {
+      const payload = Buffer.concat([Buffer.from([0x0a]), Buffer.from('5.5.5-10.6.12-MariaDB\0'), Buffer.alloc(20)]);
+      const header = Buffer.from([payload.length, 0, 0, 0]);
+      expect(identifyService(Buffer.concat([header, payload]), 'mysql')).toEqual({
+        protocol: 'mysql', product: 'MariaDB', version: '10.6.12', banner: '5.5.5-10.6.12-MariaDB',
+      });
+    });
+
+    test('only reads PostgreSQL\'s one byte answer on its own port', () => {
+      expect(identifyService(Buffer.from('S'), 'postgresql')).toMatchObject({ protocol: 'postgresql', banner: 'Accepts SSL' });
+      expect(identifyService(Buffer.from('S'), null).protocol).toBe(null);
+    });
+
+    test('gives nothing when the server sent nothing', () => {
+      expect(identifyService(Buffer.alloc(0), 'ssh')).toBe(null);
+    });
+  });
+
+  describe('handler', () => {
+    test('identifies an open port, and lists one which refused as failed', async () => {
+      const sshPort = await startServer((socket) => socket.write('SSH-2.0-OpenSSH_9.6\r\n'));
+      const closedPort = await getClosedPort();
+      const { statusCode, body } = await callHandler(handler, 'http://127.0.0.1', { ports: `${sshPort},${closedPort}` });
+
+      expect(statusCode).toBe(200);
+      expect(body).toMatchObject({
+        openPorts: [sshPort],
+        closedPorts: [closedPort],
+        failedPorts: [closedPort],
+        uncheckedPorts: [],
+        partial: false,
+      });
+      expect(body.services[0]).toMatchObject({ protocol: 'ssh', product: 'OpenSSH', version: '9.6' });
+    });
+
+    test('keeps ports there was no time to check out of the failed ports', async () => {
+      const silentPort = await startServer(() => {});
+      const { body } = await callHandler(handler, 'http://127.0.0.1', { ports: `${silentPort},${silentPort + 1}` });
+
+      expect(body).toMatchObject({
+        openPorts: [silentPort],
+        failedPorts: [],
+        uncheckedPorts: [silentPort + 1],
+        portsScanned: 1,
+        partial: true,
+      });
+    });
+  });
+});
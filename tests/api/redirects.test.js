@@ -0,0 +1,70 @@
+/**
+ * Redirects Tests
+ * Checks Refresh value parsing on its own, then follows client side
+ * redirects (meta refresh and inline scripts) served by a local HTTP server
+ */
+
+import http from 'http';
+import { listen, close, callHandler } from './stub-servers.js';
+
+const PAGES = {
+  '/meta': '<meta http-equiv="refresh" content="0; url=/home">',
+  '/script': '<script>window.location.href = "/home";</script>',
+  '/href': '<script>if (!signedIn) location.href = \'/home\';</script>',
+  '/replace': '<script>location.replace("/home")</script>',
+  // Variables and properties which happen to be called location aren't redirects
+  '/weather': '<script>var location = "Paris"; let place = { location: "Oslo" }; user.location.href = "/profile";</script>',
+  '/home': '<h1>Home</h1>',
+};
+
+describe('Redirects', () => {
+  let parseRefresh;
+  let handler;
+  let server;
+  let base;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      res.writeHead(PAGES[req.url] ? 200 : 404, { 'Content-Type': 'text/html' });
+      res.end(PAGES[req.url] || 'Not found');
+    });
+    base = `http://127.0.0.1:${await listen(server)}`;
+
+    process.env.API_TIMEOUT_LIMIT = '10000';
+    ({ parseRefresh, handler } = await import('../../api/utils/redirects.js'));
+  });
+
+  afterAll(() => close(server));
+
+  describe('parseRefresh', () => {
+    test('reads the delay and target, with or without url= and quotes', () => {
+      expect(parseRefresh('0; url=/home')).toEqual({ delay: 0, target: '/home' });
+      expect(parseRefresh('5;URL=\'https://example.com/\'')).toEqual({ delay: 5, target: 'https://example.com/' });
+      expect(parseRefresh('2.5, https://example.com/next')).toEqual({ delay: 2.5, target: 'https://example.com/next' });
+      expect(parseRefresh('url=/later')).toEqual({ delay: 0, target: '/later' });
+    });
+
+    test('gives null for a delay alone, which only reloads the page', () => {
+      expect(parseRefresh('30')).toBe(null);
+      expect(parseRefresh('10; url=')).toBe(null);
+      expect(parseRefresh(undefined)).toBe(null);
+    });
+  });
+
+  describe('handler', () => {
+    test.each(['/meta', '/script', '/href', '/replace'])('follows the client side redirect on %s', async (path) => {
+      const { statusCode, body } = await callHandler(handler, `${base}${path}`);
+
+      expect(statusCode).toBe(200);
+      expect(body.redirects).toEqual([`${base}${path}`, `${base}/home`]);
+      expect(body.finalStatus).toBe(200);
+    });
+
+    test('does not take a variable or property called location for a redirect', async () => {
+      const { body } = await callHandler(handler, `${base}/weather`);
+
+      expect(body.redirects).toEqual([`${base}/weather`]);
+      expect(body.chain[0].redirect).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Revocation Tests
+ * Reads OCSP responses built here with the DER helpers, covering each
+ * certificate status and responses which don't answer for the certificate
+ */
+
+import {
+  TAGS, encode, encodeOid,
+} from '../../api/_common/asn1.js';
+import { parseOcspResponse } from '../../api/_common/revocation.js';
+
+const SERIAL = Buffer.from([0x00, 0x9a, 0x01]);
+
+const time = (text) => encode(TAGS.GENERALIZED_TIME, Buffer.from(text));
+
+// CertID, with placeholder name and key hashes, as only the serial is matched
+const certId = (serial) => encode(
+  TAGS.SEQUENCE,
+  encode(TAGS.SEQUENCE, encodeOid('1.3.14.3.2.26'), encode(TAGS.NULL)),
+  encode(TAGS.OCTET_STRING, Buffer.alloc(20)),
+  encode(TAGS.OCTET_STRING, Buffer.alloc(20)),
+  encode(TAGS.INTEGER, serial),
+);
+
+const STATUSES = {
+  good: () => encode(0x80),
+  unknown: () => encode(0x82),
+  // RevokedInfo, with the reason as [0] EXPLICIT CRLReason
+  revoked: (reason) => encode(
+    0xa1,
+    time('20240301120000Z'),
+    ...(reason === undefined ? [] : [encode(0xa0, encode(TAGS.ENUMERATED, Buffer.from([reason])))]),
+  ),
+};
+
+const singleResponse = (serial, certStatus) => encode(
+  TAGS.SEQUENCE,
+  certId(serial),
+  certStatus,
+  time('20240401000000Z'),
+  encode(0xa0, time('20240408000000Z')),
+);
+
+/**
+ * Build an OCSPResponse, holding a BasicOCSPResponse with an (unchecked) empty signature
+ */
+const ocspResponse = (...responses) => {
+  const tbsResponseData = encode(
+    TAGS.SEQUENCE,
+    encode(0xa0, encode(TAGS.INTEGER, Buffer.from([0]))), // version
+    encode(0xa2, encode(TAGS.OCTET_STRING, Buffer.alloc(20))), // responderID byKey
+    time('20240401120000Z'),
+    encode(TAGS.SEQUENCE, ...responses),
+  );
+  const basic = encode(
+    TAGS.SEQUENCE,
+    tbsResponseData,
+    encode(TAGS.SEQUENCE, encodeOid('1.2.840.113549.1.1.11'), encode(TAGS.NULL)),
+    encode(TAGS.BIT_STRING, Buffer.from([0])),
+  );
+  return encode(
+    TAGS.SEQUENCE,
+    encode(TAGS.ENUMERATED, Buffer.from([0])),
+    encode(0xa0, encode(TAGS.SEQUENCE, encodeOid('1.3.6.1.5.5.7.48.1.1'), encode(TAGS.OCTET_STRING, basic))),
+  );
+};
+
+describe('parseOcspResponse', () => {
+  test('reads a good status and its validity, matching the serial without its zero padding', () => {
+    const result = parseOcspResponse(ocspResponse(singleResponse(Buffer.from([0x9a, 0x01]), STATUSES.good())), SERIAL);
+    expect(result).toEqual({
+      responseStatus: 'successful',
+      status: 'good',
+      producedAt: '2024-04-01T12:00:00.000Z',
+      thisUpdate: '2024-04-01T00:00:00.000Z',
+      nextUpdate: '2024-04-08T00:00:00.000Z',
+      revocationTime: null,
+      revocationReason: null,
+    });
+  });
+
+  test('reads when and why a certificate was revoked', () => {
+    const result = parseOcspResponse(ocspResponse(singleResponse(SERIAL, STATUSES.revoked(1))), SERIAL);
+    expect(result).toMatchObject({
+      status: 'revoked',
+      revocationTime: '2024-03-01T12:00:00.000Z',
+      revocationReason: 'keyCompromise',
+    });
+  });
+
+  test('leaves the reason empty when the responder gives none', () => {
+    const result = parseOcspResponse(ocspResponse(singleResponse(SERIAL, STATUSES.revoked())), SERIAL);
+    expect(result).toMatchObject({ status: 'revoked', revocationReason: null });
+  });
+
+  test('reads an unknown status, picking the certificate out of several responses', () => {
+    const result = parseOcspResponse(ocspResponse(
+      singleResponse(Buffer.from([0x01]), STATUSES.revoked(4)),
+      singleResponse(SERIAL, STATUSES.unknown()),
+    ), SERIAL);
+    expect(result.status).toBe('unknown');
+  });
+
+  test('gives no status when the response is about another certificate', () => {
+    const result = parseOcspResponse(ocspResponse(singleResponse(Buffer.from([0x01]), STATUSES.good())), SERIAL);
+    expect(result).toMatchObject({ status: null, producedAt: '2024-04-01T12:00:00.000Z', thisUpdate: null });
+  });
+
+  test('reports an unsuccessful response, which has no response bytes', () => {
+    const result = parseOcspResponse(encode(TAGS.SEQUENCE, encode(TAGS.ENUMERATED, Buffer.from([3]))), SERIAL);
+    expect(result).toMatchObject({ responseStatus: 'tryLater', status: null, producedAt: null });
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Stub Server Helpers
+ * Shared by the jest tests which run handlers against local stand-ins for
+ * real services (WHOIS, RDAP, DNS resolvers), so no external host is contacted
+ */
+
+import dgram from 'dgram';
+import { RECORD_TYPES, encodeName, decodeMessage } from '../../api/_common/dns-client.js';
+
+export const listen = (server) => new Promise((resolve) => {
+  server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+});
+
+export const close = (server) => new Promise((resolve) => server.close(resolve));
+
+// Call the handler as Express would, resolving with the status and body it sends
+export const callHandler = (handler, url, query = {}) => new Promise((resolve) => {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { resolve({ statusCode: this.statusCode, body }); return this; },
+  };
+  handler({ query: { url, ...query } }, res);
+});
+
+const uint = (value, bytes) => {
+  const buf = Buffer.alloc(bytes);
+  if (bytes === 1) buf.writeUInt8(value, 0);
+  else if (bytes === 2) buf.writeUInt16BE(value, 0);
+  else buf.writeUInt32BE(value, 0);
+  return buf;
+};
+
+// Record data builders, for the types the tests serve
+export const rdata = {
+  A: (address) => Buffer.from(address.split('.').map(Number)),
+  NAME: (name) => encodeName(name),
+  MX: (preference, exchange) => Buffer.concat([uint(preference, 2), encodeName(exchange)]),
+  TXT: (text) => Buffer.concat([uint(Buffer.byteLength(text), 1), Buffer.from(text)]),
+  SOA: (mname, rname, serial = 1) => Buffer.concat([
+    encodeName(mname), encodeName(rname), ...[serial, 3600, 600, 86400, 300].map((value) => uint(value, 4)),
+  ]),
+};
+
+/**
+ * Encode a resource record, uncompressed
+ * @param {{name: string, type: string, ttl?: number, data: Buffer}} record
+ * @returns {Buffer}
+ */
+export const encodeRecord = ({ name, type, ttl = 300, data }) => Buffer.concat([
+  encodeName(name), uint(RECORD_TYPES[type], 2), uint(1, 2), uint(ttl, 4), uint(data.length, 2), data,
+]);
+
+/**
+ * A UDP DNS server, which answers each question with whatever `answer` returns
+ * @param {Function} answer - Given the question ({name, typeName}), returns {rcode, answers, authorities}
+ * @returns {Promise<{socket: dgram.Socket, address: string}>} Address as 'host:port'
+ */
+export const createDnsStub = (answer) => new Promise((resolve) => {
+  const socket = dgram.createSocket('udp4');
+  socket.on('message', (message, remote) => {
+    const [question] = decodeMessage(message).questions;
+    const { rcode = 0, answers = [], authorities = [] } = answer(question) || {};
+    const header = Buffer.concat([
+      message.subarray(0, 2),
+      uint(0x8180 | rcode, 2), // QR, RD and RA
+      uint(1, 2), uint(answers.length, 2), uint(authorities.length, 2), uint(0, 2),
+    ]);
+    const reply = Buffer.concat([
+      header,
+      encodeName(question.name), uint(question.type, 2), uint(1, 2),
+      ...[...answers, ...authorities].map(encodeRecord),
+    ]);
+    socket.send(reply, remote.port, remote.address);
+  });
+  socket.bind(0, '127.0.0.1', () => resolve({ socket, address: `127.0.0.1:${socket.address().port}` }));
+});
+
+export const closeDnsStub = ({ socket }) => new Promise((resolve) => socket.close(resolve));
@@ -24,8 +24,8 @@ export const securityTestSuite = {
       params: { url: testUrls.https },
       expected: {
         statusCode: 200,
-        maxResponseTime: 10000,
-        requiredFields: ['subject', 'issuer', 'valid_from', 'valid_to'],
+        maxResponseTime: 15000,
+        requiredFields: ['subject', 'issuer', 'valid_from', 'valid_to', 'validation', 'chain', 'revocation', 'issues'],
         responseType: 'object'
       }
     },
@@ -56,7 +56,7 @@ export const securityTestSuite = {
       expected: {
         statusCode: 200,
         maxResponseTime: 20000, // TLS analysis can be slow
-        requiredFields: ['domain', 'timestamp'],
+        requiredFields: ['domain', 'timestamp', 'protocols', 'suites', 'clients', 'issues'],
         responseType: 'object'
       }
     },
@@ -90,6 +90,39 @@ export const securityTestSuite = {
         maxResponseTime: 12000,
         responseType: 'object'
       }
+    },
+    {
+      name: 'Security.txt Check',
+      endpoint: '/api/security/security-txt',
+      params: { url: testUrls.valid },
+      expected: {
+        statusCode: 200,
+        maxResponseTime: 10000,
+        requiredFields: ['isPresent'],
+        responseType: 'object'
+      }
+    },
+    {
+      name: 'HTTP Security Headers Grade',
+      endpoint: '/api/security/http-security',
+      params: { url: testUrls.https },
+      expected: {
+        statusCode: 200,
+        maxResponseTime: 10000,
+        requiredFields: ['headers', 'score', 'grade'],
+        responseType: 'object'
+      }
+    },
+    {
+      name: 'Block Lists Check',
+      endpoint: '/api/security/block-lists',
+      params: { url: testUrls.valid },
+      expected: {
+        statusCode: 200,
+        maxResponseTime: 15000,
+        requiredFields: ['blocklists', 'dnsbl'],
+        responseType: 'object'
+      }
     }
   ]
 };
@@ -128,7 +161,18 @@ export const networkTestSuite = {
       expected: {
         statusCode: 200,
         maxResponseTime: 15000,
-        requiredFields: ['openPorts', 'failedPorts'],
+        requiredFields: ['openPorts', 'failedPorts', 'services', 'partial'],
+        responseType: 'object'
+      }
+    },
+    {
+      name: 'Port Scanning - Web Preset and Range',
+      endpoint: '/api/network/ports',
+      params: { url: testUrls.valid, ports: 'web,8000-8010' },
+      expected: {
+        statusCode: 200,
+        maxResponseTime: 15000,
+        requiredFields: ['openPorts', 'services'],
         responseType: 'object'
       }
     },
@@ -139,6 +183,40 @@ export const networkTestSuite = {
       expected: {
         statusCode: 200,
         maxResponseTime: 5000,
+        responseType: 'object',
+        requiredFields: ['ip', 'ipv4', 'ipv6', 'addresses']
+      }
+    },
+    {
+      name: 'WHOIS / RDAP Lookup',
+      endpoint: '/api/network/whois',
+      params: { url: testUrls.valid },
+      expected: {
+        statusCode: 200,
+        maxResponseTime: 15000,
+        requiredFields: ['domain', 'registrar', 'nameservers', 'status', 'internicData'],
+        responseType: 'object'
+      }
+    },
+    {
+      name: 'DNSSEC Validation',
+      endpoint: '/api/network/dnssec',
+      params: { url: testUrls.valid },
+      expected: {
+        statusCode: 200,
+        maxResponseTime: 15000,
+        requiredFields: ['status', 'DNSKEY', 'DS', 'RRSIG', 'chain', 'records'],
+        responseType: 'object'
+      }
+    },
+    {
+      name: 'Mail Configuration Audit',
+      endpoint: '/api/network/mail-config',
+      params: { url: testUrls.valid },
+      expected: {
+        statusCode: 200,
+        maxResponseTime: 15000,
+        requiredFields: ['mxRecords', 'txtRecords', 'mailServices', 'spf', 'dmarc', 'dkim', 'findings'],
         responseType: 'object'
       }
     },
@@ -148,7 +226,40 @@ export const networkTestSuite = {
       params: { url: testUrls.valid },
       expected: {
         statusCode: 200,
-        maxResponseTime: 30000, // Traceroute can be very slow
+        maxResponseTime: 35000, // Traceroute can be very slow
+        responseType: 'object'
+      }
+    },
+    {
+      name: 'Server Status with Timings',
+      endpoint: '/api/network/status',
+      params: { url: testUrls.valid },
+      expected: {
+        statusCode: 200,
+        maxResponseTime: 15000,
+        requiredFields: ['isUp', 'responseCode', 'responseTime', 'timings'],
+        responseType: 'object'
+      }
+    },
+    {
+      name: 'TXT Records Grouping',
+      endpoint: '/api/network/txt-records',
+      params: { url: testUrls.valid },
+      expected: {
+        statusCode: 200,
+        maxResponseTime: 10000,
+        requiredFields: ['records', 'verification', 'spf', 'dmarc', 'dkim', 'unknown'],
+        responseType: 'object'
+      }
+    },
+    {
+      name: 'DNS Server Probe',
+      endpoint: '/api/network/dns-server',
+      params: { url: testUrls.valid },
+      expected: {
+        statusCode: 200,
+        maxResponseTime: 20000,
+        requiredFields: ['nameServers', 'dns', 'openResolvers', 'zoneTransfers'],
         responseType: 'object'
       }
     }
@@ -211,6 +322,17 @@ export const analysisTestSuite = {
         responseType: 'object'
       }
     },
+    {
+      name: 'Website Quality Analysis (Desktop)',
+      endpoint: '/api/analysis/quality',
+      params: { url: testUrls.valid, strategy: 'desktop' },
+      expected: {
+        statusCode: 200,
+        maxResponseTime: 45000,
+        requiredFields: ['lighthouseResult'],
+        responseType: 'object'
+      }
+    },
     {
       name: 'Domain Ranking',
       endpoint: '/api/analysis/rank',
@@ -240,6 +362,81 @@ export const analysisTestSuite = {
         maxResponseTime: 20000,
         responseType: 'object'
       }
+    },
+    {
+      name: 'Robots.txt Parsing',
+      endpoint: '/api/analysis/robots-txt',
+      params: { url: testUrls.https },
+      expected: {
+        statusCode: 200,
+        maxResponseTime: 10000,
+        responseType: 'object'
+      }
+    },
+    {
+      name: 'Sitemap Crawl',
+      endpoint: '/api/analysis/sitemap',
+      params: { url: testUrls.https },
+      expected: {
+        statusCode: 200,
+        maxResponseTime: 30000,
+        responseType: 'object'
+      }
+    },
+    {
+      name: 'Linked Pages Extraction',
+      endpoint: '/api/analysis/linked-pages',
+      params: { url: testUrls.https },
+      expected: {
+        statusCode: 200,
+        maxResponseTime: 15000,
+        requiredFields: ['internal', 'external', 'links'],
+        responseType: 'object'
+      }
+    },
+    {
+      name: 'Social Tags Extraction',
+      endpoint: '/api/analysis/social-tags',
+      params: { url: testUrls.https },
+      expected: {
+        statusCode: 200,
+        maxResponseTime: 10000,
+        requiredFields: ['title', 'preview', 'validation'],
+        responseType: 'object'
+      }
+    },
+    {
+      name: 'Carbon Footprint Estimate',
+      endpoint: '/api/analysis/carbon',
+      params: { url: testUrls.https },
+      expected: {
+        statusCode: 200,
+        maxResponseTime: 30000,
+        requiredFields: ['bytes', 'statistics', 'green', 'rating'],
+        responseType: 'object'
+      }
+    },
+    {
+      name: 'Archive History',
+      endpoint: '/api/analysis/archives',
+      params: { url: testUrls.valid },
+      expected: {
+        statusCode: 200,
+        maxResponseTime: 25000,
+        requiredFields: ['firstScan', 'lastScan', 'totalScans', 'changeCount'],
+        responseType: 'object'
+      }
+    },
+    {
+      name: 'Site Features',
+      endpoint: '/api/analysis/features',
+      params: { url: testUrls.valid },
+      expected: {
+        statusCode: 200,
+        maxResponseTime: 15000,
+        requiredFields: ['features', 'groups', 'last'],
+        responseType: 'object'
+      }
     }
   ]
 };
@@ -267,7 +464,60 @@ export const utilitiesTestSuite = {
       expected: {
         statusCode: 200,
         maxResponseTime: 10000,
-        requiredFields: ['redirects'],
+        requiredFields: ['redirects', 'chain', 'issues'],
+        responseType: 'object'
+      }
+    },
+    {
+      name: 'Screenshot Capture',
+      endpoint: '/api/utils/screenshot',
+      params: { url: testUrls.https, viewport: 'mobile', format: 'jpeg' },
+      expected: {
+        statusCode: 200,
+        maxResponseTime: 30000, // Puppeteer can be slow
+        requiredFields: ['data', 'format', 'viewport'],
+        responseType: 'object'
+      }
+    }
+  ]
+};
+
+/**
+ * Routing Test Suite
+ * Nested handlers should also be reachable via the flat aliases the frontend uses
+ */
+export const routingTestSuite = {
+  name: 'Routing',
+  tests: [
+    {
+      name: 'Flat Alias - SSL',
+      endpoint: '/api/ssl',
+      params: { url: testUrls.https },
+      expected: {
+        statusCode: 200,
+        maxResponseTime: 10000,
+        requiredFields: ['subject', 'issuer', 'valid_from', 'valid_to'],
+        responseType: 'object'
+      }
+    },
+    {
+      name: 'Flat Alias - DNS',
+      endpoint: '/api/dns',
+      params: { url: testUrls.valid },
+      expected: {
+        statusCode: 200,
+        maxResponseTime: 8000,
+        requiredFields: ['A', 'AAAA', 'MX', 'TXT', 'NS'],
+        responseType: 'object'
+      }
+    },
+    {
+      name: 'Flat Alias - Tech Stack',
+      endpoint: '/api/tech-stack',
+      params: { url: testUrls.https },
+      expected: {
+        statusCode: 200,
+        maxResponseTime: 20000,
         responseType: 'object'
       }
     }
@@ -300,6 +550,28 @@ export const errorTestSuite = {
         responseType: 'object'
       }
     },
+    {
+      name: 'Invalid Traceroute Method',
+      endpoint: '/api/network/trace-route',
+      params: { url: testUrls.valid, method: 'smoke-signals' },
+      expected: {
+        statusCode: 400,
+        maxResponseTime: 2000,
+        responseType: 'object',
+        requiredFields: ['error']
+      }
+    },
+    {
+      name: 'Unknown Redirects User Agent',
+      endpoint: '/api/utils/redirects',
+      params: { url: testUrls.valid, userAgents: 'netscape' },
+      expected: {
+        statusCode: 400,
+        maxResponseTime: 2000,
+        responseType: 'object',
+        requiredFields: ['error']
+      }
+    },
     {
       name: 'Rate Limit Testing - AI Endpoint',
       endpoint: '/api/test-ai',
@@ -362,6 +634,7 @@ export const allTestSuites = [
   aiTestSuite,
   analysisTestSuite,
   utilitiesTestSuite,
+  routingTestSuite,
   errorTestSuite,
   performanceTestSuite
 ];
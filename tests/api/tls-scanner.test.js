@@ -0,0 +1,103 @@
+/**
+ * TLS Scanner Tests
+ * Scans local TLS servers, with a self-signed ECDSA certificate built here,
+ * which take TLS 1.2 and up with three TLS 1.2 suites in a set order.
+ * One enforces that order, the other goes by the client's
+ */
+
+import crypto from 'crypto';
+import tls from 'tls';
+import { TAGS, encode, encodeOid } from '../../api/_common/asn1.js';
+import { scanTls } from '../../api/_common/tls-scanner.js';
+import { listen, close } from './stub-servers.js';
+
+// The server's TLS 1.2 suites, in its order of preference (not the scanner's)
+const SERVER_SUITES = ['ECDHE-ECDSA-CHACHA20-POLY1305', 'ECDHE-ECDSA-AES128-GCM-SHA256', 'ECDHE-ECDSA-AES256-GCM-SHA384'];
+const IANA_NAMES = {
+  'ECDHE-ECDSA-CHACHA20-POLY1305': 'TLS_ECDHE_ECDSA_WITH_CHACHA20_POLY1305_SHA256',
+  'ECDHE-ECDSA-AES128-GCM-SHA256': 'TLS_ECDHE_ECDSA_WITH_AES_128_GCM_SHA256',
+  'ECDHE-ECDSA-AES256-GCM-SHA384': 'TLS_ECDHE_ECDSA_WITH_AES_256_GCM_SHA384',
+};
+
+/**
+ * A self-signed certificate for localhost, signed with ECDSA P-256
+ * @returns {{key: string, cert: string}} PEM encoded
+ */
+const createCertificate = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const signatureAlgorithm = encode(TAGS.SEQUENCE, encodeOid('1.2.840.10045.4.3.2')); // ecdsa-with-SHA256
+  const name = encode(TAGS.SEQUENCE, encode(TAGS.SET, encode(
+    TAGS.SEQUENCE, encodeOid('2.5.4.3'), encode(0x0c, Buffer.from('localhost')),
+  )));
+  const tbsCertificate = encode(
+    TAGS.SEQUENCE,
+    encode(0xa0, encode(TAGS.INTEGER, Buffer.from([2]))), // v3
+    encode(TAGS.INTEGER, Buffer.from([1])),
+    signatureAlgorithm,
+    name,
+    encode(TAGS.SEQUENCE, encode(TAGS.UTC_TIME, Buffer.from('240101000000Z')), encode(TAGS.UTC_TIME, Buffer.from('491231235959Z'))),
+    name,
+    publicKey.export({ type: 'spki', format: 'der' }),
+  );
+  const signature = crypto.sign('sha256', tbsCertificate, privateKey);
+  const der = encode(TAGS.SEQUENCE, tbsCertificate, signatureAlgorithm, encode(TAGS.BIT_STRING, Buffer.from([0]), signature));
+  const base64 = der.toString('base64').match(/.{1,64}/g).join('\n');
+  return {
+    key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    cert: `-----BEGIN CERTIFICATE-----\n${base64}\n-----END CERTIFICATE-----\n`,
+  };
+};
+
+describe('scanTls', () => {
+  const servers = {};
+
+  beforeAll(async () => {
+    const credentials = createCertificate();
+    const startServer = async (honorCipherOrder) => {
+      const server = tls.createServer({
+        ...credentials,
+        minVersion: 'TLSv1.2',
+        ciphers: SERVER_SUITES.join(':'),
+        honorCipherOrder,
+      }, (socket) => socket.end());
+      // Scans drop connections mid-handshake
+      server.on('tlsClientError', () => {});
+      return { server, port: await listen(server) };
+    };
+    servers.ordered = await startServer(true);
+    servers.unordered = await startServer(false);
+  });
+
+  afterAll(() => Promise.all(Object.values(servers).map(({ server }) => close(server))));
+
+  test('finds which protocols are supported', async () => {
+    const { protocols, issues } = await scanTls('127.0.0.1', { port: servers.ordered.port, clients: false });
+    const supported = Object.fromEntries(protocols.map(({ name, supported: ok }) => [name, ok]));
+
+    expect(supported).toEqual({
+      'TLSv1.3': true, 'TLSv1.2': true, 'TLSv1.1': false, TLSv1: false, SSLv3: null, SSLv2: null,
+    });
+    expect(issues.some(({ message }) => /deprecated|not supported$/.test(message))).toBe(false);
+  });
+
+  test('lists the TLS 1.2 suites in the order the server enforces', async () => {
+    const { suites, cipherOrder, forwardSecrecy } = await scanTls('127.0.0.1', { port: servers.ordered.port, clients: false });
+
+    expect(cipherOrder['TLSv1.2']).toEqual({
+      serverPreference: true,
+      suites: SERVER_SUITES.map((suite) => IANA_NAMES[suite]),
+    });
+    const tls12 = suites.filter(({ protocols }) => protocols.includes('TLSv1.2'));
+    expect(tls12.map(({ openssl }) => openssl)).toEqual(SERVER_SUITES);
+    expect(tls12.every(({ strength }) => strength === 'secure')).toBe(true);
+    expect(forwardSecrecy).toBe('all');
+  });
+
+  test('reports when the server goes by the client\'s order instead', async () => {
+    const { cipherOrder, issues } = await scanTls('127.0.0.1', { port: servers.unordered.port, clients: false });
+
+    expect(cipherOrder['TLSv1.2'].serverPreference).toBe(false);
+    expect([...cipherOrder['TLSv1.2'].suites].sort()).toEqual(Object.values(IANA_NAMES).sort());
+    expect(issues).toContainEqual({ severity: 'info', message: 'Server does not enforce its own cipher suite order for TLS 1.2' });
+  });
+});
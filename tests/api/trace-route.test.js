@@ -0,0 +1,57 @@
+/**
+ * Trace Route Tests
+ * Parses traceroute output, as printed with -n, and with reverse DNS names
+ */
+
+import { parseTracerouteOutput } from '../../api/network/trace-route.js';
+
+describe('parseTracerouteOutput', () => {
+  test('reads each hop\'s probes, skipping the header line', () => {
+    const output = [
+      'traceroute to 93.184.216.34 (93.184.216.34), 30 hops max, 60 byte packets',
+      ' 1  192.168.1.1  0.512 ms  0.478 ms  0.455 ms',
+      ' 2  * * *',
+      ' 3  93.184.216.34  9.871 ms  9.802 ms  9.790 ms',
+    ].join('\n');
+
+    expect(parseTracerouteOutput(output)).toEqual([
+      { hop: 1, probes: [{ ip: '192.168.1.1', rtt: 0.512 }, { ip: '192.168.1.1', rtt: 0.478 }, { ip: '192.168.1.1', rtt: 0.455 }] },
+      { hop: 2, probes: [{ ip: null, rtt: null }, { ip: null, rtt: null }, { ip: null, rtt: null }] },
+      { hop: 3, probes: [{ ip: '93.184.216.34', rtt: 9.871 }, { ip: '93.184.216.34', rtt: 9.802 }, { ip: '93.184.216.34', rtt: 9.79 }] },
+    ]);
+  });
+
+  test('gives each probe the router which answered it, when they differ', () => {
+    const [hop] = parseTracerouteOutput(' 3  72.14.1.1  5.102 ms 72.14.1.2  5.310 ms *');
+    expect(hop.probes).toEqual([
+      { ip: '72.14.1.1', rtt: 5.102 },
+      { ip: '72.14.1.2', rtt: 5.31 },
+      { ip: null, rtt: null },
+    ]);
+  });
+
+  test('adds flags like !H to the reply before them', () => {
+    const [hop] = parseTracerouteOutput('12  10.0.0.9  20.1 ms !H  20.4 ms !H  *');
+    expect(hop.probes).toEqual([
+      { ip: '10.0.0.9', rtt: 20.1, flag: '!H' },
+      { ip: '10.0.0.9', rtt: 20.4, flag: '!H' },
+      { ip: null, rtt: null },
+    ]);
+  });
+
+  test('takes the address from the brackets after a reverse DNS name, and reads IPv6', () => {
+    const output = [
+      ' 1  router.example.net (10.1.2.3)  1.234 ms  1.111 ms  1.000 ms',
+      ' 2  2001:db8::1  4.5 ms  4.6 ms  4.7 ms',
+    ].join('\n');
+
+    const [first, second] = parseTracerouteOutput(output);
+    expect(first.probes.map(({ ip }) => ip)).toEqual(['10.1.2.3', '10.1.2.3', '10.1.2.3']);
+    expect(second.probes[0]).toEqual({ ip: '2001:db8::1', rtt: 4.5 });
+  });
+
+  test('gives nothing for output with no hops', () => {
+    expect(parseTracerouteOutput('')).toEqual([]);
+    expect(parseTracerouteOutput('traceroute: unknown host nowhere.test\n')).toEqual([]);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * WHOIS / RDAP Lookup Tests
+ * Runs the whois handler against local stub servers, so no real registry is contacted:
+ * a registry WHOIS server which refers on to a registrar WHOIS server, and an
+ * HTTP server holding both the RDAP bootstrap file and the RDAP domain object
+ */
+
+import net from 'net';
+import http from 'http';
+import { listen, close, callHandler } from './stub-servers.js';
+
+const DOMAIN = 'example.com';
+
+// A port-43 style server, which answers one query then hangs up
+const createWhoisStub = (getResponse) => net.createServer((socket) => {
+  socket.once('data', (query) => socket.end(getResponse(query.toString().trim())));
+});
+
+const registryResponse = (registrarPort) => [
+  '% Stub registry WHOIS',
+  `Domain Name: ${DOMAIN.toUpperCase()}`,
+  'Registry Domain ID: 2336799_DOMAIN_COM-VRSN',
+  `Registrar WHOIS Server: 127.0.0.1:${registrarPort}`,
+  'Updated Date: 2024-08-14T07:01:34Z',
+  'Creation Date: 1995-08-14T04:00:00Z',
+  'Registry Expiry Date: 2025-08-13T04:00:00Z',
+  'Registrar: Stub Registrar',
+  'Name Server: A.IANA-SERVERS.NET',
+  'Domain Status: clientDeleteProhibited https://icann.org/epp#clientDeleteProhibited',
+  'DNSSEC: signedDelegation',
+].join('\r\n');
+
+const registrarResponse = [
+  `Domain Name: ${DOMAIN}`,
+  'Registrar URL: https://registrar.example',
+  'Registrar IANA ID: 376',
+  'Registrar: Stub Registrar Inc.',
+].join('\r\n');
+
+const rdapDomain = {
+  objectClassName: 'domain',
+  ldhName: DOMAIN.toUpperCase(),
+  handle: '2336799_DOMAIN_COM-VRSN',
+  events: [
+    { eventAction: 'registration', eventDate: '1995-08-14T04:00:00Z' },
+    { eventAction: 'expiration', eventDate: '2026-08-13T04:00:00Z' },
+  ],
+  entities: [{
+    roles: ['registrar'],
+    vcardArray: ['vcard', [['version', {}, 'text', '4.0'], ['fn', {}, 'text', 'RDAP Registrar']]],
+  }],
+  nameservers: [{ ldhName: 'A.IANA-SERVERS.NET' }, { ldhName: 'B.IANA-SERVERS.NET' }],
+  status: ['client delete prohibited', 'client transfer prohibited'],
+  secureDNS: { delegationSigned: true },
+};
+
+describe('WHOIS / RDAP lookup', () => {
+  const queries = [];
+  let registrar;
+  let registry;
+  let rdap;
+  let handler;
+
+  beforeAll(async () => {
+    registrar = createWhoisStub((query) => { queries.push(['registrar', query]); return registrarResponse; });
+    const registrarPort = await listen(registrar);
+    registry = createWhoisStub((query) => { queries.push(['registry', query]); return registryResponse(registrarPort); });
+    const registryPort = await listen(registry);
+
+    rdap = http.createServer((req, res) => {
+      const rdapBase = `http://127.0.0.1:${rdap.address().port}/rdap/`;
+      const routes = {
+        '/dns.json': { services: [[['net', 'org'], ['http://127.0.0.1:1/']], [['com'], [rdapBase]]] },
+        [`/rdap/domain/${DOMAIN}`]: rdapDomain,
+      };
+      const body = routes[req.url];
+      res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/rdap+json' });
+      res.end(JSON.stringify(body || { errorCode: 404 }));
+    });
+    const rdapPort = await listen(rdap);
+
+    // Read once, when the handler is first imported. A short request timeout,
+    // so a stub which never answers fails the test rather than hanging it
+    process.env.API_TIMEOUT_LIMIT = '5000';
+    process.env.WHOIS_SERVER = `127.0.0.1:${registryPort}`;
+    process.env.RDAP_BOOTSTRAP_URL = `http://127.0.0.1:${rdapPort}/dns.json`;
+    delete process.env.RDAP_SERVER;
+    ({ handler } = await import('../../api/network/whois.js'));
+  });
+
+  afterAll(async () => {
+    await Promise.all([registrar, registry, rdap].map(close));
+  });
+
+  test('follows the registry referral to the registrar WHOIS server', async () => {
+    queries.length = 0;
+    const { statusCode, body } = await callHandler(handler, DOMAIN);
+
+    expect(statusCode).toBe(200);
+    expect(queries).toEqual([['registry', DOMAIN], ['registrar', DOMAIN]]);
+    expect(body.whoisData.map(({ server }) => server)).toEqual([
+      process.env.WHOIS_SERVER,
+      `127.0.0.1:${registrar.address().port}`,
+    ]);
+  });
+
+  test('prefers RDAP values, filling gaps from WHOIS', async () => {
+    const { body } = await callHandler(handler, DOMAIN);
+
+    expect(body.sources).toEqual(['rdap', 'whois']);
+    expect(body.domain).toBe(DOMAIN);
+    // In both, RDAP wins
+    expect(body.expires).toBe('2026-08-13T04:00:00.000Z');
+    expect(body.registrar.name).toBe('RDAP Registrar');
+    expect(body.nameservers).toEqual(['a.iana-servers.net', 'b.iana-servers.net']);
+    expect(body.status).toEqual(['clientDeleteProhibited', 'clientTransferProhibited']);
+    // Only in WHOIS, from the registry then the registrar it referred to
+    expect(body.updated).toBe('2024-08-14T07:01:34.000Z');
+    expect(body.registrar.url).toBe('https://registrar.example');
+    expect(body.registrar.ianaId).toBe('376');
+    expect(body.internicData.Registry_Expiry_Date).toBe('2026-08-13T04:00:00.000Z');
+  });
+});